@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * Assembles the unpacked browser extension in dist/extension: the files in
+ * extension/ plus the shared scripts/ its content scripts load.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const buildExtension = (outDir = path.join(ROOT, 'dist', 'extension')) => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.cpSync(path.join(ROOT, 'extension'), outDir, { recursive: true });
+    fs.cpSync(path.join(ROOT, 'scripts'), path.join(outDir, 'scripts'), { recursive: true });
+
+    // Fail early if the manifest points at a file that was not copied
+    const manifest = JSON.parse(fs.readFileSync(path.join(outDir, 'manifest.json'), 'utf8'));
+    const referenced = [manifest.background.service_worker, manifest.options_ui.page]
+        .concat(...manifest.content_scripts.map(entry => entry.js));
+    const missing = referenced.filter(file => !fs.existsSync(path.join(outDir, file)));
+    if (missing.length) {
+        throw new Error(`Manifest references missing files: ${missing.join(', ')}`);
+    }
+    return outDir;
+};
+
+if (require.main === module) {
+    try {
+        console.log(`✅ Extension ready in ${buildExtension(process.argv[2])} (load it as an unpacked extension)`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { buildExtension };
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+/**
+ * playlist-export-download: offline copies of an album
+ * * Description:
+ * Downloads every track of a Musify, KHInsider or Squidify album (a URL that is
+ * exported on the fly, or an exported XSPF/M3U file) into one folder, with the
+ * cover as cover.jpg and companion playlists that use relative paths.
+ * Transfers run a few at a time, resume from the ".part" file after an
+ * interruption and are only kept when their size matches the server's.
+ * Running the command again skips the files that are already complete.
+ * New MP3 and FLAC files are tagged with the captured metadata and the cover.
+ * * Usage:
+ * playlist-export-download <url-or-playlist-file> [--out <dir>] [--playlist xspf,m3u8]
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parseArgs } = require('util');
+
+const core = require('../scripts/lib/playlist');
+require('../scripts/lib/formats');
+const { runTasks, hostOf } = require('../scripts/lib/tasks');
+const { planOffline, localPlaylist } = require('../scripts/lib/offline');
+const { SITES } = require('./sites');
+const { fetchWithAgent, mediaError, mediaHeaders, checkMediaResponse, fetchFirstLocation } = require('./page');
+const { fileStorage } = require('./storage');
+const { loadInput } = require('./input');
+const { formatTable } = require('./output');
+const { tagsOf, tagFile, id3Length, audioFormat } = require('./tags');
+const { positiveInteger } = require('./options');
+
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_PLAYLISTS = ['xspf', 'm3u8'];
+
+// Extensions of the audio types a link without one may serve
+const AUDIO_TYPES = {
+    'audio/flac': 'flac',
+    'audio/x-flac': 'flac',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/x-m4a': 'm4a',
+    'audio/aac': 'aac',
+    'audio/ogg': 'ogg',
+    'audio/opus': 'opus',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav'
+};
+const SNIFFED_EXTENSIONS = Array.from(new Set(Object.values(AUDIO_TYPES)));
+
+const sizeOf = (file) => fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+const readHead = (file, length) => {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const data = Buffer.alloc(length);
+        return data.subarray(0, fs.readSync(fd, data, 0, length, 0));
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+const withExtension = (file, extension) => file.replace(/\.[^./\\]+$/, `.${extension}`);
+
+/**
+ * Extension of a downloaded file: its first bytes (fLaC, an MPEG frame or an
+ * ID3 tag in front of either), else its Content-Type, else null
+ */
+const sniffExtension = (file, contentType = '') => {
+    const head = readHead(file, 10);
+    return audioFormat(readHead(file, id3Length(head) + 4)) ||
+        AUDIO_TYPES[contentType.split(';')[0].trim().toLowerCase()] || null;
+};
+
+/**
+ * The complete file of `dest` from an earlier run, or null. A `sniff` file
+ * may have been saved under another audio extension.
+ */
+const existingFile = (dest, sniff) => {
+    const candidates = [dest].concat(sniff ? SNIFFED_EXTENSIONS.map(extension => withExtension(dest, extension)) : []);
+    return candidates.find(file => fs.existsSync(file)) || null;
+};
+
+/**
+ * Downloads `url` to `dest` through `dest.part`: an existing part is resumed
+ * with a Range request, and the part only becomes `dest` once its size
+ * matches the one the server announced. With `sniff`, the extension of
+ * `dest` is replaced by the type of what was downloaded.
+ * Resolves to { size, resumed, file }.
+ */
+const downloadToFile = async (fetch, url, dest, { headers = {}, sniff = false } = {}) => {
+    const part = `${dest}.part`;
+    const offset = sizeOf(part);
+    const complete = (contentType) => {
+        const extension = sniff ? sniffExtension(part, contentType) : null;
+        const file = extension ? withExtension(dest, extension) : dest;
+        fs.renameSync(part, file);
+        return file;
+    };
+    const response = await fetch(url, {
+        headers: Object.assign({}, headers, offset > 0 ? { Range: `bytes=${offset}-` } : {}),
+        redirect: 'follow'
+    });
+
+    // The part is already complete: only the rename was missing
+    if (response.status === 416) {
+        const total = Number(((response.headers.get('content-range') || '').match(/\/(\d+)$/) || [])[1]);
+        if (response.body) response.body.cancel().catch(() => {});
+        if (total && total === offset) {
+            return { size: offset, resumed: true, file: complete() };
+        }
+        fs.rmSync(part, { force: true });
+        throw mediaError(`HTTP 416 for ${url}: starting over`);
+    }
+    checkMediaResponse(response, url);
+
+    const range = (response.headers.get('content-range') || '').match(/^bytes (\d+)-\d+\/(\d+|\*)$/);
+    const resumed = response.status === 206 && range && Number(range[1]) === offset;
+    const length = response.headers.get('content-length');
+    const expected = range && range[2] !== '*' ? Number(range[2])
+        : length !== null ? (resumed ? offset : 0) + Number(length) : null;
+
+    // A 200 answer (no Range support) starts the file over
+    await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(part, { flags: resumed ? 'a' : 'w' }));
+
+    const size = sizeOf(part);
+    if (size === 0) throw mediaError(`Empty file for ${url}`);
+    if (expected !== null && size !== expected) {
+        // Keep the part: the retry resumes it (or starts over if it is too long)
+        if (size > expected) fs.rmSync(part, { force: true });
+        throw mediaError(`Size mismatch for ${url}: got ${size} of ${expected} bytes`);
+    }
+    return { size, resumed: !!resumed, file: complete(response.headers.get('content-type') || '') };
+};
+
+/**
+ * Downloads the tracks and cover of a playlist into `outDir/<plan folder>`
+ * and writes the companion playlists. Options:
+ * - outDir (default: current directory), folder (default: "<creator> - <title>")
+ * - playlists: companion formats (default: xspf, m3u8)
+ * - tag: write ID3v2.4 / Vorbis comment tags into new files (default: true)
+ * - fetch, log, concurrency, retries, retryDelay, minInterval
+ * Resolves to { dir, playlists, report: { total, downloaded, existing, tagged, failed, skipped } }.
+ */
+const downloadOffline = async (playlist, {
+    outDir = '.',
+    folder = null,
+    playlists = DEFAULT_PLAYLISTS,
+    tag = true,
+    fetch = fetchWithAgent,
+    log = console,
+    concurrency = DEFAULT_CONCURRENCY,
+    retries = 3,
+    retryDelay = 1000,
+    minInterval = 0
+} = {}) => {
+    const plan = planOffline(playlist, { folder });
+    const dir = path.join(outDir, plan.folder);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const headers = mediaHeaders(playlist);
+
+    const report = { total: playlist.tracks.length, downloaded: 0, existing: 0, tagged: 0, failed: [], skipped: plan.skipped };
+    plan.skipped.forEach(row => log.warn(`⏭️ ${row.position}. ${row.title}: ${row.reason}`));
+    log.log(`⬇️ Downloading ${plan.files.length} tracks into ${dir}...`);
+
+    // Sniffed files take the name they were saved under
+    const saveFile = async (file) => {
+        const dest = path.join(dir, file.path);
+        const existing = existingFile(dest, file.sniff);
+        const result = existing ? { existing: true, file: existing }
+            : await fetchFirstLocation(file.urls, url => downloadToFile(fetch, url, dest, { headers, sniff: file.sniff }));
+        file.path = path.basename(result.file);
+        return result;
+    };
+
+    const results = await runTasks(plan.files, saveFile, {
+        concurrency,
+        retries,
+        retryDelay,
+        minInterval,
+        keyOf: file => hostOf(file.urls[0]),
+        shouldRetry: error => !error.permanent,
+        onProgress: (done, total, result) => {
+            const track = playlist.tracks[result.item.index];
+            log.log(`${result.ok ? '✅' : '❌'} ${done}/${total} ${result.item.path}${result.ok ? '' : `: ${result.error.message}`}`);
+            if (!result.ok) report.failed.push({ position: result.item.index + 1, title: track.title || '', reason: result.error.message });
+        }
+    });
+    const saved = results.filter(result => result.ok).map(result => result.item.path);
+    results.forEach(result => {
+        if (result.ok && result.value.existing) report.existing++;
+        else if (result.ok) report.downloaded++;
+    });
+    report.failed.sort((a, b) => a.position - b.position);
+
+    let cover = false;
+    if (plan.cover) {
+        try {
+            const dest = path.join(dir, plan.cover.path);
+            if (!fs.existsSync(dest)) await downloadToFile(fetch, plan.cover.url, dest, { headers });
+            cover = true;
+        } catch (error) {
+            log.warn(`🖼️ Cover not saved: ${error.message}`);
+        }
+    }
+
+    // Only the files of this run: complete files from an earlier run are tagged already
+    if (tag) {
+        const coverData = cover ? fs.readFileSync(path.join(dir, plan.cover.path)) : null;
+        for (const result of results.filter(row => row.ok && !row.value.existing)) {
+            const track = playlist.tracks[result.item.index];
+            try {
+                const format = await tagFile(path.join(dir, result.item.path), tagsOf(track, playlist, { cover: coverData, totalTracks: playlist.tracks.length }));
+                if (format) report.tagged++;
+            } catch (error) {
+                log.warn(`🏷️ ${result.item.path} not tagged: ${error.message}`);
+            }
+        }
+    }
+
+    // Companion playlists list the files that are on disk
+    const written = playlists.map(format => {
+        const definition = core.getFormat(format);
+        const file = path.join(dir, `${core.sanitizeFilename(playlist.title || plan.folder)}.${definition.extension}`);
+        fs.writeFileSync(file, definition.serialize(localPlaylist(playlist, plan, { format, paths: saved, cover })));
+        return file;
+    });
+    log.log(`📋 ${report.downloaded} downloaded (${report.tagged} tagged), ${report.existing} already there, ${report.failed.length} failed, ${report.skipped.length} skipped.`);
+    return { dir, playlists: written, report };
+};
+
+const USAGE = `Usage: playlist-export-download <url-or-playlist-file> [options]
+
+Downloads the audio files of a Musify, KHInsider or Squidify album or of an
+exported XSPF/M3U/M3U8 playlist. YouTube links are streaming only and skipped.
+
+  -o, --out <dir>       parent directory (default: current directory)
+  --folder <name>       folder for the files (default: "<creator> - <title>")
+  --playlist <list>     companion playlists (default: ${DEFAULT_PLAYLISTS.join(',')})
+  --formats <list>      KHInsider: audio formats, best first (ie. flac,mp3)
+  --concurrency <n>     files downloaded at once (default: ${DEFAULT_CONCURRENCY})
+  --no-tags             do not write ID3/Vorbis tags and the cover into the files
+  -s, --site <name>     site of a URL input (default: detected from the URL)
+  -q, --quiet           only print errors
+  -h, --help            show this help
+
+Run it again to resume: complete files are skipped and partial ones resumed.
+Exit code 1 when some tracks failed.
+`;
+
+const run = async (argv) => {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o' },
+            folder: { type: 'string' },
+            playlist: { type: 'string' },
+            formats: { type: 'string' },
+            concurrency: { type: 'string' },
+            'no-tags': { type: 'boolean' },
+            site: { type: 'string', short: 's' },
+            quiet: { type: 'boolean', short: 'q' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help || positionals.length !== 1) {
+        process.stdout.write(USAGE);
+        return values.help ? 0 : 2;
+    }
+    const concurrency = positiveInteger(values.concurrency, 'concurrency');
+    if (values.site && !SITES[values.site]) throw new Error(`Unknown site "${values.site}". Available: ${Object.keys(SITES).join(', ')}`);
+
+    const noop = () => {};
+    const log = {
+        log: values.quiet ? noop : (...args) => console.error(...args),
+        warn: values.quiet ? noop : (...args) => console.error(...args),
+        error: (...args) => console.error(...args)
+    };
+    const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+    const { playlist } = await loadInput(positionals[0], {
+        site: values.site,
+        log,
+        invidious: { storage: fileStorage() },
+        extractOptions: values.formats ? { formats: list(values.formats) } : {}
+    });
+    const { dir, report } = await downloadOffline(playlist, {
+        outDir: values.out || '.',
+        folder: values.folder,
+        playlists: values.playlist ? list(values.playlist) : DEFAULT_PLAYLISTS,
+        tag: !values['no-tags'],
+        concurrency,
+        log
+    });
+
+    if (report.failed.length > 0) {
+        process.stdout.write(formatTable(report.failed, ['position', 'title', 'reason']));
+        log.warn(`🔁 Run the same command again to resume the failed tracks in ${dir}.`);
+        return 1;
+    }
+    return 0;
+};
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { downloadToFile, downloadOffline, run };
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * playlist-export-import: a YouTube copy of an existing playlist
+ * * Description:
+ * Reads an exported playlist (XSPF, M3U/M3U8) or exports an album URL, then
+ * searches Invidious for every track and writes a playlist of YouTube links.
+ * Candidates are ranked on title, creator, duration and "- Topic" channels;
+ * the confidence of every match is kept in the track's <extension>, and the
+ * tracks without a good enough match are left out and listed.
+ * * Usage:
+ * playlist-export-import <playlist-or-url> [--out album.xspf] [--min-confidence 0.6]
+ */
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const core = require('../scripts/lib/playlist');
+require('../scripts/lib/formats');
+const { DEFAULT_INSTANCES, createInvidiousPool } = require('../scripts/lib/invidious');
+const { importPlaylist } = require('../scripts/lib/matcher');
+const { SITES } = require('./sites');
+const { fileStorage } = require('./storage');
+const { loadInput } = require('./input');
+const { resolveFormat, formatTable } = require('./output');
+const { numberInRange } = require('./options');
+
+const USAGE = `Usage: playlist-export-import <playlist-or-url> [options]
+
+Finds every track of an exported XSPF/M3U/M3U8 playlist (or of an album URL)
+on YouTube through Invidious and writes a playlist of the videos.
+
+  -o, --out <file>          output file, "-" for stdout (default: "<title> [Youtube].xspf")
+  -f, --format <name>       ${Object.keys(core.FORMATS).join(' | ')} (default: from --out extension, else xspf)
+  --min-confidence <n>      lowest match confidence kept, 0 to 1 (default: 0.5)
+  --title-rules <file>      JSON title rules for the video titles, { "*": [...], "<channel ID>": [...] }
+  -s, --site <name>         site of a URL input (default: detected from the URL)
+  --invidious <urls>        comma-separated Invidious instances, tried in order
+                            (default: ${DEFAULT_INSTANCES.join(',')})
+  -q, --quiet               only print errors
+  -h, --help                show this help
+
+Exit code 1 when some tracks were left out.
+`;
+
+const run = async (argv) => {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o' },
+            format: { type: 'string', short: 'f' },
+            'min-confidence': { type: 'string' },
+            'title-rules': { type: 'string' },
+            site: { type: 'string', short: 's' },
+            invidious: { type: 'string' },
+            quiet: { type: 'boolean', short: 'q' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help || positionals.length !== 1) {
+        process.stdout.write(USAGE);
+        return values.help ? 0 : 2;
+    }
+    if (values.site && !SITES[values.site]) throw new Error(`Unknown site "${values.site}". Available: ${Object.keys(SITES).join(', ')}`);
+    const minConfidence = numberInRange(values['min-confidence'], 'min-confidence', { min: 0, max: 1 });
+
+    const noop = () => {};
+    const log = {
+        log: values.quiet ? noop : (...args) => console.error(...args),
+        warn: values.quiet ? noop : (...args) => console.error(...args),
+        error: (...args) => console.error(...args)
+    };
+    // Failed instances are remembered between runs, like localStorage does in the browser
+    const invidious = { storage: fileStorage() };
+    if (values.invidious) invidious.instances = values.invidious.split(',').map(instance => instance.trim()).filter(Boolean);
+    const format = resolveFormat(values.format, values.out);
+    const formatDefinition = core.getFormat(format);
+    const titleRules = values['title-rules'] ? JSON.parse(fs.readFileSync(values['title-rules'], 'utf8')) : null;
+
+    const { playlist: source } = await loadInput(positionals[0], { site: values.site, log, invidious });
+    const { playlist, report } = await importPlaylist(source, {
+        pool: createInvidiousPool(Object.assign({ log }, invidious)),
+        minConfidence,
+        titleRules,
+        log
+    });
+
+    if (report.unmatched.length > 0) {
+        log.warn(formatTable(report.unmatched, ['position', 'title', 'reason']));
+    }
+    if (report.lowest) log.log(`🎯 Lowest confidence kept: ${report.lowest.confidence} for ${report.lowest.position}. ${report.lowest.title}`);
+
+    const content = formatDefinition.serialize(playlist);
+    if (values.out === '-') {
+        process.stdout.write(content);
+    } else {
+        const outFile = values.out || `${core.sanitizeFilename(`${playlist.title || 'Playlist'} [Youtube]`)}.${formatDefinition.extension}`;
+        fs.writeFileSync(outFile, content);
+        log.log(`✅ ${report.matched} tracks written to ${outFile}`);
+    }
+    return report.unmatched.length > 0 ? 1 : 0;
+};
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { run };
@@ -0,0 +1,167 @@
+/**
+ * Inputs shared by the command line tools: exported playlist files (XSPF,
+ * M3U/M3U8), the site they came from, and files or album URLs loaded as
+ * playlists
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const core = require('../scripts/lib/playlist');
+const { hostOf } = require('../scripts/lib/tasks');
+const { SITES, detectSite, siteOfTag, siteOfTrackHost, loadSitePage } = require('./sites');
+const { isHttpUrl } = require('./page');
+
+// --- Reading Playlists ---
+
+const childrenNamed = (element, name) => Array.from(element.children).filter(child => child.localName === name);
+const childText = (element, name) => {
+    const child = childrenNamed(element, name)[0];
+    return child ? child.textContent.trim() : '';
+};
+
+// <meta rel="x">value</meta> -> { x: value }
+const metaOf = (element) => childrenNamed(element, 'meta').reduce((meta, child) => {
+    if (child.getAttribute('rel')) meta[child.getAttribute('rel')] = child.textContent.trim();
+    return meta;
+}, {});
+
+// <extension application="x"><name>value</name></extension> -> { x: { name: value } }
+const extensionOf = (element) => childrenNamed(element, 'extension').reduce((extension, child) => {
+    const application = child.getAttribute('application');
+    if (application) {
+        extension[application] = Array.from(child.children).reduce((fields, field) => {
+            fields[field.localName] = field.textContent.trim();
+            return fields;
+        }, Object.assign({}, extension[application]));
+    }
+    return extension;
+}, {});
+
+const readXspf = (text) => {
+    const { document } = new JSDOM(text, { contentType: 'application/xml' }).window;
+    const root = document.documentElement;
+    if (!root || root.localName !== 'playlist') throw new Error('Not an XSPF playlist: no <playlist> element.');
+    const trackList = childrenNamed(root, 'trackList')[0];
+    return {
+        format: 'xspf',
+        title: childText(root, 'title'),
+        creator: childText(root, 'creator'),
+        image: childText(root, 'image'),
+        location: childText(root, 'location'),
+        meta: metaOf(root),
+        tracks: (trackList ? childrenNamed(trackList, 'track') : []).map(track => ({
+            locations: childrenNamed(track, 'location').map(location => location.textContent.trim()).filter(Boolean),
+            identifier: childText(track, 'identifier'),
+            title: childText(track, 'title'),
+            creator: childText(track, 'creator'),
+            annotation: childText(track, 'annotation'),
+            info: childText(track, 'info'),
+            image: childText(track, 'image'),
+            album: childText(track, 'album'),
+            trackNum: parseInt(childText(track, 'trackNum'), 10) || null,
+            duration: parseInt(childText(track, 'duration'), 10) || null,
+            meta: metaOf(track),
+            extension: extensionOf(track)
+        }))
+    };
+};
+
+/**
+ * M3U/M3U8: "#EXTINF:<seconds>,<creator> - <title>" followed by the location.
+ * `line` is the index of the location line, so it can be replaced in place.
+ */
+const readM3u = (text) => {
+    const playlist = { format: 'm3u8', title: '', location: '', tracks: [] };
+    let name = '';
+    let seconds = 0;
+    text.split(/\r?\n/).forEach((raw, line) => {
+        const value = raw.trim();
+        if (value.startsWith('#PLAYLIST:')) {
+            playlist.title = value.slice('#PLAYLIST:'.length).trim();
+        } else if (value.startsWith('#EXTINF:')) {
+            seconds = parseInt(value.slice('#EXTINF:'.length), 10);
+            name = value.slice(value.indexOf(',') + 1).trim();
+        } else if (value && !value.startsWith('#')) {
+            const separator = name.indexOf(' - ');
+            playlist.tracks.push({
+                locations: [value],
+                identifier: '',
+                title: separator >= 0 ? name.slice(separator + 3) : name,
+                creator: separator >= 0 ? name.slice(0, separator) : '',
+                info: '',
+                trackNum: null,
+                duration: seconds > 0 ? seconds * 1000 : null,
+                line
+            });
+            name = '';
+            seconds = 0;
+        }
+    });
+    return playlist;
+};
+
+/**
+ * Parses an exported playlist: { format, title, location, tracks }, where
+ * every track has { locations, identifier, title, creator, info, trackNum,
+ * duration } (XSPF tracks also keep their annotation, image, album, meta and
+ * extension).
+ */
+const readPlaylist = (text) => {
+    const start = text.replace(/^\uFEFF/, '').trimStart();
+    if (start.startsWith('<')) return readXspf(text);
+    if (start.startsWith('[') || start.startsWith('{')) {
+        throw new Error('Unsupported playlist: only XSPF and M3U/M3U8 files can be read.');
+    }
+    return readM3u(text);
+};
+
+/**
+ * Site of an exported playlist: file name tag, then the playlist location,
+ * then the host of the first recognisable track location. Null if unknown.
+ */
+const detectSource = (playlist, fileName = '') => {
+    const tag = path.basename(fileName).match(/\[([^\]]+)\][^[\]]*$/);
+    if (tag && siteOfTag(tag[1])) return siteOfTag(tag[1]);
+    if (playlist.location && detectSite(playlist.location)) return detectSite(playlist.location);
+    for (const track of playlist.tracks) {
+        for (const location of track.locations) {
+            const host = hostOf(location).replace(/:\d+$/, '');
+            const site = siteOfTrackHost(host);
+            if (site) return site;
+        }
+    }
+    return null;
+};
+
+// --- Loading Inputs ---
+
+/**
+ * Loads one input as { playlist, source }: a file is read as it was
+ * exported, a URL is exported again (every disc/album of a split export).
+ * Options: site (for URLs), loadSource(url, site), extractOptions, log, invidious.
+ */
+const loadInput = async (input, { site = null, loadSource = null, extractOptions = {}, log = console, invidious = {} } = {}) => {
+    if (!isHttpUrl(input)) {
+        const read = readPlaylist(fs.readFileSync(input, 'utf8'));
+        const playlist = core.createPlaylist(Object.assign({}, read, {
+            tracks: read.tracks.map(track => Object.assign({}, track, { location: track.locations }))
+        }));
+        const siteName = detectSource(read, input);
+        return { playlist, source: `${path.basename(input)}${siteName ? ` (${siteName})` : ''}` };
+    }
+
+    const siteName = site || detectSite(input);
+    if (!SITES[siteName]) throw new Error(`Cannot detect the site of ${input}. Pass --site.`);
+    const load = loadSource || (url => loadSitePage(siteName, url, { log, invidious }));
+    const result = await SITES[siteName].extract(await load(input, siteName), extractOptions);
+    const parts = result.playlists || [result];
+    const playlist = core.createPlaylist(Object.assign({}, parts[0].playlist, {
+        tracks: parts.reduce((tracks, part) => tracks.concat(part.playlist.tracks), [])
+    }));
+    return { playlist, source: `${playlist.title || input} (${siteName})` };
+};
+
+module.exports = { readPlaylist, detectSource, loadInput };
@@ -0,0 +1,248 @@
+/**
+ * Track durations from the media itself
+ * * Description:
+ * The sites list durations as text (Musify, KHInsider), from the player
+ * (Squidify) or from the API (YouTube), and some of them are wrong. This
+ * reads the real duration from the first kilobytes of the audio: the Xing/Info
+ * or VBRI header of an MP3 (the frame size and file size for constant bitrate
+ * files without one) and the STREAMINFO block of a FLAC. Remote files are
+ * probed with a Range request, so nothing is downloaded in full.
+ */
+'use strict';
+
+const core = require('../scripts/lib/playlist');
+const { runTasks, hostOf } = require('../scripts/lib/tasks');
+const { isDownloadable } = require('../scripts/lib/offline');
+const { fetchWithAgent, mediaError, mediaHeaders, checkMediaResponse, fetchFirstLocation } = require('./page');
+const { id3Length } = require('./tags');
+
+const PROBE_BYTES = 64 * 1024;
+const DEFAULT_TOLERANCE = 5; // seconds a listed duration may be off by (m:ss text is rounded)
+
+// --- MP3 ---
+
+// Bitrates in kbit/s by [MPEG-1 or not][layer], index 1 to 14
+const BITRATES = {
+    mpeg1: {
+        1: [32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    },
+    mpeg2: {
+        1: [32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    }
+};
+const SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+/**
+ * MPEG audio frame header at `offset`:
+ * { bitrate, sampleRate, samples, length, sideInfo } or null
+ */
+const frameAt = (data, offset) => {
+    if (offset + 4 > data.length || data[offset] !== 0xff || (data[offset + 1] & 0xe0) !== 0xe0) return null;
+    const version = (data[offset + 1] >> 3) & 3; // 3: MPEG-1, 2: MPEG-2, 0: MPEG-2.5
+    const layer = 4 - ((data[offset + 1] >> 1) & 3);
+    const bitrateIndex = data[offset + 2] >> 4;
+    const rateIndex = (data[offset + 2] >> 2) & 3;
+    if (version === 1 || layer === 4 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+    const mpeg1 = version === 3;
+    const bitrate = BITRATES[mpeg1 ? 'mpeg1' : 'mpeg2'][layer][bitrateIndex - 1] * 1000;
+    const sampleRate = SAMPLE_RATES[version][rateIndex];
+    const padding = (data[offset + 2] >> 1) & 1;
+    const mono = (data[offset + 3] >> 6) === 3;
+    const samples = layer === 1 ? 384 : layer === 3 && !mpeg1 ? 576 : 1152;
+    const length = layer === 1
+        ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+        : Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+    // Layer III side information comes before the Xing header
+    const sideInfo = layer !== 3 ? 0 : mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    return { bitrate, sampleRate, samples, length, sideInfo };
+};
+
+/**
+ * First frame whose successor (when it is in the data) is a frame too, so
+ * that stray 0xFF bytes are not taken for a frame
+ */
+const firstFrame = (data, start) => {
+    for (let offset = start; offset + 4 <= data.length; offset++) {
+        const frame = frameAt(data, offset);
+        if (!frame) continue;
+        const next = offset + frame.length;
+        if (next + 4 > data.length || frameAt(data, next)) return Object.assign({ offset }, frame);
+    }
+    return null;
+};
+
+/**
+ * Duration of an MP3 from the start of the file: the frame count of the
+ * Xing/Info or VBRI header, else (constant bitrate) the audio size over the
+ * bitrate, which needs the total `size` of the file
+ */
+const mp3Duration = (data, { size = data.length, offset = 0 } = {}) => {
+    const frame = firstFrame(data, offset > 0 ? 0 : id3Length(data));
+    if (!frame) return null;
+
+    const xing = frame.offset + 4 + frame.sideInfo;
+    const xingTag = data.toString('latin1', xing, xing + 4);
+    let frames = 0;
+    if ((xingTag === 'Xing' || xingTag === 'Info') && data.length >= xing + 12 && (data.readUInt32BE(xing + 4) & 1)) {
+        frames = data.readUInt32BE(xing + 8);
+    } else if (data.toString('latin1', frame.offset + 36, frame.offset + 40) === 'VBRI' && data.length >= frame.offset + 54) {
+        frames = data.readUInt32BE(frame.offset + 50);
+    }
+    if (frames > 0) return { format: 'mp3', duration: Math.round(frames * frame.samples / frame.sampleRate * 1000), exact: true };
+
+    const audioBytes = size - offset - frame.offset;
+    if (audioBytes <= 0) return null;
+    return { format: 'mp3', duration: Math.round(audioBytes * 8 / frame.bitrate * 1000), exact: false };
+};
+
+// --- FLAC ---
+
+/**
+ * Duration of a FLAC from its STREAMINFO block (always the first one):
+ * total samples over the sample rate; null when the encoder left them out
+ */
+const flacDuration = (data, { offset = 0 } = {}) => {
+    const start = offset > 0 ? 0 : id3Length(data);
+    if (data.toString('latin1', start, start + 4) !== 'fLaC' || data.length < start + 8 + 18) return null;
+    const info = start + 8;
+    const sampleRate = (data[info + 10] << 12) | (data[info + 11] << 4) | (data[info + 12] >> 4);
+    const samples = (data[info + 13] & 0x0f) * 0x100000000 + data.readUInt32BE(info + 14);
+    if (!sampleRate || !samples) return null;
+    return { format: 'flac', duration: Math.round(samples / sampleRate * 1000), exact: true };
+};
+
+/**
+ * Duration of the audio in `data`, the first bytes of a file of `size`
+ * bytes (`offset`: position of `data` in the file, past an ID3 tag).
+ * Resolves to { format, duration (ms), exact } or null for other formats.
+ */
+const mediaDuration = (data, options = {}) => flacDuration(data, options) || mp3Duration(data, options);
+
+// --- Remote Files ---
+
+/**
+ * Reads up to `bytes` bytes of `url` from `start` with a Range request (a
+ * server without Range support is cut off). Resolves to { data, size }.
+ */
+const readRange = async (fetch, url, start, bytes, headers) => {
+    const response = await fetch(url, {
+        headers: Object.assign({}, headers, { Range: `bytes=${start}-${start + bytes - 1}` }),
+        redirect: 'follow'
+    });
+    checkMediaResponse(response, url);
+
+    const range = (response.headers.get('content-range') || '').match(/\/(\d+)$/);
+    const length = response.headers.get('content-length');
+    const size = range ? Number(range[1]) : response.status === 200 && length !== null ? Number(length) : null;
+
+    // A 200 answer starts at the beginning of the file
+    const skip = response.status === 206 ? 0 : start;
+    const chunks = [];
+    let received = 0;
+    const reader = response.body.getReader();
+    while (received < skip + bytes) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(Buffer.from(value));
+        received += value.length;
+    }
+    reader.cancel().catch(() => {});
+    return { data: Buffer.concat(chunks).subarray(skip, skip + bytes), size };
+};
+
+/**
+ * Duration of a remote audio file from its first kilobytes. A large ID3 tag
+ * (embedded covers) is skipped with a second Range request.
+ */
+const probeDuration = async (fetch, url, { headers = {}, bytes = PROBE_BYTES } = {}) => {
+    const first = await readRange(fetch, url, 0, bytes, headers);
+    const tag = id3Length(first.data);
+    let result;
+    if (tag > 0 && tag + 1024 > first.data.length && (first.size === null || tag < first.size)) {
+        const rest = await readRange(fetch, url, tag, bytes, headers);
+        result = mediaDuration(rest.data, { size: first.size || 0, offset: tag });
+    } else {
+        result = mediaDuration(first.data, { size: first.size || 0 });
+    }
+    if (!result) throw mediaError(`No duration in the first ${bytes} bytes of ${url}`, true);
+    return result;
+};
+
+const formatDuration = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    const time = `${Math.floor(seconds / 60) % 60}:${String(seconds % 60).padStart(2, '0')}`;
+    return seconds >= 3600 ? `${Math.floor(seconds / 3600)}:${time.padStart(5, '0')}` : time;
+};
+
+/**
+ * Checks every track with a downloadable link against its media headers.
+ * Missing durations are filled; listed ones that are off by more than
+ * `tolerance` seconds are corrected and reported; exact media durations
+ * (Xing/VBRI, FLAC) replace the rounded listed ones. Options: tolerance,
+ * fetch, log, concurrency, retries, retryDelay, minInterval.
+ * Resolves to { playlist, report: { total, checked, filled, corrected, failed, skipped } }.
+ */
+const verifyDurations = async (playlist, {
+    tolerance = DEFAULT_TOLERANCE,
+    fetch = fetchWithAgent,
+    log = console,
+    concurrency = 4,
+    retries = 2,
+    retryDelay = 1000,
+    minInterval = 250
+} = {}) => {
+    const headers = mediaHeaders(playlist);
+
+    const items = playlist.tracks
+        .map((track, index) => ({ index, urls: [].concat(track.location || []).filter(isDownloadable) }))
+        .filter(item => item.urls.length > 0);
+    const report = { total: playlist.tracks.length, checked: 0, filled: 0, corrected: [], failed: [], skipped: playlist.tracks.length - items.length };
+    log.log(`⏱️ Reading the durations of ${items.length} tracks from their media headers...`);
+
+    const probe = item => fetchFirstLocation(item.urls, url => probeDuration(fetch, url, { headers }));
+
+    const results = await runTasks(items, probe, {
+        concurrency,
+        retries,
+        retryDelay,
+        minInterval,
+        keyOf: item => hostOf(item.urls[0]),
+        shouldRetry: error => !error.permanent
+    });
+
+    const tracks = playlist.tracks.slice();
+    results.forEach(({ item, ok, value, error }) => {
+        const track = tracks[item.index];
+        if (!ok) {
+            report.failed.push({ position: item.index + 1, title: track.title || '', reason: error.message });
+            return;
+        }
+        report.checked++;
+        const listed = track.duration || 0;
+        if (!listed) {
+            report.filled++;
+        } else if (Math.abs(value.duration - listed) > tolerance * 1000) {
+            report.corrected.push({ position: item.index + 1, title: track.title || '', listed: formatDuration(listed), actual: formatDuration(value.duration) });
+        } else if (!value.exact) {
+            return;
+        }
+        tracks[item.index] = Object.assign({}, track, { duration: value.duration });
+    });
+
+    log.log(`⏱️ ${report.checked} durations checked: ${report.filled} filled, ${report.corrected.length} corrected, ${report.failed.length} failed.`);
+    return { playlist: core.createPlaylist(Object.assign({}, playlist, { tracks })), report };
+};
+
+module.exports = {
+    mp3Duration,
+    flacDuration,
+    mediaDuration,
+    probeDuration,
+    formatDuration,
+    verifyDurations
+};
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * playlist-export-merge: one playlist out of several sources
+ * * Description:
+ * Reads exported playlists (XSPF, M3U/M3U8) and/or exports album URLs live,
+ * then merges them in the order given. A song found in several sources (same
+ * creator and title, durations within --tolerance seconds) is written once:
+ * the best source first (FLAC from KHInsider/Squidify, then MP3, then
+ * YouTube) and the other links as fallback <location>s.
+ * * Usage:
+ * playlist-export-merge <file-or-url>... [--out merged.xspf] [--title "My mix"]
+ */
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const core = require('../scripts/lib/playlist');
+require('../scripts/lib/formats');
+const { mergePlaylists } = require('../scripts/lib/merge');
+const { SITES } = require('./sites');
+const { fileStorage } = require('./storage');
+const { loadInput } = require('./input');
+const { resolveFormat, formatTable } = require('./output');
+const { numberInRange } = require('./options');
+
+const USAGE = `Usage: playlist-export-merge <file-or-url>... [options]
+
+Inputs are exported XSPF/M3U/M3U8 files or album/playlist URLs, merged in order.
+
+  -o, --out <file>      output file, "-" for stdout (default: "<title> [Merged].xspf")
+  -f, --format <name>   ${Object.keys(core.FORMATS).join(' | ')} (default: from --out extension, else xspf)
+                        only XSPF and JSPF keep the fallback locations
+  --title <text>        playlist title (default: the input titles joined with " + ")
+  --tolerance <s>       seconds two durations may differ by (default: 3)
+  -s, --site <name>     site of the URL inputs (default: detected from each URL)
+  --report <file>       also write the merge report as JSON
+  --invidious <urls>    comma-separated Invidious instances for YouTube URLs
+  -q, --quiet           only print errors
+  -h, --help            show this help
+`;
+
+const run = async (argv) => {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            out: { type: 'string', short: 'o' },
+            format: { type: 'string', short: 'f' },
+            title: { type: 'string' },
+            tolerance: { type: 'string' },
+            site: { type: 'string', short: 's' },
+            report: { type: 'string' },
+            invidious: { type: 'string' },
+            quiet: { type: 'boolean', short: 'q' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help || positionals.length < 2) {
+        process.stdout.write(USAGE);
+        return values.help ? 0 : 2;
+    }
+    const tolerance = numberInRange(values.tolerance, 'tolerance', { min: 0 });
+    if (values.site && !SITES[values.site]) throw new Error(`Unknown site "${values.site}". Available: ${Object.keys(SITES).join(', ')}`);
+
+    const noop = () => {};
+    const log = {
+        log: values.quiet ? noop : (...args) => console.error(...args),
+        warn: values.quiet ? noop : (...args) => console.error(...args),
+        error: (...args) => console.error(...args)
+    };
+    const invidious = { storage: fileStorage() };
+    if (values.invidious) invidious.instances = values.invidious.split(',').map(instance => instance.trim()).filter(Boolean);
+    const format = resolveFormat(values.format, values.out);
+    const formatDefinition = core.getFormat(format);
+
+    const inputs = [];
+    for (const input of positionals) {
+        log.log(`📥 Loading ${input}...`);
+        const loaded = await loadInput(input, { site: values.site, log, invidious });
+        log.log(`   ${loaded.playlist.tracks.length} tracks from ${loaded.source}`);
+        inputs.push(loaded);
+    }
+
+    const { playlist, report } = mergePlaylists(inputs, {
+        title: values.title,
+        tolerance
+    });
+    if (report.duplicates.length > 0 && !values.quiet) {
+        process.stderr.write(formatTable(report.duplicates, ['title', 'creator', 'quality', 'sources', 'fallbacks']));
+    }
+    if (values.report) fs.writeFileSync(values.report, JSON.stringify(report, null, 2));
+
+    const content = formatDefinition.serialize(playlist);
+    if (values.out === '-') {
+        process.stdout.write(content);
+    } else {
+        const outFile = values.out || `${core.sanitizeFilename(`${playlist.title || 'Playlist'} [Merged]`)}.${formatDefinition.extension}`;
+        fs.writeFileSync(outFile, content);
+        log.log(`✅ ${report.tracks} tracks (${report.total - report.tracks} duplicates merged) written to ${outFile}`);
+    }
+    return 0;
+};
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { run };
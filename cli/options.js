@@ -0,0 +1,32 @@
+/**
+ * Checks shared by the command line options: a value that does not parse is
+ * an error, never a silent default
+ */
+'use strict';
+
+/**
+ * Whole number of at least 1 ("--concurrency 8"), undefined when not given
+ */
+const positiveInteger = (value, name) => {
+    if (value === undefined) return undefined;
+    if (!/^\s*\d+\s*$/.test(value) || Number(value) < 1) {
+        throw new Error(`--${name} must be a whole number of at least 1, not "${value}".`);
+    }
+    return Number(value);
+};
+
+/**
+ * Decimal number within [min, max] ("--tolerance 2.5"), undefined when not
+ * given; either bound may be left out
+ */
+const numberInRange = (value, name, { min = -Infinity, max = Infinity } = {}) => {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!/^\s*-?\d+(\.\d+)?\s*$/.test(value) || number < min || number > max) {
+        const range = max === Infinity ? `at least ${min}` : min === -Infinity ? `at most ${max}` : `between ${min} and ${max}`;
+        throw new Error(`--${name} must be a number ${range}, not "${value}".`);
+    }
+    return number;
+};
+
+module.exports = { positiveInteger, numberInRange };
@@ -0,0 +1,31 @@
+/**
+ * Output helpers shared by the command line tools: the playlist format of an
+ * output file and the plain text tables of the reports
+ */
+'use strict';
+
+const path = require('path');
+
+const core = require('../scripts/lib/playlist');
+require('../scripts/lib/formats');
+
+/**
+ * Picks the format: explicit option, then the --out extension, then XSPF
+ */
+const resolveFormat = (format, out) => {
+    if (format) return format.toLowerCase();
+    const extension = out && out !== '-' ? path.extname(out).slice(1).toLowerCase() : '';
+    return core.FORMATS[extension] ? extension : 'xspf';
+};
+
+/**
+ * Formats rows as a plain text table (dry runs and reports)
+ */
+const formatTable = (rows, columns) => {
+    const widths = columns.map(column => Math.max(column.length, ...rows.map(row => String(row[column] ?? '').length)));
+    const line = (cells) => cells.map((cell, i) => String(cell ?? '').padEnd(widths[i])).join(' | ').trimEnd();
+    return [line(columns), widths.map(width => '-'.repeat(width)).join('-+-'), ...rows.map(row => line(columns.map(column => row[column])))]
+        .join('\n') + '\n';
+};
+
+module.exports = { resolveFormat, formatTable };
@@ -0,0 +1,143 @@
+/**
+ * Node page context for the site extractors
+ * * Description:
+ * Builds the same `page` object that PlaylistExport.browserPage() provides in
+ * DevTools ({ document, url, fetch, fetchText, parseHtml, log }), backed by
+ * jsdom and the global fetch of Node 18+ (which has no CORS limits).
+ */
+'use strict';
+
+const fs = require('fs');
+const { JSDOM } = require('jsdom');
+
+// Some sites serve a reduced page (or a 403) to the default Node user agent
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0';
+
+const isHttpUrl = (value) => /^https?:\/\//i.test(String(value));
+
+const fetchWithAgent = (url, options = {}) => fetch(url, Object.assign({}, options, {
+    headers: Object.assign({ 'User-Agent': USER_AGENT }, options.headers)
+}));
+
+const fetchText = async (url) => {
+    const response = await fetchWithAgent(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    return response.text();
+};
+
+/**
+ * Parses HTML into a Document; `url` is used to resolve relative links
+ */
+const parseHtml = (html, url) => new JSDOM(html, { url: url || 'about:blank' }).window.document;
+
+/**
+ * Finds the page's own URL in saved HTML (canonical link or og:url)
+ */
+const detectPageUrl = (document) => {
+    const canonical = document.querySelector('link[rel=canonical]')?.getAttribute('href');
+    const ogUrl = document.querySelector('meta[property="og:url"]')?.getAttribute('content');
+    return [canonical, ogUrl].find(isHttpUrl) || null;
+};
+
+/**
+ * Creates a page context from HTML. Without HTML (ie. YouTube, which only
+ * needs the URL) the document is empty.
+ */
+const createPage = ({ html = '', url = null, log = console } = {}) => {
+    let document = parseHtml(html, url);
+    if (!url) {
+        url = detectPageUrl(document);
+        // Re-parse so that relative links resolve against the detected URL
+        if (url) document = parseHtml(html, url);
+    }
+    return {
+        document,
+        url,
+        interactive: false,
+        crossOrigin: true,
+        fetch: fetchWithAgent,
+        fetchText,
+        parseHtml,
+        log
+    };
+};
+
+/**
+ * Loads a page context from an http(s) URL or a saved HTML file.
+ * `fetchHtml: false` skips downloading a URL that is only needed for its ID.
+ */
+const loadPage = async (input, { url = null, fetchHtml = true, log = console } = {}) => {
+    if (isHttpUrl(input)) {
+        const html = fetchHtml ? await fetchText(input) : '';
+        return createPage({ html, url: url || input, log });
+    }
+    const html = fs.readFileSync(input, 'utf8');
+    return createPage({ html, url, log });
+};
+
+// --- Media Files ---
+
+// Statuses that no retry will fix: try the next location instead
+const PERMANENT_STATUSES = [400, 401, 403, 404, 410, 451];
+
+// Permanent errors are not retried (the same way as the KHInsider track pages)
+const mediaError = (message, permanent = false) => Object.assign(new Error(message), { permanent });
+
+/**
+ * Request headers for the audio of a playlist: CDNs check the referer of the
+ * album page
+ */
+const mediaHeaders = (playlist) => {
+    const headers = { 'User-Agent': USER_AGENT };
+    if (playlist.location && /^https?:\/\//.test(playlist.location)) headers.Referer = `${new URL(playlist.location).origin}/`;
+    return headers;
+};
+
+/**
+ * Throws when a media response is an HTTP error or an HTML page (its body
+ * is dropped); permanent statuses are marked as such
+ */
+const checkMediaResponse = (response, url) => {
+    if (!response.ok) {
+        if (response.body) response.body.cancel().catch(() => {});
+        throw mediaError(`HTTP ${response.status} for ${url}`, PERMANENT_STATUSES.includes(response.status));
+    }
+    // Removed files often redirect to an HTML page instead of failing
+    if (/text\/html/i.test(response.headers.get('content-type') || '')) {
+        if (response.body) response.body.cancel().catch(() => {});
+        throw mediaError(`HTML page instead of audio for ${url}`, true);
+    }
+};
+
+/**
+ * Runs `attempt(url)` on every location of a track in order and resolves to
+ * the first result. A permanent error moves on to the next location; any
+ * other is thrown, so that the caller retries the same one.
+ */
+const fetchFirstLocation = async (urls, attempt) => {
+    let lastError = null;
+    for (const url of urls) {
+        try {
+            return await attempt(url);
+        } catch (error) {
+            if (!error.permanent) throw error;
+            lastError = error;
+        }
+    }
+    throw lastError;
+};
+
+module.exports = {
+    USER_AGENT,
+    isHttpUrl,
+    fetchWithAgent,
+    fetchText,
+    parseHtml,
+    detectPageUrl,
+    createPage,
+    loadPage,
+    mediaError,
+    mediaHeaders,
+    checkMediaResponse,
+    fetchFirstLocation
+};
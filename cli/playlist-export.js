@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+/**
+ * playlist-export CLI
+ * * Description:
+ * Runs the site extractors headlessly against a live URL or a saved HTML page
+ * and writes the playlist to disk (or stdout). Artist and listing pages are
+ * crawled into a ZIP with one playlist per album.
+ * * Usage:
+ * playlist-export <url-or-html-file> [--site khinsider] [--format xspf] [--out album.xspf]
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const core = require('../scripts/lib/playlist');
+require('../scripts/lib/formats');
+const { SITES, detectSite, loadSitePage } = require('./sites');
+const { isHttpUrl } = require('./page');
+const { fileStorage } = require('./storage');
+const { DEFAULT_INSTANCES, createInvidiousPool } = require('../scripts/lib/invidious');
+const { crawlCatalogue, parseYearRange } = require('../scripts/lib/crawl');
+const { proxyPlaylist } = require('./proxy');
+const { verifyDurations } = require('./media');
+const { positiveInteger } = require('./options');
+const { resolveFormat, formatTable } = require('./output');
+
+const USAGE = `Usage: playlist-export <url-or-html-file> [options]
+
+Options:
+  -s, --site <name>     ${Object.keys(SITES).join(' | ')} (default: detected from the URL)
+  -f, --format <name>   ${Object.keys(core.FORMATS).join(' | ')} (default: from --out extension, else xspf)
+  -o, --out <file>      output file, "-" for stdout (default: suggested filename in the current directory)
+  -u, --url <url>       page URL of a saved HTML file (default: its canonical/og:url link)
+  --channel-tab <tab>   YouTube channels: videos | releases | playlists
+                        (default: from the URL, releases for Topic channels, else videos)
+  --split               one file per album (YouTube channels) or per disc (KHInsider),
+                        --out is then a directory
+  --search-pages <n>    YouTube searches: result pages to export (default: 1)
+  --title-rules <file>  YouTube: JSON title rules, { "*": [...], "<playlist/channel ID>": [...] }
+  --dry-run             print the raw title -> creator/title table instead of writing
+  --formats <list>      KHInsider: audio formats, best first (default: mp3,flac,m4a,ogg)
+  --single-format       KHInsider: one format for the whole album, no mixed playlists
+  --concurrency <n>     KHInsider track pages or Musify links fetched at once (default: 4)
+  --resolve-links       Musify: follow every link to its final MP3 URL and record
+                        its HTTP status and size
+  --skip-unavailable    Musify with --resolve-links: leave removed tracks out
+  --verify-durations    read every duration from the media headers (Range requests
+                        for the first kilobytes): fill missing ones, correct wrong ones
+  --links-cache <file>  KHInsider: JSON file of resolved links; a re-run only
+                        fetches the tracks that failed
+  --years <range>       catalogue crawls: 1997, 1995-2001 or 2001-
+  --types <list>        catalogue crawls: album types, ie. studio,single (Musify)
+                        or soundtrack,gamerip (KHInsider)
+  --restart             catalogue crawls: ignore the saved queue and start over
+  --proxy <url>         point the tracks at a running playlist-export-proxy,
+                        ie. http://localhost:8765 (links are resolved on every play)
+  --invidious <urls>    comma-separated Invidious instances, tried in order
+                        (default: ${DEFAULT_INSTANCES.join(',')})
+  --check-invidious     check every Invidious instance and exit
+  -q, --quiet           only print errors
+  -h, --help            show this help
+`;
+
+/**
+ * Prints the health of every Invidious instance; 0 if at least one works
+ */
+const checkInvidious = async (options, out) => {
+    const results = await createInvidiousPool(options).checkHealth();
+    results.forEach(({ instance, ok, status, ms }) => {
+        out.write(`${ok ? '✅' : '❌'} ${instance}  ${status}  ${ms} ms\n`);
+    });
+    return results.some(result => result.ok) ? 0 : 1;
+};
+
+/**
+ * Raw title -> creator/title rows of a result (other sites have no raw titles)
+ */
+const titleRows = ({ playlist, titles }) => titles ||
+    playlist.tracks.map(track => ({ raw: '', creator: track.creator, title: track.title, rule: '' }));
+
+const run = async (argv) => {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            site: { type: 'string', short: 's' },
+            format: { type: 'string', short: 'f' },
+            out: { type: 'string', short: 'o' },
+            url: { type: 'string', short: 'u' },
+            'channel-tab': { type: 'string' },
+            split: { type: 'boolean' },
+            'search-pages': { type: 'string' },
+            'title-rules': { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            formats: { type: 'string' },
+            'single-format': { type: 'boolean' },
+            concurrency: { type: 'string' },
+            'links-cache': { type: 'string' },
+            'resolve-links': { type: 'boolean' },
+            'skip-unavailable': { type: 'boolean' },
+            'verify-durations': { type: 'boolean' },
+            years: { type: 'string' },
+            types: { type: 'string' },
+            restart: { type: 'boolean' },
+            proxy: { type: 'string' },
+            invidious: { type: 'string' },
+            'check-invidious': { type: 'boolean' },
+            quiet: { type: 'boolean', short: 'q' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    // Failed instances are remembered between runs, like localStorage does in the browser
+    const invidious = { storage: fileStorage() };
+    if (values.invidious) {
+        invidious.instances = values.invidious.split(',').map(instance => instance.trim()).filter(Boolean);
+    }
+
+    if (values['check-invidious']) {
+        return checkInvidious(Object.assign({ log: { log() {}, warn() {} } }, invidious), process.stdout);
+    }
+
+    if (values.help || positionals.length !== 1) {
+        process.stdout.write(USAGE);
+        return values.help ? 0 : 2;
+    }
+    const concurrency = positiveInteger(values.concurrency, 'concurrency');
+    const searchPages = positiveInteger(values['search-pages'], 'search-pages');
+
+    const input = positionals[0];
+    const format = resolveFormat(values.format, values.out);
+    const formatDefinition = core.getFormat(format);
+
+    // Progress goes to stderr so that "--out -" keeps stdout clean
+    const noop = () => {};
+    const log = {
+        log: values.quiet ? noop : (...args) => console.error(...args),
+        warn: values.quiet ? noop : (...args) => console.error(...args),
+        error: (...args) => console.error(...args)
+    };
+
+    const pageUrl = values.url || (isHttpUrl(input) ? input : null);
+    const siteName = values.site || (pageUrl && detectSite(pageUrl));
+    if (siteName && !SITES[siteName]) {
+        throw new Error(`Unknown site "${siteName}". Available: ${Object.keys(SITES).join(', ')}`);
+    }
+    const page = await loadSitePage(siteName, input, { url: values.url, log, invidious });
+
+    const site = SITES[siteName || detectSite(page.url)];
+    if (!site) {
+        throw new Error('Cannot detect the site. Pass --site or --url for saved HTML files.');
+    }
+
+    const linksCacheFile = values['links-cache'];
+    const extractOptions = {
+        channelTab: values['channel-tab'],
+        split: values.split,
+        searchPages,
+        titleRules: values['title-rules'] ? JSON.parse(fs.readFileSync(values['title-rules'], 'utf8')) : null,
+        formats: values.formats ? values.formats.split(',').map(format => format.trim()).filter(Boolean) : undefined,
+        allowMixed: !values['single-format'],
+        concurrency,
+        resolveLinks: values['resolve-links'],
+        skipUnavailable: values['skip-unavailable'],
+        linkCache: linksCacheFile && fs.existsSync(linksCacheFile) ? JSON.parse(fs.readFileSync(linksCacheFile, 'utf8')) : undefined
+    };
+
+    // Artist/listing pages: one playlist per album, packaged as a ZIP
+    if (site.matchesCatalogue && site.matchesCatalogue(page.url)) {
+        if (values['dry-run'] || values['verify-durations']) {
+            throw new Error('--dry-run and --verify-durations work on one album at a time, not on artist or listing pages.');
+        }
+        const filter = Object.assign(
+            values.years ? parseYearRange(values.years) : {},
+            { types: values.types ? values.types.split(',').map(type => type.trim()).filter(Boolean) : [] }
+        );
+        const { zip, fileName, report } = await crawlCatalogue(site, page, {
+            filter,
+            format,
+            storage: fileStorage(),
+            restart: values.restart,
+            transform: values.proxy ? playlist => proxyPlaylist(playlist, values.proxy) : undefined,
+            transformKey: values.proxy ? `proxy:${values.proxy}` : null,
+            extractOptions: Object.assign({}, extractOptions, { linkCache: undefined })
+        });
+        if (values.out === '-') {
+            process.stdout.write(zip);
+        } else {
+            const outFile = values.out || fileName;
+            fs.writeFileSync(outFile, zip);
+            log.log(`✅ ${report.exported} playlists written to ${outFile}`);
+        }
+        if (report.failed.length > 0) {
+            log.warn(`🔁 ${report.failed.length} albums failed. Run the same command again to retry only those.`);
+            return 1;
+        }
+        return 0;
+    }
+
+    const result = await site.extract(page, extractOptions);
+
+    if (linksCacheFile && result.linkCache) {
+        fs.writeFileSync(linksCacheFile, JSON.stringify(result.linkCache, null, 2));
+        if (result.report && result.report.failed.length > 0) {
+            log.warn(`🔁 ${result.report.failed.length} tracks failed. Run the same command again to retry only those.`);
+        }
+    }
+
+    if (result.report && result.report.unavailable && result.report.unavailable.length > 0) {
+        log.warn(formatTable(result.report.unavailable, ['title', 'status', 'reason']));
+    }
+
+    if (values['dry-run']) {
+        (result.playlists || [result]).forEach(part => {
+            process.stdout.write(`${part.fileName}\n\n${formatTable(titleRows(part), ['raw', 'creator', 'title', 'rule'])}\n`);
+        });
+        return 0;
+    }
+
+    // The listed durations are only as good as the site's text: check them against the media
+    if (values['verify-durations']) {
+        for (const part of result.playlists || [result]) {
+            const { playlist, report } = await verifyDurations(part.playlist, { log });
+            part.playlist = playlist;
+            if (report.corrected.length > 0) log.warn(formatTable(report.corrected, ['position', 'title', 'listed', 'actual']));
+        }
+    }
+
+    const fileNameFor = (fileName) => `${core.sanitizeFilename(fileName)}.${formatDefinition.extension}`;
+    const serialize = (playlist) => formatDefinition.serialize(values.proxy ? proxyPlaylist(playlist, values.proxy) : playlist);
+
+    // Split exports (ie. one playlist per album of a channel) go to a directory
+    if (result.playlists) {
+        if (values.out === '-') throw new Error('Split exports write several files: pass a directory to --out.');
+        const outDir = values.out || '.';
+        fs.mkdirSync(outDir, { recursive: true });
+        result.playlists.forEach(({ playlist, fileName }) => {
+            const outFile = path.join(outDir, fileNameFor(fileName));
+            fs.writeFileSync(outFile, serialize(playlist));
+            log.log(`✅ ${playlist.tracks.length} tracks written to ${outFile}`);
+        });
+        return 0;
+    }
+
+    const { playlist, fileName } = result;
+    const content = serialize(playlist);
+
+    if (values.out === '-') {
+        process.stdout.write(content);
+    } else {
+        const outFile = values.out || fileNameFor(fileName);
+        fs.writeFileSync(outFile, content);
+        log.log(`✅ ${playlist.tracks.length} tracks written to ${outFile}`);
+    }
+    return 0;
+};
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { run };
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * playlist-export-proxy: local streaming proxy
+ * * Description:
+ * Exported playlists can point at this service instead of the sites
+ * (`playlist-export <url> --proxy http://localhost:8765`). Every play resolves
+ * the media URL again: Musify redirects are followed, KHInsider track pages
+ * are re-read, Squidify album data is reloaded and Invidious is asked for a
+ * current audio stream. The media is streamed through with the site's
+ * Referer/User-Agent (Range requests included), so stale playlists, CORS and
+ * referer checks do not matter to the player.
+ * * Routes:
+ * /musify/<id>/<file>.mp3, /khinsider/<album>/<track file>?format=<flac|mp3...>,
+ * /squidify/<album>/<track id>, /youtube/<video id>
+ * * Usage:
+ * playlist-export-proxy [--port 8765] [--host 127.0.0.1] [--invidious <urls>]
+ */
+'use strict';
+
+const http = require('http');
+const { Readable } = require('stream');
+const { parseArgs } = require('util');
+
+const { USER_AGENT, parseHtml } = require('./page');
+const { fileStorage } = require('./storage');
+const { positiveInteger } = require('./options');
+const { createInvidiousPool } = require('../scripts/lib/invidious');
+const khinsider = require('../scripts/khinsider_album_to_xspf');
+const squidify = require('../scripts/squidify_abum_to_xspf');
+
+const DEFAULT_PORT = 8765;
+const RESOLVE_TTL_MS = 10 * 60 * 1000; // resolved URLs are reused for 10 minutes
+
+const UPSTREAMS = {
+    musify: 'https://musify.club',
+    khinsider: 'https://downloads.khinsider.com',
+    squidify: 'https://www.squidify.org'
+};
+
+// Upstream headers worth passing to the player
+const FORWARDED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+// Statuses of an expired or revoked media URL: resolve again once
+const EXPIRED_STATUSES = [401, 403, 404, 410];
+
+// --- Playlist Rewriting ---
+
+/**
+ * Proxy path of a track, or null when its site is not handled.
+ * `playlist` gives the album URL that Squidify tracks need.
+ */
+const proxyPath = (track, playlist = {}) => {
+    const locations = [].concat(track.location || []);
+    const musify = locations.map(loc => loc.match(/^https?:\/\/(?:www\.)?musify\.club\/track\/play\/(\d+)\/([^/?#]+)/)).find(Boolean);
+    if (musify) return `/musify/${musify[1]}/${musify[2]}`;
+
+    // The format the export picked (the extension of its file) is kept for the re-read
+    const trackPage = String(track.info || '').match(/^https?:\/\/downloads\.khinsider\.com\/game-soundtracks\/album\/([^/]+)\/([^?#]+)$/);
+    if (trackPage) {
+        const format = locations.map(loc => (loc.match(/\.([a-z0-9]+)(?:[?#]|$)/i) || [])[1]).find(Boolean);
+        return `/khinsider/${trackPage[1]}/${trackPage[2]}${format ? `?format=${format.toLowerCase()}` : ''}`;
+    }
+
+    const video = locations.map(loc => loc.match(/^https?:\/\/(?:www\.|music\.|m\.)?youtube\.com\/watch\?v=([\w-]{11})/)).find(Boolean);
+    if (video) return `/youtube/${video[1]}`;
+
+    const album = String(playlist.location || '').match(/^https?:\/\/(?:www\.)?squidify\.org\/album\/([^/?#]+)/);
+    const stream = locations.map(loc => loc.match(/squidify\.org\/api\/stream\/([^/?#]+)/)).find(Boolean);
+    if (album && stream) return `/squidify/${album[1]}/${stream[1]}`;
+
+    return null;
+};
+
+/**
+ * Copy of the playlist with every supported track pointing at the proxy
+ */
+const proxyPlaylist = (playlist, base) => Object.assign({}, playlist, {
+    tracks: playlist.tracks.map(track => {
+        const path = proxyPath(track, playlist);
+        return path ? Object.assign({}, track, { location: `${base.replace(/\/+$/, '')}${path}` }) : track;
+    })
+});
+
+// --- Resolvers ---
+
+/**
+ * Best audio stream of an Invidious /api/v1/videos answer
+ */
+const audioStreamUrl = (data, instance) => {
+    const audio = (data.adaptiveFormats || [])
+        .filter(format => /^audio\//.test(format.type || '') && format.url)
+        .sort((a, b) => Number(b.bitrate || 0) - Number(a.bitrate || 0));
+    const stream = audio[0] || (data.formatStreams || []).find(format => format.url);
+    if (!stream) throw new Error(`No audio stream for video ${data.videoId || ''}`);
+    return new URL(stream.url, instance).href;
+};
+
+/**
+ * Creates the proxy server (not listening yet). Options:
+ * - upstreams: site base URLs (tests point them at a local fake)
+ * - invidious: createInvidiousPool options (instances, storage)
+ * - fetch, log, ttl (ms a resolved URL is reused)
+ */
+const createProxy = ({
+    upstreams = {},
+    invidious = {},
+    fetch = globalThis.fetch,
+    log = console,
+    ttl = RESOLVE_TTL_MS
+} = {}) => {
+    const bases = Object.assign({}, UPSTREAMS, upstreams);
+    const pool = createInvidiousPool(Object.assign({ fetch, log: { log() {}, warn: log.warn } }, invidious));
+    const cache = new Map();
+
+    const headersFor = (site) => ({ 'User-Agent': USER_AGENT, Referer: `${bases[site] || ''}/` });
+
+    // Page context for the site helpers (the same shape the extractors get)
+    const pageFor = async (url) => {
+        const fetchText = async (target) => {
+            const response = await fetch(target, { headers: { 'User-Agent': USER_AGENT } });
+            if (!response.ok) throw new Error(`HTTP ${response.status} for ${target}`);
+            return response.text();
+        };
+        const page = { url, interactive: false, crossOrigin: true, fetch, fetchText, parseHtml, log: { log() {}, warn: log.warn, error: log.error } };
+        if (url) page.document = parseHtml(await fetchText(url), url);
+        return page;
+    };
+
+    const RESOLVERS = {
+        // The intermediate link redirects to the MP3: fetch() follows it
+        musify: async ([id, file]) => `${bases.musify}/track/play/${id}/${file}`,
+        khinsider: async ([album, ...file], query) => {
+            const trackPage = `${bases.khinsider}/game-soundtracks/album/${album}/${file.join('/')}`;
+            const formats = query.get('format') ? query.get('format').split(',') : undefined;
+            return khinsider.resolveTrackPage(await pageFor(null), trackPage, formats);
+        },
+        squidify: async ([album, trackId]) => squidify.resolveStream(await pageFor(`${bases.squidify}/album/${album}`), decodeURIComponent(trackId)),
+        youtube: async ([videoId]) => {
+            const { data, instance } = await pool.request(`/api/v1/videos/${encodeURIComponent(videoId)}`);
+            return audioStreamUrl(data, instance);
+        }
+    };
+
+    /**
+     * Media URL of a route, from the cache unless `fresh`.
+     * Path parts stay encoded: they are the sites' own path segments.
+     */
+    const resolve = async (site, parts, query, fresh = false) => {
+        const key = `${site}/${parts.join('/')}?${query}`;
+        const cached = cache.get(key);
+        if (!fresh && cached && Date.now() - cached.at < ttl) return { url: cached.url, cached: true };
+        const url = await RESOLVERS[site](parts, query);
+        cache.set(key, { url, at: Date.now() });
+        return { url, cached: false };
+    };
+
+    const upstreamRequest = (url, site, req) => fetch(url, {
+        method: req.method,
+        headers: Object.assign(headersFor(site), req.headers.range ? { Range: req.headers.range } : {}),
+        redirect: 'follow'
+    });
+
+    const handle = async (req, res) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        const [site, ...parts] = pathname.split('/').filter(Boolean);
+
+        if (!RESOLVERS[site] || parts.length === 0 || (req.method !== 'GET' && req.method !== 'HEAD')) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(`Unknown route ${pathname}. Use /musify/<id>/<file>, /khinsider/<album>/<file>, /squidify/<album>/<track>, /youtube/<video>.\n`);
+            return;
+        }
+
+        let resolved = await resolve(site, parts, searchParams);
+        let upstream = await upstreamRequest(resolved.url, site, req);
+        // A cached URL that stopped working has expired: resolve it once more
+        if (resolved.cached && EXPIRED_STATUSES.includes(upstream.status)) {
+            log.log(`♻️ ${pathname}: cached link answered HTTP ${upstream.status}, resolving again`);
+            if (upstream.body) upstream.body.cancel().catch(() => {});
+            resolved = await resolve(site, parts, searchParams, true);
+            upstream = await upstreamRequest(resolved.url, site, req);
+        }
+        // Keep the final URL (after redirects) for the next Range request
+        if (upstream.ok && upstream.url) cache.set(`${site}/${parts.join('/')}?${searchParams}`, { url: upstream.url, at: Date.now() });
+
+        const headers = {};
+        FORWARDED_HEADERS.forEach(name => {
+            const value = upstream.headers.get(name);
+            if (value !== null) headers[name] = value;
+        });
+        res.writeHead(upstream.status, headers);
+        log.log(`🎵 ${req.method} ${pathname} -> HTTP ${upstream.status}`);
+
+        if (req.method === 'HEAD' || !upstream.body) {
+            if (upstream.body) upstream.body.cancel().catch(() => {});
+            res.end();
+            return;
+        }
+        const body = Readable.fromWeb(upstream.body);
+        // The player skipped or stopped: stop downloading too
+        res.on('close', () => body.destroy());
+        body.on('error', () => res.destroy());
+        body.pipe(res);
+    };
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            log.warn(`❌ ${req.url}: ${error.message}`);
+            if (!res.headersSent) res.writeHead(502, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(`Could not resolve ${req.url}: ${error.message}\n`);
+        });
+    });
+    return server;
+};
+
+/**
+ * --port value: a whole number a TCP port can take, DEFAULT_PORT when not given
+ */
+const listenPort = (value) => {
+    const port = positiveInteger(value, 'port');
+    if (port === undefined) return DEFAULT_PORT;
+    if (port > 65535) throw new Error(`--port must be a whole number between 1 and 65535, not "${value}".`);
+    return port;
+};
+
+const USAGE = `Usage: playlist-export-proxy [options]
+
+  --port <n>            port to listen on (default: ${DEFAULT_PORT})
+  --host <name>         interface to listen on (default: 127.0.0.1)
+  --invidious <urls>    comma-separated Invidious instances, tried in order
+  -h, --help            show this help
+
+Export playlists that use it with: playlist-export <url> --proxy http://localhost:${DEFAULT_PORT}
+`;
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string' },
+            host: { type: 'string' },
+            invidious: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help) {
+        process.stdout.write(USAGE);
+    } else {
+        let port;
+        try {
+            port = listenPort(values.port);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        const invidious = { storage: fileStorage() };
+        if (values.invidious) invidious.instances = values.invidious.split(',').map(instance => instance.trim()).filter(Boolean);
+        const host = values.host || '127.0.0.1';
+        createProxy({ invidious }).listen(port, host, () => {
+            console.log(`✅ Streaming proxy listening on http://${host === '0.0.0.0' ? 'localhost' : host}:${port}`);
+        });
+    }
+}
+
+module.exports = { DEFAULT_PORT, UPSTREAMS, proxyPath, proxyPlaylist, audioStreamUrl, listenPort, createProxy };
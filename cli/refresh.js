@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+/**
+ * playlist-export-refresh: re-validate an exported playlist
+ * * Description:
+ * Reads an XSPF or M3U file written by these exporters and checks the link of
+ * every track. When some are dead, the source album is exported again and only
+ * the broken entries get the fresh links: titles, order, comments and every
+ * other user edit stay as they are. The site comes from the file name tag
+ * ("[Khinsider]", "[Musify_club]", "[Squidify.org]", "[Youtube]") or from the
+ * stored locations.
+ * * Usage:
+ * playlist-export-refresh <playlist.xspf|.m3u8> [--source <album url>] [--check] [--report report.json]
+ */
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const core = require('../scripts/lib/playlist');
+const { runTasks, hostOf } = require('../scripts/lib/tasks');
+// Titles are compared the same way as when merging playlists
+const { normalizeText: normalize } = require('../scripts/lib/merge');
+const { SITES, loadSitePage } = require('./sites');
+const { fetchWithAgent } = require('./page');
+const { readPlaylist, detectSource } = require('./input');
+const { fileStorage } = require('./storage');
+const { formatTable } = require('./output');
+const { positiveInteger } = require('./options');
+
+// Statuses of a removed or expired file
+const DEAD_STATUSES = [401, 403, 404, 410, 451];
+const CHECK_CONCURRENCY = 4;
+const CHECK_MIN_INTERVAL_MS = 250;
+
+// --- Link Checks ---
+
+const YOUTUBE_WATCH = /^https?:\/\/(?:www\.|music\.|m\.)?(?:youtube\.com\/watch\?v=|youtu\.be\/)([\w-]{11})/;
+
+/**
+ * Checks one location: { alive, status, reason }. YouTube links go through
+ * oEmbed (the watch page answers 200 even for removed videos), everything
+ * else gets a HEAD request, or a one-byte GET when HEAD is refused. Local
+ * files and other schemes are left alone. Server errors throw so the worker
+ * pool retries them.
+ */
+const checkLocation = async (fetch, url) => {
+    if (!/^https?:\/\//i.test(url)) return { alive: true, status: null, reason: 'not a web link' };
+
+    const video = url.match(YOUTUBE_WATCH);
+    let response;
+    if (video) {
+        response = await fetch(`https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(`https://www.youtube.com/watch?v=${video[1]}`)}`);
+    } else {
+        response = await fetch(url, { method: 'HEAD', redirect: 'follow' });
+        if (response.status === 405 || response.status === 501) {
+            response = await fetch(url, { headers: { Range: 'bytes=0-0' }, redirect: 'follow' });
+        }
+    }
+    if (response.body && response.body.cancel) response.body.cancel().catch(() => {});
+    if (response.status >= 500 || response.status === 429) throw new Error(`HTTP ${response.status} for ${url}`);
+
+    const length = response.headers.get('content-length');
+    // Removed files often redirect to an HTML page instead of failing
+    const isPage = !video && /text\/html/i.test(response.headers.get('content-type') || '');
+    if (!response.ok || DEAD_STATUSES.includes(response.status)) {
+        return { alive: false, status: response.status, reason: `HTTP ${response.status}` };
+    }
+    if (isPage) return { alive: false, status: response.status, reason: 'HTML page instead of audio' };
+    if (length === '0') return { alive: false, status: response.status, reason: 'empty file' };
+    return { alive: true, status: response.status, reason: '' };
+};
+
+/**
+ * Checks the first location of every item; resolves to the checks in order.
+ * Requests that keep failing count as dead.
+ */
+const checkAll = async (items, locationOf, { fetch, concurrency, retries, retryDelay, minInterval }) => {
+    const results = await runTasks(items, item => checkLocation(fetch, locationOf(item)), {
+        concurrency,
+        retries,
+        retryDelay,
+        minInterval,
+        keyOf: item => hostOf(locationOf(item))
+    });
+    return results.map(({ ok, value, error }) => ok ? value : { alive: false, status: null, reason: error.message });
+};
+
+// --- Matching ---
+
+// Ways a fresh track can be the same as a saved one, most reliable first
+const MATCHERS = [
+    (saved, fresh) => !!saved.identifier && saved.identifier === fresh.identifier,
+    (saved, fresh) => !!saved.info && saved.info === fresh.info,
+    (saved, fresh) => !!saved.trackNum && saved.trackNum === fresh.trackNum && normalize(saved.title) === normalize(fresh.title),
+    (saved, fresh) => !!normalize(saved.title) && normalize(saved.title) === normalize(fresh.title) &&
+        (!saved.creator || !fresh.creator || normalize(saved.creator) === normalize(fresh.creator))
+];
+
+/**
+ * Index of the fresh track that stands for `saved`, skipping the ones already
+ * used by another saved track; -1 when there is none
+ */
+const matchTrack = (saved, freshTracks, used = new Set()) => {
+    for (const matches of MATCHERS) {
+        const index = freshTracks.findIndex((fresh, i) => !used.has(i) && matches(saved, fresh));
+        if (index >= 0) return index;
+    }
+    return -1;
+};
+
+// --- Patching ---
+
+/**
+ * Replaces the locations of some tracks in the original text, so that
+ * everything else in the file stays byte for byte the same.
+ * `replacements` maps track index -> array of locations.
+ */
+const patchXspf = (text, replacements) => {
+    let index = -1;
+    return text.replace(/<track(?:\s[^>]*)?>[\s\S]*?<\/track>/g, (block) => {
+        index++;
+        const locations = replacements.get(index);
+        if (!locations) return block;
+        let first = true;
+        return block.replace(/(\r?\n[ \t]*)?<location>[\s\S]*?<\/location>/g, (match, lead = '') => {
+            if (!first) return '';
+            first = false;
+            return locations.map(location => `${lead}<location>${core.escapeXml(location)}</location>`).join('');
+        });
+    });
+};
+
+const patchM3u = (text, tracks, replacements) => {
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const lines = text.split(/\r?\n/);
+    replacements.forEach((locations, index) => { lines[tracks[index].line] = locations[0]; });
+    return lines.join(eol);
+};
+
+// --- Refresh ---
+
+/**
+ * Loads the source page and exports it again; resolves to its tracks
+ * (every disc/album of a split export)
+ */
+const exportSource = async (siteName, source, { loadSource, extractOptions }) => {
+    const page = await loadSource(source, siteName);
+    const result = await SITES[siteName].extract(page, extractOptions);
+    return (result.playlists || [result]).reduce((tracks, part) => tracks.concat(part.playlist.tracks), []);
+};
+
+const defaultLoadSource = (log, invidious) => (url, siteName) => loadSitePage(siteName, url, { log, invidious });
+
+/**
+ * Checks every track of an exported playlist and repairs the dead ones from a
+ * fresh export of the source. Options:
+ * - fileName: used to detect the site from its tag
+ * - source / site: album URL and site name when they cannot be detected
+ * - check: only report, do not re-export
+ * - fetch, loadSource(url, site), extractOptions, log
+ * - concurrency, retries, retryDelay, minInterval (link checks)
+ * Resolves to { content, changed, report }; `report.dead` lists every dead
+ * track with its outcome: "repaired", "unrecoverable", or "dead" when only
+ * checked.
+ */
+const refreshPlaylist = async (text, {
+    fileName = '',
+    source = null,
+    site = null,
+    check = false,
+    fetch = fetchWithAgent,
+    loadSource = null,
+    extractOptions = {},
+    log = console,
+    concurrency = CHECK_CONCURRENCY,
+    retries = 1,
+    retryDelay = 500,
+    minInterval = CHECK_MIN_INTERVAL_MS,
+    invidious = {}
+} = {}) => {
+    const playlist = readPlaylist(text);
+    const siteName = site || detectSource(playlist, fileName);
+    const sourceUrl = source || playlist.location || null;
+    const taskOptions = { fetch, concurrency, retries, retryDelay, minInterval };
+    const report = { site: siteName, source: sourceUrl, total: playlist.tracks.length, alive: 0, repaired: 0, unrecoverable: 0, dead: [] };
+
+    log.log(`🔎 Checking ${playlist.tracks.length} tracks of "${playlist.title || fileName}"...`);
+    const checks = await checkAll(playlist.tracks, track => track.locations[0] || '', taskOptions);
+    const dead = [];
+    checks.forEach((result, index) => {
+        const track = playlist.tracks[index];
+        if (result.alive) {
+            report.alive++;
+            return;
+        }
+        dead.push(index);
+        report.dead.push({ position: index + 1, title: track.title, location: track.locations[0] || '', reason: result.reason, outcome: 'dead', replacement: null });
+        log.warn(`💀 ${index + 1}. ${track.title || track.locations[0]}: ${result.reason}`);
+    });
+
+    const replacements = new Map();
+    const fail = (reason) => report.dead.forEach(row => { row.reason = `${row.reason}; ${reason}`; });
+
+    if (dead.length === 0 || check) {
+        // Nothing to repair, or only a report was asked for
+    } else if (!siteName || !SITES[siteName]) {
+        fail('unknown site (pass --site)');
+    } else if (!sourceUrl) {
+        fail('no source URL (pass --source)');
+    } else {
+        log.log(`🔁 ${dead.length} dead tracks: exporting ${sourceUrl} again...`);
+        let freshTracks = null;
+        try {
+            freshTracks = await exportSource(siteName, sourceUrl, {
+                loadSource: loadSource || defaultLoadSource(log, invidious),
+                extractOptions
+            });
+        } catch (error) {
+            fail(`source export failed: ${error.message}`);
+        }
+
+        if (freshTracks) {
+            const used = new Set();
+            const candidates = [];
+            dead.forEach((index, i) => {
+                const saved = playlist.tracks[index];
+                const match = matchTrack(saved, freshTracks, used);
+                const locations = match >= 0 ? [].concat(freshTracks[match].location || []) : [];
+                if (match < 0) {
+                    report.dead[i].reason += '; not found in the source any more';
+                } else if (locations.length === 0 || locations[0] === saved.locations[0]) {
+                    used.add(match);
+                    report.dead[i].reason += '; the source still has the same link';
+                } else {
+                    used.add(match);
+                    candidates.push({ i, index, locations });
+                }
+            });
+
+            // A fresh link only replaces the dead one if it works
+            const results = await checkAll(candidates, candidate => candidate.locations[0], taskOptions);
+            results.forEach((result, k) => {
+                const { i, index, locations } = candidates[k];
+                const row = report.dead[i];
+                if (!result.alive) {
+                    row.reason += `; the fresh link is dead too (${result.reason})`;
+                    return;
+                }
+                replacements.set(index, locations);
+                Object.assign(row, { outcome: 'repaired', replacement: locations[0] });
+                log.log(`🩹 ${row.position}. ${row.title || row.location}: repaired`);
+            });
+        }
+    }
+
+    if (!check) report.dead.forEach(row => { if (row.outcome === 'dead') row.outcome = 'unrecoverable'; });
+    report.repaired = replacements.size;
+    report.unrecoverable = check ? 0 : dead.length - replacements.size;
+    const content = replacements.size === 0 ? text
+        : playlist.format === 'xspf' ? patchXspf(text, replacements) : patchM3u(text, playlist.tracks, replacements);
+    log.log(`📋 ${report.alive} of ${report.total} links work, ${report.repaired} repaired, ${report.unrecoverable} unrecoverable.`);
+    return { content, changed: content !== text, report };
+};
+
+const USAGE = `Usage: playlist-export-refresh <playlist.xspf|.m3u|.m3u8> [options]
+
+  --source <url>        album/playlist URL to export again (default: the XSPF <location>)
+  -s, --site <name>     ${Object.keys(SITES).join(' | ')} (default: from the file name tag or the links)
+  -o, --out <file>      write the repaired playlist here (default: overwrite the input)
+  --check               only check the links and print the report
+  --report <file>       also write the report as JSON
+  --concurrency <n>     links checked at once (default: ${CHECK_CONCURRENCY})
+  --invidious <urls>    comma-separated Invidious instances for YouTube sources
+  -q, --quiet           only print errors
+  -h, --help            show this help
+
+Exit code 1 when dead tracks remain.
+`;
+
+const run = async (argv) => {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            source: { type: 'string' },
+            site: { type: 'string', short: 's' },
+            out: { type: 'string', short: 'o' },
+            check: { type: 'boolean' },
+            report: { type: 'string' },
+            concurrency: { type: 'string' },
+            invidious: { type: 'string' },
+            quiet: { type: 'boolean', short: 'q' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help || positionals.length !== 1) {
+        process.stdout.write(USAGE);
+        return values.help ? 0 : 2;
+    }
+    const concurrency = positiveInteger(values.concurrency, 'concurrency');
+    if (values.site && !SITES[values.site]) throw new Error(`Unknown site "${values.site}". Available: ${Object.keys(SITES).join(', ')}`);
+
+    const noop = () => {};
+    const log = {
+        log: values.quiet ? noop : (...args) => console.error(...args),
+        warn: values.quiet ? noop : (...args) => console.error(...args),
+        error: (...args) => console.error(...args)
+    };
+    const invidious = { storage: fileStorage() };
+    if (values.invidious) invidious.instances = values.invidious.split(',').map(instance => instance.trim()).filter(Boolean);
+
+    const input = positionals[0];
+    const { content, changed, report } = await refreshPlaylist(fs.readFileSync(input, 'utf8'), {
+        fileName: input,
+        source: values.source,
+        site: values.site,
+        check: values.check,
+        concurrency,
+        invidious,
+        log
+    });
+
+    if (report.dead.length > 0) {
+        process.stdout.write(formatTable(report.dead, ['position', 'title', 'outcome', 'reason']));
+    }
+    if (values.report) fs.writeFileSync(values.report, JSON.stringify(Object.assign({ file: input }, report), null, 2));
+    if (changed) {
+        const outFile = values.out || input;
+        fs.writeFileSync(outFile, content);
+        log.log(`✅ ${report.repaired} tracks repaired in ${outFile}`);
+    }
+    return report.unrecoverable > 0 || (values.check && report.dead.length > 0) ? 1 : 0;
+};
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { checkLocation, matchTrack, refreshPlaylist, run };
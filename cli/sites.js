@@ -0,0 +1,79 @@
+/**
+ * Site extractors available to the Node tools, keyed by site name.
+ * Extra site scripts (see scripts/lib/adapter.js) are loaded from the paths
+ * listed in PLAYLIST_EXPORT_SITES, separated like PATH entries.
+ */
+'use strict';
+
+const path = require('path');
+
+const { loadPage } = require('./page');
+
+const SITES = {};
+
+/**
+ * Adds a site object (as returned by defineSite) to the registry; a site with
+ * the same name is replaced. Returns the site.
+ */
+const registerSite = (site) => {
+    if (!site || !site.site || !Array.isArray(site.hosts) || typeof site.extract !== 'function') {
+        throw new Error('Not a site: define it with defineSite() from scripts/lib/adapter.js.');
+    }
+    SITES[site.site] = site;
+    return site;
+};
+
+/**
+ * Registers the site script of every path in the list (relative to the
+ * current directory)
+ */
+const loadSites = (paths) => paths.filter(Boolean).map(file => registerSite(require(path.resolve(file))));
+
+[
+    require('../scripts/khinsider_album_to_xspf'),
+    require('../scripts/musify_album_to_xspf'),
+    require('../scripts/squidify_abum_to_xspf'),
+    require('../scripts/youtube_album_to_playlist')
+].forEach(registerSite);
+loadSites((process.env.PLAYLIST_EXPORT_SITES || '').split(path.delimiter));
+
+/**
+ * Returns the site name whose hosts match the URL, or null
+ */
+const detectSite = (url) => {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch (err) {
+        return null;
+    }
+    return Object.keys(SITES).find(name => SITES[name].hosts.includes(hostname)) || null;
+};
+
+/**
+ * Returns the site name that writes a file name tag ("Musify_club"), or null
+ */
+const siteOfTag = (tag) => Object.keys(SITES).find(name => (SITES[name].tags || []).includes(tag)) || null;
+
+/**
+ * Returns the site name whose pages or track links live on a host
+ * (subdomains included), or null
+ */
+const siteOfTrackHost = (host) => {
+    const hostname = String(host).toLowerCase();
+    return Object.keys(SITES).find(name => SITES[name].hosts.concat(SITES[name].trackHosts || [])
+        .some(known => hostname === known || hostname.endsWith(`.${known}`))) || null;
+};
+
+/**
+ * Loads the page of an export (see loadPage). API-driven sites (YouTube) only
+ * need the URL, not the page itself; without a site the page is always read.
+ * The site gets `invidious` (instances, storage) as page.invidious.
+ */
+const loadSitePage = async (siteName, input, { url = null, log = console, invidious = {} } = {}) => {
+    const page = await loadPage(input, { url, fetchHtml: !SITES[siteName] || SITES[siteName].fetchHtml, log });
+    page.invidious = invidious;
+    return page;
+};
+
+module.exports = { SITES, registerSite, loadSites, detectSite, siteOfTag, siteOfTrackHost, loadSitePage };
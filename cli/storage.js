@@ -0,0 +1,50 @@
+/**
+ * File-backed localStorage replacement for the CLI
+ * * Description:
+ * Keeps the state the browser scripts store in localStorage (ie. failed
+ * Invidious instances) in a JSON file, so it survives between CLI runs.
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const defaultStatePath = () => process.env.PLAYLIST_EXPORT_STATE ||
+    path.join(process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state'), 'playlist-export', 'state.json');
+
+/**
+ * Returns { getItem, setItem, removeItem } backed by `file`
+ */
+const fileStorage = (file = defaultStatePath()) => {
+    const read = () => {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            return {};
+        }
+    };
+    const write = (items) => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(items, null, 2));
+    };
+
+    return {
+        getItem: (key) => {
+            const items = read();
+            return key in items ? items[key] : null;
+        },
+        setItem: (key, value) => {
+            const items = read();
+            items[key] = String(value);
+            write(items);
+        },
+        removeItem: (key) => {
+            const items = read();
+            delete items[key];
+            write(items);
+        }
+    };
+};
+
+module.exports = { defaultStatePath, fileStorage };
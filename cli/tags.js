@@ -0,0 +1,320 @@
+/**
+ * Audio file tags for offline copies
+ * * Description:
+ * Writes the metadata the exporters capture (title, creator, album, track
+ * number, year, genre, composer, label, cover) into downloaded files: an
+ * ID3v2.4 tag in front of MP3s, and Vorbis comments plus a PICTURE block in
+ * the metadata of FLACs. Existing tags are replaced and the audio data is
+ * left untouched. Other formats are not changed.
+ */
+'use strict';
+
+const fs = require('fs');
+
+const { NS } = require('../scripts/lib/playlist');
+
+// --- Tag Values ---
+
+const PICTURE_FRONT_COVER = 3;
+
+/**
+ * Image MIME type from its first bytes (cover.jpg is sometimes a PNG)
+ */
+const imageMime = (data) => {
+    if (data[0] === 0x89 && data.toString('latin1', 1, 4) === 'PNG') return 'image/png';
+    if (data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+    return 'image/jpeg';
+};
+
+/**
+ * Tag values of a track: { title, artist, album, albumArtist, track,
+ * totalTracks, disc, year, genre, composer, label, catalog, cover }.
+ * Site metadata comes from the <meta> values written by withMetadata(),
+ * the track's own before the album's. `cover` is image data (a Buffer).
+ */
+const tagsOf = (track, playlist = {}, { cover = null, totalTracks = null } = {}) => {
+    const meta = (key) => (track.meta || {})[`${NS}${key}`] || (playlist.meta || {})[`${NS}${key}`] || '';
+    const { disc, track: discTrack } = (track.extension || {})[NS] || {};
+    const year = String(meta('year')).match(/\d{4}/);
+    return {
+        title: track.title || '',
+        artist: track.creator || '',
+        album: track.album || playlist.title || '',
+        albumArtist: playlist.creator || '',
+        // KHInsider discs number their tracks per disc
+        track: discTrack || track.trackNum || null,
+        totalTracks: disc ? null : totalTracks,
+        disc: disc || null,
+        year: year ? year[0] : '',
+        genre: meta('genre') ? meta('genre').split(/\s*,\s*/) : [],
+        composer: meta('composer'),
+        label: meta('label') || meta('publisher'),
+        catalog: meta('catalog'),
+        cover
+    };
+};
+
+// --- ID3v2.4 (MP3) ---
+
+const synchsafe = (size) => Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+const unsynchsafe = (bytes) => (bytes[0] << 21) | (bytes[1] << 14) | (bytes[2] << 7) | bytes[3];
+
+const UTF8 = 0x03;
+
+const id3Frame = (id, body) => Buffer.concat([Buffer.from(id, 'latin1'), synchsafe(body.length), Buffer.from([0, 0]), body]);
+
+// Several values of one text frame are separated by a null byte in v2.4
+const textFrame = (id, values) => {
+    const list = [].concat(values).map(String).filter(Boolean);
+    return list.length ? id3Frame(id, Buffer.concat([Buffer.from([UTF8]), Buffer.from(list.join('\0'), 'utf8')])) : null;
+};
+
+const userTextFrame = (description, value) => value
+    ? id3Frame('TXXX', Buffer.concat([Buffer.from([UTF8]), Buffer.from(`${description}\0${value}`, 'utf8')]))
+    : null;
+
+const pictureFrame = (data) => id3Frame('APIC', Buffer.concat([
+    Buffer.from([UTF8]),
+    Buffer.from(`${imageMime(data)}\0`, 'latin1'),
+    Buffer.from([PICTURE_FRONT_COVER, 0]), // picture type, empty description
+    data
+]));
+
+/**
+ * An ID3v2.4 tag holding the values of tagsOf()
+ */
+const buildId3 = (tags) => {
+    const frames = [
+        textFrame('TIT2', tags.title),
+        textFrame('TPE1', tags.artist),
+        textFrame('TALB', tags.album),
+        textFrame('TPE2', tags.albumArtist),
+        textFrame('TRCK', tags.track ? (tags.totalTracks ? `${tags.track}/${tags.totalTracks}` : tags.track) : ''),
+        textFrame('TPOS', tags.disc || ''),
+        textFrame('TDRC', tags.year),
+        textFrame('TCON', tags.genre),
+        textFrame('TCOM', tags.composer),
+        textFrame('TPUB', tags.label),
+        userTextFrame('CATALOGNUMBER', tags.catalog),
+        tags.cover ? pictureFrame(tags.cover) : null
+    ].filter(Boolean);
+    const body = Buffer.concat(frames);
+    return Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([4, 0, 0]), synchsafe(body.length), body]);
+};
+
+/**
+ * Length of the ID3v2 tag at the start of the data (0 if there is none)
+ */
+const id3Length = (data) => {
+    if (data.length < 10 || data.toString('latin1', 0, 3) !== 'ID3') return 0;
+    // Version 2.2 to 2.4, and every size byte below 0x80
+    if (data[3] < 2 || data[3] > 4 || data.subarray(6, 10).some(byte => byte & 0x80)) return 0;
+    const footer = data[5] & 0x10 ? 10 : 0;
+    return 10 + unsynchsafe(data.subarray(6, 10)) + footer;
+};
+
+/**
+ * Replaces the ID3v2 tag of an MP3 (an ID3v1 tag at the end is kept)
+ */
+const tagMp3 = (data, tags) => Buffer.concat([buildId3(tags), data.subarray(id3Length(data))]);
+
+/**
+ * Frames of an ID3v2.3/2.4 tag: { TIT2: 'title', ..., APIC: [{ mime, type, data }] }
+ */
+const readId3 = (data) => {
+    const end = id3Length(data);
+    const version = data[3];
+    const frames = {};
+    for (let offset = 10; offset + 10 <= end;) {
+        const id = data.toString('latin1', offset, offset + 4);
+        if (!/^[A-Z0-9]{4}$/.test(id)) break; // padding
+        const size = version === 4 ? unsynchsafe(data.subarray(offset + 4, offset + 8)) : data.readUInt32BE(offset + 4);
+        const body = data.subarray(offset + 10, offset + 10 + size);
+        if (id === 'APIC') {
+            const mimeEnd = body.indexOf(0, 1);
+            const descriptionEnd = body.indexOf(0, mimeEnd + 2);
+            frames.APIC = (frames.APIC || []).concat({ mime: body.toString('latin1', 1, mimeEnd), type: body[mimeEnd + 1], data: body.subarray(descriptionEnd + 1) });
+        } else if (id[0] === 'T') {
+            const text = body.toString(body[0] === UTF8 ? 'utf8' : 'latin1', 1).replace(/\0+$/, '');
+            frames[id === 'TXXX' ? `TXXX:${text.split('\0')[0]}` : id] = id === 'TXXX' ? text.split('\0')[1] : text;
+        }
+        offset += 10 + size;
+    }
+    return frames;
+};
+
+// --- FLAC Metadata Blocks ---
+
+const FLAC_STREAMINFO = 0;
+const FLAC_PADDING = 1;
+const FLAC_VORBIS_COMMENT = 4;
+const FLAC_PICTURE = 6;
+const VENDOR = 'playlist-export';
+const MAX_BLOCK_LENGTH = 0xffffff; // 24-bit block lengths
+
+/**
+ * Metadata blocks of a FLAC file: { start, blocks: [{ type, data }], audio }.
+ * `start` skips an ID3 tag some tools put in front of the "fLaC" marker.
+ */
+const parseFlac = (data) => {
+    const start = id3Length(data);
+    if (data.toString('latin1', start, start + 4) !== 'fLaC') throw new Error('Not a FLAC file: no "fLaC" marker.');
+    const blocks = [];
+    let offset = start + 4;
+    for (let last = false; !last;) {
+        if (offset + 4 > data.length) throw new Error('Truncated FLAC metadata.');
+        last = (data[offset] & 0x80) !== 0;
+        const type = data[offset] & 0x7f;
+        const length = data.readUIntBE(offset + 1, 3);
+        blocks.push({ type, data: data.subarray(offset + 4, offset + 4 + length) });
+        offset += 4 + length;
+    }
+    return { start, blocks, audio: data.subarray(offset) };
+};
+
+const flacBlock = (type, body, last) => {
+    const header = Buffer.alloc(4);
+    header[0] = (last ? 0x80 : 0) | type;
+    header.writeUIntBE(body.length, 1, 3);
+    return Buffer.concat([header, body]);
+};
+
+const uint32LE = (value) => {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32LE(value);
+    return bytes;
+};
+
+const uint32BE = (value) => {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(value);
+    return bytes;
+};
+
+/**
+ * VORBIS_COMMENT body: little-endian lengths, "FIELD=value" comments
+ */
+const vorbisComment = (tags) => {
+    const fields = [
+        ['TITLE', tags.title],
+        ['ARTIST', tags.artist],
+        ['ALBUM', tags.album],
+        ['ALBUMARTIST', tags.albumArtist],
+        ['TRACKNUMBER', tags.track],
+        ['TRACKTOTAL', tags.totalTracks],
+        ['DISCNUMBER', tags.disc],
+        ['DATE', tags.year],
+        ...[].concat(tags.genre || []).map(genre => ['GENRE', genre]),
+        ['COMPOSER', tags.composer],
+        ['LABEL', tags.label],
+        ['CATALOGNUMBER', tags.catalog]
+    ].filter(([, value]) => value !== null && value !== undefined && String(value) !== '')
+        .map(([name, value]) => Buffer.from(`${name}=${value}`, 'utf8'));
+    const vendor = Buffer.from(VENDOR, 'utf8');
+    return Buffer.concat([uint32LE(vendor.length), vendor, uint32LE(fields.length), ...fields.flatMap(field => [uint32LE(field.length), field])]);
+};
+
+/**
+ * PICTURE body: big-endian lengths; dimensions are left at 0 (unknown)
+ */
+const flacPicture = (data) => {
+    const mime = Buffer.from(imageMime(data), 'latin1');
+    return Buffer.concat([
+        uint32BE(PICTURE_FRONT_COVER),
+        uint32BE(mime.length), mime,
+        uint32BE(0), // description
+        uint32BE(0), uint32BE(0), uint32BE(0), uint32BE(0), // width, height, depth, colors
+        uint32BE(data.length), data
+    ]);
+};
+
+/**
+ * Replaces the Vorbis comments and pictures of a FLAC file. The other blocks
+ * (STREAMINFO first, seek table...) and the audio frames are kept as they are.
+ */
+const tagFlac = (data, tags) => {
+    const { start, blocks, audio } = parseFlac(data);
+    const kept = blocks.filter(block => ![FLAC_VORBIS_COMMENT, FLAC_PICTURE, FLAC_PADDING].includes(block.type));
+    if (!kept.length || kept[0].type !== FLAC_STREAMINFO) throw new Error('Invalid FLAC file: STREAMINFO must come first.');
+    const picture = tags.cover ? flacPicture(tags.cover) : null;
+    const written = kept.concat({ type: FLAC_VORBIS_COMMENT, data: vorbisComment(tags) })
+        .concat(picture && picture.length <= MAX_BLOCK_LENGTH ? [{ type: FLAC_PICTURE, data: picture }] : []);
+    return Buffer.concat([
+        data.subarray(start, start + 4),
+        ...written.map((block, i) => flacBlock(block.type, block.data, i === written.length - 1)),
+        audio
+    ]);
+};
+
+/**
+ * Vorbis comments and pictures of a FLAC file:
+ * { comments: { TITLE: ['...'] }, pictures: [{ mime, type, data }] }
+ */
+const readFlacTags = (data) => {
+    const result = { comments: {}, pictures: [] };
+    parseFlac(data).blocks.forEach(({ type, data: body }) => {
+        if (type === FLAC_VORBIS_COMMENT) {
+            let offset = 4 + body.readUInt32LE(0);
+            const count = body.readUInt32LE(offset);
+            offset += 4;
+            for (let i = 0; i < count; i++) {
+                const length = body.readUInt32LE(offset);
+                const comment = body.toString('utf8', offset + 4, offset + 4 + length);
+                const separator = comment.indexOf('=');
+                const name = comment.slice(0, separator).toUpperCase();
+                result.comments[name] = (result.comments[name] || []).concat(comment.slice(separator + 1));
+                offset += 4 + length;
+            }
+        } else if (type === FLAC_PICTURE) {
+            let offset = 4;
+            const mimeLength = body.readUInt32BE(offset);
+            const mime = body.toString('latin1', offset + 4, offset + 4 + mimeLength);
+            offset += 4 + mimeLength;
+            offset += 4 + body.readUInt32BE(offset) + 16;
+            const length = body.readUInt32BE(offset);
+            result.pictures.push({ mime, type: body.readUInt32BE(0), data: body.subarray(offset + 4, offset + 4 + length) });
+        }
+    });
+    return result;
+};
+
+// --- Files ---
+
+/**
+ * Container of audio data by its first bytes: "flac", "mp3" or null
+ */
+const audioFormat = (data) => {
+    const start = id3Length(data);
+    if (data.toString('latin1', start, start + 4) === 'fLaC') return 'flac';
+    // MPEG audio frame sync (11 set bits), or an ID3 tag in front of one
+    if (start > 0 || (data[0] === 0xff && (data[1] & 0xe0) === 0xe0)) return 'mp3';
+    return null;
+};
+
+/**
+ * Tags a file in place (through a temporary file, so an interrupted write
+ * never leaves a broken file). Resolves to its format, or null when the
+ * format is not supported and the file was left alone.
+ */
+const tagFile = async (file, tags) => {
+    const data = await fs.promises.readFile(file);
+    const format = audioFormat(data);
+    if (!format) return null;
+    const tagged = format === 'flac' ? tagFlac(data, tags) : tagMp3(data, tags);
+    await fs.promises.writeFile(`${file}.tagging`, tagged);
+    await fs.promises.rename(`${file}.tagging`, file);
+    return format;
+};
+
+module.exports = {
+    imageMime,
+    tagsOf,
+    buildId3,
+    id3Length,
+    tagMp3,
+    readId3,
+    tagFlac,
+    readFlacTags,
+    audioFormat,
+    tagFile
+};
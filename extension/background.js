@@ -0,0 +1,146 @@
+/**
+ * Playlist Export extension - background service worker
+ * * Enables the toolbar button on supported pages, forwards clicks to the
+ * content script and performs cross-origin fetches (KHInsider track pages,
+ * the Invidious API) on its behalf. In offline mode it also saves the audio
+ * files through chrome.downloads.
+ */
+'use strict';
+
+const TITLE_SUPPORTED = 'Export playlist';
+const TITLE_UNSUPPORTED = 'Playlist Export: page not supported';
+
+const setActionState = (tabId, supported) => {
+    if (supported) {
+        chrome.action.enable(tabId);
+        chrome.action.setTitle({ tabId, title: TITLE_SUPPORTED });
+    } else {
+        chrome.action.disable(tabId);
+        chrome.action.setTitle({ tabId, title: TITLE_UNSUPPORTED });
+    }
+};
+
+/**
+ * Performs a fetch for a content script and serializes the response
+ */
+const handleFetch = async ({ url, method, headers, redirect }) => {
+    try {
+        const response = await fetch(url, { method, headers, redirect, credentials: 'include' });
+        return {
+            url: response.url,
+            status: response.status,
+            statusText: response.statusText,
+            headers: Object.fromEntries(response.headers.entries()),
+            body: await response.text()
+        };
+    } catch (err) {
+        return { error: `${err.message} (${url})` };
+    }
+};
+
+// --- Offline Downloads ---
+
+const DOWNLOAD_CONCURRENCY = 3;
+const MAX_RESUMES = 3;
+
+/**
+ * Resolves to the final state of a download: "complete" or "interrupted".
+ * A small file can finish before the listener is attached, so the current
+ * state is read once the listener is in place.
+ */
+const waitForDownload = (id) => new Promise(resolve => {
+    const finish = (state) => {
+        chrome.downloads.onChanged.removeListener(listener);
+        resolve(state);
+    };
+    const listener = (delta) => {
+        if (delta.id !== id || !delta.state || delta.state.current === 'in_progress') return;
+        finish(delta.state.current);
+    };
+    chrome.downloads.onChanged.addListener(listener);
+    chrome.downloads.search({ id }).then(([item]) => {
+        if (item && item.state !== 'in_progress') finish(item.state);
+    });
+});
+
+/**
+ * Saves one URL as `filename` (relative to the Downloads folder). Interrupted
+ * transfers are resumed; a file whose size differs from the announced one,
+ * or an HTML page, is removed and reported as an error.
+ */
+const saveUrl = async (url, filename) => {
+    const id = await chrome.downloads.download({ url, filename, conflictAction: 'overwrite', saveAs: false });
+    let state = await waitForDownload(id);
+    let [item] = await chrome.downloads.search({ id });
+    for (let resumes = 0; state === 'interrupted' && item.canResume && resumes < MAX_RESUMES; resumes++) {
+        await chrome.downloads.resume(id);
+        state = await waitForDownload(id);
+        [item] = await chrome.downloads.search({ id });
+    }
+    if (state !== 'complete') throw new Error(`download interrupted (${item.error || 'unknown error'})`);
+    if (/text\/html/i.test(item.mime || '') || (item.totalBytes > 0 && item.bytesReceived !== item.totalBytes)) {
+        await chrome.downloads.removeFile(id).catch(() => {});
+        throw new Error(item.totalBytes > 0 && item.bytesReceived !== item.totalBytes
+            ? `size mismatch: got ${item.bytesReceived} of ${item.totalBytes} bytes`
+            : 'HTML page instead of audio');
+    }
+    return item.fileSize || item.bytesReceived;
+};
+
+/**
+ * Saves files [{ urls, path }] into `folder`, a few at a time. Every URL of a
+ * file is tried in order. Resolves to [{ path, ok, size, error }] in order.
+ */
+const handleDownload = async ({ folder, files }) => {
+    const results = new Array(files.length);
+    let next = 0;
+    const lane = async () => {
+        while (next < files.length) {
+            const index = next++;
+            const { urls, path } = files[index];
+            const errors = [];
+            for (const url of urls) {
+                try {
+                    results[index] = { path, ok: true, size: await saveUrl(url, `${folder}/${path}`) };
+                    break;
+                } catch (err) {
+                    errors.push(err.message);
+                }
+            }
+            if (!results[index]) results[index] = { path, ok: false, error: errors.join('; ') };
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(DOWNLOAD_CONCURRENCY, files.length) }, lane));
+    return { results };
+};
+
+// Disabled everywhere until a content script reports a supported page
+chrome.action.disable();
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'fetch') {
+        handleFetch(message).then(sendResponse);
+        return true; // keep the channel open for the async reply
+    }
+    if (message.type === 'download') {
+        handleDownload(message).then(sendResponse);
+        return true;
+    }
+    if (message.type === 'status' && sender.tab) {
+        setActionState(sender.tab.id, message.supported);
+    }
+    return false;
+});
+
+// Single-page navigation (YouTube) changes the URL without reloading the content script
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (!changeInfo.url) return;
+    chrome.tabs.sendMessage(tabId, { type: 'status' })
+        .then(reply => setActionState(tabId, reply && reply.supported))
+        .catch(() => setActionState(tabId, false));
+});
+
+chrome.action.onClicked.addListener((tab) => {
+    chrome.tabs.sendMessage(tab.id, { type: 'export' })
+        .catch(err => console.error(`❌ Export failed on tab ${tab.id}:`, err.message));
+});
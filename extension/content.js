@@ -0,0 +1,118 @@
+/**
+ * Playlist Export extension - content script glue
+ * * Loaded between the shared libraries (scripts/lib/*.js) and the site
+ * script: it stops the site script from running on load, routes
+ * cross-origin fetches through the background worker (no CORS/CSP limits)
+ * and answers the toolbar button.
+ */
+(function () {
+    'use strict';
+
+    const core = self.PlaylistExport;
+    core.settings.autoRun = false;
+    // The track picker can be switched off in the options, per export
+    const picker = core.settings.picker;
+
+    /**
+     * fetch() replacement: the background worker performs the request with
+     * the extension's host permissions and sends back the body as text.
+     */
+    const backgroundFetch = async (url, options = {}) => {
+        const reply = await chrome.runtime.sendMessage({
+            type: 'fetch',
+            url: String(url),
+            method: options.method || 'GET',
+            headers: options.headers || {},
+            redirect: options.redirect || 'follow'
+        });
+        if (!reply || reply.error) {
+            throw new TypeError(reply ? reply.error : `Background fetch failed for ${url}`);
+        }
+        const hasBody = reply.status !== 204 && reply.status !== 304;
+        const response = new Response(hasBody ? reply.body : null, { status: reply.status, statusText: reply.statusText, headers: reply.headers });
+        // Final URL after redirects (ie. Musify's intermediate links)
+        Object.defineProperty(response, 'url', { value: reply.url || String(url) });
+        return response;
+    };
+
+    const extensionPage = () => Object.assign(core.browserPage(), {
+        crossOrigin: true,
+        fetch: backgroundFetch,
+        fetchText: async (url) => {
+            const response = await backgroundFetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+            return response.text();
+        }
+    });
+
+    const COMPANION_FORMATS = ['xspf', 'm3u8'];
+
+    /**
+     * Offline mode (scripts/lib/offline.js): the background worker saves the
+     * audio files and the cover into "<creator> - <title>/" in the Downloads
+     * folder, then the companion playlists list the files that were saved.
+     */
+    const exportOffline = async (site, page, options) => {
+        const result = await site.extract(page, options);
+        for (const { playlist, fileName } of result.playlists || [result]) {
+            const picked = await core.reviewPlaylist(playlist, { document, fileName });
+            if (!picked) continue;
+            const plan = core.planOffline(picked);
+            if (plan.skipped.length > 0) console.table(plan.skipped);
+
+            const files = plan.files.map(({ urls, path }) => ({ urls, path }))
+                .concat(plan.cover ? [{ urls: [plan.cover.url], path: plan.cover.path }] : []);
+            console.log(`⬇️ Downloading ${files.length} files into ${plan.folder}/...`);
+            const { results } = await chrome.runtime.sendMessage({ type: 'download', folder: plan.folder, files });
+            const failed = results.filter(row => !row.ok);
+            if (failed.length > 0) console.table(failed);
+
+            const paths = results.filter(row => row.ok).map(row => row.path);
+            const companions = COMPANION_FORMATS.map(format => {
+                const definition = core.getFormat(format);
+                const content = definition.serialize(core.localPlaylist(picked, plan, { format, paths, cover: paths.includes(core.COVER_FILE) }));
+                return {
+                    urls: [`data:${definition.mimeType};charset=utf-8,${encodeURIComponent(content)}`],
+                    path: `${core.sanitizeFilename(picked.title || plan.folder)}.${definition.extension}`
+                };
+            });
+            await chrome.runtime.sendMessage({ type: 'download', folder: plan.folder, files: companions });
+            console.log(`✅ ${paths.filter(path => path !== core.COVER_FILE).length} tracks saved in ${plan.folder}/, ${failed.length} failed.`);
+        }
+    };
+
+    // Album pages, or artist/listing pages for the catalogue crawl
+    const currentSite = () => Object.values(core.SITES).find(site =>
+        site.matches(location.href) || (site.matchesCatalogue && site.matchesCatalogue(location.href))) || null;
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'status') {
+            const site = currentSite();
+            sendResponse({ supported: !!site, site: site ? site.site : null });
+        } else if (message.type === 'export') {
+            const site = currentSite();
+            if (!site) {
+                sendResponse({ ok: false, error: 'This page is not supported.' });
+                return;
+            }
+            chrome.storage.sync.get({ format: 'xspf', resolveLinks: false, review: true, offline: false })
+                .then(({ format, resolveLinks, review, offline }) => {
+                    core.settings.picker = review ? picker : null;
+                    const page = extensionPage();
+                    // YouTube pages do not load scripts/lib/offline.js: videos only stream
+                    const catalogue = site.matchesCatalogue && site.matchesCatalogue(page.url);
+                    if (offline && core.planOffline && !catalogue) {
+                        return exportOffline(site, page, { resolveLinks })
+                            .catch(error => console.error(`❌ Offline download failed: ${error.message}`));
+                    }
+                    return site.runInBrowser({ page, format, options: { resolveLinks } });
+                });
+            sendResponse({ ok: true, site: site.site });
+        }
+    });
+
+    // The site script is injected right after this file: report once it registered
+    setTimeout(() => {
+        chrome.runtime.sendMessage({ type: 'status', supported: !!currentSite() }).catch(() => {});
+    }, 0);
+})();
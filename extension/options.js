@@ -0,0 +1,27 @@
+/**
+ * Playlist Export extension - options page (export format, Musify link resolution, track review, offline mode)
+ */
+'use strict';
+
+const formatSelect = document.getElementById('format');
+const resolveLinksBox = document.getElementById('resolveLinks');
+const reviewBox = document.getElementById('review');
+const offlineBox = document.getElementById('offline');
+const savedLabel = document.getElementById('saved');
+
+chrome.storage.sync.get({ format: 'xspf', resolveLinks: false, review: true, offline: false }).then(({ format, resolveLinks, review, offline }) => {
+    formatSelect.value = format;
+    resolveLinksBox.checked = resolveLinks;
+    reviewBox.checked = review;
+    offlineBox.checked = offline;
+});
+
+const save = (values) => chrome.storage.sync.set(values).then(() => {
+    savedLabel.style.visibility = 'visible';
+    setTimeout(() => { savedLabel.style.visibility = 'hidden'; }, 1500);
+});
+
+formatSelect.addEventListener('change', () => save({ format: formatSelect.value }));
+resolveLinksBox.addEventListener('change', () => save({ resolveLinks: resolveLinksBox.checked }));
+reviewBox.addEventListener('change', () => save({ review: reviewBox.checked }));
+offlineBox.addEventListener('change', () => save({ offline: offlineBox.checked }));
@@ -1,130 +1,451 @@
 /**
- * KHInsider XSPF Playlist Generator - V3.3
+ * KHInsider XSPF Playlist Generator - V3.6
  * * Description:
  * Extracts direct audio links and full-res album cover from KHInsider.
  * * Usage:
- * Run in DevTools console on a KHInsider album page.
+ * Run in DevTools console on a KHInsider album page, after pasting
+ * scripts/lib/playlist.js and scripts/lib/adapter.js (and scripts/lib/formats.js
+ * for other formats).
+ * Set `window.PLAYLIST_EXPORT_FORMAT` to 'm3u8', 'pls', 'jspf' or 'cue'
+ * before running to export in another format (default: 'xspf').
+ * Set `window.KHINSIDER_FORMATS = ['flac', 'mp3']` to choose the audio format
+ * order, and `window.KHINSIDER_SINGLE_FORMAT = true` to avoid mixed-format playlists.
+ * Multi-disc albums are exported as one playlist ordered "1-01, 1-02, 2-01...";
+ * set `window.KHINSIDER_SPLIT_DISCS = true` for one playlist per disc.
+ * Track pages are fetched by a small worker pool (scripts/lib/tasks.js, paste it
+ * before this script); `window.KHINSIDER_CONCURRENCY` sets its size.
+ * On a platform, type, year or search listing every album is exported into
+ * one ZIP (paste scripts/lib/crawl.js first).
+ * In Node the extractor is exported for the playlist-export CLI.
  */
-(function() {
-    try {
-        console.log("--- Starting KHInsider XSPF Extraction (V3.3) ---");
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./lib/playlist'), require('./lib/tasks'), require('./lib/adapter')));
+    } else if (!root.PlaylistExport || !root.PlaylistExport.runTasks || !root.PlaylistExport.defineSite) {
+        console.error("❌ PlaylistExport not loaded! Paste scripts/lib/playlist.js, scripts/lib/adapter.js and scripts/lib/tasks.js first.");
+    } else {
+        root.PlaylistExport.installSite(factory(root.PlaylistExport));
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (core) {
+    const { parseDuration, runTasks, hostOf, NS } = core;
 
-        const playlistTable = document.getElementById('songlist');
-        if (!playlistTable) {
-            console.error("❌ Table #songlist not found! Ensure you are on an album page.");
-            return;
+    const TRACK_LINK_SELECTOR = 'a[href*="/game-soundtracks/album/"]';
+
+    // Audio formats, best first. Formats missing from the list are only used
+    // when a track has nothing else.
+    const DEFAULT_FORMATS = ['mp3', 'flac', 'm4a', 'ogg'];
+
+    /**
+     * Helper: Format of a download link (file extension, else "download as FLAC")
+     */
+    const linkFormat = (anchor) => {
+        const extension = (anchor.pathname || '').match(/\.([a-z0-9]+)$/i);
+        const label = anchor.textContent.match(/download as (\w+)/i);
+        return ((extension && extension[1]) || (label && label[1]) || '').toLowerCase() || null;
+    };
+
+    /**
+     * Helper: Index of a #songlist column by its header label ("CD", "#"), -1 if missing
+     */
+    const columnIndex = (table, label) => {
+        const header = Array.from(table.querySelectorAll('tr')).find(row => row.querySelector('th'));
+        if (!header) return -1;
+        return Array.from(header.children).findIndex(cell => cell.textContent.trim().toUpperCase() === label);
+    };
+
+    const cellNumber = (row, index) => {
+        const cell = index >= 0 ? row.children[index] : null;
+        const number = cell ? parseInt(cell.textContent.trim(), 10) : NaN;
+        return isNaN(number) ? null : number;
+    };
+
+    const discPosition = (disc, track) => `${disc}-${String(track).padStart(2, '0')}`;
+
+    // Album info labels ("Platforms: SNES<br>Year: 1995<br>...") -> metadata fields
+    const INFO_LABELS = [
+        ['platform', /^platforms?$/i],
+        ['year', /^year$/i],
+        ['catalog', /^catalog(ue)? number$/i],
+        ['developer', /^developed by$/i],
+        ['publisher', /^published by$/i],
+        ['composer', /^(composed by|composers?)$/i]
+    ];
+
+    /**
+     * Helper: Metadata of the album info paragraph, one "Label: value" per line
+     */
+    const albumInfo = (document) => {
+        const paragraph = Array.from(document.querySelectorAll('#pageContent p')).find(p => /Year:|Platforms?:/.test(p.textContent));
+        const info = {};
+        if (!paragraph) return info;
+        const lines = [''];
+        paragraph.childNodes.forEach(node => {
+            if (node.nodeName === 'BR') lines.push('');
+            else lines[lines.length - 1] += node.textContent;
+        });
+        lines.forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator < 0) return;
+            const label = line.slice(0, separator).trim();
+            const found = INFO_LABELS.find(([, pattern]) => pattern.test(label));
+            const value = line.slice(separator + 1).replace(/\s+/g, ' ').trim();
+            if (found && value) info[found[0]] = value;
+        });
+        return info;
+    };
+
+    // Worker pool defaults: polite enough for a single host
+    const DEFAULT_CONCURRENCY = 4;
+    const DEFAULT_RETRIES = 3;
+    const RETRY_DELAY_MS = 1000;
+    const MIN_INTERVAL_MS = 250; // between two requests to the same host
+
+    /**
+     * Helper: Fetches the track page to get the direct CDN links, keyed by
+     * format ({ mp3: url, flac: url }). Throws when the page cannot be fetched
+     * (retried unless it is a client error) or has no download link (not retried).
+     */
+    const getDirectLinks = async (page, pageUrl) => {
+        const html = await page.fetchText(pageUrl).catch(error => {
+            // Client errors (ie. 404) will not go away, except timeouts and rate limits
+            const status = Number((error.message.match(/^HTTP (\d{3})/) || [])[1]);
+            throw Object.assign(error, { permanent: status >= 400 && status < 500 && status !== 408 && status !== 429 });
+        });
+        const doc = page.parseHtml(html, pageUrl);
+        const links = {};
+        // The songDownloadLink class is the most reliable way to find the audio links
+        doc.querySelectorAll('.songDownloadLink').forEach(span => {
+            const anchor = span.closest('a');
+            const format = anchor && linkFormat(anchor);
+            if (format && !links[format]) links[format] = anchor.href;
+        });
+        if (Object.keys(links).length === 0) {
+            throw Object.assign(new Error('no download link on the track page'), { permanent: true });
+        }
+        return links;
+    };
+
+    /**
+     * Helper: Best available format for a track, following the preference order
+     */
+    const pickFormat = (links, formats) => formats
+        .concat(Object.keys(links).filter(format => !formats.includes(format)))
+        .find(format => links[format]);
+
+    /**
+     * Current direct link of one track page, in the best available format
+     * (used by the streaming proxy to replace expired links)
+     */
+    const resolveTrackPage = async (page, pageUrl, formats = DEFAULT_FORMATS) => {
+        const links = await getDirectLinks(page, pageUrl);
+        return links[pickFormat(links, formats)];
+    };
+
+    /**
+     * Chooses the format of every resolved track. Mixed playlists use the best
+     * format of each track; otherwise the album gets the best listed format that
+     * every track has (or the best one any track has, dropping the others).
+     */
+    const chooseFormats = (resolved, formats, allowMixed, log) => {
+        if (allowMixed) {
+            return resolved.map(item => Object.assign(item, { format: pickFormat(item.links, formats) }));
+        }
+        const others = [].concat(...resolved.map(item => Object.keys(item.links))).filter(format => !formats.includes(format));
+        const inEvery = (format) => resolved.every(item => item.links[format]);
+        const inSome = (format) => resolved.some(item => item.links[format]);
+        // Listed formats win over unlisted ones, even when fewer tracks have them
+        const albumFormat = formats.find(inEvery) || formats.find(inSome) || others.find(inEvery) || others.find(inSome) || formats[0];
+        log.log(`🎚️ Single-format playlist: ${albumFormat.toUpperCase()}`);
+        return resolved.filter(item => {
+            if (item.links[albumFormat]) return true;
+            log.warn(`⚠️ No ${albumFormat.toUpperCase()} link for: ${item.title} (skipped)`);
+            return false;
+        }).map(item => Object.assign(item, { format: albumFormat }));
+    };
+
+    /**
+     * Reads the album of a KHInsider album page: title, full-res cover and the
+     * albumInfo metadata. `page` provides { document, url, fetch, fetchText, parseHtml, log }.
+     */
+    const readAlbum = (page) => {
+        const { document, log } = page;
+        if (!document.getElementById('songlist')) {
+            throw new Error("Table #songlist not found! Ensure you are on an album page.");
         }
 
-        // 1. Global Album Metadata
-        const albumTitle = document.querySelector('h2')?.innerText.trim() || "Unknown Album";
-        
         // Extract full-res image from the anchor's href inside .albumImage
         const albumImageAnchor = document.querySelector('.albumImage a');
-        const albumImageUrl = albumImageAnchor ? albumImageAnchor.href : "";
-        
-        if (albumImageUrl) {
-            console.log("📸 Full-res album cover detected:", albumImageUrl);
+        const image = albumImageAnchor ? albumImageAnchor.href : "";
+        if (image) {
+            log.log("📸 Full-res album cover detected:", image);
         }
-        
-        const sanitizedFilename = `${albumTitle.replace(/[\\/:*?"<>|]/g, '_')} [Khinsider].xspf`;
 
-        // 2. Collect and Filter Track Rows
+        // Platform, year, catalog number, developer, publisher (and composers on newer pages)
+        const metadata = albumInfo(document);
+        return {
+            title: document.querySelector('h2')?.textContent.trim() || "Unknown Album",
+            // KHInsider names no artist: the composers, else the developer, are the closest
+            creator: metadata.composer || metadata.developer || null,
+            image,
+            metadata
+        };
+    };
+
+    /**
+     * Lists the rows of #songlist, with the track page as `info` (its links are
+     * resolved by resolveLinks). Track numbers come from the CD and # columns,
+     * so skipped tracks leave no drift: a combined multi-disc playlist numbers
+     * them by album position, every other one by the # column (`split`).
+     * disc/track/position ("1-01") are written as extension metadata.
+     */
+    const listTracks = (page, album, { split = false } = {}) => {
+        const { document, log } = page;
+        const playlistTable = document.getElementById('songlist');
         const rows = Array.from(playlistTable.querySelectorAll('tr')).filter(row => {
-            return row.querySelector('a[href*="/game-soundtracks/album/"]') && !row.querySelector('th');
+            return row.querySelector(TRACK_LINK_SELECTOR) && !row.querySelector('th');
         });
 
         if (rows.length === 0) {
-            console.error("❌ No tracks found in the playlist table.");
-            return;
+            throw new Error("No tracks found in the playlist table.");
         }
 
-        console.log(`🚀 Found ${rows.length} tracks. Starting extraction loop...`);
-
-        /**
-         * Helper: Fetches the track page to get the direct CDN link
-         */
-        const getDirectLink = async (pageUrl) => {
-            try {
-                const response = await fetch(pageUrl);
-                const html = await response.text();
-                const parser = new DOMParser();
-                const doc = parser.parseFromString(html, 'text/html');
-                // The songDownloadLink class is the most reliable way to find the MP3 link
-                return doc.querySelector('.songDownloadLink')?.closest('a')?.href || null;
-            } catch (err) {
-                return null;
+        log.log(`🚀 Found ${rows.length} tracks. Starting extraction loop...`);
+
+        // Disc and track columns (single-disc albums may have no CD column)
+        const discColumn = columnIndex(playlistTable, 'CD');
+        const numberColumn = columnIndex(playlistTable, '#');
+        const discCounts = {};
+
+        const items = rows.map((row, i) => {
+            const trackLink = row.querySelector(TRACK_LINK_SELECTOR);
+
+            // Duration: the first time after the title cell (a title such as "3:16" is not one)
+            const cells = Array.from(row.querySelectorAll('td'));
+            const titleIndex = cells.findIndex(td => td.contains(trackLink));
+            const durationCell = cells.slice(titleIndex + 1).find(td => /^\d+:\d+(:\d+)?$/.test(td.textContent.trim()));
+            const durationMs = durationCell ? parseDuration(durationCell.textContent) : 0;
+
+            // Without a # column, count the rows of the disc (failed tracks included)
+            const disc = cellNumber(row, discColumn) || 1;
+            discCounts[disc] = (discCounts[disc] || 0) + 1;
+            const discTrack = cellNumber(row, numberColumn) || discCounts[disc];
+
+            return { title: trackLink.textContent.trim(), url: trackLink.href, row: i + 1, disc, discTrack, duration: durationMs };
+        });
+
+        const discs = Object.keys(discCounts).map(Number).sort((a, b) => a - b);
+        const multiDisc = discs.length > 1;
+        if (multiDisc) {
+            log.log(`💿 ${discs.length} discs: ${discs.map(disc => `CD ${disc} (${discCounts[disc]} tracks)`).join(', ')}`);
+        }
+
+        // Album position of every row, counted before any track fails
+        const positions = {};
+        items.slice().sort((a, b) => a.disc - b.disc || a.discTrack - b.discTrack || a.row - b.row)
+            .forEach((item, i) => { positions[item.url] = i + 1; });
+
+        return items.map(item => ({
+            info: item.url, // the track page: its links can be resolved again later
+            title: item.title,
+            creator: album.creator,
+            album: album.title,
+            image: album.image,
+            trackNum: multiDisc && !split ? positions[item.url] : item.discTrack,
+            duration: item.duration,
+            extension: discColumn >= 0 || multiDisc ? {
+                [NS]: { disc: item.disc, track: item.discTrack, position: discPosition(item.disc, item.discTrack) }
+            } : {}
+        }));
+    };
+
+    /**
+     * Disc of a listed track (1 without a CD column)
+     */
+    const discOfTrack = (track) => (track.extension[NS] || {}).disc || 1;
+
+    /**
+     * Fetches the track pages with the worker pool and picks the format of
+     * every track. Options: `formats` (preference order), `allowMixed`
+     * (default true), `concurrency`, `retries`, `retryDelay`, `minInterval`
+     * and `linkCache` ({ trackPageUrl: links } from a previous run: only the
+     * missing tracks are fetched again).
+     * Resolves to { tracks, report, formats, linkCache }: the worker pool
+     * outcome, the format of every track and the resolved links.
+     */
+    const resolveLinks = async (page, tracks, {
+        formats = DEFAULT_FORMATS,
+        allowMixed = true,
+        concurrency = DEFAULT_CONCURRENCY,
+        retries = DEFAULT_RETRIES,
+        retryDelay = RETRY_DELAY_MS,
+        minInterval = MIN_INTERVAL_MS,
+        linkCache = {}
+    } = {}) => {
+        const { log } = page;
+        formats = formats.length ? formats.map(format => format.toLowerCase()) : DEFAULT_FORMATS;
+
+        // Cached tracks stay out of the pool: they take no rate limit turn
+        const pending = tracks.filter(track => !linkCache[track.info]);
+        if (pending.length < tracks.length) {
+            log.log(`♻️ ${tracks.length - pending.length} tracks already resolved, fetching the other ${pending.length}...`);
+        }
+
+        const fetched = await runTasks(pending, async (track, index, attempt) => {
+            // Progress log (confirmed working after filter check)
+            log.log(`[${index + 1}/${pending.length}] Extracting: ${track.title}...${attempt > 1 ? ` (retry ${attempt - 1})` : ''}`);
+            return getDirectLinks(page, track.info);
+        }, {
+            concurrency,
+            retries,
+            retryDelay,
+            minInterval,
+            keyOf: track => hostOf(track.info),
+            shouldRetry: error => !error.permanent
+        });
+        let nextFetched = 0;
+        const results = tracks.map(track => linkCache[track.info]
+            ? { item: track, ok: true, value: linkCache[track.info], attempts: 1 }
+            : fetched[nextFetched++]);
+
+        const resolved = [];
+        const failed = [];
+        const newCache = {};
+        results.forEach(({ item, ok, value, error }) => {
+            if (ok) {
+                newCache[item.info] = value;
+                resolved.push(Object.assign({}, item, { links: value }));
+            } else {
+                log.warn(`⚠️ Failed to retrieve link for: ${item.title} (${error.message})`);
+                failed.push({ title: item.title, url: item.info, error: error.message });
             }
+        });
+
+        const report = {
+            total: tracks.length,
+            resolved: resolved.length,
+            retried: results.filter(result => result.ok && result.attempts > 1).length,
+            failed
         };
+        log.log(`📋 Resolved ${report.resolved}/${report.total} tracks (${report.retried} after a retry), ${failed.length} failed.`);
 
-        /**
-         * Main Logic: Iterate through tracks and build XSPF
-         */
-        const processTracks = async () => {
-            const xspfTrackEntries = [];
-            
-            for (let i = 0; i < rows.length; i++) {
-                const row = rows[i];
-                const trackLink = row.querySelector('a[href*="/game-soundtracks/album/"]');
-                
-                if (!trackLink) continue;
-
-                const trackTitle = trackLink.innerText.trim();
-                const trackPageUrl = trackLink.href;
-                
-                // Progress log (confirmed working after filter check)
-                console.log(`[${i + 1}/${rows.length}] Extracting: ${trackTitle}...`);
-                
-                const directAudioUrl = await getDirectLink(trackPageUrl);
-                
-                if (!directAudioUrl) {
-                    console.warn(`⚠️ Failed to retrieve link for: ${trackTitle}`);
-                    continue;
-                }
-
-                // Duration extraction logic
-                const cells = Array.from(row.querySelectorAll('td'));
-                const durationCell = cells.find(td => /^\d+:\d+(:\d+)?$/.test(td.innerText.trim()));
-                let durationMs = 0;
-                if (durationCell) {
-                    const parts = durationCell.innerText.trim().split(':').map(Number);
-                    durationMs = parts.length === 2 ? (parts[0] * 60 + parts[1]) * 1000 : (parts[0] * 3600 + parts[1] * 60 + parts[2]) * 1000;
-                }
-
-                xspfTrackEntries.push(`    <track>
-      <location>${directAudioUrl.replace(/&/g, '&amp;')}</location>
-      <title>${trackTitle.replace(/&/g, '&amp;')}</title>
-      <album>${albumTitle.replace(/&/g, '&amp;')}</album>
-      <trackNum>${i + 1}</trackNum>
-      ${durationMs > 0 ? `<duration>${durationMs}</duration>` : ''}
-    </track>`);
-            }
+        // Pick the format of every track (the sort keeps the row order of equal numbers)
+        const chosen = chooseFormats(resolved, formats, allowMixed, log)
+            .sort((a, b) => discOfTrack(a) - discOfTrack(b) || a.trackNum - b.trackNum);
 
-            // 3. Assemble and Download XSPF
-            let xspfContent = `<?xml version="1.0" encoding="UTF-8"?>\n<playlist version="1.0" xmlns="http://xspf.org/ns/0/">\n`;
-            xspfContent += `  <title>${albumTitle.replace(/&/g, '&amp;')}</title>\n`;
-            
-            if (albumImageUrl) {
-                xspfContent += `  <image>${albumImageUrl.replace(/&/g, '&amp;')}</image>\n`;
-            }
-            
-            xspfContent += `  <trackList>\n${xspfTrackEntries.join('\n')}\n  </trackList>\n</playlist>`;
-
-            const blob = new Blob([xspfContent], { type: 'application/xspf+xml' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = sanitizedFilename;
-            document.body.appendChild(a); // Append to body to ensure click works in all browsers
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            console.log(`✅ Success! Playlist V3.3 downloaded: ${sanitizedFilename}`);
+        // Format summary: "2 × FLAC, 1 × MP3", plus the tracks that fell back
+        const trackFormats = chosen.map(item => ({ title: item.title, format: item.format, fallback: item.format !== formats[0] }));
+        const counts = {};
+        trackFormats.forEach(({ format }) => { counts[format] = (counts[format] || 0) + 1; });
+        log.log(`📊 Formats: ${Object.keys(counts).map(format => `${counts[format]} × ${format.toUpperCase()}`).join(', ') || 'none'}`);
+        trackFormats.filter(item => allowMixed && item.fallback).forEach(item => {
+            log.warn(`⚠️ ${formats[0].toUpperCase()} not available, using ${item.format.toUpperCase()} for: ${item.title}`);
+        });
+
+        return {
+            tracks: chosen.map(({ links, format, ...track }) => Object.assign({ location: links[format] }, track)),
+            report,
+            formats: trackFormats,
+            linkCache: newCache
         };
+    };
 
-        processTracks();
+    /**
+     * One playlist per disc with `split`: "Album (Disc 2) [Khinsider]"
+     */
+    const split = (tracks, album, options) => {
+        const discs = Array.from(new Set(tracks.map(discOfTrack)));
+        if (!options.split || discs.length < 2) return null;
+        return discs.map(disc => ({ title: `${album.title} (Disc ${disc})`, tracks: tracks.filter(track => discOfTrack(track) === disc) }));
+    };
 
-    } catch (globalError) {
-        console.error("❌ A critical error occurred in V3.3:", globalError);
-    }
-})();
\ No newline at end of file
+    /**
+     * Helper: Text of a listing cell by its header label ("Type", "Year")
+     */
+    const cellText = (row, index) => index >= 0 && row.children[index] ? row.children[index].textContent.trim() : '';
+
+    /**
+     * Lists the albums of a platform/series/search listing for the catalogue
+     * crawler. Type and year come from the columns of table.albumList.
+     */
+    const listAlbums = async (page) => {
+        const { document } = page;
+        const table = document.querySelector('table.albumList');
+        if (!table) {
+            throw new Error("No album list (table.albumList) found on this page.");
+        }
+
+        const labels = Array.from(table.querySelectorAll('tr')).find(row => row.querySelector('th'));
+        const indexOf = (label) => labels ? Array.from(labels.children).findIndex(cell => cell.textContent.trim().toLowerCase() === label) : -1;
+        const typeColumn = indexOf('type');
+        const yearColumn = indexOf('year');
+
+        const seen = new Set();
+        const albums = [];
+        table.querySelectorAll('tr').forEach(row => {
+            // Icon and title cells link to the same album
+            const link = Array.from(row.querySelectorAll(TRACK_LINK_SELECTOR)).find(anchor => anchor.textContent.trim());
+            if (!link || seen.has(link.href)) return;
+            seen.add(link.href);
+            const year = parseInt(cellText(row, yearColumn), 10);
+            albums.push({
+                url: link.href,
+                title: link.textContent.trim(),
+                year: isNaN(year) ? null : year,
+                type: cellText(row, typeColumn).toLowerCase() || null
+            });
+        });
+
+        const next = Array.from(document.querySelectorAll('.pagination a, a[rel=next]'))
+            .find(anchor => anchor.getAttribute('rel') === 'next' || /^next\b/i.test(anchor.textContent.trim()));
+        return {
+            title: document.querySelector('h2')?.textContent.trim() || document.title,
+            albums,
+            next: next ? next.href : null
+        };
+    };
+
+    /**
+     * Album pages only (track pages share the same prefix but have no #songlist)
+     */
+    const matches = (url) => /^https?:\/\/downloads\.khinsider\.com\/game-soundtracks\/album\/[^/]+\/?(\?|#|$)/.test(url);
+
+    /**
+     * Platform, type, year and search listings (catalogue crawl)
+     */
+    const matchesCatalogue = (url) => !matches(url) &&
+        /^https?:\/\/downloads\.khinsider\.com\/(game-soundtracks\/(?!album\/)[^?#]+|search\?)/.test(url);
+
+    const site = core.defineSite({
+        site: 'khinsider',
+        hosts: ['downloads.khinsider.com'],
+        tags: ['Khinsider'],
+        // Audio files are served from the CDN hosts
+        trackHosts: ['khinsider.com', 'vgmsite.com', 'vgmtreasurechest.com'],
+        matches,
+        matchesCatalogue,
+        listAlbums,
+        readAlbum,
+        listTracks,
+        // The track pages hold the audio links: they are always fetched
+        resolveLinks,
+        alwaysResolve: true,
+        split,
+        fileName: (album, playlist) => `${playlist.title} [Khinsider]`,
+        resolveTrackPage,
+        browserOptions: () => ({
+            formats: window.KHINSIDER_FORMATS,
+            allowMixed: !window.KHINSIDER_SINGLE_FORMAT,
+            concurrency: window.KHINSIDER_CONCURRENCY,
+            split: !!window.KHINSIDER_SPLIT_DISCS
+        }),
+        onResult: ({ formats }) => console.table(formats),
+        // Offer a second pass that only fetches the failed tracks
+        afterExport: ({ report, linkCache }, { page, format, options }) => {
+            if (report.failed.length === 0) return;
+            console.table(report.failed);
+            window.khinsiderRetryFailed = () => site.runInBrowser({ page, format, options: Object.assign({}, options, { linkCache }) });
+            console.log(`🔁 ${report.failed.length} tracks failed. Run khinsiderRetryFailed() to retry only those and download the playlist again.`);
+        }
+    });
+    return site;
+});
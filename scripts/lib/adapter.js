@@ -0,0 +1,184 @@
+/**
+ * Site Adapters
+ * * Description:
+ * The common frame of every site script. A site only describes what differs
+ * from one source to the next; defineSite() turns that description into the
+ * site object the CLI, the crawler and the browser extension use, with the
+ * extraction pipeline and the browser entry point filled in.
+ * An adapter has:
+ * - site: name used by --site, the registry and the streaming proxy
+ * - hosts: hostnames of its pages (URL detection in the CLI)
+ * - tags: file name tags it writes ("Album [Musify_club]"), the first one by default
+ * - trackHosts: hostnames (and their subdomains) of its track links, when they
+ *   live elsewhere than its pages (ie. a CDN)
+ * - matches(url): album/playlist pages; matchesCatalogue(url) and
+ *   listAlbums(page): artist or listing pages for the catalogue crawler
+ * - readAlbum(page, options): { title, creator, image, location, metadata, ... }
+ * - listTracks(page, album, options): track fields, in playlist order
+ * - resolveLinks(page, tracks, options): optional, async; runs when
+ *   `options.resolveLinks` is set (always with `alwaysResolve: true`) and
+ *   resolves to { tracks, report }, plus any other fields for the result
+ * - split(tracks, album, options): optional; [{ title, tracks }] to export the
+ *   album as several playlists (ie. one per disc), null to keep one
+ * - fileName(album, playlist): base file name, "<creator> - <title> [<tag>]" by default
+ * - extract(page, options): replaces the pipeline above for sources that are
+ *   not one album per page
+ * - fetchHtml: false when extract() only needs the URL (no page download)
+ * Browser hooks, all optional: browserOptions() reads the window settings,
+ * beforeExtract(context) returns extra extract options, onResult(result,
+ * context) returns false to stop before the download and afterExport(result,
+ * context) runs once the files are saved. `panel` names a status overlay
+ * (core.openPanel) whose status is also passed to extract() as `onProgress`.
+ * * Usage:
+ * Paste after scripts/lib/playlist.js (and before any site script). A site script is:
+ *   root.PlaylistExport.installSite(core.defineSite({ site: 'example', hosts: [...], ... }))
+ * In Node it is a regular CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./playlist'));
+    } else {
+        root.PlaylistExport = Object.assign(root.PlaylistExport || {}, factory(root.PlaylistExport));
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (core) {
+    'use strict';
+
+    if (!core || !core.createPlaylist) {
+        throw new Error('PlaylistExport not loaded! Paste scripts/lib/playlist.js first.');
+    }
+
+    // Browsers drop downloads started in the same instant
+    const DOWNLOAD_DELAY_MS = 500;
+
+    /**
+     * Default file name policy: "<creator> - <title> [<tag>]"
+     */
+    const defaultFileName = (tag) => (album, playlist) => {
+        const name = [playlist.creator, playlist.title].filter(Boolean).join(' - ') || 'playlist';
+        return tag ? `${name} [${tag}]` : name;
+    };
+
+    /**
+     * Pipeline extract(): album, tracks, link resolution, playlist(s).
+     * Resolves to { playlist, fileName }, or { playlists: [...] } when the
+     * adapter splits the album, plus the fields resolveLinks() added.
+     */
+    const pipeline = (adapter, fileName) => async (page, options = {}) => {
+        const album = (await adapter.readAlbum(page, options)) || {};
+        let tracks = await adapter.listTracks(page, album, options);
+        if (!tracks || tracks.length === 0) {
+            throw new Error(`No tracks found on ${page.url}.`);
+        }
+
+        let details = {};
+        if (adapter.resolveLinks && (options.resolveLinks || adapter.alwaysResolve)) {
+            ({ tracks, ...details } = await adapter.resolveLinks(page, tracks, options));
+        }
+
+        const build = (title, partTracks) => {
+            const playlist = core.createPlaylist(core.withMetadata({
+                title: title || (page.document && page.document.title) || null,
+                creator: album.creator,
+                image: album.image,
+                location: album.location || page.url,
+                tracks: partTracks
+            }, album.metadata || {}, { summary: true }));
+            return { playlist, fileName: fileName(album, playlist) };
+        };
+
+        const parts = adapter.split ? adapter.split(tracks, album, options) : null;
+        const result = parts ? { playlists: parts.map(part => build(part.title, part.tracks)) } : build(album.title, tracks);
+        return Object.assign(result, details);
+    };
+
+    /**
+     * Turns an adapter into a site object: { site, hosts, tags, trackHosts,
+     * fetchHtml, matches, matchesCatalogue, listAlbums, extract, runInBrowser }
+     * plus the adapter's own helpers. Throws when a required part is missing.
+     */
+    const defineSite = (adapter) => {
+        if (!adapter || !adapter.site) throw new Error('A site adapter needs a `site` name.');
+        const missing = ['hosts', 'matches'].filter(key => !adapter[key]);
+        if (!adapter.extract && !(adapter.readAlbum && adapter.listTracks)) missing.push('extract (or readAlbum and listTracks)');
+        if (adapter.matchesCatalogue && !adapter.listAlbums) missing.push('listAlbums');
+        if (missing.length > 0) {
+            throw new Error(`Site adapter "${adapter.site}" has no ${missing.join(', ')}.`);
+        }
+
+        const tags = [].concat(adapter.tags || []);
+        const fileName = adapter.fileName || defaultFileName(tags[0]);
+        const extract = adapter.extract || pipeline(adapter, fileName);
+
+        /**
+         * Browser entry point: extract from the current page and download.
+         * The extension passes its own page context, format and options,
+         * which go over the adapter's browserOptions().
+         */
+        const runInBrowser = ({
+            page = core.browserPage(),
+            format = window.PLAYLIST_EXPORT_FORMAT || 'xspf',
+            options = {}
+        } = {}) => {
+            options = Object.assign({}, adapter.browserOptions ? adapter.browserOptions() : {}, options);
+            if (site.matchesCatalogue && site.matchesCatalogue(page.url)) {
+                if (!core.runCatalogueInBrowser) {
+                    console.error('❌ Catalogue crawler not loaded! Paste scripts/lib/tasks.js and scripts/lib/crawl.js first.');
+                    return Promise.resolve();
+                }
+                return core.runCatalogueInBrowser(site, { page, format, extractOptions: options });
+            }
+
+            const panel = adapter.panel ? core.openPanel(page.document, adapter.panel) : null;
+            const status = panel ? panel.status : () => {};
+            status('READY', 0, 'Waiting for trigger...');
+            const context = { page, format, options, status };
+
+            return Promise.resolve(adapter.beforeExtract ? adapter.beforeExtract(context) : {})
+                .then(extra => extract(page, Object.assign({}, panel ? { onProgress: status } : {}, options, extra)))
+                .then(async (result) => {
+                    if (adapter.onResult && (await adapter.onResult(result, context)) === false) return;
+                    const results = result.playlists || [result];
+                    if (results.every(({ playlist }) => playlist.tracks.length === 0)) {
+                        status('EMPTY', 0, 'No tracks to export.');
+                        console.warn('⚠️ No tracks to export.');
+                        return;
+                    }
+
+                    let saved = 0;
+                    for (const { playlist, fileName } of results) {
+                        status('REVIEW', playlist.tracks.length, 'Pick the tracks to export.');
+                        // The track picker (scripts/lib/picker.js) resolves null when cancelled
+                        const picked = await core.reviewPlaylist(playlist, { document: page.document, fileName });
+                        if (!picked) {
+                            console.log(`⏭️ Export of ${fileName} cancelled.`);
+                            continue;
+                        }
+                        const savedAs = core.downloadPlaylist(picked, fileName, format);
+                        console.log(`🎉 Playlist file "${savedAs}" downloaded.`);
+                        saved += picked.tracks.length;
+                        if (results.length > 1) await new Promise(resolve => setTimeout(resolve, DOWNLOAD_DELAY_MS));
+                    }
+                    if (saved > 0) status('COMPLETED', saved, 'File downloaded.');
+                    else status('CANCELLED', 0, 'Nothing exported.');
+                    if (adapter.afterExport) adapter.afterExport(result, context);
+                    if (panel) panel.close(5000);
+                })
+                .catch(error => {
+                    status('ERROR', 0, error.message);
+                    console.error(`❌ ${error.message}`);
+                });
+        };
+
+        const site = Object.assign({}, adapter, {
+            tags,
+            trackHosts: [].concat(adapter.trackHosts || []),
+            fetchHtml: adapter.fetchHtml !== false,
+            fileName,
+            extract,
+            runInBrowser
+        });
+        return site;
+    };
+
+    return { defineSite };
+});
@@ -0,0 +1,407 @@
+/**
+ * Catalogue Crawler
+ * * Description:
+ * Exports every album linked from a listing page (a Musify discography, a
+ * KHInsider platform/series/search listing, a Squidify artist page) and
+ * packages the playlists as one ZIP file. Sites provide
+ * listAlbums(page) -> { title, albums: [{ url, title, year, type }], next }.
+ * The queue is saved after every album (localStorage in the browser, a state
+ * file in the CLI), so a reload or a new run resumes where the last one stopped.
+ * * Usage:
+ * Paste after scripts/lib/playlist.js and scripts/lib/tasks.js, then paste the
+ * site script on the listing page. Optional filters:
+ * `window.CATALOGUE_FILTER = { from: 1995, to: 2001, types: ['studio', 'single'] }`,
+ * `window.CATALOGUE_RESTART = true` to drop the saved queue.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root, Object.assign({}, require('./playlist'), require('./tasks')));
+    } else {
+        root.PlaylistExport = Object.assign(root.PlaylistExport || {}, factory(root, root.PlaylistExport || {}));
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (root, core) {
+    'use strict';
+
+    const STORAGE_PREFIX = 'playlistExport.crawl:';
+    const MAX_LISTING_PAGES = 50;
+    const DEFAULT_CONCURRENCY = 2;
+    const MIN_INTERVAL_MS = 500;
+
+    // --- ZIP Writer (stored entries, no compression) ---
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    const crc32 = (bytes) => {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    };
+
+    const dosDateTime = (date) => ({
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    });
+
+    /**
+     * Builds a ZIP archive from [{ name, content }] (content: string or bytes).
+     * Returns a Uint8Array; names are written as UTF-8.
+     */
+    const createZip = (files, { date = new Date() } = {}) => {
+        const encoder = new TextEncoder();
+        const { time, date: day } = dosDateTime(date);
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+
+        files.forEach(({ name, content }) => {
+            const nameBytes = encoder.encode(name);
+            const data = typeof content === 'string' ? encoder.encode(content) : content;
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            locals.push(new Uint8Array(local.buffer), nameBytes, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+            centrals.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centrals.reduce((total, part) => total + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = locals.concat(centrals, [new Uint8Array(end.buffer)]);
+        const zip = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let position = 0;
+        parts.forEach(part => { zip.set(part, position); position += part.length; });
+        return zip;
+    };
+
+    // --- Queue ---
+
+    const memoryStorage = () => {
+        const items = {};
+        return {
+            getItem: (key) => (key in items ? items[key] : null),
+            setItem: (key, value) => { items[key] = String(value); },
+            removeItem: (key) => { delete items[key]; }
+        };
+    };
+
+    const defaultStorage = () => {
+        try {
+            if (root.localStorage) return root.localStorage;
+        } catch (err) {
+            // Access to localStorage can throw (ie. sandboxed frames)
+        }
+        return memoryStorage();
+    };
+
+    /**
+     * Saved crawl state for a listing URL: { settings, albums: { url: { status, files, error } } }.
+     * Done albums keep their serialized files, so a resumed crawl only
+     * fetches the pending and failed ones. A state saved with other
+     * `settings` (format, extract options) is dropped: its files do not match.
+     */
+    const createCrawlQueue = (source, { storage = defaultStorage(), log = console, settings = '' } = {}) => {
+        const key = `${STORAGE_PREFIX}${source}`;
+        const fresh = () => ({ source, settings, albums: {} });
+        let state;
+        try {
+            state = JSON.parse(storage.getItem(key) || 'null');
+        } catch (err) {
+            state = null;
+        }
+        if (state && state.albums && (state.settings || '') !== settings) {
+            log.log('♻️ The format or the options changed since the last crawl: starting over.');
+            state = null;
+        }
+        state = state && state.albums ? state : fresh();
+
+        const save = () => {
+            try {
+                storage.setItem(key, JSON.stringify(state));
+            } catch (err) {
+                log.warn('⚠️ Could not save the crawl queue:', err.message);
+            }
+        };
+
+        return {
+            get: (url) => state.albums[url] || null,
+            set: (url, entry) => {
+                state.albums[url] = entry;
+                save();
+            },
+            clear: () => {
+                state = fresh();
+                storage.removeItem(key);
+            }
+        };
+    };
+
+    /**
+     * Settings that shape the exported files, as a stable string: the format,
+     * the extract options (sorted, without the link cache, which only saves
+     * requests) and the key of the playlist transform
+     */
+    const crawlSettings = (format, extractOptions = {}, transformKey = null) => JSON.stringify([format, Object.keys(extractOptions).sort()
+        .filter(name => name !== 'linkCache' && extractOptions[name] !== undefined && typeof extractOptions[name] !== 'function')
+        .map(name => [name, extractOptions[name]]), transformKey]);
+
+    // --- Filters ---
+
+    /**
+     * Keeps the albums inside { from, to, types }. Albums without a year are
+     * dropped when a year range is set; types are compared lowercase.
+     */
+    const filterAlbums = (albums, { from = null, to = null, types = [] } = {}) => {
+        const wanted = [].concat(types || []).map(type => String(type).toLowerCase());
+        return albums.filter(album => {
+            if (from || to) {
+                if (!album.year) return false;
+                if (from && album.year < from) return false;
+                if (to && album.year > to) return false;
+            }
+            return wanted.length === 0 || wanted.includes(String(album.type || '').toLowerCase());
+        });
+    };
+
+    /**
+     * "1995-2001", "1997" or "2001-" -> { from, to }
+     */
+    const parseYearRange = (text) => {
+        const match = String(text || '').trim().match(/^(\d{4})?\s*(-)?\s*(\d{4})?$/);
+        if (!match || (!match[1] && !match[3])) throw new Error(`Invalid year range "${text}". Use 1997, 1995-2001 or 2001-.`);
+        const from = match[1] ? Number(match[1]) : null;
+        const to = match[2] ? (match[3] ? Number(match[3]) : null) : from;
+        return { from, to };
+    };
+
+    // --- Crawler ---
+
+    /**
+     * Page context of a fetched album or listing page (relative links resolve against it)
+     */
+    const fetchPage = async (page, url) => {
+        const document = page.parseHtml(await page.fetchText(url), url);
+        return Object.assign({}, page, { document, url, interactive: false });
+    };
+
+    /**
+     * Lists the albums of every listing page (following `next` links)
+     */
+    const listCatalogue = async (site, page) => {
+        const seen = new Set();
+        const albums = [];
+        let title = null;
+        let current = page;
+
+        for (let count = 1; current && count <= MAX_LISTING_PAGES; count++) {
+            const listing = await site.listAlbums(current);
+            title = title || listing.title;
+            listing.albums.filter(album => !seen.has(album.url)).forEach(album => {
+                seen.add(album.url);
+                albums.push(album);
+            });
+            current = null;
+            if (listing.next && listing.next !== page.url) {
+                try {
+                    current = await fetchPage(page, listing.next);
+                } catch (err) {
+                    page.log.warn(`⚠️ Listing page ${listing.next} failed: ${err.message}`);
+                }
+            }
+        }
+        return { title: title || 'Catalogue', albums };
+    };
+
+    const uniqueName = (name, taken) => {
+        let candidate = name;
+        for (let i = 2; taken.has(candidate.toLowerCase()); i++) {
+            candidate = name.replace(/(\.[^.]+)$/, ` (${i})$1`);
+        }
+        taken.add(candidate.toLowerCase());
+        return candidate;
+    };
+
+    /**
+     * Crawls the catalogue listed on `page` with `site` (a site script).
+     * Options: filter ({ from, to, types }), format, storage, restart,
+     * concurrency, minInterval, retries, retryDelay, extractOptions (passed to
+     * site.extract), transform (playlist => playlist, applied before
+     * serializing; transformKey names it so a changed transform starts the
+     * crawl over), onProgress({ done, total, failed, album }).
+     * Resolves to { title, fileName, zip, files, albums, report }.
+     */
+    const crawlCatalogue = async (site, page, {
+        filter = {},
+        format = 'xspf',
+        storage,
+        restart = false,
+        concurrency = DEFAULT_CONCURRENCY,
+        minInterval = MIN_INTERVAL_MS,
+        retries = 2,
+        retryDelay = 1000,
+        extractOptions = {},
+        transform = playlist => playlist,
+        transformKey = null,
+        onProgress = () => {}
+    } = {}) => {
+        const { log } = page;
+        const definition = core.getFormat(format);
+
+        const catalogue = await listCatalogue(site, page);
+        const albums = filterAlbums(catalogue.albums, filter);
+        log.log(`💿 ${catalogue.title}: ${albums.length} of ${catalogue.albums.length} albums selected.`);
+        if (albums.length === 0) throw new Error('No albums found on this page (or none match the filter).');
+
+        const queue = createCrawlQueue(page.url, { storage, log, settings: crawlSettings(format, extractOptions, transformKey) });
+        if (restart) queue.clear();
+
+        const pending = albums.filter(album => (queue.get(album.url) || {}).status !== 'done');
+        if (pending.length < albums.length) {
+            log.log(`♻️ Resuming crawl: ${albums.length - pending.length} of ${albums.length} albums already exported.`);
+        }
+
+        let done = albums.length - pending.length;
+        let failed = 0;
+        const progress = (album) => onProgress({ done, total: albums.length, failed, album });
+        progress(null);
+
+        await core.runTasks(pending, async (album) => {
+            const result = await site.extract(await fetchPage(page, album.url), extractOptions);
+            return (result.playlists || [result]).map(({ playlist, fileName }) => ({
+                name: `${core.sanitizeFilename(fileName)}.${definition.extension}`,
+                content: definition.serialize(transform(playlist))
+            }));
+        }, {
+            concurrency,
+            retries,
+            retryDelay,
+            minInterval,
+            keyOf: album => core.hostOf(album.url),
+            shouldRetry: error => !error.permanent,
+            onProgress: (count, total, { item, ok, value, error }) => {
+                done++;
+                if (ok) {
+                    queue.set(item.url, { status: 'done', files: value });
+                    log.log(`✅ [${done}/${albums.length}] ${item.title}`);
+                } else {
+                    failed++;
+                    queue.set(item.url, { status: 'failed', error: error.message });
+                    log.warn(`❌ ${item.title}: ${error.message}`);
+                }
+                progress(item);
+            }
+        });
+
+        // Files of every selected album, in listing order
+        const taken = new Set();
+        const files = [];
+        const report = { total: albums.length, exported: 0, failed: [] };
+        albums.forEach(album => {
+            const entry = queue.get(album.url) || {};
+            if (entry.status === 'done') {
+                report.exported++;
+                entry.files.forEach(file => files.push({ name: uniqueName(file.name, taken), content: file.content }));
+            } else {
+                report.failed.push({ title: album.title, url: album.url, error: entry.error || 'not exported' });
+            }
+        });
+
+        log.log(`📋 Exported ${report.exported} of ${report.total} albums${report.failed.length ? `, ${report.failed.length} failed` : ''}.`);
+        // A complete crawl starts from scratch next time; an incomplete one retries the failures
+        if (report.failed.length === 0) queue.clear();
+
+        return {
+            title: catalogue.title,
+            fileName: `${core.sanitizeFilename(catalogue.title)} [Catalogue].zip`,
+            zip: createZip(files),
+            files,
+            albums,
+            report
+        };
+    };
+
+    // --- Browser Entry Point ---
+
+    /**
+     * Progress in the shared panel (top right corner); returns { update, remove }
+     */
+    const showCrawlProgress = (document, title) => {
+        const panel = core.openPanel(document, `CATALOGUE: ${title}`);
+        return {
+            update: ({ done, total, failed, album }) => {
+                panel.status(null, `${done} / ${total}${failed ? ` (${failed} failed)` : ''}`, album ? album.title : 'Listing albums...');
+            },
+            remove: () => panel.element.remove()
+        };
+    };
+
+    /**
+     * Crawls the current listing page and downloads the ZIP
+     */
+    const runCatalogueInBrowser = (site, { page, format, extractOptions = {} }) => {
+        const overlay = showCrawlProgress(page.document, page.document.title);
+        return crawlCatalogue(site, page, {
+            format,
+            extractOptions,
+            filter: root.CATALOGUE_FILTER || {},
+            restart: !!root.CATALOGUE_RESTART,
+            onProgress: overlay.update
+        })
+            .then(({ zip, fileName, report }) => {
+                core.downloadFile(zip, fileName, 'application/zip');
+                console.log(`✅ ${report.exported} playlists written to ${fileName}`);
+                if (report.failed.length > 0) {
+                    console.table(report.failed);
+                    console.log('🔁 Run the script again on this page to retry only the failed albums.');
+                }
+            })
+            .catch(error => console.error(`❌ ${error.message}`))
+            .finally(() => setTimeout(overlay.remove, 5000));
+    };
+
+    return {
+        crc32,
+        createZip,
+        createCrawlQueue,
+        filterAlbums,
+        parseYearRange,
+        crawlCatalogue,
+        runCatalogueInBrowser
+    };
+});
@@ -0,0 +1,142 @@
+/**
+ * Extra Playlist Formats: M3U8, PLS, JSPF and CUE
+ * * Description:
+ * Serializers for the shared playlist model. They are registered in the
+ * PlaylistExport format registry so every exporter can write them through
+ * downloadPlaylist(playlist, baseName, format).
+ * * Usage:
+ * Paste this file in the DevTools console after scripts/lib/playlist.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./playlist'));
+    } else {
+        root.PlaylistExport = Object.assign(root.PlaylistExport || {}, factory(root.PlaylistExport));
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (core) {
+    'use strict';
+
+    if (!core || !core.registerFormat) {
+        throw new Error('PlaylistExport not loaded! Paste scripts/lib/playlist.js first.');
+    }
+
+    // Players take the first location; the others are XSPF alternatives
+    const primaryLocation = (item) => [].concat(item.location || [])[0] || '';
+
+    // Single-line values: M3U8/PLS/CUE have no escaping, so newlines must go
+    const oneLine = (value) => String(value === undefined || value === null ? '' : value).replace(/[\r\n]+/g, ' ').trim();
+
+    const displayName = (track) => [track.creator, track.title].filter(Boolean).map(oneLine).join(' - ');
+
+    const durationSeconds = (track) => track.duration ? Math.round(track.duration / 1000) : -1;
+
+    // --- M3U8 (extended M3U, UTF-8) ---
+    const toM3u8 = (playlist) => {
+        const lines = ['#EXTM3U'];
+        if (playlist.title) lines.push(`#PLAYLIST:${oneLine(playlist.title)}`);
+        if (playlist.creator) lines.push(`#EXTART:${oneLine(playlist.creator)}`);
+        if (playlist.image) lines.push(`#EXTIMG:${oneLine(playlist.image)}`);
+
+        playlist.tracks.forEach(track => {
+            lines.push('');
+            lines.push(`#EXTINF:${durationSeconds(track)},${displayName(track)}`);
+            if (track.album) lines.push(`#EXTALB:${oneLine(track.album)}`);
+            if (track.image) lines.push(`#EXTIMG:${oneLine(track.image)}`);
+            lines.push(primaryLocation(track));
+        });
+        return lines.join('\n') + '\n';
+    };
+
+    // --- PLS (version 2) ---
+    const toPls = (playlist) => {
+        const lines = ['[playlist]'];
+        if (playlist.title) lines.push(`X-Title=${oneLine(playlist.title)}`);
+
+        playlist.tracks.forEach((track, index) => {
+            const n = index + 1;
+            lines.push(`File${n}=${primaryLocation(track)}`);
+            if (track.title || track.creator) lines.push(`Title${n}=${displayName(track)}`);
+            lines.push(`Length${n}=${durationSeconds(track)}`);
+        });
+
+        lines.push(`NumberOfEntries=${playlist.tracks.length}`);
+        lines.push('Version=2');
+        return lines.join('\n') + '\n';
+    };
+
+    // --- JSPF (XSPF as JSON) ---
+
+    const jspfMeta = (meta) => Object.keys(meta || {}).map(rel => ({ [rel]: String(meta[rel]) }));
+
+    const jspfExtension = (extension) => {
+        const result = {};
+        Object.keys(extension || {}).forEach(application => {
+            result[application] = [extension[application]];
+        });
+        return result;
+    };
+
+    /**
+     * Copies the listed fields, dropping empty meta/extension/location
+     * so the output stays as small as the XSPF equivalent.
+     */
+    const jspfObject = (item, fields) => {
+        const result = {};
+        fields.forEach(key => {
+            if (item[key] !== undefined) result[key] = item[key];
+        });
+        const locations = [].concat(item.location || []);
+        if (locations.length) result.location = locations;
+        if (item.identifier) result.identifier = [item.identifier];
+        if (Object.keys(item.meta || {}).length) result.meta = jspfMeta(item.meta);
+        if (Object.keys(item.extension || {}).length) result.extension = jspfExtension(item.extension);
+        return result;
+    };
+
+    const toJspf = (playlist) => {
+        const jspf = jspfObject(playlist, ['title', 'creator', 'annotation', 'info', 'image', 'date']);
+        // JSPF uses a single location string at playlist level
+        if (jspf.location) jspf.location = jspf.location[0];
+        jspf.track = playlist.tracks.map(track =>
+            jspfObject(track, ['title', 'creator', 'annotation', 'info', 'image', 'album', 'trackNum', 'duration']));
+        return JSON.stringify({ playlist: jspf }, null, 2) + '\n';
+    };
+
+    // --- CUE sheet (one FILE per track) ---
+
+    const cueString = (value) => `"${oneLine(value).replace(/"/g, "'")}"`;
+
+    const cueFileType = (location) => /\.mp3(\?|$)/i.test(location) ? 'MP3' : 'WAVE';
+
+    const toCue = (playlist) => {
+        const lines = [];
+        if (playlist.date) lines.push(`REM DATE ${oneLine(playlist.date)}`);
+        if (playlist.image) lines.push(`REM COVER ${cueString(playlist.image)}`);
+        if (playlist.creator) lines.push(`PERFORMER ${cueString(playlist.creator)}`);
+        if (playlist.title) lines.push(`TITLE ${cueString(playlist.title)}`);
+
+        playlist.tracks.forEach((track, index) => {
+            const location = primaryLocation(track);
+            // CUE track numbers are 2-digit and must be sequential
+            const number = String(index + 1).padStart(2, '0');
+            lines.push(`FILE ${cueString(location)} ${cueFileType(location)}`);
+            lines.push(`  TRACK ${number} AUDIO`);
+            if (track.title) lines.push(`    TITLE ${cueString(track.title)}`);
+            if (track.creator) lines.push(`    PERFORMER ${cueString(track.creator)}`);
+            lines.push('    INDEX 01 00:00:00');
+        });
+        return lines.join('\n') + '\n';
+    };
+
+    core.registerFormat('m3u8', { extension: 'm3u8', mimeType: 'audio/x-mpegurl', serialize: toM3u8 });
+    core.registerFormat('pls', { extension: 'pls', mimeType: 'audio/x-scpls', serialize: toPls });
+    core.registerFormat('jspf', { extension: 'jspf', mimeType: 'application/json', serialize: toJspf });
+    core.registerFormat('cue', { extension: 'cue', mimeType: 'application/x-cue', serialize: toCue });
+
+    return {
+        toM3u8,
+        toPls,
+        toJspf,
+        toCue
+    };
+});
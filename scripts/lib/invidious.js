@@ -0,0 +1,214 @@
+/**
+ * Invidious Instance Pool
+ * * Description:
+ * Ordered list of Invidious instances with automatic failover. A request
+ * that fails with an HTTP error, a timeout, a CORS/network error or a
+ * non-JSON answer moves on to the next instance. Failing instances are
+ * remembered (localStorage in the browser, a state file in the CLI) and
+ * tried last on later runs until FAILURE_TTL_MS has passed.
+ * * Usage:
+ * Paste after scripts/lib/playlist.js, before the YouTube scripts. Set
+ * `window.INVIDIOUS_INSTANCES = ['https://...', ...]` to use your own list.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root);
+    } else {
+        root.PlaylistExport = Object.assign(root.PlaylistExport || {}, factory(root));
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (root) {
+    'use strict';
+
+    // You can find a list of instances here: https://docs.invidious.io/instances/
+    const DEFAULT_INSTANCES = [
+        'https://inv.nadeko.net',
+        'https://yewtu.be',
+        'https://invidious.nerdvpn.de'
+    ];
+
+    const STORAGE_KEY = 'playlistExport.invidiousFailures';
+    const FAILURE_TTL_MS = 6 * 60 * 60 * 1000; // skip a failed instance for 6 hours
+    const DEFAULT_TIMEOUT_MS = 10000;
+
+    /**
+     * localStorage-compatible in-memory store (used when none is available)
+     */
+    const memoryStorage = () => {
+        const items = {};
+        return {
+            getItem: (key) => (key in items ? items[key] : null),
+            setItem: (key, value) => { items[key] = String(value); },
+            removeItem: (key) => { delete items[key]; }
+        };
+    };
+
+    const defaultStorage = () => {
+        try {
+            if (root.localStorage) return root.localStorage;
+        } catch (err) {
+            // Access to localStorage can throw (ie. sandboxed frames)
+        }
+        return memoryStorage();
+    };
+
+    const normalizeInstance = (instance) => String(instance).trim().replace(/\/+$/, '');
+
+    /**
+     * Creates a pool. Options:
+     * - instances: ordered instance URLs (default: window.INVIDIOUS_INSTANCES or DEFAULT_INSTANCES)
+     * - preferred: instances tried before the list (ie. the Invidious page you are on)
+     * - storage: { getItem, setItem } used to remember failures
+     * - fetch, log, timeout (ms), now (clock, for tests)
+     */
+    const createInvidiousPool = ({
+        instances = root.INVIDIOUS_INSTANCES || DEFAULT_INSTANCES,
+        preferred = [],
+        storage = defaultStorage(),
+        fetch = (...args) => root.fetch(...args),
+        log = console,
+        timeout = DEFAULT_TIMEOUT_MS,
+        now = () => Date.now()
+    } = {}) => {
+        const configured = Array.from(new Set(preferred.concat(instances).map(normalizeInstance))).filter(Boolean);
+
+        const readFailures = () => {
+            try {
+                return JSON.parse(storage.getItem(STORAGE_KEY) || '{}') || {};
+            } catch (err) {
+                return {};
+            }
+        };
+
+        const writeFailures = (failures) => {
+            try {
+                storage.setItem(STORAGE_KEY, JSON.stringify(failures));
+            } catch (err) {
+                log.warn('⚠️ Could not save the Invidious instance state:', err.message);
+            }
+        };
+
+        const markFailed = (instance, reason) => {
+            const failures = readFailures();
+            failures[instance] = { at: now(), reason };
+            writeFailures(failures);
+        };
+
+        const markHealthy = (instance) => {
+            const failures = readFailures();
+            if (failures[instance]) {
+                delete failures[instance];
+                writeFailures(failures);
+            }
+        };
+
+        /**
+         * Configured order, with recently failed instances moved to the end
+         * (oldest failure first, so they get retried eventually)
+         */
+        const orderedInstances = () => {
+            const failures = readFailures();
+            const isRecentFailure = (instance) => failures[instance] && now() - failures[instance].at < FAILURE_TTL_MS;
+            const healthy = configured.filter(instance => !isRecentFailure(instance));
+            const failed = configured.filter(isRecentFailure).sort((a, b) => failures[a].at - failures[b].at);
+            return healthy.concat(failed);
+        };
+
+        // Races the timer too: fetch replacements (ie. the extension's background
+        // fetch) may ignore the abort signal
+        const fetchWithTimeout = async (url) => {
+            const controller = new AbortController();
+            let timer;
+            const timedOut = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    reject(new Error(`timeout after ${timeout} ms`));
+                    controller.abort();
+                }, timeout);
+            });
+            try {
+                return await Promise.race([fetch(url, { signal: controller.signal }), timedOut]);
+            } catch (err) {
+                // A CORS rejection surfaces as a TypeError without details
+                throw new Error(err.message || 'network/CORS error');
+            } finally {
+                clearTimeout(timer);
+            }
+        };
+
+        /**
+         * GETs an API path (ie. "/api/v1/playlists/ID") from the first instance
+         * that answers with JSON. Resolves to { data, instance }.
+         * A 404 is returned by a working instance, so it does not mark it failed.
+         */
+        const request = async (path) => {
+            const attempts = [];
+
+            for (const instance of orderedInstances()) {
+                let reason;
+                try {
+                    const response = await fetchWithTimeout(`${instance}${path}`);
+                    if (response.ok) {
+                        const data = await response.json().catch(() => null);
+                        if (data !== null) {
+                            markHealthy(instance);
+                            log.log(`🌐 Served by Invidious instance: ${instance}`);
+                            return { data, instance };
+                        }
+                        reason = 'invalid JSON response';
+                    } else {
+                        reason = `HTTP ${response.status}`;
+                        if (response.status === 404) {
+                            attempts.push(`${instance} (${reason})`);
+                            log.warn(`⚠️ ${instance} answered ${reason}, trying the next instance...`);
+                            continue;
+                        }
+                    }
+                } catch (err) {
+                    reason = err.message;
+                }
+                markFailed(instance, reason);
+                attempts.push(`${instance} (${reason})`);
+                log.warn(`⚠️ ${instance} failed: ${reason}, trying the next instance...`);
+            }
+
+            throw new Error(`All Invidious instances failed for ${path}: ${attempts.join(', ') || 'no instances configured'}`);
+        };
+
+        /**
+         * Health check: queries /api/v1/stats on every instance and records
+         * the result. Resolves to [{ instance, ok, status, ms }].
+         */
+        const checkHealth = async () => {
+            const results = [];
+            for (const instance of configured) {
+                const started = now();
+                try {
+                    const response = await fetchWithTimeout(`${instance}/api/v1/stats`);
+                    const ok = response.ok && (await response.json().catch(() => null)) !== null;
+                    const status = ok ? 'ok' : `HTTP ${response.status}`;
+                    if (ok) markHealthy(instance); else markFailed(instance, status);
+                    results.push({ instance, ok, status, ms: now() - started });
+                } catch (err) {
+                    markFailed(instance, err.message);
+                    results.push({ instance, ok: false, status: err.message, ms: now() - started });
+                }
+            }
+            return results;
+        };
+
+        return {
+            instances: configured,
+            orderedInstances,
+            request,
+            checkHealth,
+            markFailed,
+            markHealthy
+        };
+    };
+
+    return {
+        DEFAULT_INSTANCES,
+        FAILURE_TTL_MS,
+        memoryStorage,
+        createInvidiousPool
+    };
+});
@@ -0,0 +1,218 @@
+/**
+ * YouTube Matching
+ * * Description:
+ * The reverse of the YouTube script: finds a YouTube video for every track of
+ * an existing playlist (ie. one whose Musify or Squidify links died). Each
+ * track is searched on Invidious as "creator title"; the candidates are
+ * scored on the title, the creator, how close the duration is and whether the
+ * video comes from an auto-generated "- Topic" channel (the official audio).
+ * The best candidate above `minConfidence` replaces the track's links and its
+ * confidence is stored in the track's <extension>.
+ * * Usage:
+ * Node: used by cli/import.js. Browser: paste after scripts/lib/playlist.js,
+ * invidious.js, titles.js, tasks.js and merge.js, then call
+ * `PlaylistExport.importPlaylist(playlist, { pool: PlaylistExport.createInvidiousPool() })`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./playlist'), require('./titles'), require('./tasks'), require('./merge')));
+    } else {
+        root.PlaylistExport = Object.assign(root.PlaylistExport || {}, factory(root.PlaylistExport));
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (core) {
+    'use strict';
+
+    if (!core || !core.createPlaylist || !core.createTitleParser || !core.runTasks || !core.titleKey) {
+        throw new Error('PlaylistExport not loaded! Paste scripts/lib/playlist.js, titles.js, tasks.js and merge.js first.');
+    }
+
+    const DEFAULT_MIN_CONFIDENCE = 0.5;
+    const WEIGHTS = { title: 0.45, creator: 0.2, duration: 0.25, topic: 0.1 };
+    const DURATION_SLACK_SECONDS = 3; // "m:ss" text and video intros/outros
+    const DURATION_RANGE_SECONDS = 30; // no duration credit past slack + range
+
+    // Versions of a song that are not the song itself, unless the track says so
+    const VARIANT_WORDS = ['live', 'cover', 'remix', 'karaoke', 'instrumental', 'acoustic', 'reaction', 'nightcore', 'slowed', 'sped', 'reverb', '8d', 'tutorial', 'lesson'];
+    const VARIANT_PENALTY = 0.75;
+
+    const stripTopic = (name) => String(name || '').replace(/\s+-\s+Topic$/, '').trim();
+
+    const words = (text) => core.titleKey(text).split(' ').filter(Boolean);
+
+    /**
+     * Word overlap of two texts, 0 to 1 (Dice coefficient)
+     */
+    const similarity = (a, b) => {
+        const left = words(a);
+        const right = words(b);
+        if (left.length === 0 || right.length === 0) return 0;
+        if (left.join(' ') === right.join(' ')) return 1;
+        const pool = right.slice();
+        const shared = left.filter(word => {
+            const index = pool.indexOf(word);
+            if (index < 0) return false;
+            pool.splice(index, 1);
+            return true;
+        }).length;
+        return 2 * shared / (left.length + right.length);
+    };
+
+    /**
+     * A search result as a candidate: Topic channels already have clean song
+     * titles, other videos have "Artist - Title (Official Video)" parsed
+     */
+    const candidateOf = (video, parser = core.createTitleParser()) => {
+        const author = video.author || '';
+        const topic = / - Topic$/.test(author);
+        const parsed = topic ? { creator: stripTopic(author), title: video.title || '' } : parser.parse(video.title, { channel: author });
+        return {
+            videoId: video.videoId,
+            rawTitle: video.title || '',
+            author,
+            creator: parsed.creator || stripTopic(author),
+            title: parsed.title || video.title || '',
+            duration: video.lengthSeconds ? video.lengthSeconds * 1000 : 0,
+            topic
+        };
+    };
+
+    /**
+     * Confidence (0 to 1) that a candidate is the track, with the parts it is
+     * made of: { confidence, title, creator, duration, topic, variant }.
+     * Unknown creators and durations count half.
+     */
+    const scoreCandidate = (track, candidate) => {
+        const title = Math.max(similarity(track.title, candidate.title), similarity(track.title, candidate.rawTitle) * 0.9);
+        const creator = track.creator
+            ? Math.max(similarity(track.creator, candidate.creator), similarity(track.creator, stripTopic(candidate.author)))
+            : 0.5;
+        let duration = 0.5;
+        if (track.duration && candidate.duration) {
+            const off = Math.abs(track.duration - candidate.duration) / 1000 - DURATION_SLACK_SECONDS;
+            duration = Math.max(0, 1 - Math.max(0, off) / DURATION_RANGE_SECONDS);
+        }
+        const topic = candidate.topic ? 1 : 0;
+        const trackWords = words(`${track.title} ${track.album || ''}`);
+        const variant = words(candidate.rawTitle).find(word => VARIANT_WORDS.includes(word) && !trackWords.includes(word)) || null;
+
+        const total = WEIGHTS.title * title + WEIGHTS.creator * creator + WEIGHTS.duration * duration + WEIGHTS.topic * topic;
+        const confidence = Math.round(total * (variant ? VARIANT_PENALTY : 1) * 100) / 100;
+        return { confidence, title, creator, duration, topic, variant };
+    };
+
+    /**
+     * Search results of a track as candidates, best first (videos only).
+     * `parserOf(video)` picks the title parser of a video, `parser` by default.
+     */
+    const rankCandidates = (track, results, { parser = core.createTitleParser(), parserOf = () => parser } = {}) => (Array.isArray(results) ? results : [])
+        .filter(item => item && item.type === 'video' && item.videoId)
+        .map(video => {
+            const candidate = candidateOf(video, parserOf(video));
+            return Object.assign(candidate, { score: scoreCandidate(track, candidate) });
+        })
+        .sort((a, b) => b.score.confidence - a.score.confidence);
+
+    // "01. Title" is searched as "Title"; the creator goes first
+    const searchQuery = (track) => [track.creator, String(track.title || '').replace(/^\s*\d{1,3}\s*(?:[.)]|\s-)\s+/, '')]
+        .filter(Boolean).join(' ').trim();
+
+    /**
+     * Searches Invidious for a track; resolves to the ranked candidates
+     */
+    const searchTrack = async (pool, track, { parserOf } = {}) => {
+        const query = searchQuery(track);
+        const { data } = await pool.request(`/api/v1/search?q=${encodeURIComponent(query)}&type=video&page=1`);
+        return rankCandidates(track, data, { parserOf });
+    };
+
+    /**
+     * YouTube-backed copy of a playlist. Every track keeps its title, creator,
+     * album, number and metadata; its links become the best video, and the
+     * confidence, the video title and channel and the old first link are
+     * added to its extension. Tracks without a candidate of at least
+     * `minConfidence` are left out and reported. Options: pool (an Invidious
+     * pool), minConfidence, titleRules (as the YouTube export takes them:
+     * { "*": [...], "<channel ID>": [...] }), concurrency, minInterval, log.
+     * Resolves to { playlist, report: { total, matched, unmatched, lowest } }.
+     */
+    const importPlaylist = async (playlist, {
+        pool,
+        minConfidence = DEFAULT_MIN_CONFIDENCE,
+        titleRules = null,
+        concurrency = 2,
+        minInterval = 250,
+        log = console
+    } = {}) => {
+        if (!pool) throw new Error('An Invidious pool is needed to search YouTube.');
+        // Channel rules apply to the videos of that channel, one parser each;
+        // every rule is compiled up front, so a broken one fails before any search
+        core.rulesFor(titleRules, Object.keys(Object(titleRules))).forEach(core.compileRule);
+        const parsers = {};
+        const parserOf = (video) => {
+            const channel = video.authorId || '';
+            if (!parsers[channel]) parsers[channel] = core.createTitleParser({ rules: core.rulesFor(titleRules, [channel]) });
+            return parsers[channel];
+        };
+        const items = playlist.tracks.map((track, index) => ({ track, index })).filter(item => item.track.title);
+        log.log(`🔎 Searching YouTube for ${items.length} tracks...`);
+
+        const results = await core.runTasks(items, item => searchTrack(pool, item.track, { parserOf }), {
+            concurrency,
+            retries: 1,
+            minInterval,
+            onProgress: (done, total, result) => {
+                const best = result.ok ? result.value[0] : null;
+                log.log(`${best && best.score.confidence >= minConfidence ? '✅' : '❌'} ${done}/${total} ${result.item.track.title}${best ? ` (${best.score.confidence})` : ''}`);
+            }
+        });
+
+        const report = { total: playlist.tracks.length, matched: 0, unmatched: [], lowest: null };
+        const matched = [];
+        results.forEach(({ item: { track, index }, ok, value, error }) => {
+            const position = index + 1;
+            const best = ok ? value[0] : null;
+            if (!best || best.score.confidence < minConfidence) {
+                const reason = !ok ? error.message : best ? `best match "${best.rawTitle}" (${best.score.confidence})` : 'no video found';
+                report.unmatched.push({ position, title: track.title, reason });
+                return;
+            }
+            report.matched++;
+            if (!report.lowest || best.score.confidence < report.lowest.confidence) {
+                report.lowest = { position, title: track.title, confidence: best.score.confidence };
+            }
+            const match = {
+                confidence: best.score.confidence.toFixed(2),
+                videoTitle: best.rawTitle,
+                channel: best.author,
+                replaced: [].concat(track.location || [])[0]
+            };
+            matched.push(Object.assign({}, track, {
+                location: `https://www.youtube.com/watch?v=${best.videoId}`,
+                image: track.image || `https://i.ytimg.com/vi/${best.videoId}/hqdefault.jpg`,
+                duration: track.duration || best.duration,
+                extension: Object.assign({}, track.extension, {
+                    [core.NS]: Object.assign({}, (track.extension || {})[core.NS], match)
+                })
+            }));
+        });
+        playlist.tracks.forEach((track, index) => {
+            if (!track.title) report.unmatched.push({ position: index + 1, title: '', reason: 'no title to search for' });
+        });
+        report.unmatched.sort((a, b) => a.position - b.position);
+
+        log.log(`📋 ${report.matched} of ${report.total} tracks matched, ${report.unmatched.length} left out.`);
+        return {
+            playlist: core.createPlaylist(Object.assign({}, playlist, { tracks: matched })),
+            report
+        };
+    };
+
+    return {
+        candidateOf,
+        scoreCandidate,
+        rankCandidates,
+        searchQuery,
+        searchTrack,
+        importPlaylist
+    };
+});
@@ -0,0 +1,159 @@
+/**
+ * Playlist Merging
+ * * Description:
+ * Combines several playlists (exported files or fresh extraction results) into
+ * one. The same song found in more than one source (same normalised creator
+ * and title, durations within a few seconds) becomes a single track: the best
+ * source plays first and the other links follow as fallback <location>s,
+ * which XSPF players try in order.
+ * * Usage:
+ * Node: used by cli/merge.js. Browser: paste after scripts/lib/playlist.js and
+ * call `PlaylistExport.mergePlaylists([{ playlist }, { playlist }])`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./playlist'));
+    } else {
+        root.PlaylistExport = Object.assign(root.PlaylistExport || {}, factory(root.PlaylistExport));
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (core) {
+    'use strict';
+
+    if (!core || !core.createPlaylist) {
+        throw new Error('PlaylistExport not loaded! Paste scripts/lib/playlist.js first.');
+    }
+
+    const DEFAULT_TOLERANCE_SECONDS = 3;
+
+    // Best first: lossless files (KHInsider FLAC, Squidify streams), other
+    // audio files (MP3 and the like, Musify), then videos
+    const QUALITY_RULES = [
+        { quality: 'lossless', test: (url) => /\.(flac|alac|wav|aiff?|ape|wv)(\?|#|$)/i.test(url) || /squidify\.org\/api\/stream\//i.test(url) },
+        { quality: 'lossy', test: (url) => /\.(mp3|m4a|aac|ogg|oga|opus|wma)(\?|#|$)/i.test(url) || /^https?:\/\/([^/]*\.)?musify\.club\//i.test(url) },
+        { quality: 'video', test: (url) => /^https?:\/\/([^/]*\.)?(youtube\.com|youtu\.be)\//i.test(url) }
+    ];
+
+    /**
+     * Lower case letters and digits only, accents dropped: "Pokémon – Title!" -> "pokemon title"
+     */
+    const normalizeText = (value) => String(value || '').toLowerCase().normalize('NFKD')
+        .replace(/\p{M}+/gu, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+
+    // "01. Title" and "01 - Title" compare as "Title"
+    const titleKey = (title) => normalizeText(String(title || '').replace(/^\s*\d{1,3}\s*(?:[.)]|\s-)\s+/, ''));
+
+    /**
+     * Rank of a track's best location: 0 is the best, unknown links come last
+     */
+    const qualityRank = (track) => {
+        const ranks = [].concat(track.location || []).map(url => {
+            const index = QUALITY_RULES.findIndex(rule => rule.test(url));
+            return index < 0 ? QUALITY_RULES.length : index;
+        });
+        return ranks.length ? Math.min(...ranks) : QUALITY_RULES.length + 1;
+    };
+
+    const qualityOf = (track) => (QUALITY_RULES[qualityRank(track)] || { quality: 'unknown' }).quality;
+
+    /**
+     * Same song: same title, same creator when both have one, and durations
+     * within `tolerance` ms when both are known
+     */
+    const isDuplicate = (a, b, tolerance = DEFAULT_TOLERANCE_SECONDS * 1000) => {
+        const title = titleKey(a.title);
+        if (!title || title !== titleKey(b.title)) return false;
+        if (a.creator && b.creator && normalizeText(a.creator) !== normalizeText(b.creator)) return false;
+        if (a.duration && b.duration && Math.abs(a.duration - b.duration) > tolerance) return false;
+        return true;
+    };
+
+    const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+    /**
+     * One track out of duplicates: fields of the best source, gaps filled
+     * from the others, every location kept (best first, no repeats)
+     */
+    const combineTracks = (tracks) => {
+        const ranked = tracks.slice().sort((a, b) => qualityRank(a) - qualityRank(b));
+        const fields = {};
+        ['identifier', 'title', 'creator', 'annotation', 'info', 'image', 'album', 'trackNum', 'duration'].forEach(key => {
+            const source = ranked.find(track => !isBlank(track[key]));
+            if (source) fields[key] = source[key];
+        });
+        fields.location = Array.from(new Set(ranked.reduce((all, track) => all.concat(track.location || []), [])));
+        fields.meta = Object.assign({}, ...ranked.slice().reverse().map(track => track.meta));
+        fields.extension = {};
+        ranked.slice().reverse().forEach(track => {
+            Object.keys(track.extension || {}).forEach(application => {
+                fields.extension[application] = Object.assign({}, fields.extension[application], track.extension[application]);
+            });
+        });
+        return core.createTrack(fields);
+    };
+
+    /**
+     * Merges inputs [{ playlist, source }] (source: a label such as the site or
+     * file name). Tracks keep the position of their first appearance; a track
+     * only absorbs one duplicate per input, so repeats inside one playlist stay.
+     * Options: title, tolerance (seconds). Returns
+     * { playlist, report: { inputs, total, tracks, duplicates: [...] } }.
+     */
+    const mergePlaylists = (inputs, { title = null, tolerance = DEFAULT_TOLERANCE_SECONDS } = {}) => {
+        const toleranceMs = tolerance * 1000;
+        const groups = [];
+        let total = 0;
+
+        inputs.forEach(({ playlist }, inputIndex) => {
+            playlist.tracks.forEach(track => {
+                total++;
+                const group = groups.find(candidate => !candidate.inputs.has(inputIndex) &&
+                    candidate.tracks.some(other => isDuplicate(track, other, toleranceMs)));
+                if (group) {
+                    group.tracks.push(track);
+                    group.inputs.add(inputIndex);
+                } else {
+                    groups.push({ tracks: [track], inputs: new Set([inputIndex]) });
+                }
+            });
+        });
+
+        const labels = inputs.map(({ playlist, source }, index) => source || playlist.title || `playlist ${index + 1}`);
+        const creators = Array.from(new Set(inputs.map(({ playlist }) => playlist.creator).filter(Boolean)));
+        const tracks = groups.map(group => group.tracks.length > 1 ? combineTracks(group.tracks) : core.createTrack(group.tracks[0]));
+
+        const duplicates = [];
+        groups.forEach((group, index) => {
+            if (group.tracks.length < 2) return;
+            const merged = tracks[index];
+            duplicates.push({
+                title: merged.title,
+                creator: merged.creator || '',
+                quality: qualityOf(merged),
+                sources: Array.from(group.inputs).map(inputIndex => labels[inputIndex]).join(', '),
+                fallbacks: [].concat(merged.location || []).length - 1
+            });
+        });
+
+        const playlist = core.createPlaylist({
+            title: title || inputs.map(({ playlist }) => playlist.title).filter(Boolean).join(' + '),
+            creator: creators.length === 1 ? creators[0] : null,
+            annotation: `Merged from: ${labels.join(', ')}`,
+            image: (inputs.find(({ playlist }) => playlist.image) || { playlist: {} }).playlist.image,
+            tracks
+        });
+        return { playlist, report: { inputs: inputs.length, total, tracks: tracks.length, duplicates } };
+    };
+
+    return {
+        QUALITY_RULES,
+        normalizeText,
+        titleKey,
+        qualityRank,
+        qualityOf,
+        isDuplicate,
+        combineTracks,
+        mergePlaylists
+    };
+});
@@ -0,0 +1,127 @@
+/**
+ * Offline Downloads: file plan and local playlists
+ * * Description:
+ * Turns an exported playlist into a download plan: one file per track named
+ * from its position, creator and title ("01 - Artist - Title.mp3"), the
+ * album cover as cover.jpg, and companion playlists that point at the files
+ * with relative paths. The downloads themselves run in cli/download.js or,
+ * in the browser extension, in the background worker (chrome.downloads).
+ * Streaming-only links (YouTube) are left out.
+ * * Usage:
+ * Loaded by the extension's content scripts and by cli/download.js.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./playlist'));
+    } else {
+        root.PlaylistExport = Object.assign(root.PlaylistExport || {}, factory(root.PlaylistExport));
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (core) {
+    'use strict';
+
+    if (!core || !core.createPlaylist) {
+        throw new Error('PlaylistExport not loaded! Paste scripts/lib/playlist.js first.');
+    }
+
+    const COVER_FILE = 'cover.jpg';
+    const DEFAULT_EXTENSION = 'mp3'; // until the download tells the type of a link without one
+    const MAX_NAME_LENGTH = 150;
+
+    // Links that only stream through a player page
+    const STREAM_ONLY = /^https?:\/\/([^/]*\.)?(youtube\.com|youtu\.be)\//i;
+
+    const isDownloadable = (url) => /^https?:\/\//i.test(url) && !STREAM_ONLY.test(url);
+
+    /**
+     * Audio file extension of a link ("01.%20Prelude.flac?token=1" -> "flac"),
+     * null when its path has none (Squidify streams)
+     */
+    const fileExtension = (url) => {
+        let pathname = '';
+        try {
+            pathname = new URL(url).pathname;
+        } catch (err) {
+            return null;
+        }
+        const match = pathname.match(/\.([a-z0-9]{2,4})$/i);
+        return match ? match[1].toLowerCase() : null;
+    };
+
+    /**
+     * "01 - Creator - Title.mp3": the KHInsider disc position ("1-01"), else
+     * trackNum, else the playlist position; names are cut to a safe length
+     */
+    const trackFileName = (track, index, { total = 0, extension = DEFAULT_EXTENSION } = {}) => {
+        const position = ((track.extension || {})[core.NS] || {}).position ||
+            String(track.trackNum || index + 1).padStart(Math.max(2, String(total).length), '0');
+        const name = core.sanitizeFilename([position, track.creator, track.title || `Track ${index + 1}`].filter(Boolean).join(' - '));
+        return `${name.slice(0, MAX_NAME_LENGTH).trim()}.${extension}`;
+    };
+
+    /**
+     * Download plan of a playlist:
+     * { folder, files: [{ index, urls, path, sniff }], skipped: [{ position, title, reason }], cover }
+     * `urls` are the track's downloadable locations, best first; `cover` is
+     * { url, path } or null. Paths are relative to `folder` and unique.
+     * `sniff` files have a link without an extension: their path ends in .mp3
+     * until the download finds out the real type.
+     */
+    const planOffline = (playlist, { folder = null } = {}) => {
+        const used = new Set();
+        const files = [];
+        const skipped = [];
+
+        playlist.tracks.forEach((track, index) => {
+            const urls = [].concat(track.location || []).filter(isDownloadable);
+            if (urls.length === 0) {
+                skipped.push({ position: index + 1, title: track.title || '', reason: 'no downloadable link (streaming only)' });
+                return;
+            }
+            const extension = fileExtension(urls[0]);
+            let path = trackFileName(track, index, { total: playlist.tracks.length, extension: extension || DEFAULT_EXTENSION });
+            // Same position and title twice: keep both files
+            for (let n = 2; used.has(path.toLowerCase()); n++) path = path.replace(/( \(\d+\))?(\.[^.]+)$/, ` (${n})$2`);
+            used.add(path.toLowerCase());
+            files.push({ index, urls, path, sniff: !extension });
+        });
+
+        return {
+            folder: folder || core.sanitizeFilename([playlist.creator, playlist.title || 'Playlist'].filter(Boolean).join(' - ')),
+            files,
+            skipped,
+            cover: playlist.image && isDownloadable(playlist.image) ? { url: playlist.image, path: COVER_FILE } : null
+        };
+    };
+
+    // Relative URI of a path (XSPF/JSPF locations are URIs)
+    const relativeUri = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+    /**
+     * Companion playlist for the files in `paths` (the ones that were saved):
+     * relative URIs for XSPF/JSPF, plain relative paths for the other formats
+     */
+    const localPlaylist = (playlist, plan, { format = 'xspf', paths = plan.files.map(file => file.path), cover = !!plan.cover } = {}) => {
+        const saved = new Set(paths);
+        const asLocation = format === 'xspf' || format === 'jspf' ? relativeUri : (path) => path;
+        const remoteCover = plan.cover ? plan.cover.url : null;
+        return core.createPlaylist(Object.assign({}, playlist, {
+            image: cover ? asLocation(COVER_FILE) : playlist.image,
+            tracks: plan.files.filter(file => saved.has(file.path)).map(file => {
+                const track = playlist.tracks[file.index];
+                return Object.assign({}, track, {
+                    location: asLocation(file.path),
+                    image: cover && track.image === remoteCover ? asLocation(COVER_FILE) : track.image
+                });
+            })
+        }));
+    };
+
+    return {
+        COVER_FILE,
+        isDownloadable,
+        fileExtension,
+        trackFileName,
+        planOffline,
+        localPlaylist
+    };
+});
@@ -0,0 +1,187 @@
+/**
+ * Track Picker
+ * * Description:
+ * Shows the extracted tracks in the shared in-page panel before the download:
+ * untick tracks, fix titles/creators, drag rows to reorder them and skip
+ * intros, bonus tracks or tracks under N seconds. The playlist is written
+ * from the edited list; Cancel exports nothing.
+ * * Usage:
+ * Paste after scripts/lib/playlist.js, before the site script. Optional:
+ * `window.PLAYLIST_PICKER_MIN_SECONDS = 60`, `window.PLAYLIST_PICKER_SKIP_EXTRAS = true`
+ * to untick those tracks up front, `window.PLAYLIST_EXPORT_PICKER = false` to
+ * export straight away.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root, require('./playlist'));
+    } else {
+        root.PlaylistExport = Object.assign(root.PlaylistExport || {}, factory(root, root.PlaylistExport));
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (root, core) {
+    'use strict';
+
+    if (!core || !core.openPanel) {
+        throw new Error('PlaylistExport not loaded! Paste scripts/lib/playlist.js first.');
+    }
+
+    // Titles of tracks that are usually not wanted in a playlist
+    const SKIP_PATTERNS = [
+        { reason: 'intro', pattern: /\b(intro|introduction)\b/i },
+        { reason: 'bonus track', pattern: /\bbonus\b/i }
+    ];
+
+    /**
+     * Why a track is filtered out (null to keep it). Tracks without a known
+     * duration are never skipped for being short.
+     */
+    const skipReason = (track, { minSeconds = 0, skipExtras = false } = {}) => {
+        if (minSeconds > 0 && track.duration > 0 && track.duration < minSeconds * 1000) {
+            return `shorter than ${minSeconds} s`;
+        }
+        if (skipExtras) {
+            const extra = SKIP_PATTERNS.find(({ pattern }) => pattern.test(track.title || ''));
+            if (extra) return extra.reason;
+        }
+        return null;
+    };
+
+    /**
+     * Builds the playlist to export from the picker rows, in row order:
+     * [{ index, checked, title, creator }] where `index` is the position of
+     * the track in the extracted playlist.
+     */
+    const applyPicks = (playlist, rows) => core.createPlaylist(Object.assign({}, playlist, {
+        tracks: rows
+            .filter(row => row.checked)
+            .map(row => Object.assign({}, playlist.tracks[row.index], { title: row.title, creator: row.creator }))
+    }));
+
+    const formatSeconds = (ms) => {
+        const seconds = Math.round(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+
+    const create = (document, tag, properties = {}, style = {}) => {
+        const node = Object.assign(document.createElement(tag), properties);
+        Object.assign(node.style, style);
+        return node;
+    };
+
+    const INPUT_STYLE = { background: '#222', color: '#eee', border: '1px solid #444', fontFamily: 'monospace', fontSize: '11px', padding: '2px' };
+    const BUTTON_STYLE = { background: '#00E676', color: '#111', border: 'none', borderRadius: '4px', padding: '4px 10px', marginRight: '6px', cursor: 'pointer', fontFamily: 'monospace' };
+
+    /**
+     * Shows the picker in the shared panel. Resolves to the edited playlist,
+     * or null when the user cancels. Titles are only ever set as text/values.
+     */
+    const pickTracks = (playlist, { document = root.document, fileName, minSeconds = 0, skipExtras = false } = {}) => {
+        if (!document || playlist.tracks.length === 0) return Promise.resolve(playlist);
+
+        const panel = core.openPanel(document, `REVIEW: ${fileName || playlist.title || 'playlist'}`);
+        const body = panel.body;
+        body.textContent = '';
+
+        // --- Filters ---
+        const minInput = create(document, 'input', { type: 'number', min: '0', value: String(minSeconds || 0), className: 'picker-min-seconds' }, Object.assign({ width: '4em' }, INPUT_STYLE));
+        const extrasBox = create(document, 'input', { type: 'checkbox', checked: !!skipExtras, className: 'picker-skip-extras' });
+        const filters = create(document, 'div', {}, { fontSize: '11px', margin: '6px 0' });
+        const minLabel = create(document, 'label', {}, { marginRight: '10px' });
+        minLabel.append('Skip under ', minInput, ' s');
+        const extrasLabel = create(document, 'label');
+        extrasLabel.append(extrasBox, ' Skip intros & bonus tracks');
+        filters.append(minLabel, extrasLabel);
+
+        // --- Track Rows ---
+        const list = create(document, 'ol', { className: 'picker-tracks' }, { listStyle: 'none', padding: '0', margin: '0', maxHeight: '50vh', overflowY: 'auto' });
+        let dragged = null;
+
+        playlist.tracks.forEach((track, index) => {
+            const row = create(document, 'li', {}, { display: 'flex', gap: '4px', alignItems: 'center', padding: '2px 0', borderBottom: '1px solid #222', cursor: 'move' });
+            row.setAttribute('draggable', 'true');
+            row.dataset.index = String(index);
+            const checkbox = create(document, 'input', { type: 'checkbox', checked: true, className: 'picker-keep' });
+            const title = create(document, 'input', { type: 'text', value: track.title || '', placeholder: 'Title', className: 'picker-title' }, Object.assign({ flex: '2' }, INPUT_STYLE));
+            const creator = create(document, 'input', { type: 'text', value: track.creator || '', placeholder: 'Creator', className: 'picker-creator' }, Object.assign({ flex: '1' }, INPUT_STYLE));
+            const duration = create(document, 'span', { textContent: track.duration ? formatSeconds(track.duration) : '' }, { fontSize: '10px', opacity: '0.7', minWidth: '3em', textAlign: 'right' });
+            row.append(checkbox, title, creator, duration);
+
+            row.addEventListener('dragstart', (event) => {
+                dragged = row;
+                // Firefox only starts a drag that carries data
+                if (event.dataTransfer) event.dataTransfer.setData('text/plain', row.dataset.index);
+            });
+            row.addEventListener('dragover', (event) => event.preventDefault());
+            row.addEventListener('drop', (event) => {
+                event.preventDefault();
+                if (!dragged || dragged === row) return;
+                const rows = Array.from(list.children);
+                list.insertBefore(dragged, rows.indexOf(dragged) < rows.indexOf(row) ? row.nextSibling : row);
+                dragged = null;
+            });
+            list.appendChild(row);
+        });
+
+        const rows = () => Array.from(list.children).map(row => ({
+            index: Number(row.dataset.index),
+            checked: row.querySelector('.picker-keep').checked,
+            title: row.querySelector('.picker-title').value,
+            creator: row.querySelector('.picker-creator').value
+        }));
+
+        // --- Buttons ---
+        const exportButton = create(document, 'button', { type: 'button', className: 'picker-export' }, BUTTON_STYLE);
+        const cancelButton = create(document, 'button', { type: 'button', textContent: 'Cancel', className: 'picker-cancel' }, Object.assign({}, BUTTON_STYLE, { background: '#444', color: '#eee' }));
+        const buttons = create(document, 'div', {}, { marginTop: '8px' });
+        buttons.append(exportButton, cancelButton);
+
+        const refresh = () => {
+            const kept = rows().filter(row => row.checked).length;
+            exportButton.textContent = `Export (${kept})`;
+            exportButton.disabled = kept === 0;
+            panel.status('REVIEW', `${kept} / ${playlist.tracks.length}`, 'Untick, edit or drag tracks, then export.');
+        };
+
+        // A filter change ticks every track again except the filtered ones
+        const applyFilters = () => {
+            const filter = { minSeconds: Number(minInput.value) || 0, skipExtras: extrasBox.checked };
+            Array.from(list.children).forEach(row => {
+                const reason = skipReason(playlist.tracks[Number(row.dataset.index)], filter);
+                row.querySelector('.picker-keep').checked = !reason;
+                row.title = reason ? `Skipped: ${reason}` : '';
+            });
+            refresh();
+        };
+
+        minInput.addEventListener('input', applyFilters);
+        extrasBox.addEventListener('change', applyFilters);
+        list.addEventListener('change', refresh);
+
+        body.append(filters, list, buttons);
+        applyFilters();
+
+        return new Promise(resolve => {
+            const finish = (result) => {
+                body.textContent = '';
+                if (panel.created) panel.close();
+                resolve(result);
+            };
+            exportButton.addEventListener('click', () => finish(applyPicks(playlist, rows())));
+            cancelButton.addEventListener('click', () => finish(null));
+        });
+    };
+
+    // Site scripts ask core.reviewPlaylist(), which uses the picker once it is set
+    if (typeof root.document !== 'undefined' && root.PLAYLIST_EXPORT_PICKER !== false) {
+        core.settings.picker = (playlist, options = {}) => pickTracks(playlist, Object.assign({
+            minSeconds: Number(root.PLAYLIST_PICKER_MIN_SECONDS) || 0,
+            skipExtras: !!root.PLAYLIST_PICKER_SKIP_EXTRAS
+        }, options));
+    }
+
+    return {
+        SKIP_PATTERNS,
+        skipReason,
+        applyPicks,
+        pickTracks
+    };
+});
@@ -0,0 +1,367 @@
+/**
+ * Shared Playlist Model & XSPF Writer
+ * * Description:
+ * Track/playlist data model, spec-compliant XSPF serialization and the
+ * download helper used by every exporter in this repository.
+ * * Usage:
+ * Paste this file in the DevTools console BEFORE any site script. It
+ * registers itself on `window.PlaylistExport`. In Node it is a regular
+ * CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PlaylistExport = Object.assign(root.PlaylistExport || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function () {
+    'use strict';
+
+    // Namespace used for <meta rel> and <extension application> values we write
+    const NS = 'https://github.com/Puxio/musiy_club-youtube-playlist-export#';
+
+    // --- XML Escaping Helper ---
+    const escapeXml = (unsafe) => {
+        if (unsafe === null || unsafe === undefined) return '';
+        return unsafe.toString().replace(/[<>&'"]/g, (c) => {
+            switch (c) {
+                case '<': return '&lt;';
+                case '>': return '&gt;';
+                case '&': return '&amp;';
+                case "'": return '&apos;';
+                case '"': return '&quot;';
+            }
+            return '';
+        });
+    };
+
+    /**
+     * Replaces characters that are not allowed in Windows/macOS/Linux filenames
+     */
+    const sanitizeFilename = (name) => String(name).replace(/[\\/:*?"<>|]/g, '_').replace(/\s+/g, ' ').trim();
+
+    /**
+     * Converts "m:ss" / "h:mm:ss" text to milliseconds (0 if not parseable)
+     */
+    const parseDuration = (text) => {
+        const value = String(text || '').trim();
+        if (!/^\d+(:\d{1,2}){1,2}$/.test(value)) return 0;
+        return value.split(':').map(Number).reduce((total, part) => total * 60 + part, 0) * 1000;
+    };
+
+    const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+    // --- Data Model ---
+
+    /**
+     * Normalizes a track. Unknown/blank fields are dropped so that the
+     * serializers never write placeholders like "Unknown Track" or "N/A".
+     * `location` may be a string or an array of alternative URLs.
+     */
+    const createTrack = (fields = {}) => {
+        const track = {};
+        const locations = [].concat(fields.location || []).filter(loc => !isBlank(loc));
+        if (locations.length) track.location = locations.length === 1 ? locations[0] : locations;
+
+        ['identifier', 'title', 'creator', 'annotation', 'info', 'image', 'album'].forEach(key => {
+            if (!isBlank(fields[key])) track[key] = String(fields[key]).trim();
+        });
+
+        const trackNum = parseInt(fields.trackNum, 10);
+        if (!isNaN(trackNum) && trackNum >= 0) track.trackNum = trackNum;
+
+        const duration = Math.round(Number(fields.duration));
+        if (duration > 0) track.duration = duration;
+
+        track.meta = Object.assign({}, fields.meta);
+        track.extension = Object.assign({}, fields.extension);
+        return track;
+    };
+
+    /**
+     * Normalizes a playlist and every track in it
+     */
+    const createPlaylist = (fields = {}) => {
+        const playlist = {};
+        ['title', 'creator', 'annotation', 'info', 'location', 'identifier', 'image', 'date'].forEach(key => {
+            if (!isBlank(fields[key])) playlist[key] = String(fields[key]).trim();
+        });
+        playlist.meta = Object.assign({}, fields.meta);
+        playlist.extension = Object.assign({}, fields.extension);
+        playlist.tracks = (fields.tracks || []).map(createTrack);
+        return playlist;
+    };
+
+    // --- Album/Track Metadata ---
+
+    // Metadata every exporter captures when its site shows it, in summary order
+    const METADATA_FIELDS = ['year', 'genre', 'platform', 'composer', 'developer', 'publisher', 'label', 'catalog'];
+    const SUMMARY_LABELS = { composer: 'Composer', developer: 'Developer', publisher: 'Publisher', label: 'Label', catalog: 'Catalog' };
+
+    /**
+     * Adds site metadata to createTrack/createPlaylist fields, the same way on
+     * every site: one <meta rel="NS#year"> per value, the same values in our
+     * <extension>, and (`summary`, for albums) a one-line annotation such as
+     * "1995 · SNES · Composer: Yasunori Mitsuda" after any existing one.
+     * Values may be arrays (several genres); blank values are left out.
+     */
+    const withMetadata = (fields, metadata = {}, { summary = false } = {}) => {
+        const values = {};
+        METADATA_FIELDS.forEach(key => {
+            const list = [].concat(metadata[key] === undefined || metadata[key] === null ? [] : metadata[key])
+                .filter(value => !isBlank(value))
+                .map(value => String(value).trim());
+            if (list.length) values[key] = Array.from(new Set(list)).join(', ');
+        });
+
+        const meta = Object.assign({}, fields.meta);
+        Object.keys(values).forEach(key => { meta[`${NS}${key}`] = values[key]; });
+        const extension = Object.assign({}, fields.extension);
+        if (Object.keys(values).length) extension[NS] = Object.assign({}, values, extension[NS]);
+
+        const line = Object.keys(values)
+            .map(key => SUMMARY_LABELS[key] ? `${SUMMARY_LABELS[key]}: ${values[key]}` : values[key])
+            .join(' · ');
+        const annotation = summary && line ? [fields.annotation, line].filter(value => !isBlank(value)).join('\n') : fields.annotation;
+        return Object.assign({}, fields, { meta, extension, annotation });
+    };
+
+    // --- XSPF Serialization ---
+
+    const element = (indent, name, value) => isBlank(value) ? '' : `${indent}<${name}>${escapeXml(value)}</${name}>\n`;
+
+    const metaElements = (indent, meta) => Object.keys(meta || {})
+        .filter(rel => !isBlank(meta[rel]))
+        .map(rel => `${indent}<meta rel="${escapeXml(rel)}">${escapeXml(meta[rel])}</meta>\n`)
+        .join('');
+
+    /**
+     * Extensions are stored as { applicationUri: { name: value } } and written
+     * as one child element per name.
+     */
+    const extensionElements = (indent, extension) => Object.keys(extension || {}).map(application => {
+        const fields = extension[application] || {};
+        const children = Object.keys(fields)
+            .filter(name => !isBlank(fields[name]))
+            .map(name => `${indent}  <${name}>${escapeXml(fields[name])}</${name}>\n`)
+            .join('');
+        return children ? `${indent}<extension application="${escapeXml(application)}">\n${children}${indent}</extension>\n` : '';
+    }).join('');
+
+    const trackToXspf = (track) => {
+        const i = '      ';
+        let xml = '    <track>\n';
+        [].concat(track.location || []).forEach(loc => { xml += element(i, 'location', loc); });
+        xml += element(i, 'identifier', track.identifier);
+        xml += element(i, 'title', track.title);
+        xml += element(i, 'creator', track.creator);
+        xml += element(i, 'annotation', track.annotation);
+        xml += element(i, 'info', track.info);
+        xml += element(i, 'image', track.image);
+        xml += element(i, 'album', track.album);
+        xml += element(i, 'trackNum', track.trackNum);
+        xml += element(i, 'duration', track.duration);
+        xml += metaElements(i, track.meta);
+        xml += extensionElements(i, track.extension);
+        return xml + '    </track>\n';
+    };
+
+    /**
+     * Serializes a playlist to XSPF 1.0 (elements in schema order)
+     */
+    const toXspf = (playlist) => {
+        const i = '  ';
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n<playlist version="1" xmlns="http://xspf.org/ns/0/">\n';
+        xml += element(i, 'title', playlist.title);
+        xml += element(i, 'creator', playlist.creator);
+        xml += element(i, 'annotation', playlist.annotation);
+        xml += element(i, 'info', playlist.info);
+        xml += element(i, 'location', playlist.location);
+        xml += element(i, 'identifier', playlist.identifier);
+        xml += element(i, 'image', playlist.image);
+        xml += element(i, 'date', playlist.date);
+        xml += metaElements(i, playlist.meta);
+        xml += extensionElements(i, playlist.extension);
+        xml += '  <trackList>\n';
+        xml += (playlist.tracks || []).map(trackToXspf).join('');
+        xml += '  </trackList>\n</playlist>\n';
+        return xml;
+    };
+
+    // --- Output Formats ---
+
+    /**
+     * Registry of playlist serializers. scripts/lib/formats.js adds M3U8,
+     * PLS, JSPF and CUE on top of the built-in XSPF writer.
+     */
+    const FORMATS = {
+        xspf: { extension: 'xspf', mimeType: 'application/xspf+xml', serialize: toXspf }
+    };
+
+    const registerFormat = (name, definition) => {
+        FORMATS[name.toLowerCase()] = definition;
+    };
+
+    const getFormat = (name) => {
+        const format = FORMATS[String(name || 'xspf').toLowerCase()];
+        if (!format) {
+            throw new Error(`Unknown playlist format "${name}". Available: ${Object.keys(FORMATS).join(', ')}`);
+        }
+        return format;
+    };
+
+    /**
+     * Serializes the playlist in the requested format (default XSPF)
+     */
+    const serialize = (playlist, formatName) => getFormat(formatName).serialize(playlist);
+
+    // --- Browser Helpers ---
+
+    /**
+     * Page context handed to the site extractors when running in DevTools.
+     * The CLI builds the same shape on top of jsdom (cli/page.js).
+     */
+    const browserPage = () => ({
+        document: window.document,
+        url: window.location.href,
+        interactive: true, // the page can play media (needed by the Squidify collector)
+        crossOrigin: false, // fetch() is limited by CORS: redirects to other hosts cannot be followed
+        fetch: (...args) => fetch(...args),
+        fetchText: async (url) => {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+            return response.text();
+        },
+        parseHtml: (html) => new DOMParser().parseFromString(html, 'text/html'),
+        log: console
+    });
+
+    // --- In-Page Panel ---
+
+    const PANEL_ID = 'playlist-export-panel';
+
+    /**
+     * The status panel every exporter shares (top right corner). There is one
+     * panel per page: opening it again reuses it under the new title.
+     * Returns { element, body, created, status(status, count, detail), close(delay) };
+     * `body` is where the track picker (scripts/lib/picker.js) goes.
+     */
+    const openPanel = (document, title) => {
+        let element = document.getElementById(PANEL_ID);
+        const created = !element;
+        if (created) {
+            element = document.createElement('div');
+            element.id = PANEL_ID;
+            Object.assign(element.style, {
+                position: 'fixed', top: '20px', right: '20px', zIndex: '9999999',
+                padding: '15px', backgroundColor: 'rgba(15, 15, 15, 0.95)', color: '#00E676',
+                borderRadius: '8px', fontFamily: 'monospace', border: '1px solid #00E676',
+                boxShadow: '0 4px 20px rgba(0,0,0,0.5)', minWidth: '220px', maxWidth: '520px',
+                maxHeight: '80vh', overflowY: 'auto'
+            });
+            const parts = {
+                heading: { fontWeight: 'bold', borderBottom: '1px solid #333', marginBottom: '5px', paddingBottom: '5px' },
+                status: {},
+                count: { fontSize: '24px', margin: '8px 0' },
+                detail: { fontSize: '10px', opacity: '0.7' },
+                body: {}
+            };
+            Object.keys(parts).forEach(name => {
+                const part = document.createElement('div');
+                part.setAttribute('data-part', name);
+                Object.assign(part.style, parts[name]);
+                element.appendChild(part);
+            });
+            document.body.appendChild(element);
+        }
+        const part = (name) => element.querySelector(`[data-part="${name}"]`);
+        part('heading').textContent = title;
+
+        return {
+            element,
+            body: part('body'),
+            created,
+            status: (status, count, detail) => {
+                [['status', status], ['count', count], ['detail', detail]].forEach(([name, value]) => {
+                    if (value !== undefined) part(name).textContent = value === null ? '' : String(value);
+                });
+            },
+            close: (delay = 0) => setTimeout(() => element.remove(), delay)
+        };
+    };
+
+    // --- Site Scripts ---
+
+    /**
+     * Site scripts loaded in a browser register here. They run immediately
+     * (DevTools paste) unless `settings.autoRun` was turned off first, as the
+     * browser extension does for its content scripts. `settings.picker` is
+     * set by scripts/lib/picker.js.
+     */
+    const settings = { autoRun: true, picker: null };
+    const SITES = {};
+
+    const installSite = (site) => {
+        SITES[site.site] = site;
+        if (settings.autoRun) site.runInBrowser();
+        return site;
+    };
+
+    /**
+     * Lets the user review the tracks before the download when the track
+     * picker is loaded. Resolves to the playlist to write, or null when the
+     * export was cancelled.
+     */
+    const reviewPlaylist = (playlist, options = {}) => settings.picker ? settings.picker(playlist, options) : Promise.resolve(playlist);
+
+    // --- Download Helper (browser only) ---
+
+    /**
+     * Saves text content as a file through a temporary Blob URL
+     */
+    const downloadFile = (content, fileName, mimeType = 'application/xspf+xml') => {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a); // Append to body to ensure click works in all browsers
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * Serializes the playlist and downloads it as "<baseName>.<extension>"
+     */
+    const downloadPlaylist = (playlist, baseName, formatName = 'xspf') => {
+        const format = getFormat(formatName);
+        const fileName = `${sanitizeFilename(baseName)}.${format.extension}`;
+        downloadFile(format.serialize(playlist), fileName, format.mimeType);
+        return fileName;
+    };
+
+    return {
+        NS,
+        escapeXml,
+        sanitizeFilename,
+        parseDuration,
+        createTrack,
+        createPlaylist,
+        METADATA_FIELDS,
+        withMetadata,
+        toXspf,
+        FORMATS,
+        registerFormat,
+        getFormat,
+        serialize,
+        browserPage,
+        openPanel,
+        settings,
+        SITES,
+        installSite,
+        reviewPlaylist,
+        downloadFile,
+        downloadPlaylist
+    };
+});
@@ -0,0 +1,110 @@
+/**
+ * Task Runner
+ * * Description:
+ * Worker pool for the per-track requests of the exporters: at most
+ * `concurrency` tasks run at once, requests to the same host are spaced by
+ * `minInterval` ms, failures are retried with exponential backoff and the
+ * results keep the order of the input.
+ * * Usage:
+ * Paste after scripts/lib/playlist.js, before the site scripts that need it.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PlaylistExport = Object.assign(root.PlaylistExport || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function () {
+    'use strict';
+
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    /**
+     * Host of a URL ('' when it cannot be parsed), the default rate-limit key
+     */
+    const hostOf = (url) => {
+        try {
+            return new URL(url).host;
+        } catch (err) {
+            return '';
+        }
+    };
+
+    /**
+     * Returns wait(key): resolves when a request for `key` may start, keeping
+     * at least `minInterval` ms between two starts with the same key
+     */
+    const createRateLimiter = (minInterval = 0) => {
+        const nextStart = {};
+        return async (key = '') => {
+            const now = Date.now();
+            const start = Math.max(now, nextStart[key] || 0);
+            nextStart[key] = start + minInterval;
+            if (start > now) await sleep(start - now);
+        };
+    };
+
+    /**
+     * Runs worker(item, index, attempt) for every item. Options:
+     * - concurrency: tasks running at once (default 4)
+     * - retries: extra attempts after a failure (default 2)
+     * - retryDelay: first backoff in ms, doubled on every retry (default 500)
+     * - minInterval / keyOf: rate limit per key (ie. hostOf(item.url))
+     * - shouldRetry(error): false for permanent errors
+     * - onProgress(done, total, result)
+     * Resolves to [{ item, ok, value, error, attempts }] in item order.
+     */
+    const runTasks = async (items, worker, {
+        concurrency = 4,
+        retries = 2,
+        retryDelay = 500,
+        minInterval = 0,
+        keyOf = () => '',
+        shouldRetry = () => true,
+        onProgress = () => {}
+    } = {}) => {
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error(`concurrency must be a whole number of at least 1, not ${concurrency}`);
+        }
+        const results = new Array(items.length);
+        const waitTurn = createRateLimiter(minInterval);
+        let nextIndex = 0;
+        let done = 0;
+
+        const runOne = async (index) => {
+            const item = items[index];
+            for (let attempt = 1; ; attempt++) {
+                await waitTurn(keyOf(item));
+                try {
+                    const value = await worker(item, index, attempt);
+                    return { item, ok: true, value, attempts: attempt };
+                } catch (error) {
+                    if (attempt > retries || !shouldRetry(error)) {
+                        return { item, ok: false, error, attempts: attempt };
+                    }
+                    await sleep(retryDelay * Math.pow(2, attempt - 1));
+                }
+            }
+        };
+
+        const lane = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await runOne(index);
+                done++;
+                onProgress(done, items.length, results[index]);
+            }
+        };
+
+        const lanes = Math.max(1, Math.min(concurrency, items.length));
+        await Promise.all(Array.from({ length: lanes }, lane));
+        return results;
+    };
+
+    return {
+        sleep,
+        hostOf,
+        createRateLimiter,
+        runTasks
+    };
+});
@@ -0,0 +1,157 @@
+/**
+ * Title Parsing Rules
+ * * Description:
+ * Turns video titles like "Artist – Title (Official Video)" into a creator and
+ * a title. Cleanup rules strip suffixes first, then the first splitter rule
+ * whose pattern matches wins; the channel name is the fallback creator.
+ * "feat." credits are moved to the end of the title as "(feat. X)".
+ * * Rules are plain data, so they can come from JSON:
+ * { "name": "label", "pattern": "^(.+?) ~ (.+)$", "flags": "i", "creator": "$1", "title": "$2" }
+ * { "name": "label", "strip": "\\s*\\[Extended\\]" }
+ * Templates use "$1" or "$<group>". User rules run before the built-in ones.
+ * * Usage:
+ * Paste after scripts/lib/playlist.js, before the YouTube scripts.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PlaylistExport = Object.assign(root.PlaylistExport || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function () {
+    'use strict';
+
+    // --- Built-in Rules ---
+
+    // Suffixes that are not part of the song title
+    const CLEANUP_RULES = [
+        {
+            name: 'video-suffix',
+            strip: '\\s*[(\\[]\\s*(?:official\\s+)?(?:music\\s+|lyrics?\\s+|hd\\s+)?(?:video(?:\\s*clip)?|audio|visuali[sz]er|lyrics?|hd|hq|4k|mv)\\s*[)\\]]',
+            flags: 'gi'
+        },
+        { name: 'video-ufficiale', strip: '\\s*[(\\[]\\s*video(?:clip)?\\s+ufficiale\\s*[)\\]]', flags: 'gi' }
+    ];
+
+    // Ordered: the first match wins
+    const SPLIT_RULES = [
+        // "Artist - 01. Title" (album uploads)
+        { name: 'numbered', pattern: '^(.+?)\\s*[-–—]\\s*\\d+\\s*[.-]\\s*(.+)$', creator: '$1', title: '$2' },
+        // "Artist - Title", "Artist – Title", "Artist—Title"
+        { name: 'dash', pattern: '^(.+?)(?:\\s+[-–—]\\s+|\\s*[–—]\\s*)(.+)$', creator: '$1', title: '$2' },
+        // '"Title" by Artist': only quoted titles, "Stand by Me" is a song
+        { name: 'by', pattern: '^["“](.+?)["”]\\s+by\\s+([A-Z0-9].*)$', creator: '$2', title: '$1' }
+    ];
+
+    const FEAT_PATTERN = /\s*[([]?\s*\b(?:feat\.?|ft\.?|featuring)\s+([^)\]]+?)\s*[)\]]?\s*$/i;
+
+    // "ArtistVEVO", "Artist Official", "Artist - Topic" -> "Artist"
+    const cleanChannelName = (name) => String(name || '')
+        .replace(/\s+-\s+Topic$/, '')
+        .replace(/VEVO$/, '')
+        .replace(/\s+Official$/i, '')
+        .trim();
+
+    // --- Engine ---
+
+    const toRegExp = (pattern, flags) => pattern instanceof RegExp ? pattern : new RegExp(pattern, flags || '');
+
+    /**
+     * Validates a rule definition and compiles its pattern
+     */
+    const compileRule = (definition, index = 0) => {
+        const name = definition.name || `rule ${index + 1}`;
+        try {
+            if (definition.strip) {
+                // Always global, so every occurrence is removed
+                const flags = (definition.flags || '').includes('g') ? definition.flags : `${definition.flags || ''}g`;
+                return { name, strip: toRegExp(definition.strip, flags) };
+            }
+            if (definition.pattern && (definition.creator || definition.title)) {
+                return { name, regex: toRegExp(definition.pattern, definition.flags), creator: definition.creator || null, title: definition.title || null };
+            }
+        } catch (err) {
+            throw new Error(`Invalid title rule "${name}": ${err.message}`);
+        }
+        throw new Error(`Invalid title rule "${name}": it needs "strip", or "pattern" with "creator"/"title".`);
+    };
+
+    const expand = (template, match) => template.replace(/\$(\d+)|\$<(\w+)>/g, (all, number, group) =>
+        (number ? match[Number(number)] : (match.groups || {})[group]) || '');
+
+    /**
+     * Moves "feat. X" out of the creator and the title
+     */
+    const extractFeatured = (creator, title) => {
+        const featured = [];
+        const take = (text) => {
+            const match = text.match(FEAT_PATTERN);
+            if (!match || match.index === 0) return text;
+            featured.push(match[1].trim());
+            return text.slice(0, match.index).trim();
+        };
+        creator = take(creator);
+        title = take(title);
+        return { creator, title, featured: featured.join(', ') || null };
+    };
+
+    /**
+     * Creates a parser; `rules` are user rule definitions that run before the
+     * built-in ones. parse(raw, { channel }) -> { creator, title, featured, rule }
+     */
+    const createTitleParser = ({ rules = [] } = {}) => {
+        const compiled = rules.map(compileRule);
+        const cleanups = compiled.filter(rule => rule.strip).concat(CLEANUP_RULES.map(compileRule));
+        const splitters = compiled.filter(rule => rule.regex).concat(SPLIT_RULES.map(compileRule));
+
+        const parse = (raw, { channel = '' } = {}) => {
+            let cleaned = String(raw || '').trim();
+            cleanups.forEach(rule => { cleaned = cleaned.replace(rule.strip, '').trim(); });
+
+            let creator = null;
+            let title = cleaned;
+            let ruleName = 'channel';
+
+            for (const rule of splitters) {
+                const match = cleaned.match(rule.regex);
+                if (!match) continue;
+                creator = rule.creator ? expand(rule.creator, match).trim() : null;
+                title = rule.title ? expand(rule.title, match).trim() : cleaned;
+                ruleName = rule.name;
+                break;
+            }
+
+            // Channel fallback (also when a rule only yields the title)
+            if (!creator) creator = cleanChannelName(channel) || null;
+
+            const result = extractFeatured(creator || '', title || cleaned);
+            return {
+                creator: result.creator || null,
+                title: result.featured ? `${result.title} (feat. ${result.featured})` : result.title,
+                featured: result.featured,
+                rule: ruleName
+            };
+        };
+
+        return { parse };
+    };
+
+    /**
+     * Picks the user rules for a playlist from a configuration like
+     * { "*": [...every playlist], "PLxxxx": [...], "UCxxxx": [...] }
+     */
+    const rulesFor = (config, ids = []) => {
+        if (!config) return [];
+        if (Array.isArray(config)) return config;
+        return [].concat(config['*'] || [], ...ids.filter(Boolean).map(id => config[id] || []));
+    };
+
+    return {
+        TITLE_CLEANUP_RULES: CLEANUP_RULES,
+        TITLE_SPLIT_RULES: SPLIT_RULES,
+        cleanChannelName,
+        compileRule,
+        createTitleParser,
+        rulesFor
+    };
+});
@@ -4,202 +4,410 @@
  * page on musify.club. It extracts track details, constructs the XSPF file,
  * and initiates the download.
  * * NOTE: This version uses the intermediate track URL (from data-play-url)
- * instead of attempting an asynchronous fetch to the final MP3 URL, which 
+ * instead of attempting an asynchronous fetch to the final MP3 URL, which
  * is blocked by CORS policy in the browser environment. External players
  * (like VLC) will handle the necessary HTTP redirect to the final MP3 link.
+ * * Requires scripts/lib/playlist.js and scripts/lib/adapter.js to be pasted first (and scripts/lib/formats.js
+ * to export M3U8/PLS/JSPF/CUE through `window.PLAYLIST_EXPORT_FORMAT`).
+ * Where CORS does not apply (the CLI, the browser extension) the optional
+ * `resolveLinks` mode follows every intermediate link to its final MP3 URL and
+ * records the HTTP status and size of each track, flagging removed ones.
+ * On an artist page (discography) the whole catalogue is exported as a ZIP,
+ * which also needs scripts/lib/tasks.js and scripts/lib/crawl.js.
+ * In Node the extractor is exported for the playlist-export CLI.
  */
-(function() {
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./lib/playlist'), require('./lib/tasks'), require('./lib/adapter')));
+    } else if (!root.PlaylistExport || !root.PlaylistExport.defineSite) {
+        console.error('❌ PlaylistExport not loaded! Paste scripts/lib/playlist.js and scripts/lib/adapter.js first.');
+    } else {
+        root.PlaylistExport.installSite(factory(root.PlaylistExport));
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (core) {
+    const { createTrack, parseDuration, NS } = core;
+
     // --- Configuration & Selectors (Confirmed as working) ---
     const PLAY_ELEMENT_SELECTOR = '.play'; // Element containing the intermediate link (data-play-url)
     const BASE_URL = 'https://musify.club'; // Base URL (without trailing slash)
-    
+
     // Selectors for track metadata within a '.playlist__item'
     const TRACK_ITEM_SELECTOR = '.playlist__item';
     const DURATION_ELEMENT_SELECTOR = 'div.track__details:not(.track__rating) span.text-muted';
     const TRACK_NUMBER_ELEMENT_SELECTOR = 'div.playlist__position';
     const TRACK_ARTIST_SELECTOR = 'a'; // Anchor tag for the Artist name
     const TRACK_TITLE_SELECTOR = 'a.strong'; // Anchor tag for the Track Title
-    
+    const TRACK_IMAGE_SELECTOR = 'img'; // Track cover (playlist pages mix several albums)
+
     // Selectors for Album metadata
     const ALBUM_HEADER_SELECTOR = 'header.content__title h1';
     const ALBUM_IMAGE_SELECTOR = 'img.album-img';
     const ALBUM_INFO_LIST_SELECTOR = 'ul.album-info';
+    const ALBUM_GENRE_SELECTOR = 'a[href*="/genre/"]';
+    const ALBUM_LABEL_SELECTOR = 'a[href*="/label/"]';
+
+    // Selectors for the artist discography
+    const RELEASE_CARD_SELECTOR = '#divAlbumsList .release-thumbnail';
+    const RELEASE_TYPE_FILTER_SELECTOR = '[data-type]:not(.release-thumbnail)';
     // --- End Selectors ---
 
-    // --- XML Escaping Helper ---
-    const escapeXml = (unsafe) => {
-       if (unsafe === null || unsafe === undefined) return '';
-       return unsafe.toString().replace(/[<>&'"]/g, function (c) {
-           switch (c) {
-               case '<': return '&lt;';
-               case '>': return '&gt;';
-               case '&': return '&amp;';
-               case "'": return '&apos;';
-               case '"': return '&quot;';
-           }
-           return '';
-       });
+    // Link resolution: statuses that mean the track was removed (ie. for copyright)
+    const UNAVAILABLE_STATUSES = [403, 404, 410, 451];
+    const RESOLVE_CONCURRENCY = 4;
+    const RESOLVE_MIN_INTERVAL_MS = 250;
+
+    /**
+     * Expiry of a signed MP3 URL (expires/exp/e query parameter, unix seconds), or null
+     */
+    const linkExpiry = (url) => {
+        let params;
+        try {
+            params = new URL(url).searchParams;
+        } catch (err) {
+            return null;
+        }
+        const value = Number(params.get('expires') || params.get('exp') || params.get('e'));
+        return value > 1000000000 ? new Date(value * 1000).toISOString() : null;
     };
-    // --- End XML Escaping Helper ---
-    
-    // --- Album Info Extraction and Setup ---
-    const albumInfoList = document.querySelector(ALBUM_INFO_LIST_SELECTOR);
-    const isAlbumPage = !!albumInfoList;
-    
-    let albumArtist = 'Unknown Artist';
-    let albumTitle = 'Unknown Album';
-    let albumYear = 'UnknownYear';
-    let albumImageUrl = null;
-    let suggestedFilename = 'playlist.xspf'; 
-
-    // Extract Artist and Year (if on an album page)
-    if (isAlbumPage) {
-        const byArtistElement = document.querySelector(`${ALBUM_INFO_LIST_SELECTOR} [itemprop=byArtist]`);
-        if (byArtistElement) { albumArtist = byArtistElement.textContent.trim(); }
-        const datePublishedElement = document.querySelector(`${ALBUM_INFO_LIST_SELECTOR} [itemprop=datePublished]`);
-        if (datePublishedElement && datePublishedElement.hasAttribute('datetime')) {
-            const datetimeValue = datePublishedElement.getAttribute('datetime');
-            if (datetimeValue && datetimeValue.length >= 4) { albumYear = datetimeValue.slice(0, 4); }
+
+    /**
+     * Follows an intermediate link: HEAD first, a one-byte GET when HEAD is
+     * refused. Resolves to { url, status, size, available }; server errors
+     * throw so the worker pool retries them.
+     */
+    const probeLink = async (page, url) => {
+        let response = await page.fetch(url, { method: 'HEAD', redirect: 'follow' });
+        if (response.status === 405 || response.status === 501) {
+            response = await page.fetch(url, { headers: { Range: 'bytes=0-0' }, redirect: 'follow' });
+            if (response.body && response.body.cancel) response.body.cancel().catch(() => {});
+        }
+        if (response.status >= 500 || response.status === 429) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
         }
-    }
 
-    // Extract Title and construct the filename
-    const albumHeaderElement = document.querySelector(ALBUM_HEADER_SELECTOR);
-    if (albumHeaderElement) {
-        let potentialTitleText = albumHeaderElement.textContent.trim();
-        // Clean up title by removing artist and year (if present)
-        if (albumArtist !== 'Unknown Artist' && potentialTitleText.startsWith(albumArtist)) {
-            if (potentialTitleText.startsWith(`${albumArtist} - `)) {
-                potentialTitleText = potentialTitleText.substring(`${albumArtist} - `.length).trim();
-            }
+        const range = (response.headers.get('content-range') || '').match(/\/(\d+)$/);
+        const length = response.headers.get('content-length');
+        const size = range ? Number(range[1]) : (length !== null && length !== '' ? Number(length) : null);
+        // Removed tracks redirect to an HTML page instead of failing
+        const isPage = /text\/html/i.test(response.headers.get('content-type') || '');
+        return {
+            url: response.url || url,
+            status: response.status,
+            size,
+            available: response.ok && !isPage && size !== 0 && !UNAVAILABLE_STATUSES.includes(response.status)
+        };
+    };
+
+    /**
+     * Resolves the intermediate link of every track. Available tracks get the
+     * final MP3 URL first and keep the intermediate one as an alternative
+     * location (it still works once the final URL has expired). Every track
+     * records { status, size, expires, unavailable } as extension metadata.
+     */
+    const resolveTracks = async (page, tracks, {
+        concurrency = RESOLVE_CONCURRENCY,
+        retries = 2,
+        retryDelay = 500,
+        minInterval = RESOLVE_MIN_INTERVAL_MS,
+        skipUnavailable = false
+    } = {}) => {
+        const { log } = page;
+        if (!core.runTasks) {
+            throw new Error('Link resolution needs scripts/lib/tasks.js. Paste it before this script.');
         }
-        if (albumYear !== 'UnknownYear' && potentialTitleText.endsWith(`(${albumYear})`)) {
-             potentialTitleText = potentialTitleText.substring(0, potentialTitleText.lastIndexOf(`(${albumYear})`)).trim();
-        } else if (albumYear !== 'UnknownYear' && potentialTitleText.endsWith(`${albumYear}`)) {
-             potentialTitleText = potentialTitleText.substring(0, potentialTitleText.lastIndexOf(`${albumYear}`)).trim();
+
+        log.log(`🔗 Resolving ${tracks.length} intermediate links...`);
+        const results = await core.runTasks(tracks, track => probeLink(page, track.location), {
+            concurrency,
+            retries,
+            retryDelay,
+            minInterval,
+            keyOf: track => core.hostOf(track.location)
+        });
+
+        const report = { total: tracks.length, resolved: 0, unavailable: [], expires: null };
+        const resolved = [];
+        results.forEach(({ item, ok, value, error }) => {
+            const probe = ok ? value : { url: item.location, status: null, size: null, available: false };
+            const expires = probe.available ? linkExpiry(probe.url) : null;
+            if (expires && (!report.expires || expires < report.expires)) report.expires = expires;
+
+            if (!probe.available) {
+                const reason = ok ? `HTTP ${probe.status}${probe.size === 0 ? ', empty file' : ''}` : error.message;
+                report.unavailable.push({ title: item.title, url: item.location, status: probe.status, reason });
+                log.warn(`⚠️ Unavailable: ${item.title || item.location} (${reason})${skipUnavailable ? ' (skipped)' : ''}`);
+                if (skipUnavailable) return;
+            } else {
+                report.resolved++;
+            }
+
+            resolved.push(createTrack(Object.assign({}, item, {
+                location: probe.available && probe.url !== item.location ? [probe.url, item.location] : item.location,
+                annotation: probe.available ? item.annotation : `Unavailable (${ok ? `HTTP ${probe.status}` : 'no answer'})`,
+                extension: Object.assign({}, item.extension, {
+                    [NS]: Object.assign({}, (item.extension || {})[NS], {
+                        status: probe.status,
+                        size: probe.size,
+                        expires,
+                        unavailable: probe.available ? null : 'true'
+                    })
+                })
+            })));
+        });
+
+        log.log(`📋 Resolved ${report.resolved} of ${report.total} links, ${report.unavailable.length} unavailable.`);
+        if (report.expires) {
+            log.warn(`⏳ The final MP3 links expire at ${report.expires}. Players fall back to the intermediate links after that.`);
         }
+        return { tracks: resolved, report };
+    };
 
-        albumTitle = potentialTitleText || 'Unknown Album';
-        // Add the required prefix and sanitize the filename
-        suggestedFilename = `${albumArtist} (${albumYear}) - ${albumTitle} [Musify_club].xspf`.replace(/[\\/:*?"<>|]/g, '_');
-        console.log(`Suggested filename: ${suggestedFilename}`);
-    } else {
-        console.warn(`Album header (${ALBUM_HEADER_SELECTOR}) not found. Cannot suggest filename or populate album tag.`);
-    }
+    /**
+     * Album info of a Musify album/playlist page: { title, creator, year, image,
+     * metadata } and the cleaned `header` text of the file name. Playlist pages
+     * have no album info list, only a header.
+     */
+    const readAlbum = (page) => {
+        const { document, log } = page;
 
-    // Extract Image URL
-    const albumImageElement = document.querySelector(ALBUM_IMAGE_SELECTOR);
-    if (albumImageElement && albumImageElement.src) {
-        albumImageUrl = albumImageElement.src;
-        console.log(`[Album Image] Found potential album image URL.`);
-    }
-    // --- End Album Info Extraction ---
-
-    
-    // --- Core Playlist Item Processing ---
-    const allPlaylistItems = document.querySelectorAll(TRACK_ITEM_SELECTOR);
-    const xspfTrackEntries = [];
-    
-    console.log(`--- Starting XSPF Playlist Extraction for ${allPlaylistItems.length} items ---`);
-
-    if (allPlaylistItems.length === 0) {
-        console.warn(`❌ No ${TRACK_ITEM_SELECTOR} elements found on the page. Check the selector.`);
-        return; 
-    }
+        // --- Album Info Extraction and Setup ---
+        const albumInfoList = document.querySelector(ALBUM_INFO_LIST_SELECTOR);
+        const isAlbumPage = !!albumInfoList;
 
-    allPlaylistItems.forEach(function(playlistItem, index) {
-        
-        let url = null;
-        const playElement = playlistItem.querySelector(PLAY_ELEMENT_SELECTOR);
-        
-        if (playElement) {
-             let dataPlayUrl = playElement.getAttribute('data-play-url');
-             if (dataPlayUrl) {
-                // Ensure dataPlayUrl starts with '/' if necessary
-                if (dataPlayUrl && !dataPlayUrl.startsWith('/')) {
-                    dataPlayUrl = '/' + dataPlayUrl;
+        let albumArtist = 'Unknown Artist';
+        let albumTitle = null;
+        let albumYear = 'UnknownYear';
+        let albumImageUrl = null;
+        const albumMetadata = {};
+
+        // Extract Artist and Year (if on an album page)
+        if (isAlbumPage) {
+            const byArtistElement = document.querySelector(`${ALBUM_INFO_LIST_SELECTOR} [itemprop=byArtist]`);
+            if (byArtistElement) { albumArtist = byArtistElement.textContent.trim(); }
+            const datePublishedElement = document.querySelector(`${ALBUM_INFO_LIST_SELECTOR} [itemprop=datePublished]`);
+            if (datePublishedElement && datePublishedElement.hasAttribute('datetime')) {
+                const datetimeValue = datePublishedElement.getAttribute('datetime');
+                if (datetimeValue && datetimeValue.length >= 4) { albumYear = datetimeValue.slice(0, 4); }
+            }
+            albumMetadata.year = albumYear !== 'UnknownYear' ? albumYear : null;
+            albumMetadata.genre = Array.from(albumInfoList.querySelectorAll(ALBUM_GENRE_SELECTOR)).map(a => a.textContent.trim());
+            albumMetadata.label = Array.from(albumInfoList.querySelectorAll(ALBUM_LABEL_SELECTOR)).map(a => a.textContent.trim());
+        }
+
+        // Extract Title
+        const albumHeaderElement = document.querySelector(ALBUM_HEADER_SELECTOR);
+        if (albumHeaderElement) {
+            let potentialTitleText = albumHeaderElement.textContent.trim();
+            // Clean up title by removing artist and year (if present)
+            if (albumArtist !== 'Unknown Artist' && potentialTitleText.startsWith(albumArtist)) {
+                if (potentialTitleText.startsWith(`${albumArtist} - `)) {
+                    potentialTitleText = potentialTitleText.substring(`${albumArtist} - `.length).trim();
                 }
-                // Use the INTERMEDIATE URL (which redirects to MP3)
-                url = BASE_URL + dataPlayUrl; 
-             }
+            }
+            if (albumYear !== 'UnknownYear' && potentialTitleText.endsWith(`(${albumYear})`)) {
+                 potentialTitleText = potentialTitleText.substring(0, potentialTitleText.lastIndexOf(`(${albumYear})`)).trim();
+            } else if (albumYear !== 'UnknownYear' && potentialTitleText.endsWith(`${albumYear}`)) {
+                 potentialTitleText = potentialTitleText.substring(0, potentialTitleText.lastIndexOf(`${albumYear}`)).trim();
+            }
+            albumTitle = potentialTitleText || 'Unknown Album';
+        } else {
+            log.warn(`Album header (${ALBUM_HEADER_SELECTOR}) not found. Cannot suggest filename or populate album tag.`);
+        }
+
+        // Extract Image URL (album pages only: playlist pages show the first track's cover)
+        const albumImageElement = document.querySelector(ALBUM_IMAGE_SELECTOR);
+        if (isAlbumPage && albumImageElement && albumImageElement.src) {
+            albumImageUrl = albumImageElement.src;
+            log.log(`[Album Image] Found potential album image URL.`);
         }
+        // --- End Album Info Extraction ---
 
-        if (!url) {
-            console.warn(`[Item Index ${index + 1}] Skip: Could not find the intermediate URL from data-play-url.`);
-            return; 
+        return {
+            title: albumTitle !== 'Unknown Album' ? albumTitle : null,
+            header: albumTitle,
+            creator: albumArtist !== 'Unknown Artist' ? albumArtist : null,
+            year: albumYear !== 'UnknownYear' ? albumYear : null,
+            image: albumImageUrl,
+            metadata: albumMetadata
+        };
+    };
+
+    /**
+     * Tracks of the page's .playlist__item rows, with the intermediate link
+     * (data-play-url) as location
+     */
+    const listTracks = (page, album) => {
+        const { log } = page;
+        const allPlaylistItems = page.document.querySelectorAll(TRACK_ITEM_SELECTOR);
+        const tracks = [];
+
+        log.log(`--- Starting XSPF Playlist Extraction for ${allPlaylistItems.length} items ---`);
+
+        if (allPlaylistItems.length === 0) {
+            throw new Error(`No ${TRACK_ITEM_SELECTOR} elements found on the page. Check the selector.`);
         }
 
-        // Synchronous track metadata extraction
-        let durationInSeconds = -1;
-        let trackTitle = 'Unknown Track';
-        let trackArtist = 'Unknown Artist';
-        let trackNumber = null;
-
-        const artistLink = playlistItem.querySelector(TRACK_ARTIST_SELECTOR);
-        if (artistLink) { trackArtist = artistLink.textContent.trim() || 'Unknown Artist'; }
-        const trackLinkStrong = playlistItem.querySelector(TRACK_TITLE_SELECTOR);
-        if (trackLinkStrong) { trackTitle = trackLinkStrong.textContent.trim() || 'Unknown Track'; }
-        
-        // Duration extraction (MM:SS to milliseconds)
-        const durationElement = playlistItem.querySelector(DURATION_ELEMENT_SELECTOR);
-        if (durationElement) {
-            const timeParts = durationElement.textContent.trim().split(':');
-            if (timeParts.length === 2) {
-                const minutes = parseInt(timeParts[0], 10);
-                const seconds = parseInt(timeParts[1], 10);
-                if (!isNaN(minutes) && !isNaN(seconds)) { durationInSeconds = (minutes * 60) + seconds; }
+        allPlaylistItems.forEach(function(playlistItem, index) {
+
+            let url = null;
+            const playElement = playlistItem.querySelector(PLAY_ELEMENT_SELECTOR);
+
+            if (playElement) {
+                 let dataPlayUrl = playElement.getAttribute('data-play-url');
+                 if (dataPlayUrl) {
+                    // Ensure dataPlayUrl starts with '/' if necessary
+                    if (dataPlayUrl && !dataPlayUrl.startsWith('/')) {
+                        dataPlayUrl = '/' + dataPlayUrl;
+                    }
+                    // Use the INTERMEDIATE URL (which redirects to MP3)
+                    url = BASE_URL + dataPlayUrl;
+                 }
+            }
+
+            if (!url) {
+                log.warn(`[Item Index ${index + 1}] Skip: Could not find the intermediate URL from data-play-url.`);
+                return;
             }
+
+            // Synchronous track metadata extraction
+            let durationMs = 0;
+            let trackTitle = 'Unknown Track';
+            let trackArtist = 'Unknown Artist';
+            let trackNumber = null;
+
+            const artistLink = playlistItem.querySelector(TRACK_ARTIST_SELECTOR);
+            if (artistLink) { trackArtist = artistLink.textContent.trim() || 'Unknown Artist'; }
+            const trackLinkStrong = playlistItem.querySelector(TRACK_TITLE_SELECTOR);
+            if (trackLinkStrong) { trackTitle = trackLinkStrong.textContent.trim() || 'Unknown Track'; }
+
+            // Duration extraction (MM:SS or H:MM:SS to milliseconds)
+            const durationElement = playlistItem.querySelector(DURATION_ELEMENT_SELECTOR);
+            if (durationElement) { durationMs = parseDuration(durationElement.textContent); }
+
+            // Track number extraction
+            const trackNumElement = playlistItem.querySelector(TRACK_NUMBER_ELEMENT_SELECTOR);
+            if (trackNumElement) {
+                const numText = trackNumElement.textContent.trim();
+                if (numText !== '') { trackNumber = numText; }
+            }
+
+            // Track cover, lazy-loaded through data-src
+            const trackImageElement = playlistItem.querySelector(TRACK_IMAGE_SELECTOR);
+            const trackImage = trackImageElement ? trackImageElement.getAttribute('data-src') || trackImageElement.getAttribute('src') : null;
+
+            // Unknown placeholders are left out of the track entry
+            tracks.push(createTrack({
+                location: url, // Use intermediate URL
+                duration: durationMs,
+                creator: trackArtist !== 'Unknown Artist' ? trackArtist : null,
+                title: trackTitle !== 'Unknown Track' ? trackTitle : null,
+                album: album.title,
+                image: trackImage ? new URL(trackImage, BASE_URL).href : null,
+                trackNum: trackNumber
+            }));
+        });
+
+        if (tracks.length === 0) {
+            throw new Error('No valid tracks created. Check selectors and intermediate URL extraction.');
         }
-        
-        // Track number extraction
-        const trackNumElement = playlistItem.querySelector(TRACK_NUMBER_ELEMENT_SELECTOR);
-        if (trackNumElement) {
-            const numText = trackNumElement.textContent.trim();
-            if (numText !== '') { trackNumber = numText; }
+        log.log(`✅ Formatting complete. Found ${tracks.length} valid tracks.`);
+        return tracks;
+    };
+
+    /**
+     * Optional link resolution (`resolveLinks`): needs a page without CORS
+     * limits (`page.crossOrigin`), see resolveTracks()
+     */
+    const resolveLinks = (page, tracks, options) => {
+        if (!page.crossOrigin) {
+            throw new Error('Resolving the MP3 links needs a context without CORS limits (the CLI or the browser extension).');
         }
+        return resolveTracks(page, tracks, options);
+    };
 
-        // Construct XSPF <track> Entry
-        let trackXml = '    <track>\n';
-        trackXml += `      <location>${escapeXml(url)}</location>\n`; // Use intermediate URL
-        if (durationInSeconds !== -1) { trackXml += `      <duration>${durationInSeconds * 1000}</duration>\n`; }
-        if (trackArtist !== 'Unknown Artist') { trackXml += `      <creator>${escapeXml(trackArtist)}</creator>\n`; }
-        if (trackTitle !== 'Unknown Track') { trackXml += `      <title>${escapeXml(trackTitle)}</title>\n`; }
-        if (albumTitle !== 'Unknown Album') { trackXml += `      <album>${escapeXml(albumTitle)}</album>\n`; }
-        if (trackNumber !== null) { trackXml += `      <trackNum>${escapeXml(trackNumber)}</trackNum>\n`; }
-        trackXml += '    </track>';
-        
-        xspfTrackEntries.push(trackXml);
-    });
-    
-    if (xspfTrackEntries.length > 0) {
-        console.log(`✅ Formatting complete. Found ${xspfTrackEntries.length} valid tracks.`);
-
-        // --- Construct the full XSPF content ---
-        let xspfContent = '<?xml version="1.0" encoding="UTF-8"?>\n<playlist version="1.0" xmlns="http://xspf.org/ns/0/">\n';
-        const pageUrl = location.href;
-        if (pageUrl) { xspfContent += `  <location>${escapeXml(pageUrl)}</location>\n`; }
-        // Conditionally add album image
-        if (isAlbumPage && albumImageUrl) { xspfContent += `  <image>${escapeXml(albumImageUrl)}</image>\n`; }
-        xspfContent += '  <trackList>\n';
-        xspfContent += xspfTrackEntries.join('\n'); 
-        xspfContent += '\n  </trackList>\n</playlist>';
-
-        // --- Initiate Download ---
-        const blob = new Blob([xspfContent], { type: 'application/xspf+xml' });
-        const url = URL.createObjectURL(blob);
-
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = suggestedFilename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-
-        console.log(`🎉 XSPF file "${suggestedFilename}" downloaded successfully.`);
+    /**
+     * "Artist (Year) - Album [Musify_club]" (the filename is sanitized on download)
+     */
+    const fileName = (album) => album.header ? `${album.creator || 'Unknown Artist'} (${album.year || 'UnknownYear'}) - ${album.header} [Musify_club]` : 'playlist';
 
-    } else {
-         console.warn('❌ No valid XSPF tracks created. Check selectors and intermediate URL extraction.');
-    }
-    console.log('--- End Processing ---');
-})();
+    /**
+     * Discography type labels ("Studio albums", "Сборники") -> filter names
+     */
+    const RELEASE_TYPES = [
+        ['studio', /studio|студийн/i],
+        ['single', /single|сингл/i],
+        ['ep', /\bep\b|мини/i],
+        ['compilation', /compilation|сборник/i],
+        ['live', /live|концерт/i],
+        ['soundtrack', /soundtrack|саундтрек/i]
+    ];
+
+    const releaseType = (label) => {
+        const found = RELEASE_TYPES.find(([, pattern]) => pattern.test(label || ''));
+        return found ? found[0] : String(label || '').trim().toLowerCase() || null;
+    };
+
+    /**
+     * Lists the releases of an artist discography for the catalogue crawler.
+     * The release type comes from the card's data-type and the type filter
+     * buttons of the same page.
+     */
+    const listAlbums = async (page) => {
+        const { document } = page;
+        const typeLabels = {};
+        document.querySelectorAll(RELEASE_TYPE_FILTER_SELECTOR).forEach(button => {
+            typeLabels[button.getAttribute('data-type')] = button.textContent.trim();
+        });
+
+        const albums = Array.from(document.querySelectorAll(RELEASE_CARD_SELECTOR)).map(card => {
+            const link = card.querySelector('a[href*="/release/"]');
+            if (!link) return null;
+            const yearText = card.getAttribute('data-year') || card.querySelector('.card-footer')?.textContent || '';
+            const year = yearText.match(/\b(19|20)\d{2}\b/);
+            const title = card.querySelector('.card-subtitle')?.textContent.trim() || link.querySelector('img')?.alt || link.textContent.trim();
+            return {
+                url: new URL(link.getAttribute('href'), BASE_URL).href,
+                title,
+                year: year ? Number(year[0]) : null,
+                type: releaseType(typeLabels[card.getAttribute('data-type')])
+            };
+        }).filter(Boolean);
+
+        // The artist overview only shows a few releases: continue on the releases tab
+        const onReleasesTab = /\/releases\/?$/.test(new URL(page.url).pathname);
+        return {
+            title: document.querySelector(ALBUM_HEADER_SELECTOR)?.textContent.trim() || document.title,
+            albums,
+            next: onReleasesTab ? null : page.url.replace(/\/?(\?.*)?$/, '/releases')
+        };
+    };
+
+    /**
+     * Album (release) and user playlist pages
+     */
+    const matches = (url) => /^https?:\/\/(www\.)?musify\.club\/([a-z]{2}\/)?(release|playlist)\//.test(url);
+
+    /**
+     * Artist pages (catalogue crawl)
+     */
+    const matchesCatalogue = (url) => /^https?:\/\/(www\.)?musify\.club\/([a-z]{2}\/)?artist\//.test(url);
+
+    return core.defineSite({
+        site: 'musify',
+        hosts: ['musify.club', 'www.musify.club'],
+        tags: ['Musify_club'],
+        matches,
+        matchesCatalogue,
+        listAlbums,
+        readAlbum,
+        listTracks,
+        resolveLinks,
+        fileName,
+        resolveTracks,
+        // window.MUSIFY_RESOLVE_LINKS = true follows the intermediate links (see resolveTracks)
+        browserOptions: () => ({ resolveLinks: !!window.MUSIFY_RESOLVE_LINKS }),
+        onResult: ({ report }) => {
+            if (report && report.unavailable.length > 0) console.table(report.unavailable);
+        }
+    });
+});
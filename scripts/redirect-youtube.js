@@ -1,11 +1,18 @@
 /**
  * SCRIPT 1: REDIRECTION HANDLER (Run on youtube.com)
- * Extracts the playlist ID from the current YouTube URL and redirects 
- * the browser to the chosen Invidious instance to circumvent CORS policies.
+ * Extracts the playlist ID from the current YouTube URL and redirects
+ * the browser to the first working Invidious instance to circumvent CORS policies.
+ * Paste scripts/lib/invidious.js first to use the shared instance list
+ * (instances that failed recently are skipped); otherwise the fallback below is used.
  */
 function redirectToInvidiousPlaylist() {
-    // ⭐️ CONFIGURATION: Set your preferred Invidious instance here
-    const invidiousInstance = 'https://yewtu.be'; 
+    // ⭐️ CONFIGURATION: Fallback instance when scripts/lib/invidious.js is not loaded
+    const fallbackInstance = 'https://yewtu.be';
+
+    const pool = window.PlaylistExport && window.PlaylistExport.createInvidiousPool
+        ? window.PlaylistExport.createInvidiousPool()
+        : null;
+    const invidiousInstance = pool ? pool.orderedInstances()[0] : fallbackInstance;
 
     const url = window.location.href;
     const playlistIdMatch = url.match(/[?&]list=([a-zA-Z0-9_-]+)/);
@@ -13,7 +20,7 @@ function redirectToInvidiousPlaylist() {
     if (playlistIdMatch && playlistIdMatch[1]) {
         const playlistId = playlistIdMatch[1];
         const newUrl = `${invidiousInstance}/playlist?list=${playlistId}`;
-        
+
         console.log(`✅ Redirecting to: ${newUrl}`);
         // Redirect the browser to the new URL
         window.location.href = newUrl;
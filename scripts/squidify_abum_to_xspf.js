@@ -1,67 +1,188 @@
 /**
  * Squidify.org XSPF Auto-Collector
- * * @version  1.0.0
- * @description Automatically iterates through [role=table] rows, waits for audio 
- * metadata, and exports an XSPF playlist with accurate durations.
+ * * @version  1.3.0
+ * @description Reads the stream URLs and metadata the album page already loaded
+ * (the embedded app state, else the album API) and exports an XSPF playlist.
+ * When neither is available it falls back to playing every [role=table] row
+ * and capturing what the player loads.
+ * Requires scripts/lib/playlist.js and scripts/lib/adapter.js to be pasted first (plus scripts/lib/formats.js
+ * when `window.PLAYLIST_EXPORT_FORMAT` asks for M3U8/PLS/JSPF/CUE).
+ * In Node the module is exported for the playlist-export CLI; only the player
+ * fallback needs a live page that actually plays audio.
+ * On an artist page, listAlbums() feeds the catalogue crawler (scripts/lib/crawl.js).
  */
 
-(function() {
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./lib/playlist'), require('./lib/adapter')));
+    } else if (!root.PlaylistExport || !root.PlaylistExport.defineSite) {
+        console.error("❌ PlaylistExport not loaded! Paste scripts/lib/playlist.js and scripts/lib/adapter.js first.");
+    } else {
+        root.PlaylistExport.installSite(factory(root.PlaylistExport));
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (core) {
     'use strict';
 
-    // --- State Storage ---
-    window.capturedTracks = [];
-    
-    const h1Element = document.querySelector('h1');
-    const playlistTitle = h1Element ? h1Element.innerText.trim() : "Squidify Playlist";
-
-    console.clear();
-    console.log(`%c 🤖 SQUIDIFY AUTO-COLLECTOR v1.0.0 `, "background: #00796B; color: white; font-weight: bold; padding: 4px; border-radius: 4px;");
-
-    // --- UI Status Overlay ---
-    const statusOverlay = document.createElement('div');
-    Object.assign(statusOverlay.style, {
-        position: 'fixed', top: '20px', right: '20px', zIndex: '9999999',
-        padding: '15px', backgroundColor: 'rgba(15, 15, 15, 0.95)', color: '#00E676',
-        borderRadius: '8px', fontFamily: 'monospace', border: '1px solid #00E676', 
-        boxShadow: '0 4px 20px rgba(0,0,0,0.5)', minWidth: '180px'
-    });
-    statusOverlay.innerHTML = `
-        <div style="font-weight:bold; border-bottom:1px solid #333; margin-bottom:5px; padding-bottom:5px;">SQUIDIFY SCRAPER v1.0.0</div>
-        <div id="sq-status">READY</div>
-        <div id="sq-count" style="font-size: 24px; margin: 8px 0;">0</div>
-        <div id="sq-progress" style="font-size: 10px; opacity: 0.7;">Waiting for trigger...</div>
-    `;
-    document.body.appendChild(statusOverlay);
-
-    const updateUI = (status, count, progress) => {
-        document.getElementById('sq-status').innerText = status;
-        document.getElementById('sq-count').innerText = count;
-        document.getElementById('sq-progress').innerText = progress;
+    const { parseDuration, withMetadata } = core;
+
+    // --- Page Data ---
+
+    /**
+     * Finds the album object in the app state: the first object with a
+     * non-empty `tracks` array of titled entries
+     */
+    const findAlbum = (node, depth = 0) => {
+        if (!node || typeof node !== 'object' || depth > 8) return null;
+        if (Array.isArray(node.tracks) && node.tracks.some(track => track && (track.title || track.name))) return node;
+        for (const value of Object.values(node)) {
+            const found = findAlbum(value, depth + 1);
+            if (found) return found;
+        }
+        return null;
+    };
+
+    const nameOf = (value) => {
+        if (!value) return null;
+        if (Array.isArray(value)) return value.map(nameOf).filter(Boolean).join(', ') || null;
+        return typeof value === 'object' ? value.name || value.title || null : String(value);
     };
 
+    const streamOf = (track) => track.streamUrl || track.stream_url || track.stream || track.src ||
+        (typeof track.url === 'string' && track.url.includes('stream') ? track.url : null);
+
+    const imageOf = (item) => item.cover || item.coverUrl || item.cover_url || item.image || null;
+
     /**
-     * Promise-based wait for audio metadata with safety checks
+     * Album metadata of the app data: year (or release date), genres, label,
+     * catalog number
      */
-    const waitForMetadata = () => {
+    const albumMetadata = (album) => {
+        const released = album.year || album.releaseDate || album.release_date || '';
+        return {
+            year: (String(released).match(/\d{4}/) || [])[0],
+            genre: [].concat(album.genres || album.genre || []).map(nameOf),
+            label: nameOf(album.label),
+            catalog: album.catalogNumber || album.catalog_number || album.catalog
+        };
+    };
+
+    // Milliseconds from `duration_ms`, else `duration` in seconds or "m:ss"
+    const durationOf = (track) => {
+        const ms = Number(track.durationMs || track.duration_ms);
+        if (ms > 0) return ms;
+        if (typeof track.duration === 'string' && track.duration.includes(':')) return parseDuration(track.duration);
+        const seconds = Number(track.duration);
+        return seconds > 0 ? Math.round(seconds * 1000) : 0;
+    };
+
+    /**
+     * Album data as loaded by the app: the state embedded in the page
+     * (__NEXT_DATA__), else the album API. Null when neither has streams.
+     */
+    const readAlbumData = async (page) => {
+        const { document, log } = page;
+        const withStreams = (album, source) => {
+            if (!album || !album.tracks.some(streamOf)) return null;
+            log.log(`📦 Read ${album.tracks.length} tracks from the ${source}.`);
+            return album;
+        };
+
+        const embedded = document.getElementById('__NEXT_DATA__');
+        if (embedded) {
+            try {
+                const album = withStreams(findAlbum(JSON.parse(embedded.textContent)), 'page data');
+                if (album) return album;
+            } catch (err) {
+                log.warn("⚠️ Page data is not valid JSON:", err.message);
+            }
+        }
+
+        const slug = (new URL(page.url).pathname.match(/\/album\/([^/?#]+)/) || [])[1];
+        if (!slug || !page.fetch) return null;
+        const apiUrl = new URL(`/api/album/${slug}`, page.url).href;
+        try {
+            const response = await page.fetch(apiUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return withStreams(findAlbum(await response.json()), 'album API');
+        } catch (err) {
+            log.warn(`⚠️ Album API unavailable (${apiUrl}): ${err.message}`);
+            return null;
+        }
+    };
+
+    /**
+     * Track fields from the app's album data
+     */
+    const albumTracks = (page, album) => {
+        const { log } = page;
+        const tracks = [];
+        album.data.tracks.forEach((track, index) => {
+            const stream = streamOf(track);
+            if (!stream) {
+                log.warn(`⚠️ No stream for: ${track.title || track.name} (skipped)`);
+                return;
+            }
+            tracks.push(withMetadata({
+                location: new URL(stream, page.url).href,
+                title: track.title || track.name,
+                creator: nameOf(track.artist || track.artists) || album.creator,
+                album: album.title,
+                image: imageOf(track) || album.image,
+                trackNum: track.trackNumber || track.track_number || track.position || index + 1,
+                duration: durationOf(track)
+            }, { composer: nameOf(track.composer || track.composers) }));
+        });
+        return tracks;
+    };
+
+    /**
+     * Current stream URL of one track (by track ID) from the album page data
+     * (used by the streaming proxy: Squidify stream URLs are session-bound)
+     */
+    const resolveStream = async (page, trackId) => {
+        const album = await readAlbumData(page);
+        const track = album && album.tracks.find(item => String(item.id) === String(trackId) ||
+            (streamOf(item) || '').split('?')[0].endsWith(`/${trackId}`));
+        if (!track || !streamOf(track)) {
+            throw new Error(`No stream for track ${trackId} on ${page.url}`);
+        }
+        return new URL(streamOf(track), page.url).href;
+    };
+
+    // --- Player Fallback ---
+
+    const currentSource = (document) => {
+        const audio = document.querySelector('audio');
+        return audio ? audio.currentSrc || audio.src || '' : '';
+    };
+
+    /**
+     * Waits until the player loaded a source other than `previous`
+     * (loadedmetadata), or gives up after 12s
+     */
+    const waitForNewSource = (document, previous, log) => {
         return new Promise((resolve) => {
             const audio = document.querySelector('audio');
-            
+
             if (!audio) {
-                console.warn("Audio element missing, retrying in 1s...");
+                log.warn("Audio element missing, retrying in 1s...");
                 setTimeout(resolve, 1000);
                 return;
             }
 
+            let timer;
             const onLoaded = () => {
+                if (currentSource(document) === previous) return;
                 audio.removeEventListener('loadedmetadata', onLoaded);
+                clearTimeout(timer);
                 // Stabilization delay to avoid AbortError on next click
                 setTimeout(resolve, 1000);
             };
 
             audio.addEventListener('loadedmetadata', onLoaded);
-            
+
             // Timeout: move to next track if metadata doesn't load in 12s
-            setTimeout(() => {
+            timer = setTimeout(() => {
                 audio.removeEventListener('loadedmetadata', onLoaded);
                 resolve();
             }, 12000);
@@ -69,80 +190,166 @@
     };
 
     /**
-     * Main Scraper Engine
+     * Clicks every row and captures what the player loads. The source that
+     * was already playing is remembered, so it is not mistaken for the first
+     * row; a row that was itself already playing keeps that source.
      */
-    const run = async () => {
+    const collectFromPlayer = async (page, album, { capturedTracks, onProgress }) => {
+        const { document, log } = page;
+
         const table = document.querySelectorAll('[role=table]')[0];
-        const rows = Array.from(table?.querySelectorAll('[role=row]') || []);
-        
+        const rows = Array.from(table?.querySelectorAll('[role=row]') || []).filter(row => row.querySelector('button'));
+
         if (rows.length === 0) {
-            updateUI("ERROR", 0, "No table rows found.");
-            return;
+            throw new Error("No table rows found.");
         }
 
-        for (let i = 1; i < rows.length; i++) {
-            const btn = rows[i].querySelector('button');
-            if (btn) {
-                updateUI("PROCESSING", window.capturedTracks.length, `Row ${i} / ${rows.length - 1}`);
-                rows[i].scrollIntoView({ block: 'center', behavior: 'smooth' });
-                
-                btn.click();
-                await waitForMetadata();
-
-                const audio = document.querySelector('audio');
-                const img = document.getElementById('track-song-image');
-                const src = audio?.currentSrc || audio?.src;
-
-                if (src && src.includes('stream')) {
-                    const info = img?.alt.split(' - ') || ["Unknown", "Unknown"];
-                    
-                    // Duplicate prevention
-                    if (!window.capturedTracks.find(t => t.location === src)) {
-                        window.capturedTracks.push({
-                            location: src,
-                            title: (info[1] || info[0]).trim(),
-                            creator: (info[0] || "Unknown Artist").trim(),
-                            duration: audio && !isNaN(audio.duration) ? Math.round(audio.duration * 1000) : 0
-                        });
-                        console.log(`%c 📥 Captured [v1.0.0]: ${info[1] || info[0]}`, "color: #00E676;");
-                    }
-                }
+        for (let i = 0; i < rows.length; i++) {
+            const cells = Array.from(rows[i].querySelectorAll('[role=cell]')).map(cell => cell.textContent.trim());
+            const rowNumber = cells.find(text => /^\d+$/.test(text));
+            const rowTitle = cells.filter(text => text && !/^\d+$/.test(text) && !/^\d+(:\d{2}){1,2}$/.test(text) && text !== '▶').shift();
+
+            onProgress("PROCESSING", capturedTracks.length, `Row ${i + 1} / ${rows.length}`);
+            rows[i].scrollIntoView({ block: 'center', behavior: 'smooth' });
+
+            const previous = currentSource(document);
+            rows[i].querySelector('button').click();
+            await waitForNewSource(document, previous, log);
+
+            const audio = document.querySelector('audio');
+            const img = document.getElementById('track-song-image');
+            const src = currentSource(document);
+            const info = img && img.alt ? img.alt.split(' - ') : [];
+            const playingTitle = (info[1] || info[0] || '').trim();
+
+            // Unchanged source: only valid if this row is the track that was already playing
+            if (!src || !src.includes('stream') || (src === previous && playingTitle !== rowTitle)) {
+                log.warn(`⚠️ No stream loaded for row ${i + 1}${rowTitle ? ` (${rowTitle})` : ''}, skipped.`);
+                continue;
+            }
+
+            // Duplicate prevention
+            if (!capturedTracks.find(t => t.location === src)) {
+                capturedTracks.push({
+                    location: src,
+                    title: playingTitle || rowTitle,
+                    creator: info.length > 1 ? info[0].trim() : album.creator,
+                    image: img && img.getAttribute('src') ? img.src : null,
+                    trackNum: rowNumber || capturedTracks.length + 1,
+                    album: album.title,
+                    duration: audio && !isNaN(audio.duration) ? Math.round(audio.duration * 1000) : 0
+                });
+                log.log(`%c 📥 Captured [v1.3.0]: ${playingTitle || rowTitle}`, "color: #00E676;");
             }
         }
-        finish();
+
+        return capturedTracks;
     };
 
     /**
-     * Export to XSPF file
+     * Reads the album the app already loaded; without one, the header of the
+     * page (title, cover and "Artist · 2017" under the title) for the player
+     * fallback, which needs a page that actually plays audio.
+     * `page` provides { document, url, interactive, fetch, log }.
      */
-    const finish = () => {
-        // Skip the first track as per user workflow
-        const final = window.capturedTracks.slice(1);
-        
-        if (final.length === 0) {
-            updateUI("EMPTY", 0, "No tracks to export.");
-            return;
+    const readAlbum = async (page) => {
+        const { document } = page;
+        const data = await readAlbumData(page);
+        if (data) {
+            return {
+                title: data.title || data.name || document.querySelector('h1')?.textContent.trim() || "Squidify Playlist",
+                creator: nameOf(data.artist || data.artists),
+                image: imageOf(data),
+                metadata: albumMetadata(data),
+                data
+            };
+        }
+
+        if (!page.interactive) {
+            throw new Error("No album data found and Squidify streams are only exposed while the page plays them. Run the collector in the browser.");
         }
+        page.log.log("🎚️ No album data found, falling back to the player (this takes a while)...");
 
-        const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-        
-        let xml = `<?xml version="1.0" encoding="UTF-8"?>\n<playlist version="1" xmlns="http://xspf.org/ns/0/">\n<title>${esc(playlistTitle)}</title>\n<trackList>`;
-        final.forEach(t => {
-            xml += `\n<track><location>${esc(t.location)}</location><title>${esc(t.title)}</title><creator>${esc(t.creator)}</creator><duration>${t.duration}</duration></track>`;
+        const h1Element = document.querySelector('h1');
+        const coverElement = document.querySelector('main img:not(#track-song-image)');
+        const byline = (h1Element?.nextElementSibling?.textContent || '').split('·').map(part => part.trim());
+        const bylineYear = byline.find(part => /^\d{4}$/.test(part)) || null;
+        return {
+            title: h1Element ? h1Element.textContent.trim() : "Squidify Playlist",
+            creator: byline.length > 1 && byline[0] !== bylineYear ? byline[0] : null,
+            image: coverElement ? coverElement.src : null,
+            metadata: { year: bylineYear },
+            data: null
+        };
+    };
+
+    /**
+     * Main Scraper Engine: the tracks of the album data, else every row
+     * played. `onProgress` receives (status, count, progress) updates for the overlay.
+     */
+    const listTracks = async (page, album, { capturedTracks = [], onProgress = () => {} } = {}) => {
+        if (!album.data) return collectFromPlayer(page, album, { capturedTracks, onProgress });
+        const tracks = albumTracks(page, album);
+        onProgress("READ", tracks.length, "Read from the page data.");
+        return tracks;
+    };
+
+    /**
+     * Lists the albums of an artist page for the catalogue crawler.
+     * Album cards read "2017 · Album" / "2019 · Single" under the title.
+     */
+    const listAlbums = async (page) => {
+        const { document } = page;
+        const seen = new Set();
+        const albums = [];
+
+        document.querySelectorAll('a[href*="/album/"]').forEach(link => {
+            if (seen.has(link.href)) return;
+            seen.add(link.href);
+            const lines = Array.from(link.querySelectorAll('span, p, div')).map(el => el.textContent.trim()).filter(Boolean);
+            const details = lines.find(line => /\b(19|20)\d{2}\b/.test(line)) || '';
+            const year = details.match(/\b(19|20)\d{2}\b/);
+            const type = details.replace(/\b(19|20)\d{2}\b/, '').replace(/[·•|,-]/g, ' ').trim().toLowerCase();
+            albums.push({
+                url: link.href,
+                title: lines.find(line => line !== details) || link.querySelector('img')?.alt || link.textContent.trim(),
+                year: year ? Number(year[0]) : null,
+                type: type || null
+            });
         });
-        xml += `\n</trackList>\n</playlist>`;
-
-        const blob = new Blob([xml], { type: 'application/xspf+xml' });
-        const a = document.createElement('a');
-        const safeName = playlistTitle.replace(/[\\/:*?"<>|]/g, '_');
-        
-        a.href = URL.createObjectURL(blob);
-        a.download = `${safeName} [Squidify.org].xspf`;
-        a.click();
-        
-        updateUI("COMPLETED", final.length, "File downloaded.");
-        setTimeout(() => statusOverlay.remove(), 5000);
+
+        return { title: document.querySelector('h1')?.textContent.trim() || document.title, albums, next: null };
     };
 
-    run();
-})();
\ No newline at end of file
+    /**
+     * Album pages (the track table lives on them)
+     */
+    const matches = (url) => /^https?:\/\/(www\.)?squidify\.org\/album\//.test(url);
+
+    /**
+     * Artist pages (catalogue crawl)
+     */
+    const matchesCatalogue = (url) => /^https?:\/\/(www\.)?squidify\.org\/artist\//.test(url);
+
+    return core.defineSite({
+        site: 'squidify',
+        hosts: ['squidify.org', 'www.squidify.org'],
+        tags: ['Squidify.org'],
+        matches,
+        matchesCatalogue,
+        listAlbums,
+        readAlbum,
+        listTracks,
+        fileName: (album, playlist) => `${playlist.title} [Squidify.org]`,
+        resolveStream,
+        // Status overlay: READ or PROCESSING, then REVIEW and COMPLETED
+        panel: "SQUIDIFY SCRAPER v1.3.0",
+        // The player fallback collects into window.capturedTracks
+        beforeExtract: () => {
+            window.capturedTracks = [];
+            console.clear();
+            console.log(`%c 🤖 SQUIDIFY AUTO-COLLECTOR v1.3.0 `, "background: #00796B; color: white; font-weight: bold; padding: 4px; border-radius: 4px;");
+            return { capturedTracks: window.capturedTracks };
+        }
+    });
+});
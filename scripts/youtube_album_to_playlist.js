@@ -1,192 +1,500 @@
-// Helper function to extract the playlist ID from the current browser URL
-function getPlaylistIdFromCurrentUrl() {
-  const url = window.location.href; // Gets the current page's URL
-
-  // Regex to capture the playlist ID from various YouTube URL formats
-  // Examples it handles:
-  // - https://www.youtube.com/playlist?list=PLcCUOL3_Hly8RNuTy8lw1CV3wTKdKJuTU
-  // - https://www.youtube.com/watch?v=VIDEO_ID&list=PLcCUOL3_Hly8RNuTy8lw1CV3wTKdKJuTU
-  const playlistIdMatch = url.match(/[?&]list=([a-zA-Z0-9_-]+)/);
-
-  if (playlistIdMatch && playlistIdMatch[1]) {
-    return playlistIdMatch[1]; // Returns the captured playlist ID
+// Requires scripts/lib/playlist.js, scripts/lib/adapter.js, scripts/lib/invidious.js and
+// scripts/lib/titles.js to be pasted first (they provide window.PlaylistExport, the site
+// adapter frame, the Invidious instance pool and the title parsing rules)
+// Paste scripts/lib/formats.js too and set window.PLAYLIST_EXPORT_FORMAT to 'm3u8', 'pls',
+// 'jspf' or 'cue' to export in a format other than XSPF
+// In Node the extractor is exported for the playlist-export CLI.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./lib/playlist'), require('./lib/adapter'), require('./lib/invidious'), require('./lib/titles')));
+  } else if (!root.PlaylistExport || !root.PlaylistExport.defineSite || !root.PlaylistExport.createInvidiousPool || !root.PlaylistExport.createTitleParser) {
+    console.error("Cannot proceed: PlaylistExport not loaded. Paste scripts/lib/playlist.js, scripts/lib/adapter.js, scripts/lib/invidious.js and scripts/lib/titles.js first.");
   } else {
-    console.warn("No playlist ID found in the current URL.");
-    return null; // Return null if no ID is found
+    root.PlaylistExport.installSite(factory(root.PlaylistExport));
   }
-}
+})(typeof self !== 'undefined' ? self : globalThis, function (core) {
+  const { createPlaylist, withMetadata, createInvidiousPool, createTitleParser, rulesFor } = core;
+
+  // Invidious instances are tried in order (see scripts/lib/invidious.js).
+  // Set window.INVIDIOUS_INSTANCES to use your own list.
+
+  // Helper function to extract the playlist ID from a page URL
+  function getPlaylistIdFromUrl(url) {
+    // Regex to capture the playlist ID from various YouTube URL formats
+    // Examples it handles:
+    // - https://www.youtube.com/playlist?list=PLcCUOL3_Hly8RNuTy8lw1CV3wTKdKJuTU
+    // - https://www.youtube.com/watch?v=VIDEO_ID&list=PLcCUOL3_Hly8RNuTy8lw1CV3wTKdKJuTU
+    const playlistIdMatch = url.match(/[?&]list=([a-zA-Z0-9_-]+)/);
+
+    if (playlistIdMatch && playlistIdMatch[1]) {
+      return playlistIdMatch[1]; // Returns the captured playlist ID
+    } else {
+      console.warn("No playlist ID found in the URL.");
+      return null; // Return null if no ID is found
+    }
+  }
+
+  // Safety stop (YouTube playlists hold at most 5000 videos)
+  const MAX_PAGES = 100;
+
+  // Follows the API paging (`page` parameter) until `videoCount` videos are
+  // collected or a page brings nothing new (pages can overlap).
+  // Videos are deduplicated by videoId and kept in playlist order.
+  async function fetchAllVideos(pool, playlistId, log) {
+    const path = `/api/v1/playlists/${playlistId}`;
+    const { data } = await pool.request(path);
+    const seen = new Map();
+    const addVideos = (pageVideos) => {
+      let added = 0;
+      (pageVideos || []).forEach(video => {
+        if (video && video.videoId && !seen.has(video.videoId)) {
+          seen.set(video.videoId, video);
+          added++;
+        }
+      });
+      return added;
+    };
+
+    addVideos(data.videos);
+    const expected = data.videoCount || 0;
+
+    for (let pageNumber = 2; seen.size < expected && pageNumber <= MAX_PAGES; pageNumber++) {
+      log.log(`Fetching page ${pageNumber} (${seen.size} / ${expected} videos)...`);
+      let pageData;
+      try {
+        ({ data: pageData } = await pool.request(`${path}?page=${pageNumber}`));
+      } catch (error) {
+        // Keep what was collected: the count check reports the export as partial
+        log.warn(`⚠️ Page ${pageNumber} failed: ${error.message}`);
+        break;
+      }
+      if (addVideos(pageData.videos) === 0) break;
+    }
 
-// --- Main Code Block ---
-async function getPlaylistVideosAndGenerateXSPF() {
-  // Attempt to get the playlist ID from the current page's URL
-  const playlistId = getPlaylistIdFromCurrentUrl();
+    // `index` is the position in the whole playlist; keep the fetch order without it
+    const videos = Array.from(seen.values());
+    if (videos.every(video => typeof video.index === 'number')) {
+      videos.sort((a, b) => a.index - b.index);
+    }
+    return { data, videos };
+  }
 
-  if (!playlistId) {
-    console.error("Cannot proceed: Playlist ID not found in the URL. Ensure you are on a valid YouTube playlist page (e.g., https://www.youtube.com/playlist?list=...).");
-    return; // Exit the function if no ID is found
+  // Video thumbnail on YouTube's own image host: the Invidious copies
+  // (videoThumbnails) disappear with the instance that served them
+  function thumbnailOf(videoId) {
+    return videoId ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` : null;
   }
 
-  // Check if the playlist is an ALBUM (ID starts with "OLAK")
-  const isAlbum = playlistId.startsWith('OLAK');
+  // Converts an Invidious video entry into a track.
+  // Non-album entries get their video titles parsed into creator/title
+  // (see scripts/lib/titles.js); `titles` collects the dry-run rows.
+  function videoToTrack(video, { isAlbum, parser, titles }) {
+    // Standard YouTube video link format
+    const youtubeLink = `https://www.youtube.com/watch?v=${video.videoId}`;
+    // Position in the playlist (add +1 to make it 1-based, if available)
+    const position = video.index !== undefined ? video.index + 1 : null;
+    // Use 'let' for artist and title as they might be modified
+    let title = video.title || 'Unknown Title';
+    let artist = video.author || 'Unknown Artist';
+    // Duration in milliseconds for XSPF format
+    const duration = video.lengthSeconds !== undefined ? video.lengthSeconds * 1000 : 0;
+    let rule = isAlbum ? 'album' : 'topic';
+
+    // Album tracks and Topic channels already have clean song titles
+    if (!isAlbum && !artist.endsWith(' - Topic')) {
+        const parsed = parser.parse(title, { channel: artist });
+        artist = parsed.creator || artist;
+        title = parsed.title || title;
+        rule = parsed.rule;
+    }
 
-  // Choose an Invidious instance. You can find a list of instances here: https://docs.invidious.io/instances/
-  const invidiousInstance = 'https://inv.nadeko.net';
-  const apiUrl = `${invidiousInstance}/api/v1/playlists/${playlistId}`;
+    // Remove " - Topic" from the artist name if present.
+    artist = stripTopic(artist);
+    titles.push({ raw: video.title || '', creator: artist, title, rule });
+
+    // Collect the track (escaping is handled by the XSPF writer)
+    return {
+      location: youtubeLink,
+      title: title,
+      creator: artist,
+      image: thumbnailOf(video.videoId),
+      trackNum: position,
+      duration: duration
+    };
+  }
 
-  try {
-    const response = await fetch(apiUrl);
+  // Converts the videos of one playlist; `ids` select the user title rules
+  // (playlist ID, channel ID)
+  function videosToTracks(ctx, videos, { isAlbum, ids, renumber = false }) {
+    const parser = createTitleParser({ rules: rulesFor(ctx.titleRules, ids) });
+    const titles = [];
+    const tracks = videos.map((video, i) => {
+      const track = videoToTrack(video, { isAlbum, parser, titles });
+      return renumber ? Object.assign(track, { trackNum: i + 1 }) : track;
+    });
+    return { tracks, titles };
+  }
 
-    // Check if the HTTP request was successful (status 200 OK)
-    if (!response.ok) {
-      // If you get a 404 or similar error, the playlist ID might be wrong,
-      // or the Invidious instance might be unreachable/not have the API active.
-      throw new Error(`HTTP Error! Status: ${response.status} - Check playlist ID or Invidious instance.`);
-    }
+  function stripTopic(name) {
+    return name.endsWith(' - Topic') ? name.replace(' - Topic', '').trim() : name;
+  }
 
-    const data = await response.json(); // Parse the response as JSON
+  // Exports one playlist (or OLAK album) by ID
+  async function exportPlaylist(ctx, playlistId, ids = []) {
+    const { pool, log } = ctx;
+    // Check if the playlist is an ALBUM (ID starts with "OLAK")
+    const isAlbum = playlistId.startsWith('OLAK');
+
+    let data;
+    let videos;
+    try {
+      ({ data, videos } = await fetchAllVideos(pool, playlistId, log));
+    } catch (error) {
+      // If every instance answers 404, the playlist ID is probably wrong (or private)
+      throw new Error(`${error.message} - Check playlist ID or Invidious instances.`);
+    }
 
     // Check if the playlist contains videos
-    if (data.videos && data.videos.length > 0) {
-      let xspfContent = `<?xml version="1.0" encoding="UTF-8"?>\n`;
-      xspfContent += `<playlist version="1" xmlns="http://xspf.org/ns/0/">\n`;
-      xspfContent += `  <trackList>\n`;
-
-      // Get the artist name from the *first* video if it's an album, as this
-      // often represents the album artist. We'll clean it immediately.
-      let albumArtist = 'Unknown Artist';
-      if (isAlbum && data.videos[0] && data.videos[0].author) {
-          albumArtist = data.videos[0].author;
-          if (albumArtist.endsWith(' - Topic')) {
-              albumArtist = albumArtist.replace(' - Topic', '').trim(); // Trim any extra space after removal
-          }
-      }
+    if (videos.length === 0) {
+      throw new Error('No videos found in this playlist or invalid playlist ID.');
+    }
 
-      data.videos.forEach(video => {
-        // Standard YouTube video link format
-        const youtubeLink = `https://www.youtube.com/watch?v=${video.videoId}`;
-        // Position in the playlist (add +1 to make it 1-based, if available)
-        const position = video.index !== undefined ? video.index + 1 : 'N/A';
-        // Use 'let' for artist and title as they might be modified
-        let title = video.title || 'Unknown Title';
-        let artist = video.author || 'Unknown Artist';
-        // Duration in milliseconds for XSPF format
-        const duration = video.lengthSeconds !== undefined ? video.lengthSeconds * 1000 : 0;
-
-        // *** LOGICA CORRETTA PER IL PARSING DEL TITOLO ***
-        // 1. First, check if it's a non-album playlist AND the artist name does not end with " - Topic".
-        if (!isAlbum && !artist.endsWith(' - Topic')) {
-            console.log('Original title:', title);
-
-            // Regex per catturare artista, numero traccia e titolo in un'unica operazione
-            const regex = /^(.+?)\s*-\s*\d+\s*[.-]\s*(.+)$/;
-            const match = title.match(regex);
-
-            if (match) {
-                artist = match[1].trim();
-                title = match[2].trim();
-            } else {
-                // Se la regex non trova il formato, prova lo split semplice
-                const parts = title.split(' - ', 2);
-                if (parts.length === 2) {
-                    artist = parts[0].trim();
-                    title = parts[1].trim();
-                }
-            }
-
-            console.log('Parsed artist:', artist);
-            console.log('Parsed title:', title);
-        }
+    // Get the artist name from the *first* video if it's an album, as this
+    // often represents the album artist. We'll clean it immediately.
+    let albumArtist = 'Unknown Artist';
+    if (isAlbum && videos[0].author) {
+        albumArtist = stripTopic(videos[0].author);
+    }
 
-        // 2. Second, UNCONDITIONALLY remove " - Topic" from the artist name if present.
-        if (artist.endsWith(' - Topic')) {
-            artist = artist.replace(' - Topic', '').trim();
-        }
+    const { tracks, titles } = videosToTracks(ctx, videos, { isAlbum, ids: ids.concat(playlistId) });
 
-        // Append <track> tags with details to the XSPF content
-        xspfContent += `    <track>\n`;
-        xspfContent += `      <trackNum>${position}</trackNum>\n`;
-        xspfContent += `      <title>${escapeXml(title)}</title>\n`; // Escape for special characters
-        xspfContent += `      <creator>${escapeXml(artist)}</creator>\n`; // Escape for special characters
-        xspfContent += `      <location>${escapeXml(youtubeLink)}</location>\n`; // Escape for special characters
-        xspfContent += `      <duration>${duration}</duration>\n`;
-        // Thumbnail part was removed as per user's request
-        xspfContent += `    </track>\n`;
-      });
+    let playlistTitle = data.title || 'Unknown Playlist';
+    let fileName;
+
+    // If it's an ALBUM, modify the filename to be "Artist - AlbumName [Youtube].xspf"
+    if (isAlbum) {
+        // Remove "Album" (and any associated dash/space) from the playlist title
+        // Use a regex to catch "Album - ", "- Album", "Album", or " - Album"
+        playlistTitle = playlistTitle.replace(/(\s*-\s*Album|\s*Album\s*-|\s*Album)\s*/gi, '').trim();
+
+        // Construct the new filename: "Artist - Title [Youtube].xspf"
+        // Ensure there's only one dash between artist and title, and clean up extra spaces
+        fileName = `${albumArtist} - ${playlistTitle} [Youtube]`.replace(/  +/g, ' ').trim();
+    } else {
+        // For non-albums, use the original format: "Playlist Title [Youtube].xspf"
+        fileName = `${playlistTitle} [Youtube]`;
+    }
+
+    // Invidious leaves out private/deleted videos, so the count can fall short
+    const expected = data.videoCount || 0;
+    const partial = expected > videos.length ? { expected, found: videos.length } : null;
+    if (partial) {
+      log.warn(`⚠️ Partial export: ${partial.found} of ${partial.expected} videos (the others are private, deleted or were not returned).`);
+    }
+
+    // Invidious gives no release year or genre: only what the album title carries
+    const year = (playlistTitle.match(/\((\d{4})\)\s*$/) || [])[1];
+    const playlist = createPlaylist(withMetadata({
+      title: playlistTitle,
+      creator: isAlbum ? albumArtist : data.author,
+      annotation: partial ? `Partial export: ${partial.found} of ${partial.expected} videos` : null,
+      location: `https://www.youtube.com/playlist?list=${playlistId}`,
+      image: data.playlistThumbnail || (tracks[0] && tracks[0].image),
+      tracks
+    }, { year }, { summary: true }));
+
+    return { playlist, fileName, partial, titles };
+  }
+
+  // Mixes ("RD..." lists) are generated on the fly and have their own endpoint
+  async function exportMix(ctx, mixId) {
+    const { data } = await ctx.pool.request(`/api/v1/mixes/${mixId}`);
+    const videos = data.videos || [];
+    if (videos.length === 0) {
+      throw new Error('No videos found in this mix.');
+    }
+
+    const title = data.title || 'YouTube Mix';
+    const { tracks, titles } = videosToTracks(ctx, videos, { isAlbum: false, ids: [mixId], renumber: true });
+    const playlist = createPlaylist({
+      title,
+      location: `https://www.youtube.com/playlist?list=${mixId}`,
+      image: tracks[0] && tracks[0].image,
+      tracks
+    });
+    return { playlist, fileName: `${title} [Youtube]`, partial: null, titles };
+  }
+
+  // Search results (videos only), `pages` result pages
+  async function exportSearch(ctx, query, pages) {
+    const { pool } = ctx;
+    const seen = new Map();
+    for (let pageNumber = 1; pageNumber <= pages; pageNumber++) {
+      const { data } = await pool.request(`/api/v1/search?q=${encodeURIComponent(query)}&type=video&page=${pageNumber}`);
+      const results = (Array.isArray(data) ? data : []).filter(item => item.type === 'video' && item.videoId);
+      if (results.length === 0) break;
+      results.forEach(video => { if (!seen.has(video.videoId)) seen.set(video.videoId, video); });
+    }
+    if (seen.size === 0) {
+      throw new Error(`No videos found for "${query}".`);
+    }
 
-      xspfContent += `  </trackList>\n`;
-      xspfContent += `</playlist>`;
+    const { tracks, titles } = videosToTracks(ctx, Array.from(seen.values()), { isAlbum: false, ids: ['search'], renumber: true });
+    const playlist = createPlaylist({
+      title: `Search: ${query}`,
+      location: `https://www.youtube.com/results?search_query=${encodeURIComponent(query)}`,
+      tracks
+    });
+    return { playlist, fileName: `${query} [Youtube search]`, partial: null, titles };
+  }
 
-      let playlistTitle = data.title || 'Unknown Playlist';
-      let fileName;
+  // Channel tabs that can be exported; `key` is the list in the API answer
+  const CHANNEL_TABS = {
+    videos: { key: 'videos', id: 'videoId' },
+    releases: { key: 'playlists', id: 'playlistId' },
+    playlists: { key: 'playlists', id: 'playlistId' }
+  };
+
+  // Reads a whole channel tab, following the `continuation` token
+  async function fetchChannelTab(pool, ucid, tab, log) {
+    const { key, id } = CHANNEL_TABS[tab];
+    const seen = new Map();
+    let continuation = null;
+    let pageNumber = 0;
+
+    do {
+      const query = continuation ? `?continuation=${encodeURIComponent(continuation)}` : '';
+      const { data } = await pool.request(`/api/v1/channels/${ucid}/${tab}${query}`);
+      const items = data[key] || [];
+      items.forEach(item => { if (item[id] && !seen.has(item[id])) seen.set(item[id], item); });
+      continuation = items.length > 0 ? data.continuation : null;
+      if (continuation) log.log(`Fetching more ${tab} (${seen.size} so far)...`);
+    } while (continuation && ++pageNumber < MAX_PAGES);
+
+    return Array.from(seen.values());
+  }
+
+  // "/@handle" URLs have to be resolved to the channel ID ("UC...")
+  async function resolveChannelId(pool, target) {
+    if (target.ucid) return target.ucid;
+    const { data } = await pool.request(`/api/v1/resolveurl?url=${encodeURIComponent(`https://www.youtube.com/${target.handle}`)}`);
+    if (!data.ucid) {
+      throw new Error(`Cannot resolve the channel ${target.handle}.`);
+    }
+    return data.ucid;
+  }
 
-      // If it's an ALBUM, modify the filename to be "Artist - AlbumName [Youtube].xspf"
-      if (isAlbum) {
-          // Remove "Album" (and any associated dash/space) from the playlist title
-          // Use a regex to catch "Album - ", "- Album", "Album", or " - Album"
-          playlistTitle = playlistTitle.replace(/(\s*-\s*Album|\s*Album\s*-|\s*Album)\s*/gi, '').trim();
+  // Exports a channel: its uploads as one playlist, or its releases/playlists
+  // either as one playlist per album (`split`) or combined into one playlist
+  async function exportChannel(ctx, target, { channelTab, split }) {
+    const { pool, log } = ctx;
+    const ucid = await resolveChannelId(pool, target);
+    const { data: channel } = await pool.request(`/api/v1/channels/${ucid}`);
+    const isTopic = (channel.author || '').endsWith(' - Topic');
+    const channelName = stripTopic(channel.author || 'Unknown Channel');
+    const channelUrl = `https://www.youtube.com/channel/${ucid}`;
+
+    // Topic channels have no real uploads, their albums are on the Releases tab
+    const tab = channelTab || target.tab || (isTopic ? 'releases' : 'videos');
+    if (!CHANNEL_TABS[tab]) {
+      throw new Error(`Unsupported channel tab "${tab}". Use ${Object.keys(CHANNEL_TABS).join(', ')}.`);
+    }
+    log.log(`📺 Channel: ${channelName} (${tab})`);
 
-          // Construct the new filename: "Artist - Title [Youtube].xspf"
-          // Ensure there's only one dash between artist and title, and clean up extra spaces
-          fileName = `${albumArtist} - ${playlistTitle} [Youtube].xspf`.replace(/  +/g, ' ').trim();
-      } else {
-          // For non-albums, use the original format: "Playlist Title [Youtube].xspf"
-          fileName = `${playlistTitle} [Youtube].xspf`;
+    if (tab === 'videos') {
+      const videos = await fetchChannelTab(pool, ucid, 'videos', log);
+      if (videos.length === 0) {
+        throw new Error(`No videos found on ${channelName}.`);
       }
+      const { tracks, titles } = videosToTracks(ctx, videos, { isAlbum: isTopic, ids: [ucid], renumber: true });
+      const playlist = createPlaylist({
+        title: `${channelName} - Uploads`,
+        creator: channelName,
+        location: `${channelUrl}/videos`,
+        tracks
+      });
+      return { playlist, fileName: `${channelName} - Uploads [Youtube]`, partial: null, titles };
+    }
+
+    const lists = await fetchChannelTab(pool, ucid, tab, log);
+    if (lists.length === 0) {
+      throw new Error(`No ${tab} found on ${channelName}.`);
+    }
 
+    const results = [];
+    const failed = [];
+    for (const [i, list] of lists.entries()) {
+      log.log(`💿 ${i + 1} / ${lists.length}: ${list.title}`);
+      try {
+        const result = await exportPlaylist(ctx, list.playlistId, [ucid]);
+        if (list.playlistThumbnail) result.playlist.image = list.playlistThumbnail;
+        results.push(result);
+      } catch (error) {
+        log.warn(`⚠️ Skipped "${list.title}": ${error.message}`);
+        failed.push(list.title);
+      }
+    }
+    if (results.length === 0) {
+      throw new Error(`None of the ${lists.length} ${tab} of ${channelName} could be exported.`);
+    }
+    if (failed.length > 0) {
+      log.warn(`⚠️ ${failed.length} of ${lists.length} ${tab} could not be exported: ${failed.join(', ')}`);
+    }
 
-      // Now, save the XSPF content as a file
-      saveXSPFFile(xspfContent, fileName);
+    if (split) {
+      return { playlists: results };
+    }
 
-      console.log(`XSPF content generated and attempting download as: ${fileName}`);
-      console.log('Check your downloads folder.');
+    // One playlist: every track keeps its album and its position in the album
+    const label = tab === 'releases' ? 'Releases' : 'Playlists';
+    const playlist = createPlaylist({
+      title: `${channelName} - ${label}`,
+      creator: channelName,
+      annotation: failed.length > 0 ? `Partial export: ${failed.length} of ${lists.length} ${tab} missing` : null,
+      location: `${channelUrl}/${tab}`,
+      tracks: [].concat(...results.map(({ playlist: album }) =>
+        album.tracks.map(track => Object.assign({ album: album.title }, track))))
+    });
+    return {
+      playlist,
+      fileName: `${channelName} - ${label} [Youtube]`,
+      partial: failed.length > 0 ? { expected: lists.length, found: results.length } : null,
+      titles: [].concat(...results.map(result => result.titles))
+    };
+  }
 
-    } else {
-      console.log('No videos found in this playlist or invalid playlist ID.');
+  // Tells what a YouTube/Invidious URL points to:
+  // { type: 'playlist' | 'mix', id }, { type: 'channel', ucid, handle, tab },
+  // { type: 'search', query } or null
+  function parseYoutubeUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      return null;
     }
 
-  } catch (error) {
-    console.error('An error occurred during playlist retrieval or XSPF generation:', error, '\nEnsure the Invidious instance URL is correct and the playlist ID is valid.');
+    const playlistId = (parsed.searchParams.get('list') || '').match(/^[a-zA-Z0-9_-]+$/) ? parsed.searchParams.get('list') : null;
+    if (playlistId) {
+      // "RDCLAK..." lists are curated YouTube Music playlists, not mixes
+      const isMix = playlistId.startsWith('RD') && !playlistId.startsWith('RDCLAK');
+      return { type: isMix ? 'mix' : 'playlist', id: playlistId };
+    }
+
+    const channel = parsed.pathname.match(/^\/(?:(@[^/]+)|channel\/(UC[a-zA-Z0-9_-]+))(?:\/([a-z]+))?\/?$/);
+    if (channel) {
+      return {
+        type: 'channel',
+        handle: channel[1] ? decodeURIComponent(channel[1]) : null,
+        ucid: channel[2] || null,
+        tab: CHANNEL_TABS[channel[3]] ? channel[3] : null
+      };
+    }
+
+    const query = parsed.pathname === '/results' ? parsed.searchParams.get('search_query')
+      : parsed.pathname === '/search' ? parsed.searchParams.get('q') : null;
+    if (query) {
+      return { type: 'search', query };
+    }
+    return null;
   }
-}
 
-// Helper function to escape special XML characters
-function escapeXml(unsafe) {
-    return unsafe.replace(/[<>&'"]/g, function (c) {
-        switch (c) {
-            case '<': return '<'; // Less than sign
-            case '>': return '>'; // Greater than sign
-            case '&': return '&'; // Ampersand
-            case '\'': return ''; // Corrected: Single quote or apostrophe
-            case '"': return '"'; // Double quote
-        }
+  // --- Main Code Block ---
+  // Fetches the playlist, mix, channel or search results from Invidious and
+  // builds the playlist model.
+  // `page` provides { url, fetch, log } (no DOM needed) and optionally
+  // `invidious`, extra createInvidiousPool() options (ie. the CLI instance list and state file).
+  // Options:
+  // - channelTab: 'videos' | 'releases' | 'playlists' (default: from the URL, else
+  //   'releases' for Topic channels and 'videos' for the others)
+  // - split: one playlist per album instead of one combined playlist
+  // - searchPages: result pages exported from a search (default 1)
+  // - titleRules: user title rules, { "*": [...], "<playlist or channel ID>": [...] }
+  // Resolves to { playlist, fileName, partial, titles }, or { playlists: [...] } when
+  // split; `titles` lists raw title -> creator/title for the dry run.
+  async function extract(page, { channelTab = null, split = false, searchPages = 1, titleRules = null } = {}) {
+    const { log } = page;
+
+    // Find out what the page's URL points to
+    const target = parseYoutubeUrl(page.url || '');
+
+    if (!target) {
+      throw new Error("Cannot proceed: Playlist ID not found in the URL. Ensure you are on a valid YouTube playlist page (e.g., https://www.youtube.com/playlist?list=...), a channel page (/@handle, /channel/UC...) or a search results page.");
+    }
+
+    const ctx = {
+      pool: createInvidiousPool(Object.assign(invidiousPoolOptions(page), page.invidious)),
+      log,
+      titleRules
+    };
+
+    if (target.type === 'mix') return exportMix(ctx, target.id);
+    if (target.type === 'search') return exportSearch(ctx, target.query, searchPages);
+    if (target.type === 'channel') return exportChannel(ctx, target, { channelTab, split });
+    return exportPlaylist(ctx, target.id);
+  }
+
+  // On an Invidious page, its own instance goes first (same origin, no CORS)
+  function invidiousPoolOptions(page) {
+    const options = { fetch: page.fetch, log: page.log };
+    const pageUrl = page.url ? new URL(page.url) : null;
+    if (pageUrl && !/(^|\.)youtube\.com$/.test(pageUrl.hostname)) {
+      options.preferred = [pageUrl.origin];
+    }
+    return options;
+  }
+
+  // Any page (YouTube or Invidious) whose URL carries a playlist ID, a channel or a search
+  function matches(url) {
+    return parseYoutubeUrl(url) !== null;
+  }
+
+  // --- Browser entry point: extract from the current page and download ---
+  // The extension passes its own page context (background fetches) and format.
+  // Channels: set window.YOUTUBE_CHANNEL_TAB ('videos', 'releases' or 'playlists')
+  // and window.YOUTUBE_SPLIT_ALBUMS = true for one file per album.
+  // Titles: window.YOUTUBE_TITLE_RULES adds rules, window.YOUTUBE_TITLES_DRY_RUN = true
+  // only prints the raw title -> creator/title table.
+  function browserOptions() {
+    return {
+      channelTab: window.YOUTUBE_CHANNEL_TAB,
+      split: !!window.YOUTUBE_SPLIT_ALBUMS,
+      searchPages: window.YOUTUBE_SEARCH_PAGES,
+      titleRules: window.YOUTUBE_TITLE_RULES,
+      dryRun: !!window.YOUTUBE_TITLES_DRY_RUN
+    };
+  }
+
+  // The dry run stops before the download
+  function onResult(result, { options }) {
+    if (!options.dryRun) return true;
+    (result.playlists || [result]).forEach(({ fileName, titles }) => {
+      console.log(`Dry run: ${fileName}`);
+      console.table(titles);
     });
-}
-
-// Function to save the generated XSPF content as a file via Blob
-function saveXSPFFile(content, fileName) {
-    // Create a Blob object with the XML content and correct MIME type
-    const blob = new Blob([content], { type: 'application/xspf+xml;charset=utf-8' });
-
-    // Create a temporary URL for the Blob
-    const url = URL.createObjectURL(blob);
-
-    // Create a hidden <a> element to trigger download
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = fileName; // Set the file name for download
-
-    // Simulate a click on the <a> element to trigger the download
-    document.body.appendChild(a); // Appending is often needed for Firefox
-    a.click();
-
-    // Clean up: remove the <a> element and revoke the Blob URL to free up memory
-    document.body.removeChild(a); // Remove from DOM
-    URL.revokeObjectURL(url); // Release the object URL
-}
-
-// --- Launch the main function on script execution ---
-// IMPORTANT: This code is intended to be run in a browser environment.
-// If you are on a YouTube page directly, you will likely need a browser extension
-// (e.g., using a Content Script) due to browser security restrictions
-// like Content Security Policy (CSP) and Same-Origin Policy).
-getPlaylistVideosAndGenerateXSPF();
+    console.log('Nothing downloaded. Set window.YOUTUBE_TITLES_DRY_RUN = false to export.');
+    return false;
+  }
+
+  // IMPORTANT: The browser entry point is intended to be run in a browser environment.
+  // If you are on a YouTube page directly, you will likely need a browser extension
+  // (e.g., using a Content Script) due to browser security restrictions
+  // like Content Security Policy (CSP) and Same-Origin Policy).
+  return core.defineSite({
+    site: 'youtube',
+    hosts: ['www.youtube.com', 'youtube.com', 'music.youtube.com', 'm.youtube.com', 'yewtu.be', 'inv.nadeko.net', 'invidious.nerdvpn.de'],
+    tags: ['Youtube', 'Youtube search'],
+    trackHosts: ['youtube.com', 'youtu.be'],
+    // Everything comes from the Invidious API: the page itself is not needed
+    fetchHtml: false,
+    matches,
+    getPlaylistIdFromUrl,
+    parseYoutubeUrl,
+    // Not the readAlbum/listTracks pipeline: a URL can be a playlist, a mix, a
+    // channel or a search, each read from a different Invidious endpoint, and
+    // albums found in a channel are split into several playlists
+    extract,
+    browserOptions,
+    onResult
+  });
+});
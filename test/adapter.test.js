@@ -0,0 +1,148 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseDuration } = require('../scripts/lib/playlist');
+const { defineSite } = require('../scripts/lib/adapter');
+const { createPage } = require('../cli/page');
+const { SITES, registerSite, loadSites, detectSite, siteOfTag, siteOfTrackHost, loadSitePage } = require('../cli/sites');
+const { detectSource } = require('../cli/input');
+const { silentLog, tempDir } = require('./helpers');
+
+// An Internet Archive style item page: a title, a creator and a file list
+const ITEM_HTML = `<html><head><title>Item</title></head><body>
+    <h1 class="item-title">Chrono Trigger OST</h1>
+    <span class="item-creator">Yasunori Mitsuda</span>
+    <table class="files">
+        <tr><td>1</td><td><a href="/download/ct-ost/01%20Peaceful%20Days.mp3">Peaceful Days</a></td><td>2:58</td></tr>
+        <tr><td>2</td><td><a href="/download/ct-ost/02%20Schala.mp3">Schala</a></td><td>2:32</td></tr>
+    </table>
+</body></html>`;
+
+const ITEM_URL = 'https://archive.example/details/ct-ost';
+
+const archiveAdapter = (overrides = {}) => Object.assign({
+    site: 'archive-example',
+    hosts: ['archive.example'],
+    tags: ['Archive'],
+    trackHosts: ['files.archive.example'],
+    matches: (url) => /^https:\/\/archive\.example\/details\//.test(url),
+    readAlbum: (page) => ({
+        title: page.document.querySelector('.item-title').textContent.trim(),
+        creator: page.document.querySelector('.item-creator').textContent.trim(),
+        metadata: { year: '1995' }
+    }),
+    listTracks: (page, album) => Array.from(page.document.querySelectorAll('table.files tr')).map(row => ({
+        location: new URL(row.querySelector('a').getAttribute('href'), page.url).href,
+        title: row.querySelector('a').textContent.trim(),
+        creator: album.creator,
+        trackNum: row.children[0].textContent,
+        duration: parseDuration(row.children[2].textContent)
+    }))
+}, overrides);
+
+const itemPage = () => createPage({ html: ITEM_HTML, url: ITEM_URL, log: silentLog() });
+
+test('builds the playlist from the album and track steps with the default file name', async () => {
+    const site = defineSite(archiveAdapter());
+    const { playlist, fileName, report } = await site.extract(itemPage());
+
+    assert.equal(fileName, 'Yasunori Mitsuda - Chrono Trigger OST [Archive]');
+    assert.equal(report, undefined);
+    assert.equal(playlist.title, 'Chrono Trigger OST');
+    assert.equal(playlist.location, ITEM_URL);
+    assert.deepEqual(playlist.tracks.map(track => [track.trackNum, track.title, track.location, track.duration]), [
+        [1, 'Peaceful Days', 'https://archive.example/download/ct-ost/01%20Peaceful%20Days.mp3', 178000],
+        [2, 'Schala', 'https://archive.example/download/ct-ost/02%20Schala.mp3', 152000]
+    ]);
+    assert.deepEqual([site.tags, site.trackHosts, site.fetchHtml], [['Archive'], ['files.archive.example'], true]);
+});
+
+test('resolves the links only when asked, and lets the adapter name the file', async () => {
+    const calls = [];
+    const site = defineSite(archiveAdapter({
+        resolveLinks: async (page, tracks, options) => {
+            calls.push(options.resolveLinks);
+            return {
+                tracks: tracks.map(track => Object.assign({}, track, { location: track.location.replace('archive.example/download', 'files.archive.example') })),
+                report: { total: tracks.length, resolved: tracks.length }
+            };
+        },
+        fileName: (album) => `${album.title} (${album.metadata.year}) [Archive]`
+    }));
+
+    assert.equal((await site.extract(itemPage())).playlist.tracks[0].location, 'https://archive.example/download/ct-ost/01%20Peaceful%20Days.mp3');
+    const { playlist, fileName, report } = await site.extract(itemPage(), { resolveLinks: true });
+    assert.deepEqual(calls, [true]);
+    assert.equal(fileName, 'Chrono Trigger OST (1995) [Archive]');
+    assert.deepEqual(report, { total: 2, resolved: 2 });
+    assert.equal(playlist.tracks[1].location, 'https://files.archive.example/ct-ost/02%20Schala.mp3');
+    assert.equal(playlist.meta[Object.keys(playlist.meta).find(key => key.endsWith('#year'))], '1995');
+});
+
+test('always resolves with alwaysResolve, keeps the extra resolveLinks fields and splits the album', async () => {
+    const site = defineSite(archiveAdapter({
+        alwaysResolve: true,
+        resolveLinks: async (page, tracks) => ({ tracks, report: { total: tracks.length }, linkCache: { cached: true } }),
+        split: (tracks, album, options) => options.split ? tracks.map(track => ({ title: `${album.title} (${track.title})`, tracks: [track] })) : null,
+        fileName: (album, playlist) => `${playlist.title} [Archive]`
+    }));
+
+    const whole = await site.extract(itemPage());
+    assert.equal(whole.fileName, 'Chrono Trigger OST [Archive]');
+    assert.deepEqual([whole.report, whole.linkCache], [{ total: 2 }, { cached: true }]);
+
+    const { playlist, playlists, linkCache } = await site.extract(itemPage(), { split: true });
+    assert.equal(playlist, undefined);
+    assert.deepEqual(linkCache, { cached: true });
+    assert.deepEqual(playlists.map(part => [part.fileName, part.playlist.creator, part.playlist.tracks.length]), [
+        ['Chrono Trigger OST (Peaceful Days) [Archive]', 'Yasunori Mitsuda', 1],
+        ['Chrono Trigger OST (Schala) [Archive]', 'Yasunori Mitsuda', 1]
+    ]);
+});
+
+test('rejects incomplete adapters and pages without tracks', async () => {
+    assert.throws(() => defineSite({ hosts: [] }), /needs a `site` name/);
+    assert.throws(() => defineSite({ site: 'broken', hosts: ['broken.example'], matches: () => true }), /has no extract \(or readAlbum and listTracks\)/);
+    assert.throws(() => defineSite(archiveAdapter({ matchesCatalogue: () => false })), /has no listAlbums/);
+
+    const empty = defineSite(archiveAdapter({ listTracks: () => [] }));
+    await assert.rejects(empty.extract(itemPage()), /No tracks found on https:\/\/archive\.example\/details\/ct-ost/);
+});
+
+test('registers the built-in sites and extra site scripts for the command line tools', (t) => {
+    assert.deepEqual(Object.keys(SITES).sort(), ['khinsider', 'musify', 'squidify', 'youtube']);
+    assert.equal(SITES.youtube.fetchHtml, false);
+    assert.deepEqual([siteOfTag('Musify_club'), siteOfTag('Youtube search'), siteOfTag('Unknown')], ['musify', 'youtube', null]);
+    assert.deepEqual([siteOfTrackHost('vgmtreasurechest.com'), siteOfTrackHost('www.squidify.org'), siteOfTrackHost('example.com')], ['khinsider', 'squidify', null]);
+    assert.throws(() => registerSite({ site: 'half' }), /defineSite\(\)/);
+
+    // A site script outside the repository, as PLAYLIST_EXPORT_SITES lists them
+    const dir = tempDir(t, 'sites-');
+    t.after(() => delete SITES['archive-example']);
+    const script = path.join(dir, 'archive.js');
+    fs.writeFileSync(script, `module.exports = require(${JSON.stringify(require.resolve('../scripts/lib/adapter'))}).defineSite({
+        site: 'archive-example',
+        hosts: ['archive.example'],
+        tags: ['Archive'],
+        trackHosts: ['files.archive.example'],
+        matches: (url) => url.startsWith('https://archive.example/details/'),
+        extract: async () => ({ playlists: [] })
+    });\n`);
+
+    assert.deepEqual(loadSites([script, '']).map(site => site.site), ['archive-example']);
+    assert.equal(detectSite(ITEM_URL), 'archive-example');
+    assert.equal(detectSource({ tracks: [] }, 'Chrono Trigger OST [Archive].xspf'), 'archive-example');
+    assert.equal(detectSource({ tracks: [{ locations: ['https://files.archive.example/ct-ost/02.mp3'] }] }), 'archive-example');
+});
+
+test('loads only the URL of API-driven sites and hands them the Invidious settings', async () => {
+    const invidious = { instances: ['https://invidious.example'] };
+    const page = await loadSitePage('youtube', 'https://www.youtube.com/playlist?list=PL123', { log: silentLog(), invidious });
+    assert.equal(page.url, 'https://www.youtube.com/playlist?list=PL123');
+    assert.equal(page.invidious, invidious);
+    assert.equal(page.document.querySelector('h1'), null);
+});
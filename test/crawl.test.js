@@ -0,0 +1,213 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const crawl = require('../scripts/lib/crawl');
+const { memoryStorage } = require('../scripts/lib/invidious');
+const musify = require('../scripts/musify_album_to_xspf');
+const khinsider = require('../scripts/khinsider_album_to_xspf');
+const squidify = require('../scripts/squidify_abum_to_xspf');
+const { fixturePage } = require('./helpers');
+require('../scripts/lib/formats');
+
+const MUSIFY = 'https://musify.club/release';
+const KHINSIDER = 'https://downloads.khinsider.com/game-soundtracks/album';
+const FAST = { minInterval: 0, retryDelay: 1 };
+
+/**
+ * Reads the central directory of a stored (uncompressed) ZIP
+ */
+const readZip = (zip) => {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const end = zip.byteLength - 22;
+    assert.equal(view.getUint32(end, true), 0x06054B50);
+    const decoder = new TextDecoder();
+    const entries = [];
+    let position = view.getUint32(end + 16, true);
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+        const size = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const offset = view.getUint32(position + 42, true);
+        const name = decoder.decode(zip.subarray(position + 46, position + 46 + nameLength));
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const data = zip.subarray(dataStart, dataStart + size);
+        assert.equal(view.getUint32(position + 16, true), crawl.crc32(data));
+        entries.push({ name, content: decoder.decode(data) });
+        position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+    }
+    return entries;
+};
+
+test('computes the standard CRC-32 and writes readable ZIP archives', () => {
+    assert.equal(crawl.crc32(new TextEncoder().encode('hello')), 0x3610A686);
+    const zip = crawl.createZip([{ name: 'a.xspf', content: '<a/>' }, { name: 'Café.m3u8', content: '#EXTM3U\n' }]);
+
+    assert.deepEqual(Array.from(zip.subarray(0, 4)), [0x50, 0x4B, 0x03, 0x04]);
+    assert.deepEqual(readZip(zip), [{ name: 'a.xspf', content: '<a/>' }, { name: 'Café.m3u8', content: '#EXTM3U\n' }]);
+});
+
+test('parses year ranges and filters albums by year and type', () => {
+    assert.deepEqual(crawl.parseYearRange('1995-2001'), { from: 1995, to: 2001 });
+    assert.deepEqual(crawl.parseYearRange('1997'), { from: 1997, to: 1997 });
+    assert.deepEqual(crawl.parseYearRange('2001-'), { from: 2001, to: null });
+    assert.throws(() => crawl.parseYearRange('late 90s'), /Invalid year range/);
+
+    const albums = [
+        { title: 'A', year: 1997, type: 'studio' },
+        { title: 'B', year: 2000, type: 'single' },
+        { title: 'C', year: null, type: 'studio' }
+    ];
+    assert.deepEqual(crawl.filterAlbums(albums, { types: ['Studio'] }).map(album => album.title), ['A', 'C']);
+    assert.deepEqual(crawl.filterAlbums(albums, { from: 1999 }).map(album => album.title), ['B']);
+});
+
+test('lists a Musify discography with years and release types', async () => {
+    const { title, albums, next } = await musify.listAlbums(fixturePage('musify-artist.html'));
+
+    assert.equal(title, 'Daft Punk');
+    assert.equal(next, null);
+    assert.deepEqual(albums, [
+        { url: `${MUSIFY}/daft-punk-homework-1997-1103`, title: 'Homework', year: 1997, type: 'studio' },
+        { url: `${MUSIFY}/daft-punk-one-more-time-2000-2201`, title: 'One More Time', year: 2000, type: 'single' },
+        { url: `${MUSIFY}/daft-punk-discovery-2001-1104`, title: 'Discovery', year: 2001, type: 'studio' },
+        { url: `${MUSIFY}/daft-punk-daft-club-2003-1105`, title: 'Daft Club', year: 2003, type: 'compilation' }
+    ]);
+    assert.ok(musify.matchesCatalogue('https://musify.club/artist/daft-punk-1234'));
+    assert.ok(!musify.matchesCatalogue(`${MUSIFY}/daft-punk-discovery-2001-1104`));
+});
+
+test('crawls the filtered albums into one ZIP and resumes after failures', async () => {
+    const storage = memoryStorage();
+    const routes = {
+        [`${MUSIFY}/daft-punk-discovery-2001-1104`]: 'musify-album.html',
+        [`${MUSIFY}/daft-punk-homework-1997-1103`]: () => new Response('Service Unavailable', { status: 503 })
+    };
+    const options = Object.assign({ storage, retries: 0, filter: { types: ['studio'] } }, FAST);
+
+    const first = await crawl.crawlCatalogue(musify, fixturePage('musify-artist.html', { routes }), options);
+    assert.equal(first.fileName, 'Daft Punk [Catalogue].zip');
+    assert.deepEqual(first.report, {
+        total: 2,
+        exported: 1,
+        failed: [{ title: 'Homework', url: `${MUSIFY}/daft-punk-homework-1997-1103`, error: `HTTP 503 for ${MUSIFY}/daft-punk-homework-1997-1103` }]
+    });
+    assert.deepEqual(readZip(first.zip).map(entry => entry.name), ['Daft Punk (2001) - Discovery [Musify_club].xspf']);
+
+    // The second run only fetches the album that failed
+    routes[`${MUSIFY}/daft-punk-homework-1997-1103`] = 'musify-playlist.html';
+    const progress = [];
+    const page = fixturePage('musify-artist.html', { routes });
+    const second = await crawl.crawlCatalogue(musify, page, Object.assign({ onProgress: update => progress.push(update.done) }, options));
+
+    assert.deepEqual(page.fetch.requests, [`${MUSIFY}/daft-punk-homework-1997-1103`]);
+    assert.deepEqual(progress, [1, 2]);
+    assert.equal(second.report.exported, 2);
+    const entries = readZip(second.zip);
+    assert.deepEqual(entries.map(entry => entry.name), [
+        'Unknown Artist (UnknownYear) - Rock & Roll Classics [Musify_club].xspf',
+        'Daft Punk (2001) - Discovery [Musify_club].xspf'
+    ]);
+    assert.match(entries[1].content, /<title>One More Time<\/title>/);
+    // A complete crawl does not keep its queue
+    assert.equal(storage.getItem(`playlistExport.crawl:https://musify.club/artist/daft-punk-1234/releases`), null);
+});
+
+test('starts over when a resumed crawl asks for another format', async () => {
+    const storage = memoryStorage();
+    const routes = {
+        [`${MUSIFY}/daft-punk-discovery-2001-1104`]: 'musify-album.html',
+        [`${MUSIFY}/daft-punk-homework-1997-1103`]: () => new Response('Service Unavailable', { status: 503 })
+    };
+    const options = Object.assign({ storage, retries: 0, filter: { types: ['studio'] } }, FAST);
+    await crawl.crawlCatalogue(musify, fixturePage('musify-artist.html', { routes }), options);
+
+    routes[`${MUSIFY}/daft-punk-homework-1997-1103`] = 'musify-playlist.html';
+    const page = fixturePage('musify-artist.html', { routes });
+    const { files } = await crawl.crawlCatalogue(musify, page, Object.assign({}, options, { format: 'm3u8' }));
+
+    // The XSPF file of the first run is not reused
+    assert.equal(page.fetch.requests.length, 2);
+    assert.deepEqual(files.map(file => file.name), [
+        'Unknown Artist (UnknownYear) - Rock & Roll Classics [Musify_club].m3u8',
+        'Daft Punk (2001) - Discovery [Musify_club].m3u8'
+    ]);
+});
+
+test('applies the playlist transform before serializing and starts over when it changes', async () => {
+    const storage = memoryStorage();
+    const routes = {
+        [`${MUSIFY}/daft-punk-discovery-2001-1104`]: 'musify-album.html',
+        [`${MUSIFY}/daft-punk-homework-1997-1103`]: () => new Response('Service Unavailable', { status: 503 })
+    };
+    const options = Object.assign({ storage, retries: 0, filter: { types: ['studio'] } }, FAST);
+    await crawl.crawlCatalogue(musify, fixturePage('musify-artist.html', { routes }), options);
+
+    routes[`${MUSIFY}/daft-punk-homework-1997-1103`] = 'musify-playlist.html';
+    const page = fixturePage('musify-artist.html', { routes });
+    const { files } = await crawl.crawlCatalogue(musify, page, Object.assign({}, options, {
+        transform: playlist => Object.assign({}, playlist, { tracks: playlist.tracks.map(track => Object.assign({}, track, { location: 'http://127.0.0.1:8080/track' })) }),
+        transformKey: 'proxy:http://127.0.0.1:8080'
+    }));
+
+    // The untransformed file of the first run is not reused
+    assert.equal(page.fetch.requests.length, 2);
+    files.forEach(file => assert.match(file.content, /<location>http:\/\/127\.0\.0\.1:8080\/track<\/location>/));
+});
+
+test('filters by year and writes the requested format', async () => {
+    const routes = {
+        [`${MUSIFY}/daft-punk-discovery-2001-1104`]: 'musify-album.html',
+        [`${MUSIFY}/daft-punk-one-more-time-2000-2201`]: 'musify-album.html'
+    };
+    const { albums, files, report } = await crawl.crawlCatalogue(musify, fixturePage('musify-artist.html', { routes }),
+        Object.assign({ storage: memoryStorage(), filter: { from: 2000, to: 2001 }, format: 'm3u8' }, FAST));
+
+    assert.deepEqual(albums.map(album => album.title), ['One More Time', 'Discovery']);
+    assert.equal(report.exported, 2);
+    // Same file name twice: the second one gets a suffix
+    assert.deepEqual(files.map(file => file.name), [
+        'Daft Punk (2001) - Discovery [Musify_club].m3u8',
+        'Daft Punk (2001) - Discovery [Musify_club] (2).m3u8'
+    ]);
+});
+
+test('follows KHInsider listing pages and filters by album type', async () => {
+    const routes = {
+        'https://downloads.khinsider.com/game-soundtracks/snes?page=2': 'khinsider-listing-2.html',
+        [`${KHINSIDER}/chrono-trigger-snes`]: 'khinsider-album.html',
+        [`${KHINSIDER}/chrono-trigger-snes/01.%2520Prelude.mp3`]: 'khinsider-track-01.html',
+        [`${KHINSIDER}/chrono-trigger-snes/02.%2520Peaceful%2520Days%2520%2526%2520Nights.mp3`]: 'khinsider-track-02.html',
+        [`${KHINSIDER}/chrono-trigger-snes/03.%2520To%2520Far%2520Away%2520Times.mp3`]: 'khinsider-track-03.html'
+    };
+    const page = fixturePage('khinsider-listing.html', { routes });
+    const { albums, files, report } = await crawl.crawlCatalogue(khinsider, page,
+        Object.assign({ storage: memoryStorage(), filter: { types: ['gamerip'], to: 1995 }, extractOptions: FAST }, FAST));
+
+    assert.deepEqual(albums, [{ url: `${KHINSIDER}/chrono-trigger-snes`, title: 'Chrono Trigger (SNES) (gamerip) (1995)', year: 1995, type: 'gamerip' }]);
+    assert.equal(report.exported, 1);
+    assert.deepEqual(files.map(file => file.name), ['Chrono Trigger (SNES) (gamerip) (1995) [Khinsider].xspf']);
+    assert.equal(page.fetch.requests[0], 'https://downloads.khinsider.com/game-soundtracks/snes?page=2');
+
+    const listing = await khinsider.listAlbums(fixturePage('khinsider-listing.html'));
+    assert.deepEqual(listing.albums.map(album => [album.title, album.type, album.year]), [
+        ['Chrono Trigger (SNES) (gamerip) (1995)', 'gamerip', 1995],
+        ['Super Metroid Sound in Action', 'soundtrack', 1994]
+    ]);
+    assert.ok(khinsider.matchesCatalogue('https://downloads.khinsider.com/game-soundtracks/snes'));
+    assert.ok(khinsider.matchesCatalogue('https://downloads.khinsider.com/search?search=chrono'));
+    assert.ok(!khinsider.matchesCatalogue(`${KHINSIDER}/chrono-trigger-snes`));
+});
+
+test('lists the albums of a Squidify artist page', async () => {
+    const { title, albums } = await squidify.listAlbums(fixturePage('squidify-artist.html'));
+
+    assert.equal(title, 'Christopher Larkin');
+    assert.deepEqual(albums.map(({ title, year, type }) => [title, year, type]), [
+        ['Hollow Knight (Original Soundtrack)', 2017, 'album'],
+        ['Hollow Knight: Gods & Nightmares', 2019, 'ep'],
+        ['The Radiance', 2019, 'single']
+    ]);
+    assert.equal(albums[0].url, 'https://www.squidify.org/album/hollow-knight-original-soundtrack');
+    assert.ok(squidify.matchesCatalogue('https://www.squidify.org/artist/christopher-larkin'));
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { NS, createPlaylist } = require('../scripts/lib/playlist');
+const { planOffline, localPlaylist, trackFileName } = require('../scripts/lib/offline');
+const { downloadToFile, downloadOffline } = require('../cli/download');
+const { silentLog, startServer, tempDir } = require('./helpers');
+require('../scripts/lib/formats');
+
+const AUDIO = Buffer.from('ID3-fake-audio-0123456789abcdefghijklmnopqrstuvwxyz');
+const COVER = Buffer.from('JFIF-fake-cover');
+// Squidify-like streams: the link has no extension, only the content tells
+const STREAMS = {
+    'hk-01': { type: 'application/octet-stream', body: Buffer.from('fLaC-fake-stream-info-and-frames') },
+    'hk-02': { type: 'audio/ogg', body: Buffer.from('OggS-fake-vorbis-pages') }
+};
+
+const album = (base) => createPlaylist({
+    title: 'Chrono Trigger',
+    creator: 'Yasunori Mitsuda',
+    location: `${base}/album/chrono-trigger`,
+    image: `${base}/cover.jpg`,
+    tracks: [
+        { title: 'Prelude', creator: 'Yasunori Mitsuda', trackNum: 1, location: `${base}/cdn/01.%20Prelude.flac`, extension: { [NS]: { position: '1-01' } } },
+        { title: 'Peaceful Days: Nights?', creator: 'Yasunori Mitsuda', trackNum: 2, location: `${base}/cut/02.mp3` },
+        { title: 'Wind Scene', trackNum: 3, location: [`${base}/missing/03.mp3`, `${base}/cdn/03.mp3`] },
+        { title: 'Gone', trackNum: 4, location: `${base}/missing/04.mp3` },
+        { title: 'Video', trackNum: 5, location: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' }
+    ]
+});
+
+/**
+ * CDN with Range support. /cut/ answers with only half of the file the first
+ * time (the connection drops); /missing/ is 404 and /api/stream/<id> serves STREAMS.
+ */
+const startCdn = async (t) => {
+    const state = { ranges: [], cuts: 0 };
+    const { base } = await startServer(t, (req, res) => {
+        if (req.url.startsWith('/missing/')) {
+            res.writeHead(404);
+            return res.end('Not Found');
+        }
+        const stream = STREAMS[(req.url.match(/^\/api\/stream\/([^?]+)/) || [])[1]];
+        if (stream) {
+            res.writeHead(200, { 'Content-Type': stream.type, 'Content-Length': stream.body.length });
+            return res.end(stream.body);
+        }
+        const body = req.url === '/cover.jpg' ? COVER : AUDIO;
+        const range = (req.headers.range || '').match(/^bytes=(\d+)-$/);
+        state.ranges.push(req.headers.range || null);
+        if (range) {
+            const start = Number(range[1]);
+            if (start >= body.length) {
+                res.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+                return res.end();
+            }
+            res.writeHead(206, { 'Content-Type': 'audio/mpeg', 'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}`, 'Content-Length': body.length - start });
+            return res.end(body.subarray(start));
+        }
+        res.writeHead(200, { 'Content-Type': req.url === '/cover.jpg' ? 'image/jpeg' : 'audio/mpeg', 'Content-Length': body.length });
+        if (req.url.startsWith('/cut/') && state.cuts++ === 0) {
+            res.write(body.subarray(0, 10));
+            return setTimeout(() => res.destroy(), 20);
+        }
+        res.end(body);
+    });
+    return { base, state };
+};
+
+test('plans file names, the cover and relative companion playlists', () => {
+    const playlist = album('https://cdn.example.com');
+    playlist.tracks.push(Object.assign({}, playlist.tracks[3]));
+    const plan = planOffline(playlist);
+
+    assert.equal(plan.folder, 'Yasunori Mitsuda - Chrono Trigger');
+    assert.deepEqual(plan.files.map(file => file.path), [
+        '1-01 - Yasunori Mitsuda - Prelude.flac',
+        '02 - Yasunori Mitsuda - Peaceful Days_ Nights_.mp3',
+        '03 - Wind Scene.mp3',
+        '04 - Gone.mp3',
+        '04 - Gone (2).mp3'
+    ]);
+    assert.deepEqual(plan.files[2].urls, ['https://cdn.example.com/missing/03.mp3', 'https://cdn.example.com/cdn/03.mp3']);
+    assert.deepEqual(plan.skipped, [{ position: 5, title: 'Video', reason: 'no downloadable link (streaming only)' }]);
+    assert.deepEqual(plan.cover, { url: 'https://cdn.example.com/cover.jpg', path: 'cover.jpg' });
+    assert.equal(trackFileName({ title: 'Untitled' }, 8, { total: 120, extension: 'ogg' }), '009 - Untitled.ogg');
+
+    const xspf = localPlaylist(playlist, plan, { paths: [plan.files[0].path] });
+    assert.equal(xspf.image, 'cover.jpg');
+    assert.deepEqual(xspf.tracks.map(track => track.location), ['1-01%20-%20Yasunori%20Mitsuda%20-%20Prelude.flac']);
+    const m3u = localPlaylist(playlist, plan, { format: 'm3u8', cover: false });
+    assert.equal(m3u.tracks[1].location, '02 - Yasunori Mitsuda - Peaceful Days_ Nights_.mp3');
+    assert.equal(m3u.image, 'https://cdn.example.com/cover.jpg');
+});
+
+test('resumes a partial file with a Range request and checks its size', async (t) => {
+    const { base, state } = await startCdn(t);
+    const dir = tempDir(t, 'offline-');
+    const dest = path.join(dir, 'track.mp3');
+    fs.writeFileSync(`${dest}.part`, AUDIO.subarray(0, 20));
+
+    assert.deepEqual(await downloadToFile(fetch, `${base}/cdn/01.mp3`, dest), { size: AUDIO.length, resumed: true, file: dest });
+    assert.deepEqual(fs.readFileSync(dest), AUDIO);
+    assert.equal(fs.existsSync(`${dest}.part`), false);
+    assert.deepEqual(state.ranges, ['bytes=20-']);
+
+    // A complete part only needs its rename
+    fs.writeFileSync(`${dest}.part`, AUDIO);
+    fs.rmSync(dest);
+    assert.deepEqual(await downloadToFile(fetch, `${base}/cdn/01.mp3`, dest), { size: AUDIO.length, resumed: true, file: dest });
+
+    await assert.rejects(downloadToFile(fetch, `${base}/missing/01.mp3`, path.join(dir, 'gone.mp3')), error => error.permanent && /HTTP 404/.test(error.message));
+});
+
+test('downloads an album with fallbacks, retries and companion playlists', async (t) => {
+    const { base } = await startCdn(t);
+    const dir = tempDir(t, 'offline-');
+    const log = silentLog();
+    const options = { outDir: dir, fetch, log, retryDelay: 1 };
+
+    const { dir: albumDir, playlists, report } = await downloadOffline(album(base), options);
+
+    assert.equal(albumDir, path.join(dir, 'Yasunori Mitsuda - Chrono Trigger'));
+    assert.deepEqual(fs.readdirSync(albumDir).sort(), [
+        '02 - Yasunori Mitsuda - Peaceful Days_ Nights_.mp3',
+        '03 - Wind Scene.mp3',
+        '1-01 - Yasunori Mitsuda - Prelude.flac',
+        'Chrono Trigger.m3u8',
+        'Chrono Trigger.xspf',
+        'cover.jpg'
+    ]);
+    assert.deepEqual(fs.readFileSync(path.join(albumDir, '02 - Yasunori Mitsuda - Peaceful Days_ Nights_.mp3')), AUDIO);
+    assert.deepEqual(fs.readFileSync(path.join(albumDir, 'cover.jpg')), COVER);
+    assert.deepEqual(Object.assign({}, report, { failed: undefined, skipped: undefined }), { total: 5, downloaded: 3, existing: 0, tagged: 0, failed: undefined, skipped: undefined });
+    assert.deepEqual(report.failed.map(row => [row.position, row.title]), [[4, 'Gone']]);
+    assert.equal(report.skipped.length, 1);
+
+    const m3u = fs.readFileSync(playlists[1], 'utf8');
+    assert.match(m3u, /^03 - Wind Scene\.mp3$/m);
+    assert.doesNotMatch(m3u, /Gone|youtube/);
+    assert.match(fs.readFileSync(playlists[0], 'utf8'), /<location>03%20-%20Wind%20Scene\.mp3<\/location>/);
+
+    // A second run keeps the complete files
+    const again = await downloadOffline(album(base), options);
+    assert.equal(again.report.existing, 3);
+    assert.equal(again.report.downloaded, 0);
+});
+
+test('names the files of extensionless stream links after what they hold', async (t) => {
+    const { base } = await startCdn(t);
+    const dir = tempDir(t, 'offline-');
+    const playlist = createPlaylist({
+        title: 'Hollow Knight',
+        creator: 'Christopher Larkin',
+        location: `${base}/album/hollow-knight`,
+        tracks: [
+            { title: 'Enter Hallownest', trackNum: 1, location: `${base}/api/stream/hk-01?session=s1` },
+            { title: 'Dirtmouth', trackNum: 2, location: `${base}/api/stream/hk-02?session=s1` }
+        ]
+    });
+    const options = { outDir: dir, fetch, log: silentLog(), tag: false, playlists: ['m3u8'] };
+    assert.deepEqual(planOffline(playlist).files.map(file => [file.path, file.sniff]), [['01 - Enter Hallownest.mp3', true], ['02 - Dirtmouth.mp3', true]]);
+
+    const { dir: albumDir, playlists } = await downloadOffline(playlist, options);
+    assert.deepEqual(fs.readdirSync(albumDir).sort(), ['01 - Enter Hallownest.flac', '02 - Dirtmouth.ogg', 'Hollow Knight.m3u8']);
+    assert.deepEqual(fs.readFileSync(path.join(albumDir, '01 - Enter Hallownest.flac')), STREAMS['hk-01'].body);
+    assert.match(fs.readFileSync(playlists[0], 'utf8'), /^01 - Enter Hallownest\.flac\n[^]*^02 - Dirtmouth\.ogg$/m);
+
+    // A second run finds the files under their real names
+    const again = await downloadOffline(playlist, options);
+    assert.deepEqual([again.report.existing, again.report.downloaded], [2, 0]);
+    assert.match(fs.readFileSync(again.playlists[0], 'utf8'), /^01 - Enter Hallownest\.flac$/m);
+});
@@ -0,0 +1,82 @@
+/**
+ * Shared helpers for the offline fixture tests
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createPage } = require('../cli/page');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+/**
+ * A fetch() that serves fixtures by URL and answers 404 for anything else,
+ * so a test can never reach the network.
+ */
+const fakeFetch = (routes = {}) => {
+    const requests = [];
+    const fetch = async (url) => {
+        requests.push(String(url));
+        const route = routes[String(url)];
+        if (route === undefined) return new Response('Not Found', { status: 404 });
+        if (typeof route === 'function') return route(String(url));
+        return new Response(fixture(route), { status: 200 });
+    };
+    fetch.requests = requests;
+    return fetch;
+};
+
+/**
+ * A console replacement that records messages instead of printing them
+ */
+const silentLog = () => {
+    const messages = [];
+    const record = (level) => (...args) => messages.push({ level, text: args.join(' ') });
+    return { log: record('log'), warn: record('warn'), error: record('error'), messages };
+};
+
+/**
+ * Builds an extractor page from an HTML fixture with fixture-backed fetches
+ */
+const fixturePage = (name, { url = null, routes = {} } = {}) => {
+    const log = silentLog();
+    const page = createPage({ html: name ? fixture(name) : '', url, log });
+    const fetch = fakeFetch(routes);
+    page.fetch = fetch;
+    page.fetchText = async (target) => {
+        const response = await fetch(target);
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${target}`);
+        return response.text();
+    };
+    return page;
+};
+
+/**
+ * Starts a local HTTP server for the test on a free port and closes it when
+ * the test ends. `handler` is a request listener, or a server to start (ie.
+ * the streaming proxy). Resolves to { server, base: "http://127.0.0.1:<port>" }.
+ */
+const startServer = async (t, handler) => {
+    const server = handler instanceof http.Server ? handler : http.createServer(handler);
+    const base = await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    return { server, base };
+};
+
+/**
+ * A temporary directory ("<prefix>XXXXXX"), removed when the test ends
+ */
+const tempDir = (t, prefix) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+module.exports = { FIXTURES, fixture, fakeFetch, silentLog, fixturePage, startServer, tempDir };
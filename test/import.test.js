@@ -0,0 +1,154 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { NS, createPlaylist, toXspf } = require('../scripts/lib/playlist');
+const { createInvidiousPool, memoryStorage } = require('../scripts/lib/invidious');
+const { candidateOf, rankCandidates, searchQuery, importPlaylist } = require('../scripts/lib/matcher');
+const { readPlaylist } = require('../cli/input');
+const { run } = require('../cli/import');
+const { silentLog, startServer, tempDir } = require('./helpers');
+
+const video = (videoId, title, author, lengthSeconds) => ({ type: 'video', videoId, title, author, authorId: 'UC1', lengthSeconds });
+
+// Search results by query, as /api/v1/search answers them
+const SEARCHES = {
+    'Yasunori Mitsuda Peaceful Days': [
+        video('live0000001', 'Yasunori Mitsuda - Peaceful Days (Live at Chrono Concert)', 'Concert Hall', 260),
+        video('topic000001', 'Peaceful Days', 'Yasunori Mitsuda - Topic', 179),
+        { type: 'channel', author: 'Yasunori Mitsuda', authorId: 'UCym' },
+        video('upload00001', 'Yasunori Mitsuda - Peaceful Days (Official Audio)', 'VGM Uploads', 181)
+    ],
+    'Yasunori Mitsuda Schala': [
+        video('cover000001', 'Schala piano cover', 'Piano Fan', 151),
+        video('upload00002', 'Yasunori Mitsuda - Schala (Chrono Trigger OST)', 'VGM Uploads', 153)
+    ],
+    'Yasunori Mitsuda Wind Scene': [
+        video('other000001', 'Totally different song', 'Someone', 600)
+    ]
+};
+
+const album = () => createPlaylist({
+    title: 'Chrono Trigger',
+    creator: 'Yasunori Mitsuda',
+    tracks: [
+        { title: 'Peaceful Days', creator: 'Yasunori Mitsuda', album: 'Chrono Trigger', trackNum: 2, duration: 178000, location: 'https://musify.club/track/play/1/peaceful-days.mp3' },
+        { title: '03. Schala', creator: 'Yasunori Mitsuda', trackNum: 3, duration: 152000, location: 'https://squidify.example/stream/3' },
+        { title: 'Wind Scene', creator: 'Yasunori Mitsuda', trackNum: 4, duration: 165000 },
+        { creator: 'Nobody', location: 'https://musify.club/track/play/5/x.mp3' }
+    ]
+});
+
+/**
+ * Invidious API stub: /api/v1/search answers from SEARCHES (an empty list for
+ * other queries) and counts the requests
+ */
+const startInvidious = async (t) => {
+    const state = { queries: [] };
+    const { base } = await startServer(t, (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/api/v1/search') {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            return res.end('{"error":"Not Found"}');
+        }
+        state.queries.push(url.searchParams.get('q'));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(SEARCHES[url.searchParams.get('q')] || []));
+    });
+    return { base, state };
+};
+
+test('ranks Topic channels with the right duration above live versions and uploads', () => {
+    const track = album().tracks[0];
+    assert.equal(searchQuery(album().tracks[1]), 'Yasunori Mitsuda Schala');
+    assert.deepEqual(candidateOf(SEARCHES['Yasunori Mitsuda Peaceful Days'][3]), {
+        videoId: 'upload00001',
+        rawTitle: 'Yasunori Mitsuda - Peaceful Days (Official Audio)',
+        author: 'VGM Uploads',
+        creator: 'Yasunori Mitsuda',
+        title: 'Peaceful Days',
+        duration: 181000,
+        topic: false
+    });
+
+    const ranked = rankCandidates(track, SEARCHES['Yasunori Mitsuda Peaceful Days']);
+    assert.deepEqual(ranked.map(candidate => [candidate.videoId, candidate.score.confidence]), [
+        ['topic000001', 1],
+        ['upload00001', 0.9],
+        ['live0000001', 0.32]
+    ]);
+    assert.equal(ranked[2].score.variant, 'live');
+    // A "live" track may match a live video
+    assert.equal(rankCandidates(Object.assign({}, track, { title: 'Peaceful Days (Live)' }), SEARCHES['Yasunori Mitsuda Peaceful Days'])[2].score.variant, null);
+});
+
+test('imports a playlist against the Invidious stub with the confidence of every match', async (t) => {
+    const { base, state } = await startInvidious(t);
+    const pool = createInvidiousPool({ instances: [base], storage: memoryStorage(), log: silentLog() });
+
+    const { playlist, report } = await importPlaylist(album(), { pool, log: silentLog(), minInterval: 0 });
+
+    assert.deepEqual(state.queries.sort(), ['Yasunori Mitsuda Peaceful Days', 'Yasunori Mitsuda Schala', 'Yasunori Mitsuda Wind Scene']);
+    assert.deepEqual(playlist.tracks.map(track => [track.title, track.location, track.trackNum]), [
+        ['Peaceful Days', 'https://www.youtube.com/watch?v=topic000001', 2],
+        ['03. Schala', 'https://www.youtube.com/watch?v=upload00002', 3]
+    ]);
+    assert.deepEqual(playlist.tracks[0].extension[NS], {
+        confidence: '1.00',
+        videoTitle: 'Peaceful Days',
+        channel: 'Yasunori Mitsuda - Topic',
+        replaced: 'https://musify.club/track/play/1/peaceful-days.mp3'
+    });
+    assert.equal(playlist.tracks[1].image, 'https://i.ytimg.com/vi/upload00002/hqdefault.jpg');
+    assert.equal(report.matched, 2);
+    assert.deepEqual(report.lowest, { position: 2, title: '03. Schala', confidence: 0.63 });
+    assert.deepEqual(report.unmatched, [
+        { position: 3, title: 'Wind Scene', reason: 'best match "Totally different song" (0)' },
+        { position: 4, title: '', reason: 'no title to search for' }
+    ]);
+    assert.match(toXspf(playlist), /<confidence>0\.63<\/confidence>/);
+});
+
+test('applies the title rules of the channel a video comes from', async (t) => {
+    const { base } = await startInvidious(t);
+    const pool = createInvidiousPool({ instances: [base], storage: memoryStorage(), log: silentLog() });
+    const rule = { name: 'wind', pattern: '^Totally different song$', creator: 'Yasunori Mitsuda', title: 'Wind Scene' };
+    const matchedTitles = async (titleRules) => (await importPlaylist(album(), { pool, titleRules, log: silentLog(), minInterval: 0 }))
+        .playlist.tracks.map(track => track.title);
+
+    assert.deepEqual(await matchedTitles({ UC1: [rule] }), ['Peaceful Days', '03. Schala', 'Wind Scene']);
+    assert.deepEqual(await matchedTitles({ UCother: [rule] }), ['Peaceful Days', '03. Schala']);
+    await assert.rejects(importPlaylist(album(), { pool, titleRules: { UC1: [{ name: 'broken' }] }, log: silentLog() }), /Invalid title rule "broken"/);
+});
+
+test('the import command turns an exported XSPF into a YouTube playlist', async (t) => {
+    const { base } = await startInvidious(t);
+    const dir = tempDir(t, 'import-');
+    const state = process.env.PLAYLIST_EXPORT_STATE;
+    process.env.PLAYLIST_EXPORT_STATE = path.join(dir, 'state.json');
+    t.after(() => {
+        if (state === undefined) delete process.env.PLAYLIST_EXPORT_STATE;
+        else process.env.PLAYLIST_EXPORT_STATE = state;
+    });
+
+    const input = path.join(dir, 'Chrono Trigger.xspf');
+    const output = path.join(dir, 'youtube.xspf');
+    fs.writeFileSync(input, toXspf(createPlaylist(Object.assign({}, album(), { tracks: album().tracks.slice(0, 2) }))));
+
+    assert.equal(await run([input, '--invidious', base, '--out', output, '-q']), 0);
+    const read = readPlaylist(fs.readFileSync(output, 'utf8'));
+    assert.equal(read.title, 'Chrono Trigger');
+    assert.deepEqual(read.tracks.map(track => track.locations), [
+        ['https://www.youtube.com/watch?v=topic000001'],
+        ['https://www.youtube.com/watch?v=upload00002']
+    ]);
+    assert.equal(read.tracks[0].extension[NS].confidence, '1.00');
+
+    // Raising the bar leaves the uncertain match out
+    assert.equal(await run([input, '--invidious', base, '--out', output, '--min-confidence', '0.8', '-q']), 1);
+    assert.equal(readPlaylist(fs.readFileSync(output, 'utf8')).tracks.length, 1);
+    await assert.rejects(run([input, '--min-confidence', 'high']), /--min-confidence must be a number between 0 and 1, not "high"/);
+});
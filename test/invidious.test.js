@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createInvidiousPool, memoryStorage, FAILURE_TTL_MS } = require('../scripts/lib/invidious');
+const { fakeFetch, silentLog } = require('./helpers');
+
+const INSTANCES = ['https://a.example', 'https://b.example', 'https://c.example/'];
+const PATH = '/api/v1/playlists/PL1';
+const json = (body) => () => new Response(JSON.stringify(body), { status: 200 });
+
+const pool = (routes, options = {}) => {
+    const fetch = options.fetch || fakeFetch(routes);
+    const log = silentLog();
+    return Object.assign(createInvidiousPool(Object.assign({ instances: INSTANCES, storage: memoryStorage(), fetch, log }, options)), { fetch, log });
+};
+
+test('serves the request from the first instance that answers with JSON', async () => {
+    const p = pool({
+        [`https://a.example${PATH}`]: () => new Response('Service Unavailable', { status: 503 }),
+        [`https://b.example${PATH}`]: () => new Response('<html>blocked</html>', { status: 200 }),
+        [`https://c.example${PATH}`]: json({ title: 'Mix' })
+    });
+    const { data, instance } = await p.request(PATH);
+
+    assert.deepEqual(data, { title: 'Mix' });
+    assert.equal(instance, 'https://c.example');
+    assert.deepEqual(p.fetch.requests, INSTANCES.map(i => `${i.replace(/\/$/, '')}${PATH}`));
+});
+
+test('treats network/CORS errors and timeouts as instance failures', async () => {
+    const fetch = async (url, { signal }) => {
+        if (url.startsWith('https://a.example')) throw new TypeError('Failed to fetch');
+        if (url.startsWith('https://b.example')) {
+            return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+        }
+        return json({ ok: true })();
+    };
+    const p = pool(null, { fetch, timeout: 20 });
+    const { instance } = await p.request(PATH);
+
+    assert.equal(instance, 'https://c.example');
+    const warnings = p.log.messages.filter(m => m.level === 'warn').map(m => m.text);
+    assert.match(warnings[0], /a\.example failed: Failed to fetch/);
+    assert.match(warnings[1], /b\.example failed: timeout after 20 ms/);
+});
+
+test('remembers failed instances and tries them last until the TTL expires', async () => {
+    const storage = memoryStorage();
+    let clock = 1000;
+    const now = () => clock;
+    const routes = {
+        [`https://a.example${PATH}`]: () => new Response('Too Many Requests', { status: 429 }),
+        [`https://b.example${PATH}`]: json({})
+    };
+
+    await pool(routes, { storage, now }).request(PATH);
+
+    const next = pool(routes, { storage, now });
+    assert.deepEqual(next.orderedInstances(), ['https://b.example', 'https://c.example', 'https://a.example']);
+    await next.request(PATH);
+    assert.deepEqual(next.fetch.requests, [`https://b.example${PATH}`]);
+
+    clock += FAILURE_TTL_MS;
+    assert.deepEqual(pool(routes, { storage, now }).orderedInstances(), ['https://a.example', 'https://b.example', 'https://c.example']);
+});
+
+test('a 404 does not mark the instance as failed', async () => {
+    const storage = memoryStorage();
+    const p = pool({}, { storage });
+
+    await assert.rejects(p.request(PATH), /All Invidious instances failed for \/api\/v1\/playlists\/PL1: https:\/\/a\.example \(HTTP 404\)/);
+    assert.deepEqual(p.orderedInstances(), ['https://a.example', 'https://b.example', 'https://c.example']);
+});
+
+test('health check reports every instance', async () => {
+    const p = pool({
+        'https://a.example/api/v1/stats': json({ software: { name: 'invidious' } }),
+        'https://c.example/api/v1/stats': json({ software: { name: 'invidious' } })
+    });
+    const results = await p.checkHealth();
+
+    assert.deepEqual(results.map(({ instance, ok, status }) => ({ instance, ok, status })), [
+        { instance: 'https://a.example', ok: true, status: 'ok' },
+        { instance: 'https://b.example', ok: false, status: 'HTTP 404' },
+        { instance: 'https://c.example', ok: true, status: 'ok' }
+    ]);
+    assert.deepEqual(p.orderedInstances(), ['https://a.example', 'https://c.example', 'https://b.example']);
+});
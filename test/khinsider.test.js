@@ -0,0 +1,230 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const khinsider = require('../scripts/khinsider_album_to_xspf');
+const { toXspf, NS } = require('../scripts/lib/playlist');
+const { fixture, fixturePage } = require('./helpers');
+
+const ALBUM = 'https://downloads.khinsider.com/game-soundtracks/album/chrono-trigger-snes';
+const TRACK_PAGES = {
+    [`${ALBUM}/01.%2520Prelude.mp3`]: 'khinsider-track-01.html',
+    [`${ALBUM}/02.%2520Peaceful%2520Days%2520%2526%2520Nights.mp3`]: 'khinsider-track-02.html',
+    [`${ALBUM}/03.%2520To%2520Far%2520Away%2520Times.mp3`]: 'khinsider-track-03.html'
+};
+
+test('extracts the album with direct links, durations and track numbers', async () => {
+    const page = fixturePage('khinsider-album.html', { routes: TRACK_PAGES });
+    const { playlist, fileName } = await khinsider.extract(page);
+
+    assert.equal(fileName, 'Chrono Trigger (SNES) (gamerip) (1995) [Khinsider]');
+    assert.equal(playlist.title, 'Chrono Trigger (SNES) (gamerip) (1995)');
+    assert.equal(playlist.image, 'https://vgmsite.com/soundtracks/chrono-trigger-snes/cover.jpg');
+    assert.equal(playlist.location, ALBUM);
+    assert.deepEqual(playlist.tracks.map(({ location, title, trackNum, duration }) => ({ location, title, trackNum, duration })), [
+        {
+            location: 'https://vgmsite.com/soundtracks/chrono-trigger-snes/yqkzsdnq/01.%20Prelude.mp3',
+            title: 'Prelude',
+            trackNum: 1,
+            duration: 101000
+        },
+        {
+            location: 'https://vgmsite.com/soundtracks/chrono-trigger-snes/bwjlxayp/02.%20Peaceful%20Days%20%26%20Nights.mp3',
+            title: 'Peaceful Days & Nights',
+            trackNum: 2,
+            duration: 178000
+        },
+        {
+            location: 'https://vgmsite.com/soundtracks/chrono-trigger-snes/gxrfwzmt/03.%20To%20Far%20Away%20Times.mp3?token=a&expires=1',
+            title: 'To Far Away Times',
+            trackNum: 3,
+            duration: 3725000
+        }
+    ]);
+    assert.ok(playlist.tracks.every(track => track.album === 'Chrono Trigger (SNES) (gamerip) (1995)'));
+});
+
+test('reads platform, year, catalog number, developer and publisher from the album info', async () => {
+    const page = fixturePage('khinsider-album.html', { routes: TRACK_PAGES });
+    const { playlist } = await khinsider.extract(page);
+
+    // No composer on this page: the developer stands in as creator
+    assert.equal(playlist.creator, 'Square');
+    assert.equal(playlist.annotation, '1995 · SNES · Developer: Square · Publisher: Square · Catalog: PSCN-5021~3');
+    assert.deepEqual(playlist.extension[NS], { year: '1995', platform: 'SNES', developer: 'Square', publisher: 'Square', catalog: 'PSCN-5021~3' });
+    assert.equal(playlist.meta[`${NS}platform`], 'SNES');
+    assert.ok(playlist.tracks.every(track => track.image === playlist.image && track.creator === 'Square'));
+});
+
+test('escapes track titles and query strings in the XSPF output', async () => {
+    const page = fixturePage('khinsider-album.html', { routes: TRACK_PAGES });
+    const xml = toXspf((await khinsider.extract(page)).playlist);
+
+    assert.match(xml, /<title>Peaceful Days &amp; Nights<\/title>/);
+    assert.match(xml, /Times\.mp3\?token=a&amp;expires=1<\/location>/);
+    assert.doesNotMatch(xml, /&(?!amp;|lt;|gt;|apos;|quot;)/);
+});
+
+test('reads the duration from the time column, not from a title that looks like one', async () => {
+    const page = fixturePage('khinsider-album.html', { routes: TRACK_PAGES });
+    page.document.querySelector('#songlist td.clickable-row a').textContent = '4:33';
+    const { playlist } = await khinsider.extract(page);
+
+    assert.equal(playlist.tracks[0].title, '4:33');
+    assert.equal(playlist.tracks[0].duration, 101000);
+});
+
+test('skips tracks whose page cannot be fetched and warns about them', async () => {
+    const routes = Object.assign({}, TRACK_PAGES);
+    delete routes[`${ALBUM}/02.%2520Peaceful%2520Days%2520%2526%2520Nights.mp3`];
+    const page = fixturePage('khinsider-album.html', { routes });
+    const { playlist } = await khinsider.extract(page);
+
+    assert.deepEqual(playlist.tracks.map(track => track.title), ['Prelude', 'To Far Away Times']);
+    assert.ok(page.log.messages.some(m => m.level === 'warn' && m.text.includes('Peaceful Days & Nights')));
+});
+
+// Track 2 only offers an MP3 download
+const MP3_ONLY_ROUTES = Object.assign({}, TRACK_PAGES, {
+    [`${ALBUM}/02.%2520Peaceful%2520Days%2520%2526%2520Nights.mp3`]: () =>
+        new Response(fixture('khinsider-track-02.html').replace(/<p><a href="[^"]+\.flac">.*?<\/p>/, ''))
+});
+
+const formatsOf = (playlist) => playlist.tracks.map(track => track.location.replace(/\?.*$/, '').split('.').pop());
+
+test('uses the preferred format of every track', async () => {
+    const page = fixturePage('khinsider-album.html', { routes: TRACK_PAGES });
+    const { playlist, formats } = await khinsider.extract(page, { formats: ['flac', 'mp3'] });
+
+    assert.deepEqual(formatsOf(playlist), ['flac', 'flac', 'flac']);
+    assert.equal(playlist.tracks[0].location, 'https://vgmsite.com/soundtracks/chrono-trigger-snes/yqkzsdnq/01.%20Prelude.flac');
+    assert.ok(formats.every(item => item.format === 'flac' && !item.fallback));
+    assert.ok(page.log.messages.some(m => m.text === '📊 Formats: 3 × FLAC'));
+});
+
+test('falls back per track and reports the mixed formats', async () => {
+    const page = fixturePage('khinsider-album.html', { routes: MP3_ONLY_ROUTES });
+    const { playlist, formats } = await khinsider.extract(page, { formats: ['flac', 'mp3'] });
+
+    assert.deepEqual(formatsOf(playlist), ['flac', 'mp3', 'flac']);
+    assert.deepEqual(formats, [
+        { title: 'Prelude', format: 'flac', fallback: false },
+        { title: 'Peaceful Days & Nights', format: 'mp3', fallback: true },
+        { title: 'To Far Away Times', format: 'flac', fallback: false }
+    ]);
+    assert.ok(page.log.messages.some(m => m.text === '📊 Formats: 2 × FLAC, 1 × MP3'));
+    assert.ok(page.log.messages.some(m => m.level === 'warn' && m.text.includes('using MP3 for: Peaceful Days & Nights')));
+});
+
+test('single-format mode picks a format that every track has', async () => {
+    const page = fixturePage('khinsider-album.html', { routes: MP3_ONLY_ROUTES });
+    const { playlist } = await khinsider.extract(page, { formats: ['flac', 'mp3'], allowMixed: false });
+
+    assert.deepEqual(formatsOf(playlist), ['mp3', 'mp3', 'mp3']);
+});
+
+test('single-format mode drops tracks without the album format', async () => {
+    const page = fixturePage('khinsider-album.html', { routes: MP3_ONLY_ROUTES });
+    const { playlist } = await khinsider.extract(page, { formats: ['flac'], allowMixed: false });
+
+    assert.deepEqual(playlist.tracks.map(track => track.title), ['Prelude', 'To Far Away Times']);
+    assert.ok(page.log.messages.some(m => m.level === 'warn' && m.text.includes('No FLAC link for: Peaceful Days & Nights')));
+});
+
+const FAST = { minInterval: 0, retryDelay: 1 };
+const TRACK_02 = `${ALBUM}/02.%2520Peaceful%2520Days%2520%2526%2520Nights.mp3`;
+
+test('retries flaky track pages and keeps the album order', async () => {
+    let attempts = 0;
+    const routes = Object.assign({}, TRACK_PAGES, {
+        [TRACK_02]: () => ++attempts < 3
+            ? new Response('Bad Gateway', { status: 502 })
+            : new Response(fixture('khinsider-track-02.html'))
+    });
+    const page = fixturePage('khinsider-album.html', { routes });
+    const { playlist, report } = await khinsider.extract(page, Object.assign({ concurrency: 3 }, FAST));
+
+    assert.equal(attempts, 3);
+    assert.deepEqual(playlist.tracks.map(track => track.trackNum), [1, 2, 3]);
+    assert.deepEqual(report, { total: 3, resolved: 3, retried: 1, failed: [] });
+});
+
+test('reports failures and re-fetches only them with the link cache', async () => {
+    const routes = Object.assign({}, TRACK_PAGES, { [TRACK_02]: () => new Response('Service Unavailable', { status: 503 }) });
+    const first = await khinsider.extract(fixturePage('khinsider-album.html', { routes }), Object.assign({ retries: 1 }, FAST));
+
+    assert.deepEqual(first.report.failed, [{ title: 'Peaceful Days & Nights', url: TRACK_02, error: `HTTP 503 for ${TRACK_02}` }]);
+    assert.equal(first.playlist.tracks.length, 2);
+
+    const page = fixturePage('khinsider-album.html', { routes: TRACK_PAGES });
+    const second = await khinsider.extract(page, Object.assign({ linkCache: first.linkCache }, FAST));
+
+    assert.deepEqual(page.fetch.requests, [TRACK_02]);
+    assert.deepEqual(second.playlist.tracks.map(track => track.title), ['Prelude', 'Peaceful Days & Nights', 'To Far Away Times']);
+});
+
+test('takes no fetch and no rate limit turn for a fully cached re-run', async () => {
+    const first = await khinsider.extract(fixturePage('khinsider-album.html', { routes: TRACK_PAGES }), FAST);
+
+    // Three turns of a minute each would time the test out
+    const page = fixturePage('khinsider-album.html', { routes: TRACK_PAGES });
+    const started = Date.now();
+    const second = await khinsider.extract(page, { linkCache: first.linkCache, minInterval: 60000 });
+
+    assert.ok(Date.now() - started < 1000);
+    assert.deepEqual(page.fetch.requests, []);
+    assert.deepEqual(second.report, { total: 3, resolved: 3, retried: 0, failed: [] });
+    assert.deepEqual(second.linkCache, first.linkCache);
+});
+
+const ALBUM_2CD = 'Chrono Trigger Original Sound Version (1995)';
+const discOf = (track) => track.extension[NS];
+
+test('numbers multi-disc albums by album position without drift', async () => {
+    const page = fixturePage('khinsider-album-2cd.html', { routes: TRACK_PAGES });
+    const { playlist, fileName } = await khinsider.extract(page, FAST);
+
+    assert.equal(fileName, `${ALBUM_2CD} [Khinsider]`);
+    // "Missing Track" (1-02) fails, the tracks after it keep their numbers
+    assert.deepEqual(playlist.tracks.map(track => [track.title, track.trackNum, discOf(track).position]), [
+        ['Prelude', 1, '1-01'],
+        ['Peaceful Days & Nights', 3, '2-01'],
+        ['To Far Away Times', 4, '2-02']
+    ]);
+    assert.deepEqual(discOf(playlist.tracks[2]), { disc: 2, track: 2, position: '2-02' });
+    assert.match(toXspf(playlist), /<disc>2<\/disc>\s*<track>2<\/track>\s*<position>2-02<\/position>/);
+});
+
+test('splits multi-disc albums into one playlist per disc', async () => {
+    const page = fixturePage('khinsider-album-2cd.html', { routes: TRACK_PAGES });
+    const result = await khinsider.extract(page, Object.assign({ split: true }, FAST));
+
+    assert.equal(result.playlist, undefined);
+    assert.deepEqual(result.playlists.map(({ fileName }) => fileName), [
+        `${ALBUM_2CD} (Disc 1) [Khinsider]`,
+        `${ALBUM_2CD} (Disc 2) [Khinsider]`
+    ]);
+    assert.equal(result.playlists[1].playlist.title, `${ALBUM_2CD} (Disc 2)`);
+    assert.deepEqual(result.playlists.map(({ playlist }) => playlist.tracks.map(track => track.trackNum)), [[1], [1, 2]]);
+    assert.equal(result.report.failed.length, 1);
+});
+
+test('single-disc albums ignore the split option', async () => {
+    const page = fixturePage('khinsider-album.html', { routes: TRACK_PAGES });
+    const { playlist, fileName } = await khinsider.extract(page, Object.assign({ split: true }, FAST));
+
+    assert.equal(fileName, 'Chrono Trigger (SNES) (gamerip) (1995) [Khinsider]');
+    assert.deepEqual(playlist.tracks.map(track => discOf(track).position), ['1-01', '1-02', '1-03']);
+});
+
+test('rejects pages without a #songlist table', async () => {
+    const page = fixturePage('musify-album.html');
+    await assert.rejects(khinsider.extract(page), /#songlist not found/);
+});
+
+test('matches album pages only', () => {
+    assert.ok(khinsider.matches(ALBUM));
+    assert.ok(!khinsider.matches(`${ALBUM}/01.%2520Prelude.mp3`));
+    assert.ok(!khinsider.matches('https://downloads.khinsider.com/game-soundtracks/snes'));
+});
@@ -0,0 +1,151 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPlaylist } = require('../scripts/lib/playlist');
+const { mp3Duration, flacDuration, mediaDuration, probeDuration, formatDuration, verifyDurations } = require('../cli/media');
+const { silentLog, startServer } = require('./helpers');
+
+// MPEG-1 Layer III, 128 kbit/s, 44.1 kHz, joint stereo: 417-byte frames of 1152 samples
+const FRAME_HEADER = Buffer.from([0xff, 0xfb, 0x90, 0x44]);
+const FRAME_LENGTH = 417;
+
+const frame = (tag = null, at = 36) => {
+    const data = Buffer.alloc(FRAME_LENGTH);
+    FRAME_HEADER.copy(data);
+    if (tag) tag.copy(data, at);
+    return data;
+};
+
+// An Xing header (after the 32 bytes of side information) with a frame count
+const xing = (frames) => {
+    const tag = Buffer.alloc(16);
+    tag.write('Xing', 0, 'latin1');
+    tag.writeUInt32BE(0x0001, 4);
+    tag.writeUInt32BE(frames, 8);
+    return tag;
+};
+
+// A VBRI header (32 bytes into the frame), frame count 14 bytes in
+const vbri = (frames) => {
+    const tag = Buffer.alloc(26);
+    tag.write('VBRI', 0, 'latin1');
+    tag.writeUInt32BE(frames, 14);
+    return tag;
+};
+
+const id3 = (length) => Buffer.concat([
+    Buffer.from('ID3'),
+    Buffer.from([4, 0, 0, (length >> 21) & 0x7f, (length >> 14) & 0x7f, (length >> 7) & 0x7f, length & 0x7f]),
+    Buffer.alloc(length)
+]);
+
+const mp3 = (first, count = 4) => Buffer.concat([first, ...Array.from({ length: count }, () => frame())]);
+
+// STREAMINFO: 20-bit sample rate, channels, bits per sample, 36-bit sample count
+const flac = (sampleRate, samples) => {
+    const info = Buffer.alloc(34);
+    info.writeBigUInt64BE((BigInt(sampleRate) << 44n) | (1n << 41n) | (15n << 36n) | BigInt(samples), 10);
+    return Buffer.concat([Buffer.from('fLaC'), Buffer.from([0x80, 0, 0, 34]), info, Buffer.alloc(64, 0xaa)]);
+};
+
+test('reads MP3 durations from Xing and VBRI headers, or from the size at a constant bitrate', () => {
+    // 1000 frames of 1152 samples at 44.1 kHz
+    assert.deepEqual(mp3Duration(mp3(frame(xing(1000)))), { format: 'mp3', duration: 26122, exact: true });
+    assert.deepEqual(mp3Duration(Buffer.concat([id3(300), mp3(frame(vbri(1000)))])), { format: 'mp3', duration: 26122, exact: true });
+    // 16 kB/s: 480 kB of audio after the tag is 30 seconds
+    assert.deepEqual(mp3Duration(Buffer.concat([id3(500), mp3(frame())]), { size: 510 + 480000 }), { format: 'mp3', duration: 30000, exact: false });
+    // Stray sync bytes in front of the first frame are skipped
+    assert.equal(mp3Duration(Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x44, 0x00]), mp3(frame(xing(1000)))])).duration, 26122);
+    assert.equal(mp3Duration(Buffer.from('not audio at all')), null);
+});
+
+test('reads FLAC durations from STREAMINFO', () => {
+    assert.deepEqual(flacDuration(flac(44100, 44100 * 200)), { format: 'flac', duration: 200000, exact: true });
+    // More than 2^32 samples: over a day at 48 kHz
+    assert.equal(flacDuration(flac(48000, 2 ** 33)).duration, Math.round(2 ** 33 / 48));
+    assert.equal(flacDuration(flac(44100, 0)), null);
+    assert.equal(mediaDuration(Buffer.concat([id3(100), flac(96000, 96000 * 3)])).format, 'flac');
+    assert.equal(mediaDuration(Buffer.from('OggS-not-supported')), null);
+    assert.deepEqual([formatDuration(59600), formatDuration(3725000)], ['1:00', '1:02:05']);
+});
+
+/**
+ * Media server: /range/ answers Range requests, /plain/ always sends the
+ * whole file, /missing/ is 404 and /page/ an HTML page
+ */
+const startMedia = async (t, files) => {
+    const state = { ranges: [] };
+    const { base } = await startServer(t, (req, res) => {
+        const [, mode, name] = req.url.split('/');
+        const body = files[name];
+        if (!body || mode === 'missing') {
+            res.writeHead(404);
+            return res.end('Not Found');
+        }
+        if (mode === 'page') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end('<html>Removed</html>');
+        }
+        state.ranges.push(`${name} ${req.headers.range || ''}`);
+        const range = (req.headers.range || '').match(/^bytes=(\d+)-(\d+)$/);
+        if (mode === 'range' && range) {
+            const start = Number(range[1]);
+            const end = Math.min(Number(range[2]), body.length - 1);
+            res.writeHead(206, { 'Content-Type': 'audio/mpeg', 'Content-Range': `bytes ${start}-${end}/${body.length}`, 'Content-Length': end - start + 1 });
+            return res.end(body.subarray(start, end + 1));
+        }
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': body.length });
+        res.end(body);
+    });
+    return { base, state };
+};
+
+test('probes remote files with Range requests, past a large ID3 tag', async (t) => {
+    const files = {
+        'cover.mp3': Buffer.concat([id3(200000), mp3(frame(xing(1000)))]),
+        'cbr.mp3': Buffer.concat([mp3(frame(), 20), Buffer.alloc(FRAME_LENGTH * 200)]),
+        'album.flac': Buffer.concat([flac(44100, 44100 * 200), Buffer.alloc(300000)])
+    };
+    const { base, state } = await startMedia(t, files);
+
+    assert.equal((await probeDuration(fetch, `${base}/range/cover.mp3`, { bytes: 4096 })).duration, 26122);
+    assert.deepEqual(state.ranges, ['cover.mp3 bytes=0-4095', 'cover.mp3 bytes=200010-204105']);
+    // The size comes from Content-Range, or from Content-Length when Range is ignored
+    const size = files['cbr.mp3'].length;
+    assert.deepEqual(await probeDuration(fetch, `${base}/range/cbr.mp3`, { bytes: 4096 }), { format: 'mp3', duration: Math.round(size / 16), exact: false });
+    assert.equal((await probeDuration(fetch, `${base}/plain/cbr.mp3`, { bytes: 4096 })).duration, Math.round(size / 16));
+    assert.equal((await probeDuration(fetch, `${base}/plain/album.flac`, { bytes: 4096 })).duration, 200000);
+    await assert.rejects(probeDuration(fetch, `${base}/page/cbr.mp3`), error => error.permanent && /HTML page/.test(error.message));
+});
+
+test('fills missing durations and corrects the clearly wrong ones', async (t) => {
+    const files = {
+        'vbr.mp3': mp3(frame(xing(1000))),
+        'cbr.mp3': Buffer.concat([mp3(frame(), 20), Buffer.alloc(480000 - FRAME_LENGTH * 21)]),
+        'album.flac': flac(44100, 44100 * 200)
+    };
+    const { base } = await startMedia(t, files);
+    const playlist = createPlaylist({
+        title: 'Chrono Trigger',
+        location: `${base}/album`,
+        tracks: [
+            { title: 'Rounded', location: `${base}/range/vbr.mp3`, duration: 26000 },
+            { title: 'Unlisted', location: [`${base}/missing/album.flac`, `${base}/range/album.flac`] },
+            { title: 'Wrong column', location: `${base}/range/cbr.mp3`, duration: 273000 },
+            { title: 'Close estimate', location: `${base}/plain/cbr.mp3`, duration: 31000 },
+            { title: 'Video', location: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', duration: 212000 },
+            { title: 'Removed', location: `${base}/page/vbr.mp3`, duration: 100000 }
+        ]
+    });
+
+    const { playlist: checked, report } = await verifyDurations(playlist, { fetch, log: silentLog(), retryDelay: 1, minInterval: 0 });
+
+    // Exact durations replace rounded ones; estimates only replace wrong ones
+    assert.deepEqual(checked.tracks.map(track => track.duration), [26122, 200000, 30000, 31000, 212000, 100000]);
+    assert.deepEqual(Object.assign({}, report, { corrected: undefined, failed: undefined }), { total: 6, checked: 4, filled: 1, corrected: undefined, failed: undefined, skipped: 1 });
+    assert.deepEqual(report.corrected, [{ position: 3, title: 'Wrong column', listed: '4:33', actual: '0:30' }]);
+    assert.deepEqual(report.failed.map(row => [row.position, row.title]), [[6, 'Removed']]);
+    assert.equal(checked.title, 'Chrono Trigger');
+});
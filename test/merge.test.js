@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { NS, createPlaylist, toXspf, serialize } = require('../scripts/lib/playlist');
+const { qualityOf, isDuplicate, mergePlaylists } = require('../scripts/lib/merge');
+const { run } = require('../cli/merge');
+const { loadInput } = require('../cli/input');
+const { fixturePage, tempDir } = require('./helpers');
+require('../scripts/lib/formats');
+
+const khinsider = () => createPlaylist({
+    title: 'Chrono Trigger (SNES)',
+    tracks: [
+        { title: 'Prelude', creator: 'Yasunori Mitsuda', duration: 91000, location: 'https://vgmsite.com/soundtracks/ct/01.%20Prelude.flac', extension: { [NS]: { position: '1-01' } } },
+        { title: 'Peaceful Days', creator: 'Yasunori Mitsuda', duration: 150000, location: 'https://vgmsite.com/soundtracks/ct/02.%20Peaceful%20Days.mp3' }
+    ]
+});
+
+const musify = () => createPlaylist({
+    title: 'Chrono Trigger',
+    tracks: [
+        { title: '01. Peaceful Days', creator: 'Yasunori Mitsuda', duration: 152000, location: 'https://musify.club/track/play/2/peaceful-days.mp3', image: 'https://musify.club/img/ct.jpg' },
+        { title: 'Prélude', creator: 'Yasunori Mitsuda', duration: 89000, location: 'https://musify.club/track/play/1/prelude.mp3' }
+    ]
+});
+
+const youtube = () => createPlaylist({
+    title: 'Chrono Trigger OST',
+    tracks: [
+        { title: 'Prelude', creator: 'yasunori mitsuda', location: 'https://www.youtube.com/watch?v=aaaaaaaaaaa' },
+        { title: 'Peaceful Days', creator: 'Yasunori Mitsuda', duration: 170000, location: 'https://www.youtube.com/watch?v=bbbbbbbbbbb' },
+        { title: 'Prelude', creator: 'Yasunori Mitsuda', location: 'https://www.youtube.com/watch?v=ccccccccccc' }
+    ]
+});
+
+test('ranks sources and spots duplicates by creator, title and duration', () => {
+    assert.equal(qualityOf({ location: 'https://vgmsite.com/a/01.flac?token=1' }), 'lossless');
+    assert.equal(qualityOf({ location: 'https://www.squidify.org/api/stream/hk-01?session=s1' }), 'lossless');
+    assert.equal(qualityOf({ location: 'https://musify.club/track/play/1/prelude.mp3' }), 'lossy');
+    assert.equal(qualityOf({ location: 'https://youtu.be/aaaaaaaaaaa' }), 'video');
+    assert.equal(qualityOf({ location: 'file:///music/prelude' }), 'unknown');
+
+    assert.ok(isDuplicate({ title: 'Prélude!', creator: 'Yasunori Mitsuda', duration: 91000 }, { title: '01 - prelude', creator: 'YASUNORI MITSUDA', duration: 89000 }));
+    assert.ok(isDuplicate({ title: 'Prelude' }, { title: 'Prelude', creator: 'Yasunori Mitsuda', duration: 89000 }));
+    assert.ok(!isDuplicate({ title: 'Prelude', duration: 91000 }, { title: 'Prelude', duration: 120000 }));
+    assert.ok(!isDuplicate({ title: 'Prelude', creator: 'Mitsuda' }, { title: 'Prelude', creator: 'Uematsu' }));
+});
+
+test('merges duplicates across sources and keeps the other links as fallbacks', () => {
+    const { playlist, report } = mergePlaylists([
+        { playlist: youtube(), source: 'youtube' },
+        { playlist: musify(), source: 'musify' },
+        { playlist: khinsider(), source: 'khinsider' }
+    ]);
+
+    assert.equal(playlist.title, 'Chrono Trigger OST + Chrono Trigger + Chrono Trigger (SNES)');
+    assert.equal(playlist.annotation, 'Merged from: youtube, musify, khinsider');
+    assert.deepEqual(playlist.tracks.map(track => [track.title, [].concat(track.location)]), [
+        ['Prelude', [
+            'https://vgmsite.com/soundtracks/ct/01.%20Prelude.flac',
+            'https://musify.club/track/play/1/prelude.mp3',
+            'https://www.youtube.com/watch?v=aaaaaaaaaaa'
+        ]],
+        // 170 s on YouTube is too far from 150 s: a different recording
+        ['Peaceful Days', ['https://www.youtube.com/watch?v=bbbbbbbbbbb']],
+        // A repeat inside one playlist is kept
+        ['Prelude', ['https://www.youtube.com/watch?v=ccccccccccc']],
+        ['01. Peaceful Days', ['https://musify.club/track/play/2/peaceful-days.mp3', 'https://vgmsite.com/soundtracks/ct/02.%20Peaceful%20Days.mp3']]
+    ]);
+    // Fields of the best source, gaps filled from the others
+    assert.equal(playlist.tracks[0].duration, 91000);
+    assert.deepEqual(playlist.tracks[0].extension, { [NS]: { position: '1-01' } });
+    // Two MP3s: the earlier input wins
+    assert.equal(playlist.tracks[3].duration, 152000);
+    assert.equal(playlist.tracks[3].image, 'https://musify.club/img/ct.jpg');
+    assert.deepEqual(Object.assign({}, report, { duplicates: undefined }), { inputs: 3, total: 7, tracks: 4, duplicates: undefined });
+    assert.deepEqual(report.duplicates.map(row => [row.title, row.quality, row.sources, row.fallbacks]), [
+        ['Prelude', 'lossless', 'youtube, musify, khinsider', 2],
+        ['01. Peaceful Days', 'lossy', 'musify, khinsider', 1]
+    ]);
+    assert.equal((toXspf(playlist).match(/<location>/g) || []).length, 7);
+});
+
+test('loads exported files and live album URLs as merge inputs', async (t) => {
+    const dir = tempDir(t, 'merge-');
+    fs.writeFileSync(path.join(dir, 'Chrono Trigger [Khinsider].xspf'), toXspf(khinsider()));
+    fs.writeFileSync(path.join(dir, 'ct.m3u8'), serialize(musify(), 'm3u8'));
+
+    const xspf = await loadInput(path.join(dir, 'Chrono Trigger [Khinsider].xspf'));
+    assert.equal(xspf.source, 'Chrono Trigger [Khinsider].xspf (khinsider)');
+    assert.deepEqual(xspf.playlist.tracks[0], khinsider().tracks[0]);
+
+    const m3u = await loadInput(path.join(dir, 'ct.m3u8'));
+    assert.deepEqual(m3u.playlist.tracks.map(track => [track.title, track.creator, track.duration]), [
+        ['01. Peaceful Days', 'Yasunori Mitsuda', 152000],
+        ['Prélude', 'Yasunori Mitsuda', 89000]
+    ]);
+
+    const live = await loadInput('https://musify.club/release/daft-punk-discovery-2001-1234', {
+        loadSource: async () => fixturePage('musify-album.html')
+    });
+    assert.match(live.source, /\(musify\)$/);
+    assert.ok(live.playlist.tracks.length > 0);
+});
+
+test('rejects a tolerance that is not a number before loading the inputs', async () => {
+    await assert.rejects(run(['a.xspf', 'b.xspf', '--tolerance', 'three']), /--tolerance must be a number at least 0, not "three"/);
+    await assert.rejects(run(['a.xspf', 'b.xspf', '--tolerance=-1']), /at least 0/);
+});
@@ -0,0 +1,187 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const musify = require('../scripts/musify_album_to_xspf');
+const { toXspf, NS } = require('../scripts/lib/playlist');
+const { fixturePage } = require('./helpers');
+
+const pick = ({ location, title, creator, album, trackNum, duration }) => ({ location, title, creator, album, trackNum, duration });
+
+test('extracts an album page with artist, year, cover and intermediate links', async () => {
+    const { playlist, fileName } = await musify.extract(fixturePage('musify-album.html'));
+
+    assert.equal(fileName, 'Daft Punk (2001) - Discovery [Musify_club]');
+    assert.equal(playlist.title, 'Discovery');
+    assert.equal(playlist.creator, 'Daft Punk');
+    assert.equal(playlist.image, 'https://39s.musify.club/img/68/1104/12345.jpg');
+    assert.equal(playlist.location, 'https://musify.club/release/daft-punk-discovery-2001-1104');
+    assert.equal(playlist.annotation, '2001 · House, Electronic · Label: Virgin Records');
+    assert.deepEqual(playlist.extension[NS], { year: '2001', genre: 'House, Electronic', label: 'Virgin Records' });
+    assert.equal(playlist.meta[`${NS}genre`], 'House, Electronic');
+    assert.deepEqual(playlist.tracks.map(pick), [
+        {
+            location: 'https://musify.club/track/play/1000001/daft-punk-one-more-time.mp3',
+            title: 'One More Time',
+            creator: 'Daft Punk',
+            album: 'Discovery',
+            trackNum: 1,
+            duration: 320000
+        },
+        {
+            location: 'https://musify.club/track/play/1000002/daft-punk-aerodynamic.mp3',
+            title: 'Aerodynamic',
+            creator: 'Daft Punk',
+            album: 'Discovery',
+            trackNum: 2,
+            duration: 207000
+        },
+        {
+            location: 'https://musify.club/track/play/1000004/daft-punk-harder-better-faster-stronger.mp3',
+            title: 'Harder, Better, Faster, Stronger',
+            creator: 'Daft Punk',
+            album: 'Discovery',
+            trackNum: 4,
+            duration: 224000
+        },
+        {
+            location: 'https://musify.club/track/play/1000005/daft-punk-too-long.mp3',
+            title: 'Too Long',
+            creator: 'Daft Punk',
+            album: 'Discovery',
+            trackNum: 5,
+            duration: 3602000
+        }
+    ]);
+});
+
+test('skips items without a data-play-url (removed tracks)', async () => {
+    const page = fixturePage('musify-album.html');
+    const { playlist } = await musify.extract(page);
+
+    assert.ok(!playlist.tracks.some(track => track.title === 'Digital Love'));
+    assert.ok(page.log.messages.some(m => m.level === 'warn' && m.text.includes('[Item Index 3]')));
+});
+
+test('extracts a user playlist with per-track artists and no cover', async () => {
+    const { playlist, fileName } = await musify.extract(fixturePage('musify-playlist.html'));
+
+    assert.equal(fileName, 'Unknown Artist (UnknownYear) - Rock & Roll Classics [Musify_club]');
+    assert.equal(playlist.image, undefined);
+    assert.equal(playlist.annotation, undefined);
+    // Playlists mix albums: every track keeps its own cover
+    assert.deepEqual(playlist.tracks.map(track => track.image), ['https://musify.club/img/70/2000001/chuck-berry.jpg', undefined, undefined]);
+    assert.deepEqual(playlist.tracks.map(pick), [
+        {
+            location: 'https://musify.club/track/play/2000001/chuck-berry-johnny-b-goode.mp3',
+            title: 'Johnny B. Goode',
+            creator: 'Chuck Berry',
+            album: 'Rock & Roll Classics',
+            trackNum: 1,
+            duration: 161000
+        },
+        {
+            location: 'https://musify.club/track/play/2000002/little-richard-tutti-frutti.mp3',
+            title: 'Tutti Frutti <Live>',
+            creator: 'Little Richard',
+            album: 'Rock & Roll Classics',
+            trackNum: 2,
+            duration: 144000
+        },
+        {
+            location: 'https://musify.club/track/play/2000003/bill-haley-rock-around-the-clock.mp3',
+            title: "(We're Gonna) Rock Around the Clock",
+            creator: 'Bill Haley & His Comets',
+            album: 'Rock & Roll Classics',
+            trackNum: undefined,
+            duration: undefined
+        }
+    ]);
+});
+
+test('escapes special characters in the XSPF output', async () => {
+    const xml = toXspf((await musify.extract(fixturePage('musify-playlist.html'))).playlist);
+
+    assert.match(xml, /<title>Tutti Frutti &lt;Live&gt;<\/title>/);
+    assert.match(xml, /<creator>Bill Haley &amp; His Comets<\/creator>/);
+    assert.match(xml, /<title>\(We&apos;re Gonna\) Rock Around the Clock<\/title>/);
+});
+
+const PLAY = 'https://musify.club/track/play';
+const CDN = 'https://37s.musify.club/track/e0f1/daft-punk';
+const FAST = { minInterval: 0, retryDelay: 1 };
+
+/**
+ * A response as fetch() returns it after following the redirects to `finalUrl`
+ */
+const answer = (finalUrl, { status = 200, headers = {} } = {}) => {
+    const response = new Response(null, { status, headers: Object.assign({ 'content-type': 'audio/mpeg' }, headers) });
+    Object.defineProperty(response, 'url', { value: finalUrl });
+    return response;
+};
+
+const resolveRoutes = () => {
+    let headRefused = false;
+    return {
+        [`${PLAY}/1000001/daft-punk-one-more-time.mp3`]: () => answer(`${CDN}/one-more-time.mp3?expires=1900000000&sig=ab12`, { headers: { 'content-length': '7680000' } }),
+        [`${PLAY}/1000002/daft-punk-aerodynamic.mp3`]: () => answer(`${PLAY}/1000002/daft-punk-aerodynamic.mp3`, { status: 451 }),
+        // Removed tracks can also land on an HTML page
+        [`${PLAY}/1000004/daft-punk-harder-better-faster-stronger.mp3`]: () => answer('https://musify.club/removed', { headers: { 'content-type': 'text/html; charset=utf-8' } }),
+        // HEAD refused: the one-byte GET reports the size in Content-Range
+        [`${PLAY}/1000005/daft-punk-too-long.mp3`]: () => {
+            if (!headRefused) {
+                headRefused = true;
+                return answer(`${PLAY}/1000005/daft-punk-too-long.mp3`, { status: 405 });
+            }
+            return answer(`${CDN}/too-long.mp3`, { status: 206, headers: { 'content-range': 'bytes 0-0/86400000', 'content-length': '1' } });
+        }
+    };
+};
+
+test('resolves the final MP3 links and flags unavailable tracks', async () => {
+    const page = fixturePage('musify-album.html', { routes: resolveRoutes() });
+    const { playlist, report } = await musify.extract(page, Object.assign({ resolveLinks: true }, FAST));
+
+    assert.deepEqual(playlist.tracks.map(track => [track.title, track.location, track.extension[NS]]), [
+        ['One More Time', [`${CDN}/one-more-time.mp3?expires=1900000000&sig=ab12`, `${PLAY}/1000001/daft-punk-one-more-time.mp3`],
+            { status: 200, size: 7680000, expires: '2030-03-17T17:46:40.000Z', unavailable: null }],
+        ['Aerodynamic', `${PLAY}/1000002/daft-punk-aerodynamic.mp3`, { status: 451, size: null, expires: null, unavailable: 'true' }],
+        ['Harder, Better, Faster, Stronger', `${PLAY}/1000004/daft-punk-harder-better-faster-stronger.mp3`,
+            { status: 200, size: null, expires: null, unavailable: 'true' }],
+        ['Too Long', [`${CDN}/too-long.mp3`, `${PLAY}/1000005/daft-punk-too-long.mp3`], { status: 206, size: 86400000, expires: null, unavailable: null }]
+    ]);
+    assert.equal(playlist.tracks[1].annotation, 'Unavailable (HTTP 451)');
+    assert.equal(report.resolved, 2);
+    assert.equal(report.expires, '2030-03-17T17:46:40.000Z');
+    assert.deepEqual(report.unavailable.map(({ title, status }) => [title, status]), [['Aerodynamic', 451], ['Harder, Better, Faster, Stronger', 200]]);
+
+    const xml = toXspf(playlist);
+    assert.match(xml, /<size>7680000<\/size>/);
+    assert.match(xml, /<unavailable>true<\/unavailable>/);
+});
+
+test('leaves unavailable tracks out on request', async () => {
+    const page = fixturePage('musify-album.html', { routes: resolveRoutes() });
+    const { playlist } = await musify.extract(page, Object.assign({ resolveLinks: true, skipUnavailable: true }, FAST));
+
+    assert.deepEqual(playlist.tracks.map(track => track.title), ['One More Time', 'Too Long']);
+    assert.ok(page.log.messages.some(m => m.level === 'warn' && m.text.includes('Unavailable: Aerodynamic (HTTP 451) (skipped)')));
+});
+
+test('refuses to resolve links where CORS applies', async () => {
+    const page = fixturePage('musify-album.html');
+    page.crossOrigin = false;
+    await assert.rejects(musify.extract(page, { resolveLinks: true }), /without CORS limits/);
+    assert.deepEqual(page.fetch.requests, []);
+});
+
+test('rejects pages without playlist items', async () => {
+    await assert.rejects(musify.extract(fixturePage('khinsider-track-01.html')), /No \.playlist__item elements/);
+});
+
+test('matches release and playlist pages', () => {
+    assert.ok(musify.matches('https://musify.club/release/daft-punk-discovery-2001-1104'));
+    assert.ok(musify.matches('https://musify.club/en/playlist/rock-and-roll-classics-5512'));
+    assert.ok(!musify.matches('https://musify.club/artist/daft-punk-1234'));
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPlaylist, openPanel, reviewPlaylist } = require('../scripts/lib/playlist');
+const { skipReason, applyPicks, pickTracks } = require('../scripts/lib/picker');
+const { createPage } = require('../cli/page');
+
+const playlist = () => createPlaylist({
+    title: 'Chrono Trigger',
+    tracks: [
+        { title: 'Intro', creator: 'Yasunori Mitsuda', duration: 12000, location: 'https://example.com/00.mp3' },
+        { title: 'Prelude', creator: 'Yasunori Mitsuda', duration: 90000, location: 'https://example.com/01.mp3' },
+        { title: 'Peaceful Days', creator: 'Yasunori Mitsuda', duration: 150000, location: 'https://example.com/02.mp3' },
+        { title: 'To Far Away Times (Bonus Track)', duration: 200000, location: 'https://example.com/03.mp3' }
+    ]
+});
+
+const blankDocument = () => createPage({ html: '<html><body></body></html>' }).document;
+
+const fire = (node, type) => node.dispatchEvent(new node.ownerDocument.defaultView.Event(type, { bubbles: true, cancelable: true }));
+
+const rowsOf = (document) => Array.from(document.querySelectorAll('.picker-tracks li'));
+
+test('filters out short tracks, intros and bonus tracks', () => {
+    const [intro, prelude, , bonus] = playlist().tracks;
+    assert.equal(skipReason(intro, { minSeconds: 30 }), 'shorter than 30 s');
+    assert.equal(skipReason(prelude, { minSeconds: 30 }), null);
+    assert.equal(skipReason(intro, { skipExtras: true }), 'intro');
+    assert.equal(skipReason(bonus, { skipExtras: true }), 'bonus track');
+    assert.equal(skipReason(bonus), null);
+    // An unknown duration is never "short"
+    assert.equal(skipReason({ title: 'Untimed' }, { minSeconds: 30 }), null);
+});
+
+test('builds the playlist from the picked rows in their order', () => {
+    const edited = applyPicks(playlist(), [
+        { index: 2, checked: true, title: 'Peaceful Days & Nights', creator: 'Yasunori Mitsuda' },
+        { index: 0, checked: false, title: 'Intro', creator: '' },
+        { index: 1, checked: true, title: 'Prelude', creator: '  ' }
+    ]);
+    assert.equal(edited.title, 'Chrono Trigger');
+    assert.deepEqual(edited.tracks.map(track => [track.title, track.creator, track.location]), [
+        ['Peaceful Days & Nights', 'Yasunori Mitsuda', 'https://example.com/02.mp3'],
+        ['Prelude', undefined, 'https://example.com/01.mp3']
+    ]);
+});
+
+test('lets the user untick, edit and reorder tracks in the panel', async () => {
+    const document = blankDocument();
+    const picked = pickTracks(playlist(), { document, fileName: 'Chrono Trigger [Khinsider]', minSeconds: 30 });
+
+    const panel = document.getElementById('playlist-export-panel');
+    assert.match(panel.textContent, /REVIEW: Chrono Trigger \[Khinsider\]/);
+    const rows = rowsOf(document);
+    assert.deepEqual(rows.map(row => row.querySelector('.picker-keep').checked), [false, true, true, true]);
+    assert.equal(rows[0].title, 'Skipped: shorter than 30 s');
+    assert.equal(document.querySelector('.picker-export').textContent, 'Export (3)');
+
+    const extras = document.querySelector('.picker-skip-extras');
+    extras.checked = true;
+    fire(extras, 'change');
+    assert.equal(document.querySelector('.picker-export').textContent, 'Export (2)');
+
+    const title = rows[2].querySelector('.picker-title');
+    title.value = 'Peaceful Days & Nights';
+    fire(title, 'input');
+
+    // Drag "Peaceful Days" above "Prelude"
+    fire(rows[2], 'dragstart');
+    fire(rows[1], 'dragover');
+    fire(rows[1], 'drop');
+    assert.deepEqual(rowsOf(document).map(row => row.dataset.index), ['0', '2', '1', '3']);
+
+    document.querySelector('.picker-export').click();
+    const edited = await picked;
+    assert.deepEqual(edited.tracks.map(track => track.title), ['Peaceful Days & Nights', 'Prelude']);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(document.getElementById('playlist-export-panel'), null);
+});
+
+test('cancel exports nothing and keeps a panel the exporter opened', async () => {
+    const document = blankDocument();
+    const panel = openPanel(document, 'SQUIDIFY SCRAPER');
+    const picked = pickTracks(playlist(), { document });
+    assert.equal(rowsOf(document).length, 4);
+
+    document.querySelector('.picker-cancel').click();
+    assert.equal(await picked, null);
+    assert.equal(rowsOf(document).length, 0);
+    assert.equal(panel.element.isConnected, true);
+
+    // Without a picker the exporters write the playlist unchanged
+    const original = playlist();
+    assert.equal(await reviewPlaylist(original), original);
+});
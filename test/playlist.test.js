@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const core = require('../scripts/lib/playlist');
+require('../scripts/lib/formats');
+
+const sample = () => core.createPlaylist({
+    title: 'Rock & <Roll>',
+    image: 'https://example.com/cover.jpg?size=600&fmt=jpg',
+    tracks: [
+        { location: 'https://example.com/1.mp3', title: "It's \"Live\"", creator: 'A & B', trackNum: '1', duration: 61000 },
+        { location: 'https://example.com/2.flac', title: 'Unknown length', trackNum: 'N/A' }
+    ]
+});
+
+test('escapeXml escapes all five XML special characters', () => {
+    assert.equal(core.escapeXml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+    assert.equal(core.escapeXml(null), '');
+});
+
+test('parseDuration handles m:ss and h:mm:ss and rejects anything else', () => {
+    assert.equal(core.parseDuration('3:27'), 207000);
+    assert.equal(core.parseDuration(' 1:00:02 '), 3602000);
+    assert.equal(core.parseDuration('--:--'), 0);
+    assert.equal(core.parseDuration('2.35 MB'), 0);
+});
+
+test('toXspf writes escaped, placeholder-free XSPF', () => {
+    assert.equal(core.toXspf(sample()), [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        '  <title>Rock &amp; &lt;Roll&gt;</title>',
+        '  <image>https://example.com/cover.jpg?size=600&amp;fmt=jpg</image>',
+        '  <trackList>',
+        '    <track>',
+        '      <location>https://example.com/1.mp3</location>',
+        '      <title>It&apos;s &quot;Live&quot;</title>',
+        '      <creator>A &amp; B</creator>',
+        '      <trackNum>1</trackNum>',
+        '      <duration>61000</duration>',
+        '    </track>',
+        '    <track>',
+        '      <location>https://example.com/2.flac</location>',
+        '      <title>Unknown length</title>',
+        '    </track>',
+        '  </trackList>',
+        '</playlist>',
+        ''
+    ].join('\n'));
+});
+
+test('M3U8 and PLS carry durations and display names', () => {
+    const m3u8 = core.serialize(sample(), 'm3u8');
+    assert.match(m3u8, /^#EXTM3U\n#PLAYLIST:Rock & <Roll>\n#EXTIMG:/);
+    assert.match(m3u8, /#EXTINF:61,A & B - It's "Live"\nhttps:\/\/example\.com\/1\.mp3/);
+    assert.match(m3u8, /#EXTINF:-1,Unknown length\n/);
+
+    const pls = core.serialize(sample(), 'pls');
+    assert.match(pls, /File1=https:\/\/example\.com\/1\.mp3\nTitle1=A & B - It's "Live"\nLength1=61/);
+    assert.match(pls, /NumberOfEntries=2\nVersion=2\n$/);
+});
+
+test('JSPF mirrors the XSPF structure', () => {
+    const jspf = JSON.parse(core.serialize(sample(), 'jspf'));
+    assert.equal(jspf.playlist.title, 'Rock & <Roll>');
+    assert.deepEqual(jspf.playlist.track[0], {
+        title: "It's \"Live\"",
+        creator: 'A & B',
+        trackNum: 1,
+        duration: 61000,
+        location: ['https://example.com/1.mp3']
+    });
+});
+
+test('withMetadata writes the same meta, extension and summary on every site', () => {
+    const playlist = core.createPlaylist(core.withMetadata(
+        { title: 'Chrono Trigger', annotation: 'Partial export' },
+        { year: 1995, genre: ['Soundtrack', ' ', 'Soundtrack', 'Chiptune'], platform: 'SNES', composer: 'Yasunori Mitsuda', catalog: null },
+        { summary: true }
+    ));
+
+    assert.equal(playlist.annotation, 'Partial export\n1995 · Soundtrack, Chiptune · SNES · Composer: Yasunori Mitsuda');
+    assert.deepEqual(playlist.meta, {
+        [`${core.NS}year`]: '1995',
+        [`${core.NS}genre`]: 'Soundtrack, Chiptune',
+        [`${core.NS}platform`]: 'SNES',
+        [`${core.NS}composer`]: 'Yasunori Mitsuda'
+    });
+    assert.deepEqual(playlist.extension[core.NS], { year: '1995', genre: 'Soundtrack, Chiptune', platform: 'SNES', composer: 'Yasunori Mitsuda' });
+    assert.match(core.toXspf(playlist), /<meta rel="https:\/\/github\.com\/Puxio\/musiy_club-youtube-playlist-export#year">1995<\/meta>/);
+
+    // Tracks get no summary, and nothing at all without metadata
+    const track = core.createTrack(core.withMetadata({ title: 'Corridors of Time' }, { composer: 'Yasunori Mitsuda' }));
+    assert.equal(track.annotation, undefined);
+    assert.deepEqual(core.createTrack(core.withMetadata({ title: 'x' }, {})).extension, {});
+});
+
+test('unknown formats are rejected with the list of available ones', () => {
+    assert.throws(() => core.serialize(sample(), 'wpl'), /Unknown playlist format "wpl"\. Available: xspf, m3u8, pls, jspf, cue/);
+});
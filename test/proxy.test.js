@@ -0,0 +1,200 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_PORT, proxyPath, proxyPlaylist, listenPort, createProxy } = require('../cli/proxy');
+const { memoryStorage } = require('../scripts/lib/invidious');
+const { silentLog, startServer } = require('./helpers');
+
+const AUDIO = Buffer.from('ID3-fake-audio-0123456789');
+
+/**
+ * Fake upstream for every site: Musify redirects, a KHInsider track page,
+ * a Squidify album page, an Invidious API and a CDN with Range support.
+ * Media URLs carry a token; tokens older than `validFrom` answer 403.
+ */
+const startUpstream = async (t) => {
+    const state = { token: 0, validFrom: 0, referers: [], paths: [], base: null };
+    const { base } = await startServer(t, (req, res) => {
+        const { pathname, searchParams } = new URL(req.url, state.base);
+
+        if (pathname === '/track/play/1000001/daft-punk-one-more-time.mp3') {
+            state.token++;
+            res.writeHead(302, { Location: `/cdn/one-more-time.mp3?token=${state.token}` });
+            return res.end();
+        }
+        if (pathname === '/game-soundtracks/album/chrono-trigger-snes/01.%2520Prelude.mp3') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end(`<html><body>
+                <a href="${state.base}/cdn/prelude.mp3"><span class="songDownloadLink">Click here to download as MP3</span></a>
+                <a href="${state.base}/cdn/prelude.flac"><span class="songDownloadLink">Click here to download as FLAC</span></a>
+            </body></html>`);
+        }
+        if (pathname === '/album/hollow-knight-original-soundtrack') {
+            const data = { props: { pageProps: { album: { title: 'Hollow Knight', tracks: [{ id: 'hk-01', title: 'Enter Hallownest', streamUrl: `/api/stream/hk-01?session=s${++state.token}` }] } } } };
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end(`<html><body><script id="__NEXT_DATA__" type="application/json">${JSON.stringify(data)}</script></body></html>`);
+        }
+        if (pathname === '/api/v1/videos/dQw4w9WgXcQ') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({
+                videoId: 'dQw4w9WgXcQ',
+                adaptiveFormats: [
+                    { type: 'video/mp4; codecs="avc1"', bitrate: '900000', url: `${state.base}/cdn/video.mp4` },
+                    { type: 'audio/mp4; codecs="mp4a.40.2"', bitrate: '128000', url: `${state.base}/cdn/audio-128.m4a` },
+                    { type: 'audio/webm; codecs="opus"', bitrate: '160000', url: '/cdn/audio-160.webm' }
+                ]
+            }));
+        }
+        if (pathname.startsWith('/cdn/') || pathname.startsWith('/api/stream/')) {
+            state.referers.push(req.headers.referer);
+            state.paths.push(pathname);
+            const token = Number(searchParams.get('token') || Infinity);
+            if (token < state.validFrom) {
+                res.writeHead(403);
+                return res.end('expired');
+            }
+            const range = (req.headers.range || '').match(/^bytes=(\d+)-(\d*)$/);
+            if (range) {
+                const start = Number(range[1]);
+                const end = range[2] ? Number(range[2]) : AUDIO.length - 1;
+                res.writeHead(206, { 'Content-Type': 'audio/mpeg', 'Content-Range': `bytes ${start}-${end}/${AUDIO.length}`, 'Accept-Ranges': 'bytes' });
+                return res.end(AUDIO.subarray(start, end + 1));
+            }
+            res.writeHead(200, { 'Content-Type': 'audio/mpeg', 'Content-Length': AUDIO.length, 'Accept-Ranges': 'bytes', 'X-Upstream-Path': pathname });
+            return res.end(req.method === 'HEAD' ? undefined : AUDIO);
+        }
+        res.writeHead(404);
+        res.end('Not Found');
+    });
+    state.base = base;
+    return state;
+};
+
+const startProxy = async (t, options = {}) => {
+    const upstream = await startUpstream(t);
+    const base = upstream.base;
+    const log = silentLog();
+    const proxy = createProxy(Object.assign({
+        upstreams: { musify: base, khinsider: base, squidify: base },
+        invidious: { instances: [base], storage: memoryStorage() },
+        log
+    }, options));
+    const { base: url } = await startServer(t, proxy);
+    return { url, upstream, log };
+};
+
+test('maps the tracks of every site to proxy routes', () => {
+    assert.equal(proxyPath({ location: 'https://musify.club/track/play/1000001/daft-punk-one-more-time.mp3' }), '/musify/1000001/daft-punk-one-more-time.mp3');
+    // Resolved Musify tracks keep the intermediate link as an alternative
+    assert.equal(proxyPath({ location: ['https://37s.musify.club/x.mp3?expires=1', 'https://musify.club/track/play/1000002/aerodynamic.mp3'] }), '/musify/1000002/aerodynamic.mp3');
+    assert.equal(proxyPath({
+        location: 'https://vgmsite.com/soundtracks/chrono-trigger-snes/yqkzsdnq/01.%20Prelude.mp3',
+        info: 'https://downloads.khinsider.com/game-soundtracks/album/chrono-trigger-snes/01.%2520Prelude.mp3'
+    }), '/khinsider/chrono-trigger-snes/01.%2520Prelude.mp3?format=mp3');
+    assert.equal(proxyPath({ location: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' }), '/youtube/dQw4w9WgXcQ');
+    assert.equal(proxyPath(
+        { location: 'https://www.squidify.org/api/stream/hk-01?session=s3ss10n' },
+        { location: 'https://www.squidify.org/album/hollow-knight-original-soundtrack' }
+    ), '/squidify/hollow-knight-original-soundtrack/hk-01');
+    assert.equal(proxyPath({ location: 'https://example.com/song.mp3' }), null);
+
+    const playlist = { title: 'Mixed', tracks: [{ location: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' }, { location: 'https://example.com/song.mp3' }] };
+    assert.deepEqual(proxyPlaylist(playlist, 'http://localhost:8765/').tracks.map(track => track.location), [
+        'http://localhost:8765/youtube/dQw4w9WgXcQ',
+        'https://example.com/song.mp3'
+    ]);
+    assert.equal(playlist.tracks[0].location, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+});
+
+test('follows Musify redirects and streams byte ranges with the site referer', async (t) => {
+    const { url, upstream } = await startProxy(t);
+
+    const full = await fetch(`${url}/musify/1000001/daft-punk-one-more-time.mp3`);
+    assert.equal(full.status, 200);
+    assert.equal(full.headers.get('content-type'), 'audio/mpeg');
+    assert.deepEqual(Buffer.from(await full.arrayBuffer()), AUDIO);
+
+    const part = await fetch(`${url}/musify/1000001/daft-punk-one-more-time.mp3`, { headers: { Range: 'bytes=4-7' } });
+    assert.equal(part.status, 206);
+    assert.equal(part.headers.get('content-range'), `bytes 4-7/${AUDIO.length}`);
+    assert.equal(await part.text(), 'fake');
+    // The second request reused the resolved MP3 URL
+    assert.equal(upstream.token, 1);
+    assert.deepEqual(upstream.referers, [`${upstream.base}/`, `${upstream.base}/`]);
+});
+
+test('resolves an expired link again', async (t) => {
+    const { url, upstream, log } = await startProxy(t);
+
+    assert.equal((await fetch(`${url}/musify/1000001/daft-punk-one-more-time.mp3`)).status, 200);
+    upstream.validFrom = 2;
+    const again = await fetch(`${url}/musify/1000001/daft-punk-one-more-time.mp3`);
+
+    assert.equal(again.status, 200);
+    assert.deepEqual(Buffer.from(await again.arrayBuffer()), AUDIO);
+    assert.equal(upstream.token, 2);
+    assert.ok(log.messages.some(m => m.text.includes('cached link answered HTTP 403')));
+});
+
+test('re-reads KHInsider track pages in the requested format', async (t) => {
+    const { url } = await startProxy(t);
+
+    const mp3 = await fetch(`${url}/khinsider/chrono-trigger-snes/01.%2520Prelude.mp3`, { method: 'HEAD' });
+    assert.equal(mp3.status, 200);
+    assert.equal(mp3.headers.get('content-length'), String(AUDIO.length));
+
+    const flac = await fetch(`${url}/khinsider/chrono-trigger-snes/01.%2520Prelude.mp3?format=flac`);
+    assert.equal(flac.status, 200);
+    assert.deepEqual(Buffer.from(await flac.arrayBuffer()), AUDIO);
+});
+
+test('plays KHInsider tracks in the format they were exported in', async (t) => {
+    const { url, upstream } = await startProxy(t);
+    const playlist = {
+        tracks: [{
+            location: 'https://vgmsite.com/soundtracks/chrono-trigger-snes/yqkzsdnq/01.%20Prelude.flac',
+            info: 'https://downloads.khinsider.com/game-soundtracks/album/chrono-trigger-snes/01.%2520Prelude.mp3'
+        }]
+    };
+
+    const location = proxyPlaylist(playlist, url).tracks[0].location;
+    assert.equal(location, `${url}/khinsider/chrono-trigger-snes/01.%2520Prelude.mp3?format=flac`);
+    const response = await fetch(location);
+    assert.equal(response.status, 200);
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), AUDIO);
+    assert.deepEqual(upstream.paths, ['/cdn/prelude.flac']);
+});
+
+test('reloads Squidify album data and asks Invidious for the best audio stream', async (t) => {
+    const { url, upstream } = await startProxy(t);
+
+    const squid = await fetch(`${url}/squidify/hollow-knight-original-soundtrack/hk-01`);
+    assert.equal(squid.status, 200);
+    assert.deepEqual(Buffer.from(await squid.arrayBuffer()), AUDIO);
+
+    const video = await fetch(`${url}/youtube/dQw4w9WgXcQ`);
+    assert.equal(video.status, 200);
+    assert.deepEqual(Buffer.from(await video.arrayBuffer()), AUDIO);
+    assert.equal(upstream.referers.length, 2);
+});
+
+test('answers 404 for unknown routes and 502 when a track cannot be resolved', async (t) => {
+    const { url } = await startProxy(t);
+
+    const unknown = await fetch(`${url}/spotify/123`);
+    assert.equal(unknown.status, 404);
+    assert.match(await unknown.text(), /Unknown route \/spotify\/123/);
+
+    const missing = await fetch(`${url}/squidify/hollow-knight-original-soundtrack/hk-99`);
+    assert.equal(missing.status, 502);
+    assert.match(await missing.text(), /No stream for track hk-99/);
+});
+
+test('takes the --port value only when a TCP port can use it', () => {
+    assert.deepEqual([listenPort(undefined), listenPort('8080'), listenPort('65535')], [DEFAULT_PORT, 8080, 65535]);
+    assert.throws(() => listenPort('80abc'), /--port must be a whole number of at least 1, not "80abc"/);
+    assert.throws(() => listenPort('0'), /at least 1/);
+    assert.throws(() => listenPort('70000'), /--port must be a whole number between 1 and 65535, not "70000"/);
+});
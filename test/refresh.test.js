@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkLocation, refreshPlaylist } = require('../cli/refresh');
+const { readPlaylist, detectSource } = require('../cli/input');
+const khinsider = require('../scripts/khinsider_album_to_xspf');
+const { toXspf, serialize } = require('../scripts/lib/playlist');
+const { fakeFetch, fixturePage, silentLog } = require('./helpers');
+require('../scripts/lib/formats');
+
+const ALBUM = 'https://downloads.khinsider.com/game-soundtracks/album/chrono-trigger-snes';
+const CDN = 'https://vgmsite.com/soundtracks/chrono-trigger-snes';
+const TRACK_PAGES = {
+    [`${ALBUM}/01.%2520Prelude.mp3`]: 'khinsider-track-01.html',
+    [`${ALBUM}/02.%2520Peaceful%2520Days%2520%2526%2520Nights.mp3`]: 'khinsider-track-02.html',
+    [`${ALBUM}/03.%2520To%2520Far%2520Away%2520Times.mp3`]: 'khinsider-track-03.html'
+};
+const FAST = { minInterval: 0, retryDelay: 1 };
+
+const audio = () => new Response('ID3', { status: 200, headers: { 'Content-Type': 'audio/mpeg', 'Content-Length': '3' } });
+
+// Track 1 moved to a new CDN folder, track 2 still works, track 3 is gone for good
+const LINKS = {
+    [`${CDN}/yqkzsdnq/01.%20Prelude.mp3`]: audio,
+    [`${CDN}/bwjlxayp/02.%20Peaceful%20Days%20%26%20Nights.mp3`]: audio
+};
+
+const exportedAlbum = async () => (await khinsider.extract(fixturePage('khinsider-album.html', { routes: TRACK_PAGES }), FAST)).playlist;
+
+const refreshOptions = (extra = {}) => Object.assign({
+    fetch: fakeFetch(LINKS),
+    loadSource: async () => fixturePage('khinsider-album.html', { routes: TRACK_PAGES }),
+    extractOptions: FAST,
+    log: silentLog()
+}, FAST, extra);
+
+test('reads exported XSPF and M3U files and detects their site', async () => {
+    const playlist = await exportedAlbum();
+    const xspf = readPlaylist(toXspf(playlist));
+
+    assert.equal(xspf.location, ALBUM);
+    assert.deepEqual(xspf.tracks.map(track => [track.title, track.trackNum]), [['Prelude', 1], ['Peaceful Days & Nights', 2], ['To Far Away Times', 3]]);
+    assert.equal(xspf.tracks[2].locations[0], `${CDN}/gxrfwzmt/03.%20To%20Far%20Away%20Times.mp3?token=a&expires=1`);
+    assert.equal(detectSource(xspf, 'Chrono Trigger [Musify_club].xspf'), 'musify');
+    assert.equal(detectSource(xspf, 'album.xspf'), 'khinsider');
+
+    const m3u = readPlaylist(serialize(playlist, 'm3u8'));
+    assert.equal(m3u.title, 'Chrono Trigger (SNES) (gamerip) (1995)');
+    assert.deepEqual(m3u.tracks[1].title, 'Peaceful Days & Nights');
+    assert.equal(detectSource(m3u, 'album.m3u8'), 'khinsider');
+    assert.equal(detectSource({ location: '', tracks: [{ locations: ['https://www.youtube.com/watch?v=dQw4w9WgXcQ'] }] }), 'youtube');
+    assert.throws(() => readPlaylist('[playlist]\nFile1=a.mp3\n'), /only XSPF and M3U/);
+});
+
+test('checks YouTube links through oEmbed and media links with HEAD', async () => {
+    const oembed = `https://www.youtube.com/oembed?format=json&url=${encodeURIComponent('https://www.youtube.com/watch?v=dQw4w9WgXcQ')}`;
+    const fetch = fakeFetch({
+        [oembed]: () => new Response('{}', { status: 200, headers: { 'Content-Type': 'application/json' } }),
+        'https://example.com/removed.mp3': () => new Response('<html></html>', { status: 200, headers: { 'Content-Type': 'text/html' } })
+    });
+
+    assert.equal((await checkLocation(fetch, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ')).alive, true);
+    assert.deepEqual(await checkLocation(fetch, 'https://youtu.be/xxxxxxxxxxx'), { alive: false, status: 404, reason: 'HTTP 404' });
+    assert.equal((await checkLocation(fetch, 'https://example.com/removed.mp3')).reason, 'HTML page instead of audio');
+    assert.equal((await checkLocation(fetch, 'file:///music/local.mp3')).alive, true);
+    await assert.rejects(checkLocation(fakeFetch({ 'https://example.com/busy.mp3': () => new Response('', { status: 503 }) }), 'https://example.com/busy.mp3'), /HTTP 503/);
+});
+
+test('patches only the dead XSPF entries and keeps the user edits', async () => {
+    const playlist = await exportedAlbum();
+    const original = toXspf(playlist)
+        .replace(`${CDN}/yqkzsdnq/01.%20Prelude.mp3`, `${CDN}/oldfolder/01.%20Prelude.mp3</location>\n      <location>${CDN}/mirror/01.%20Prelude.mp3`)
+        .replace('<title>Prelude</title>', '<title>Prelude (my favourite)</title>')
+        .replace('<trackList>', '<!-- edited by hand -->\n  <trackList>');
+
+    const { content, changed, report } = await refreshPlaylist(original, refreshOptions({ fileName: 'Chrono Trigger [Khinsider].xspf' }));
+
+    assert.ok(changed);
+    assert.equal(content, original
+        .replace(`${CDN}/oldfolder/01.%20Prelude.mp3</location>\n      <location>${CDN}/mirror/01.%20Prelude.mp3`, `${CDN}/yqkzsdnq/01.%20Prelude.mp3`));
+    assert.deepEqual(Object.assign({}, report, { dead: undefined }), {
+        site: 'khinsider', source: ALBUM, total: 3, alive: 1, repaired: 1, unrecoverable: 1, dead: undefined
+    });
+    assert.deepEqual(report.dead.map(({ position, title, outcome, replacement }) => ({ position, title, outcome, replacement })), [
+        { position: 1, title: 'Prelude (my favourite)', outcome: 'repaired', replacement: `${CDN}/yqkzsdnq/01.%20Prelude.mp3` },
+        { position: 3, title: 'To Far Away Times', outcome: 'unrecoverable', replacement: null }
+    ]);
+    assert.equal(report.dead[1].reason, 'HTTP 404; the source still has the same link');
+});
+
+test('repairs M3U files in place and only reports in check mode', async () => {
+    const playlist = await exportedAlbum();
+    playlist.tracks[0].location = `${CDN}/oldfolder/01.%20Prelude.mp3`;
+    const original = serialize(playlist, 'm3u8').replace(/\n/g, '\r\n');
+
+    const checked = await refreshPlaylist(original, refreshOptions({ fileName: 'album.m3u8', source: ALBUM, check: true }));
+    assert.equal(checked.changed, false);
+    assert.deepEqual(checked.report.dead.map(row => row.outcome), ['dead', 'dead']);
+
+    const { content, report } = await refreshPlaylist(original, refreshOptions({ fileName: 'album.m3u8', source: ALBUM }));
+    assert.equal(content, original.replace(`${CDN}/oldfolder/01.%20Prelude.mp3`, `${CDN}/yqkzsdnq/01.%20Prelude.mp3`));
+    assert.equal(report.repaired, 1);
+
+    // Without a source URL nothing can be exported again
+    const orphan = await refreshPlaylist(original, refreshOptions({ fileName: 'album.m3u8' }));
+    assert.equal(orphan.changed, false);
+    assert.match(orphan.report.dead[0].reason, /no source URL \(pass --source\)/);
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const squidify = require('../scripts/squidify_abum_to_xspf');
+const { NS } = require('../scripts/lib/playlist');
+const { fixturePage } = require('./helpers');
+
+const DURATIONS = { 'hk-01': 99.4, 'hk-02': 126.2, 'hk-03': 228.0, 'hk-04': 147.6 };
+const ALBUM_API = 'https://www.squidify.org/api/album/hollow-knight-original-soundtrack';
+const pick = ({ location, title, creator, album, trackNum, duration }) => ({ location, title, creator, album, trackNum, duration });
+
+/**
+ * Emulates Squidify's player: clicking a row loads its stream into <audio>,
+ * updates the now-playing cover alt text and fires loadedmetadata.
+ */
+const installFakePlayer = (page, { playing = null } = {}) => {
+    const { document } = page;
+    const window = document.defaultView;
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+
+    const audio = document.querySelector('audio');
+    const image = document.getElementById('track-song-image');
+    let duration = NaN;
+    Object.defineProperty(audio, 'duration', { get: () => duration });
+    let clicks = 0;
+
+    document.querySelectorAll('[role=row][data-track-id]').forEach(row => {
+        const id = row.getAttribute('data-track-id');
+        const title = row.querySelectorAll('[role=cell]')[2].textContent;
+        if (id === playing) {
+            audio.src = `https://www.squidify.org/api/stream/${id}?session=s3ss10n`;
+            image.alt = `Christopher Larkin - ${title}`;
+        }
+        row.querySelector('button').addEventListener('click', () => {
+            clicks++;
+            audio.src = `https://www.squidify.org/api/stream/${id}?session=s3ss10n`;
+            image.alt = `Christopher Larkin - ${title}`;
+            image.src = `https://www.squidify.org/covers/${id}.jpg`;
+            duration = DURATIONS[id];
+            // The real player fires the event asynchronously after the click
+            queueMicrotask(() => audio.dispatchEvent(new window.Event('loadedmetadata')));
+        });
+    });
+    return { clicks: () => clicks };
+};
+
+/**
+ * Runs the collector while advancing the mocked timers (1s settle delays)
+ */
+const collect = async (t, page) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let settled = false;
+    const result = squidify.extract(page).finally(() => { settled = true; });
+    while (!settled) {
+        await new Promise(resolve => setImmediate(resolve));
+        t.mock.timers.tick(1000);
+    }
+    return result;
+};
+
+const PLAYED = [
+    {
+        location: 'https://www.squidify.org/api/stream/hk-01?session=s3ss10n',
+        title: 'Enter Hallownest',
+        creator: 'Christopher Larkin',
+        album: 'Hollow Knight (Original Soundtrack)',
+        trackNum: 1,
+        duration: 99400
+    },
+    {
+        location: 'https://www.squidify.org/api/stream/hk-02?session=s3ss10n',
+        title: 'Dirtmouth',
+        creator: 'Christopher Larkin',
+        album: 'Hollow Knight (Original Soundtrack)',
+        trackNum: 2,
+        duration: 126200
+    },
+    {
+        location: 'https://www.squidify.org/api/stream/hk-03?session=s3ss10n',
+        title: 'Crossroads',
+        creator: 'Christopher Larkin',
+        album: 'Hollow Knight (Original Soundtrack)',
+        trackNum: 3,
+        duration: 228000
+    },
+    {
+        location: 'https://www.squidify.org/api/stream/hk-04?session=s3ss10n',
+        title: 'False Knight & Friends',
+        creator: 'Christopher Larkin',
+        album: 'Hollow Knight (Original Soundtrack)',
+        trackNum: 4,
+        duration: 147600
+    }
+];
+
+test('reads streams and metadata from the embedded page data without playing anything', async () => {
+    const page = fixturePage('squidify-album-data.html');
+    page.interactive = true;
+    const player = installFakePlayer(page);
+
+    const { playlist, fileName } = await squidify.extract(page);
+
+    assert.equal(player.clicks(), 0);
+    assert.deepEqual(page.fetch.requests, []);
+    assert.equal(fileName, 'Hollow Knight (Original Soundtrack) [Squidify.org]');
+    assert.equal(playlist.creator, 'Christopher Larkin');
+    assert.equal(playlist.image, 'https://www.squidify.org/covers/hollow-knight.jpg');
+    assert.deepEqual(playlist.tracks.map(pick), PLAYED);
+    assert.equal(playlist.annotation, '2017 · Soundtrack, Ambient · Label: Team Cherry');
+    assert.deepEqual(playlist.extension[NS], { year: '2017', genre: 'Soundtrack, Ambient', label: 'Team Cherry' });
+    // Track covers fall back to the album cover; per-track composers are kept
+    assert.deepEqual(playlist.tracks.map(track => track.image.replace('https://www.squidify.org/covers/', '')),
+        ['hollow-knight.jpg', 'dirtmouth.jpg', 'hollow-knight.jpg', 'hollow-knight.jpg']);
+    assert.equal(playlist.tracks[1].meta[`${NS}composer`], 'Christopher Larkin');
+});
+
+test('reads the album API when the page data has no streams, without a live page', async () => {
+    const page = fixturePage('squidify-album.html', { routes: { [ALBUM_API]: 'squidify-api-album.json' } });
+    const { playlist } = await squidify.extract(page);
+
+    assert.deepEqual(playlist.tracks.map(({ title, creator, trackNum, duration, location }) => [title, creator, trackNum, duration, location]), [
+        ['Enter Hallownest', 'Christopher Larkin', 1, 99000, 'https://www.squidify.org/api/stream/hk-01?session=4p1'],
+        ['Dirtmouth', 'Christopher Larkin, Hornet', 2, 126000, 'https://www.squidify.org/api/stream/hk-02?session=4p1'],
+        ['False Knight & Friends', 'Christopher Larkin', 4, 147600, 'https://www.squidify.org/api/stream/hk-04?session=4p1']
+    ]);
+    assert.ok(page.log.messages.some(m => m.level === 'warn' && m.text.includes('No stream for: Crossroads')));
+});
+
+test('falls back to playing each row and keeps the first track', async (t) => {
+    const page = fixturePage('squidify-album.html');
+    page.interactive = true;
+    installFakePlayer(page);
+
+    const { playlist, fileName } = await collect(t, page);
+
+    assert.equal(fileName, 'Hollow Knight (Original Soundtrack) [Squidify.org]');
+    assert.equal(playlist.title, 'Hollow Knight (Original Soundtrack)');
+    assert.equal(playlist.location, 'https://www.squidify.org/album/hollow-knight-original-soundtrack');
+    assert.deepEqual(playlist.tracks.map(pick), PLAYED);
+    // Cover and "Artist · Year" byline of the page header, covers of the player
+    assert.equal(playlist.image, 'https://www.squidify.org/covers/hollow-knight.jpg');
+    assert.equal(playlist.creator, 'Christopher Larkin');
+    assert.equal(playlist.annotation, '2017');
+    assert.equal(playlist.tracks[0].image, 'https://www.squidify.org/covers/hk-01.jpg');
+});
+
+test('does not mistake the track that was already playing for the first row', async (t) => {
+    // Another album was playing when the collector started
+    const page = fixturePage('squidify-album.html');
+    page.interactive = true;
+    const audio = page.document.querySelector('audio');
+    audio.src = 'https://www.squidify.org/api/stream/other-album-07?session=s3ss10n';
+    installFakePlayer(page);
+    assert.deepEqual((await collect(t, page)).playlist.tracks.map(pick), PLAYED);
+});
+
+test('keeps the first row when it was the track already playing', async (t) => {
+    // Clicking the playing row does not load a new source
+    const page = fixturePage('squidify-album.html');
+    page.interactive = true;
+    installFakePlayer(page, { playing: 'hk-01' });
+    assert.deepEqual((await collect(t, page)).playlist.tracks.map(pick), PLAYED);
+});
+
+test('refuses to run without album data or a page that can play audio', async () => {
+    await assert.rejects(squidify.extract(fixturePage('squidify-album.html')), /only exposed while the page plays them/);
+});
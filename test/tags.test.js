@@ -0,0 +1,144 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { NS, createPlaylist, withMetadata } = require('../scripts/lib/playlist');
+const { tagsOf, tagMp3, readId3, tagFlac, readFlacTags, audioFormat, tagFile } = require('../cli/tags');
+const { tempDir } = require('./helpers');
+
+const COVER = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.from('fake-jpeg-cover')]);
+
+// Two silent MPEG-1 Layer III frame headers with empty payloads
+const MP3_FRAMES = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(40), Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(40)]);
+
+// An MP3 with an old ID3v2.3 tag ("Old title") in front of the frames
+const oldMp3 = () => {
+    const frame = Buffer.concat([Buffer.from('TIT2'), Buffer.from([0, 0, 0, 10, 0, 0, 0]), Buffer.from('Old title')]);
+    return Buffer.concat([Buffer.from('ID3'), Buffer.from([3, 0, 0, 0, 0, 0, frame.length]), frame, MP3_FRAMES]);
+};
+
+const FLAC_FRAMES = Buffer.from([0xff, 0xf8, 0x69, 0x08, 0x00, 0x00, 0x01, 0x02, 0x03]);
+
+const flacBlock = (type, body, last = false) => Buffer.concat([Buffer.from([(last ? 0x80 : 0) | type, 0, 0, body.length]), body]);
+
+// STREAMINFO, a seek table, old comments and padding, then the frames
+const oldFlac = () => {
+    const vendor = Buffer.from('reference libFLAC');
+    const comment = Buffer.from('TITLE=Old title');
+    const comments = Buffer.alloc(12 + vendor.length + comment.length);
+    comments.writeUInt32LE(vendor.length, 0);
+    vendor.copy(comments, 4);
+    comments.writeUInt32LE(1, 4 + vendor.length);
+    comments.writeUInt32LE(comment.length, 8 + vendor.length);
+    comment.copy(comments, 12 + vendor.length);
+    return Buffer.concat([
+        Buffer.from('fLaC'),
+        flacBlock(0, Buffer.alloc(34, 1)),
+        flacBlock(3, Buffer.alloc(18, 2)),
+        flacBlock(4, comments),
+        flacBlock(1, Buffer.alloc(64), true),
+        FLAC_FRAMES
+    ]);
+};
+
+const album = () => createPlaylist(withMetadata({
+    title: 'Chrono Trigger',
+    creator: 'Yasunori Mitsuda',
+    tracks: [
+        { title: 'Peaceful Days', creator: 'Yasunori Mitsuda', trackNum: 2 },
+        withMetadata({ title: 'Schala', creator: 'Yasunori Mitsuda', trackNum: 14, extension: { [NS]: { disc: 2, track: 3 } } }, { composer: 'Noriko Matsueda' })
+    ]
+}, { year: '1995', genre: ['Soundtrack', 'Game'], label: 'NTT Publishing', catalog: 'PSCN-5021~3' }));
+
+test('builds tag values from the captured metadata', () => {
+    const playlist = album();
+    assert.deepEqual(tagsOf(playlist.tracks[0], playlist, { cover: COVER, totalTracks: 20 }), {
+        title: 'Peaceful Days',
+        artist: 'Yasunori Mitsuda',
+        album: 'Chrono Trigger',
+        albumArtist: 'Yasunori Mitsuda',
+        track: 2,
+        totalTracks: 20,
+        disc: null,
+        year: '1995',
+        genre: ['Soundtrack', 'Game'],
+        composer: '',
+        label: 'NTT Publishing',
+        catalog: 'PSCN-5021~3',
+        cover: COVER
+    });
+    const disc = tagsOf(playlist.tracks[1], playlist, { totalTracks: 20 });
+    assert.deepEqual([disc.track, disc.totalTracks, disc.disc, disc.composer], [3, null, 2, 'Noriko Matsueda']);
+});
+
+test('replaces the ID3 tag of an MP3 with an ID3v2.4 tag and the cover', () => {
+    const playlist = album();
+    const tagged = tagMp3(oldMp3(), tagsOf(playlist.tracks[0], playlist, { cover: COVER, totalTracks: 20 }));
+
+    assert.equal(tagged[3], 4);
+    assert.deepEqual(tagged.subarray(tagged.length - MP3_FRAMES.length), MP3_FRAMES);
+    const frames = readId3(tagged);
+    assert.deepEqual(Object.assign({}, frames, { APIC: undefined }), {
+        TIT2: 'Peaceful Days',
+        TPE1: 'Yasunori Mitsuda',
+        TALB: 'Chrono Trigger',
+        TPE2: 'Yasunori Mitsuda',
+        TRCK: '2/20',
+        TDRC: '1995',
+        TCON: 'Soundtrack\0Game',
+        TPUB: 'NTT Publishing',
+        'TXXX:CATALOGNUMBER': 'PSCN-5021~3',
+        APIC: undefined
+    });
+    assert.deepEqual(frames.APIC.map(({ mime, type, data }) => [mime, type, data]), [['image/jpeg', 3, COVER]]);
+
+    // Tagging again gives the same file
+    assert.deepEqual(tagMp3(tagged, tagsOf(playlist.tracks[0], playlist, { cover: COVER, totalTracks: 20 })), tagged);
+});
+
+test('writes Vorbis comments and a picture block into a FLAC', () => {
+    const playlist = album();
+    const original = oldFlac();
+    const tagged = tagFlac(original, tagsOf(playlist.tracks[1], playlist, { cover: COVER }));
+
+    // STREAMINFO and the seek table stay first, the frames are untouched
+    assert.deepEqual(tagged.subarray(0, 4 + 38 + 22), original.subarray(0, 4 + 38 + 22));
+    assert.deepEqual(tagged.subarray(tagged.length - FLAC_FRAMES.length), FLAC_FRAMES);
+    const { comments, pictures } = readFlacTags(tagged);
+    assert.deepEqual(comments, {
+        TITLE: ['Schala'],
+        ARTIST: ['Yasunori Mitsuda'],
+        ALBUM: ['Chrono Trigger'],
+        ALBUMARTIST: ['Yasunori Mitsuda'],
+        TRACKNUMBER: ['3'],
+        DISCNUMBER: ['2'],
+        DATE: ['1995'],
+        GENRE: ['Soundtrack', 'Game'],
+        COMPOSER: ['Noriko Matsueda'],
+        LABEL: ['NTT Publishing'],
+        CATALOGNUMBER: ['PSCN-5021~3']
+    });
+    assert.deepEqual(pictures.map(({ mime, type, data }) => [mime, type, data]), [['image/jpeg', 3, COVER]]);
+    assert.throws(() => tagFlac(MP3_FRAMES, {}), /Not a FLAC file/);
+});
+
+test('tags files in place and leaves other formats alone', async (t) => {
+    const dir = tempDir(t, 'tags-');
+    const playlist = album();
+    const tags = tagsOf(playlist.tracks[0], playlist);
+
+    fs.writeFileSync(path.join(dir, 'a.mp3'), MP3_FRAMES);
+    fs.writeFileSync(path.join(dir, 'b.flac'), oldFlac());
+    fs.writeFileSync(path.join(dir, 'c.m4a'), Buffer.from('....ftypM4A '));
+
+    assert.equal(await tagFile(path.join(dir, 'a.mp3'), tags), 'mp3');
+    assert.equal(await tagFile(path.join(dir, 'b.flac'), tags), 'flac');
+    assert.equal(await tagFile(path.join(dir, 'c.m4a'), tags), null);
+    assert.equal(readId3(fs.readFileSync(path.join(dir, 'a.mp3'))).TIT2, 'Peaceful Days');
+    assert.deepEqual(readFlacTags(fs.readFileSync(path.join(dir, 'b.flac'))).comments.TITLE, ['Peaceful Days']);
+    assert.equal(audioFormat(fs.readFileSync(path.join(dir, 'c.m4a'))), null);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['a.mp3', 'b.flac', 'c.m4a']);
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runTasks, createRateLimiter, hostOf, sleep } = require('../scripts/lib/tasks');
+const { positiveInteger } = require('../cli/options');
+
+test('keeps the input order and never exceeds the concurrency', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await runTasks([30, 5, 20, 1, 10], async (ms) => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(ms);
+        running--;
+        return ms * 2;
+    }, { concurrency: 2 });
+
+    assert.deepEqual(results.map(result => result.value), [60, 10, 40, 2, 20]);
+    assert.equal(peak, 2);
+});
+
+test('retries with backoff and reports the attempts', async () => {
+    const calls = {};
+    const results = await runTasks(['flaky', 'broken', 'permanent'], async (name) => {
+        calls[name] = (calls[name] || 0) + 1;
+        if (name === 'flaky' && calls[name] < 3) throw new Error('503');
+        if (name === 'broken') throw new Error('timeout');
+        if (name === 'permanent') throw Object.assign(new Error('404'), { permanent: true });
+        return 'ok';
+    }, { retries: 2, retryDelay: 1, shouldRetry: error => !error.permanent });
+
+    assert.deepEqual(results.map(({ ok, attempts }) => ({ ok, attempts })), [
+        { ok: true, attempts: 3 },
+        { ok: false, attempts: 3 },
+        { ok: false, attempts: 1 }
+    ]);
+    assert.equal(results[1].error.message, 'timeout');
+});
+
+test('spaces requests to the same host', async () => {
+    const wait = createRateLimiter(40);
+    const started = Date.now();
+    await wait('a.example');
+    await wait('b.example');
+    assert.ok(Date.now() - started < 30, 'other hosts do not wait');
+    await wait('a.example');
+    assert.ok(Date.now() - started >= 35, 'same host waits for the interval');
+    assert.equal(hostOf('https://vgmsite.com/x.mp3'), 'vgmsite.com');
+    assert.equal(hostOf('not a url'), '');
+});
+
+test('rejects a concurrency that would start no worker', async () => {
+    for (const concurrency of [NaN, 0, 1.5, '4']) {
+        await assert.rejects(runTasks([1, 2, 3], async (n) => n, { concurrency }), /concurrency must be a whole number/);
+    }
+    assert.equal(positiveInteger(undefined, 'concurrency'), undefined);
+    assert.equal(positiveInteger('8', 'concurrency'), 8);
+    assert.throws(() => positiveInteger('x', 'concurrency'), /--concurrency must be a whole number of at least 1, not "x"/);
+    assert.throws(() => positiveInteger('0', 'concurrency'), /at least 1/);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTitleParser, rulesFor, compileRule } = require('../scripts/lib/titles');
+
+const parse = (raw, channel = 'Some Uploader', rules = []) => {
+    const { creator, title, rule } = createTitleParser({ rules }).parse(raw, { channel });
+    return { creator, title, rule };
+};
+
+test('splits on hyphens, en dashes and em dashes', () => {
+    assert.deepEqual(parse('Daft Punk - 01. One More Time'), { creator: 'Daft Punk', title: 'One More Time', rule: 'numbered' });
+    assert.deepEqual(parse('Massive Attack - Teardrop'), { creator: 'Massive Attack', title: 'Teardrop', rule: 'dash' });
+    assert.deepEqual(parse('Björk – Hyperballad'), { creator: 'Björk', title: 'Hyperballad', rule: 'dash' });
+    assert.deepEqual(parse('Portishead—Roads'), { creator: 'Portishead', title: 'Roads', rule: 'dash' });
+    // A hyphen inside a name is not a separator
+    assert.deepEqual(parse('Jay-Z – Dirt Off Your Shoulder'), { creator: 'Jay-Z', title: 'Dirt Off Your Shoulder', rule: 'dash' });
+});
+
+test('strips video suffixes but keeps the other parentheses', () => {
+    assert.equal(parse('Daft Punk - One More Time (Official Video)').title, 'One More Time');
+    assert.equal(parse('Moby - Porcelain [Lyrics]').title, 'Porcelain');
+    assert.equal(parse('Moby - Porcelain (Official Music Video) [HD]').title, 'Porcelain');
+    assert.equal(parse('Vasco Rossi - Albachiara (Video Ufficiale)').title, 'Albachiara');
+    assert.equal(parse('Modjo - Lady (Hear Me Tonight) (Official Audio)').title, 'Lady (Hear Me Tonight)');
+    assert.equal(parse('Massive Attack - Teardrop (Live)').title, 'Teardrop (Live)');
+});
+
+test('moves "feat." credits to the end of the title', () => {
+    assert.deepEqual(parse('Daft Punk ft. Pharrell Williams - Get Lucky (Official Audio)'),
+        { creator: 'Daft Punk', title: 'Get Lucky (feat. Pharrell Williams)', rule: 'dash' });
+    assert.deepEqual(parse('Gorillaz - Feel Good Inc featuring De La Soul'),
+        { creator: 'Gorillaz', title: 'Feel Good Inc (feat. De La Soul)', rule: 'dash' });
+    assert.equal(createTitleParser().parse('Calvin Harris - Slide (feat. Frank Ocean)').featured, 'Frank Ocean');
+});
+
+test('reads \'"Title" by Artist\' and falls back to the channel name', () => {
+    assert.deepEqual(parse('"Clair de Lune" by Claude Debussy'), { creator: 'Claude Debussy', title: 'Clair de Lune', rule: 'by' });
+    assert.deepEqual(parse('“Stand by Me” by Ben E. King'), { creator: 'Ben E. King', title: 'Stand by Me', rule: 'by' });
+    assert.deepEqual(parse('Stand by me'), { creator: 'Some Uploader', title: 'Stand by me', rule: 'channel' });
+    // A "by" inside an unquoted title is part of it
+    assert.deepEqual(parse('Stand by Me'), { creator: 'Some Uploader', title: 'Stand by Me', rule: 'channel' });
+    assert.deepEqual(parse('Killed by Death'), { creator: 'Some Uploader', title: 'Killed by Death', rule: 'channel' });
+    assert.deepEqual(parse('Untitled Jam (Official Video)', 'AphexTwinVEVO'), { creator: 'AphexTwin', title: 'Untitled Jam', rule: 'channel' });
+});
+
+test('user rules run before the built-in ones and are picked per playlist', () => {
+    const config = {
+        '*': [{ strip: '\\s*\\[Extended\\]' }],
+        PL1: [{ name: 'tilde', pattern: '^(?<artist>.+?) ~ (?<song>.+)$', creator: '$<artist>', title: '$<song>' }]
+    };
+    assert.deepEqual(parse('Orbital ~ Chime - Live [Extended]', 'x', rulesFor(config, ['PL1'])),
+        { creator: 'Orbital', title: 'Chime - Live', rule: 'tilde' });
+    assert.deepEqual(parse('Orbital ~ Chime [Extended]', 'x', rulesFor(config, ['PL2'])),
+        { creator: 'x', title: 'Orbital ~ Chime', rule: 'channel' });
+    assert.throws(() => compileRule({ name: 'broken', pattern: '(' }), /Invalid title rule "broken"/);
+    assert.throws(() => compileRule({ pattern: '.+' }), /needs "strip", or "pattern"/);
+});
@@ -0,0 +1,248 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const youtube = require('../scripts/youtube_album_to_playlist');
+const { fixturePage } = require('./helpers');
+
+const API = 'https://inv.nadeko.net/api/v1/playlists';
+const ALBUM_ID = 'OLAK5uy_kx7T9Pp0u6FzDdCvd3s9B6aH1Wfzk1Rqc';
+const PLAYLIST_ID = 'PLxA687tYuMWhkqYjvAGtW_heiEL4Hk_Lx';
+
+const pick = ({ location, title, creator, trackNum, duration }) => ({ location, title, creator, trackNum, duration });
+
+test('extracts an OLAK album with the Topic artist and "Artist - Album" filename', async () => {
+    const page = fixturePage(null, {
+        url: `https://www.youtube.com/playlist?list=${ALBUM_ID}`,
+        routes: { [`${API}/${ALBUM_ID}`]: 'invidious-playlist-album.json' }
+    });
+    const { playlist, fileName } = await youtube.extract(page);
+
+    assert.equal(fileName, 'Orbital - Orbital (Brown) [Youtube]');
+    assert.equal(playlist.title, 'Orbital (Brown)');
+    assert.equal(playlist.creator, 'Orbital');
+    assert.deepEqual(playlist.tracks.map(pick), [
+        { location: 'https://www.youtube.com/watch?v=aLbQ8v3gqQM', title: 'Lux Aeterna', creator: 'Orbital', trackNum: 1, duration: 280000 },
+        { location: 'https://www.youtube.com/watch?v=cGkNq0o5Z4o', title: 'Halcyon & On & On', creator: 'Orbital', trackNum: 2, duration: 567000 },
+        { location: 'https://www.youtube.com/watch?v=UPhsmXsXg3o', title: 'Belfast', creator: 'Orbital', trackNum: 3, duration: 473000 }
+    ]);
+    assert.equal(playlist.image, 'https://i.ytimg.com/vi/aLbQ8v3gqQM/hqdefault.jpg');
+    assert.equal(playlist.tracks[1].image, 'https://i.ytimg.com/vi/cGkNq0o5Z4o/hqdefault.jpg');
+});
+
+test('parses "Artist - NN. Title" and "Artist - Title" in regular playlists', async () => {
+    const page = fixturePage(null, {
+        url: `https://www.youtube.com/watch?v=FGBhQbmPwH8&list=${PLAYLIST_ID}`,
+        routes: { [`${API}/${PLAYLIST_ID}`]: 'invidious-playlist.json' }
+    });
+    const { playlist, fileName } = await youtube.extract(page);
+
+    assert.equal(fileName, 'Late Night <Electronic> & Chill [Youtube]');
+    assert.deepEqual(playlist.tracks.map(pick), [
+        { location: 'https://www.youtube.com/watch?v=FGBhQbmPwH8', title: 'One More Time', creator: 'Daft Punk', trackNum: 1, duration: 320000 },
+        { location: 'https://www.youtube.com/watch?v=u7K72X4eo_s', title: 'Teardrop', creator: 'Massive Attack', trackNum: 2, duration: 330000 },
+        { location: 'https://www.youtube.com/watch?v=zzzzzzzzzz1', title: 'Untitled Jam', creator: 'Some Uploader', trackNum: 3, duration: 95000 },
+        { location: 'https://www.youtube.com/watch?v=aaaaaaaaaa2', title: 'Orbital - Chime', creator: 'Orbital', trackNum: 4, duration: 741000 }
+    ]);
+});
+
+test('applies the user title rules of the playlist and lists them for the dry run', async () => {
+    const page = fixturePage(null, {
+        url: `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`,
+        routes: { [`${API}/${PLAYLIST_ID}`]: 'invidious-playlist.json' }
+    });
+    const titleRules = { [PLAYLIST_ID]: [{ name: 'jam', pattern: '^Untitled (.+)$', creator: 'Unknown Band', title: '$1' }] };
+    const { titles } = await youtube.extract(page, { titleRules });
+
+    assert.deepEqual(titles, [
+        { raw: 'Daft Punk - 01. One More Time', creator: 'Daft Punk', title: 'One More Time', rule: 'numbered' },
+        { raw: 'Massive Attack - Teardrop', creator: 'Massive Attack', title: 'Teardrop', rule: 'dash' },
+        { raw: 'Untitled Jam', creator: 'Unknown Band', title: 'Jam', rule: 'jam' },
+        { raw: 'Orbital - Chime', creator: 'Orbital', title: 'Orbital - Chime', rule: 'topic' }
+    ]);
+});
+
+test('reports HTTP errors from every Invidious instance', async () => {
+    const page = fixturePage(null, { url: `https://www.youtube.com/playlist?list=${PLAYLIST_ID}` });
+    await assert.rejects(youtube.extract(page), /All Invidious instances failed .*inv\.nadeko\.net \(HTTP 404\).*yewtu\.be \(HTTP 404\)/);
+});
+
+test('fails over to the next Invidious instance', async () => {
+    const page = fixturePage(null, {
+        url: `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`,
+        routes: {
+            [`${API}/${PLAYLIST_ID}`]: () => new Response('Bad Gateway', { status: 502 }),
+            [`https://yewtu.be/api/v1/playlists/${PLAYLIST_ID}`]: 'invidious-playlist.json'
+        }
+    });
+    const { playlist } = await youtube.extract(page);
+
+    assert.equal(playlist.tracks.length, 4);
+    assert.ok(page.log.messages.some(m => m.text === '🌐 Served by Invidious instance: https://yewtu.be'));
+});
+
+test('asks the Invidious instance of the current page first', async () => {
+    const page = fixturePage(null, {
+        url: `https://invidious.example/playlist?list=${PLAYLIST_ID}`,
+        routes: { [`https://invidious.example/api/v1/playlists/${PLAYLIST_ID}`]: 'invidious-playlist.json' }
+    });
+    await youtube.extract(page);
+    assert.deepEqual(page.fetch.requests, [`https://invidious.example/api/v1/playlists/${PLAYLIST_ID}`]);
+});
+
+// Builds an API page with the videos at positions [from, to)
+const apiPage = (videoCount, from, to) => () => Response.json({
+    title: 'Long Mix',
+    author: 'Some Curator',
+    videoCount,
+    videos: Array.from({ length: Math.max(0, to - from) }, (_, i) => ({
+        title: `Artist ${from + i} - Song ${from + i}`,
+        videoId: `vid${String(from + i).padStart(8, '0')}`,
+        author: 'Uploader',
+        lengthSeconds: 60,
+        index: from + i
+    }))
+});
+
+test('follows the Invidious pages until videoCount videos are collected', async () => {
+    const page = fixturePage(null, {
+        url: `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`,
+        routes: {
+            [`${API}/${PLAYLIST_ID}`]: apiPage(250, 0, 200),
+            // Overlapping page: the first ten videos are repeats
+            [`${API}/${PLAYLIST_ID}?page=2`]: apiPage(250, 190, 250)
+        }
+    });
+    const { playlist, partial } = await youtube.extract(page);
+
+    assert.equal(partial, null);
+    assert.equal(playlist.tracks.length, 250);
+    assert.deepEqual(playlist.tracks.map(t => t.trackNum), Array.from({ length: 250 }, (_, i) => i + 1));
+    assert.equal(new Set(playlist.tracks.map(t => t.location)).size, 250);
+    assert.equal(page.fetch.requests.length, 2);
+});
+
+test('reports a partial export when fewer videos than videoCount come back', async () => {
+    const page = fixturePage(null, {
+        url: `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`,
+        routes: {
+            [`${API}/${PLAYLIST_ID}`]: apiPage(205, 0, 200),
+            [`${API}/${PLAYLIST_ID}?page=2`]: apiPage(205, 200, 203),
+            [`${API}/${PLAYLIST_ID}?page=3`]: apiPage(205, 0, 0)
+        }
+    });
+    const { playlist, partial } = await youtube.extract(page);
+
+    assert.deepEqual(partial, { expected: 205, found: 203 });
+    assert.equal(playlist.annotation, 'Partial export: 203 of 205 videos');
+    assert.ok(page.log.messages.some(m => m.level === 'warn' && /Partial export: 203 of 205/.test(m.text)));
+});
+
+test('keeps the collected videos when a later page fails', async () => {
+    const page = fixturePage(null, {
+        url: `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`,
+        routes: { [`${API}/${PLAYLIST_ID}`]: apiPage(300, 0, 200) }
+    });
+    const { playlist, partial } = await youtube.extract(page);
+
+    assert.equal(playlist.tracks.length, 200);
+    assert.deepEqual(partial, { expected: 300, found: 200 });
+});
+
+const INV = 'https://inv.nadeko.net/api/v1';
+const TOPIC_ID = 'UCd1mFHYVBy4hmB0zBpPdDnw';
+const UPLOADER_ID = 'UCsomeuploader0000000000';
+const SNIVILISATION_ID = 'OLAK5uy_mSnivilisation00000000000000000000';
+
+const topicRoutes = {
+    [`${INV}/resolveurl?url=${encodeURIComponent('https://www.youtube.com/@orbital')}`]: 'invidious-resolveurl.json',
+    [`${INV}/channels/${TOPIC_ID}`]: 'invidious-channel-topic.json',
+    [`${INV}/channels/${TOPIC_ID}/releases`]: 'invidious-channel-releases.json',
+    [`${API}/${ALBUM_ID}`]: 'invidious-playlist-album.json',
+    [`${API}/${SNIVILISATION_ID}`]: 'invidious-playlist-album-2.json'
+};
+
+test('exports the releases of a Topic channel as one playlist per album', async () => {
+    const page = fixturePage(null, { url: 'https://www.youtube.com/@orbital', routes: topicRoutes });
+    const { playlists } = await youtube.extract(page, { split: true });
+
+    assert.deepEqual(playlists.map(p => p.fileName), ['Orbital - Orbital (Brown) [Youtube]', 'Orbital - Snivilisation [Youtube]']);
+    assert.equal(playlists[1].playlist.image, 'https://i.ytimg.com/vi/snv0000001a/hqdefault.jpg');
+    assert.deepEqual(playlists[1].playlist.tracks.map(pick), [
+        { location: 'https://www.youtube.com/watch?v=snv0000001a', title: 'Forever', creator: 'Orbital', trackNum: 1, duration: 380000 },
+        { location: 'https://www.youtube.com/watch?v=snv0000002b', title: 'Are We Here?', creator: 'Orbital', trackNum: 2, duration: 910000 }
+    ]);
+    // The release that could not be fetched is reported, not fatal
+    assert.ok(page.log.messages.some(m => m.level === 'warn' && /Skipped "Removed Single"/.test(m.text)));
+});
+
+test('combines the releases of a channel into one playlist', async () => {
+    const page = fixturePage(null, { url: `https://yewtu.be/channel/${TOPIC_ID}/releases`, routes: topicRoutes });
+    const { playlist, fileName, partial } = await youtube.extract(page);
+
+    assert.equal(fileName, 'Orbital - Releases [Youtube]');
+    assert.equal(playlist.creator, 'Orbital');
+    assert.deepEqual(partial, { expected: 3, found: 2 });
+    assert.deepEqual(playlist.tracks.map(t => [t.album, t.trackNum, t.title]), [
+        ['Orbital (Brown)', 1, 'Lux Aeterna'],
+        ['Orbital (Brown)', 2, 'Halcyon & On & On'],
+        ['Orbital (Brown)', 3, 'Belfast'],
+        ['Snivilisation', 1, 'Forever'],
+        ['Snivilisation', 2, 'Are We Here?']
+    ]);
+});
+
+test('exports the uploads of a channel following the continuation', async () => {
+    const page = fixturePage(null, {
+        url: `https://www.youtube.com/channel/${UPLOADER_ID}`,
+        routes: {
+            [`${INV}/channels/${UPLOADER_ID}`]: 'invidious-channel.json',
+            [`${INV}/channels/${UPLOADER_ID}/videos`]: 'invidious-channel-videos.json',
+            [`${INV}/channels/${UPLOADER_ID}/videos?continuation=4qmFsgKrCBIYVUNzb21ldXBsb2FkZXIwMDAwMDAwMDAw`]: 'invidious-channel-videos-2.json'
+        }
+    });
+    const { playlist, fileName } = await youtube.extract(page);
+
+    assert.equal(fileName, 'Some Uploader - Uploads [Youtube]');
+    assert.deepEqual(playlist.tracks.map(t => [t.trackNum, t.creator, t.title]), [
+        [1, 'Massive Attack', 'Teardrop (Live)'],
+        [2, 'Some Uploader', 'Untitled Jam'],
+        [3, 'Daft Punk', 'Digital Love']
+    ]);
+});
+
+test('exports mixes and search results', async () => {
+    const mix = await youtube.extract(fixturePage(null, {
+        url: 'https://www.youtube.com/watch?v=FGBhQbmPwH8&list=RDFGBhQbmPwH8',
+        routes: { [`${INV}/mixes/RDFGBhQbmPwH8`]: 'invidious-mix.json' }
+    }));
+    assert.equal(mix.fileName, 'Mix - One More Time [Youtube]');
+    assert.deepEqual(mix.playlist.tracks.map(t => t.creator), ['Daft Punk', 'Daft Punk', 'Modjo']);
+
+    const search = await youtube.extract(fixturePage(null, {
+        url: 'https://www.youtube.com/results?search_query=orbital+live',
+        routes: { [`${INV}/search?q=orbital%20live&type=video&page=1`]: 'invidious-search.json' }
+    }));
+    assert.equal(search.fileName, 'orbital live [Youtube search]');
+    assert.deepEqual(search.playlist.tracks.map(t => t.location), [
+        'https://www.youtube.com/watch?v=srch000001a',
+        'https://www.youtube.com/watch?v=srch000002b'
+    ]);
+});
+
+test('rejects URLs without a playlist ID', async () => {
+    const page = fixturePage(null, { url: 'https://www.youtube.com/watch?v=FGBhQbmPwH8' });
+    await assert.rejects(youtube.extract(page), /Playlist ID not found/);
+});
+
+test('matches YouTube and Invidious playlist, channel and search pages', () => {
+    assert.ok(youtube.matches(`https://www.youtube.com/playlist?list=${ALBUM_ID}`));
+    assert.ok(youtube.matches(`https://yewtu.be/playlist?list=${PLAYLIST_ID}`));
+    assert.ok(youtube.matches('https://www.youtube.com/@orbital/releases'));
+    assert.ok(youtube.matches(`https://yewtu.be/channel/${TOPIC_ID}`));
+    assert.ok(youtube.matches('https://www.youtube.com/results?search_query=orbital'));
+    assert.ok(!youtube.matches('https://www.youtube.com/watch?v=FGBhQbmPwH8'));
+    assert.ok(!youtube.matches('https://www.youtube.com/feed/subscriptions'));
+    assert.deepEqual(youtube.parseYoutubeUrl('https://www.youtube.com/@orbital/releases'), { type: 'channel', handle: '@orbital', ucid: null, tab: 'releases' });
+});